@@ -0,0 +1,79 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class BuildComparisonTests
+{
+    private static BuildSummaryCollector Build(params (string target, long durationNs)[] targets)
+    {
+        var summary = new BuildSummaryCollector();
+        summary.BuildStarted(0);
+        summary.ProjectStarted(1, 10, "App.csproj", 0);
+        long ts = 0;
+        foreach (var (target, durationNs) in targets)
+        {
+            summary.TargetStarted(1, 10, target, ts);
+            ts += durationNs;
+            summary.TargetFinished(1, 10, ts);
+        }
+        summary.ProjectFinished(1, 10, ts);
+        summary.BuildFinished(ts, succeeded: true);
+        return summary;
+    }
+
+    [Fact]
+    public void Entries_AreOrderedByExclusiveRegression()
+    {
+        var baseline = Build(("Compile", 100), ("Copy", 50));
+        var candidate = Build(("Compile", 300), ("Copy", 20));
+
+        var comparison = new BuildComparison(baseline, candidate);
+
+        Assert.Collection(comparison.Targets,
+            e =>
+            {
+                Assert.Equal("Compile", e.Name);
+                Assert.Equal(200, e.ExclusiveDeltaNs);
+            },
+            e =>
+            {
+                Assert.Equal("Copy", e.Name);
+                Assert.Equal(-30, e.ExclusiveDeltaNs);
+            });
+        Assert.Equal(170, comparison.DurationDeltaNs);
+    }
+
+    [Fact]
+    public void NamesOnOneSide_HaveZeroOnTheOther()
+    {
+        var baseline = Build(("Removed", 100));
+        var candidate = Build(("Added", 40));
+
+        var comparison = new BuildComparison(baseline, candidate);
+
+        var added = Assert.Single(comparison.Targets, e => e.Name == "Added");
+        Assert.Equal(0, added.BaselineCount);
+        Assert.Equal(1, added.CandidateCount);
+        Assert.Equal(0, added.BaselineInclusiveNs);
+
+        var removed = Assert.Single(comparison.Targets, e => e.Name == "Removed");
+        Assert.Equal(0, removed.CandidateCount);
+        Assert.Equal(-100, removed.InclusiveDeltaNs);
+    }
+
+    [Fact]
+    public void ToJson_IncludesTotalsAndEntries()
+    {
+        var comparison = new BuildComparison(Build(("Compile", 100)), Build(("Compile", 150)));
+
+        using var document = JsonDocument.Parse(comparison.ToJson("before", "after"));
+        var root = document.RootElement;
+
+        Assert.Equal("before", root.GetProperty("baseline").GetProperty("label").GetString());
+        Assert.Equal(150, root.GetProperty("candidate").GetProperty("durationNs").GetInt64());
+
+        var target = Assert.Single(root.GetProperty("targets").EnumerateArray());
+        Assert.Equal(100, target.GetProperty("baselineExclusiveNs").GetInt64());
+        Assert.Equal(150, target.GetProperty("candidateExclusiveNs").GetInt64());
+    }
+}
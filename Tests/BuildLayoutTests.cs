@@ -0,0 +1,35 @@
+namespace msbuild_binlog_perfview.Tests;
+
+public class BuildLayoutTests
+{
+    [Fact]
+    public void GetPid_NodesKeepTheirIds()
+    {
+        Assert.Equal(1u, BuildLayout.Single.GetPid(1));
+        Assert.Equal(12u, BuildLayout.Single.GetPid(12));
+    }
+
+    [Fact]
+    public void GetPid_BuildAndEvaluationGetProcessesOfTheirOwn()
+    {
+        // Node IDs of the build-level and evaluation processes in Program.cs
+        var build = BuildLayout.Single.GetPid(-1);
+        var evaluation = BuildLayout.Single.GetPid(-2);
+
+        Assert.Equal(999u, build);
+        Assert.Equal(998u, evaluation);
+        Assert.NotEqual(BuildLayout.Single.GetPid(0), build);
+        Assert.NotEqual(BuildLayout.Single.GetPid(0), evaluation);
+    }
+
+    [Fact]
+    public void GetPid_BuildsDoNotShareProcesses()
+    {
+        var second = new BuildLayout(1, 2, "after");
+
+        Assert.Equal(1001u, second.GetPid(1));
+        Assert.Equal(1999u, second.GetPid(-1));
+        Assert.Equal(1998u, second.GetPid(-2));
+        Assert.Equal("after · Build", second.GetProcessName("Build"));
+    }
+}
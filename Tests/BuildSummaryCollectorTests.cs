@@ -0,0 +1,159 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class BuildSummaryCollectorTests
+{
+    [Fact]
+    public void NestedFrames_SplitInclusiveAndExclusiveTime()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.BuildStarted(0);
+        summary.ProjectStarted(1, 10, "App.csproj", 0);
+        summary.TargetStarted(1, 10, "Build", 100);
+        summary.TaskStarted(1, 10, "Csc", false, 200);
+        summary.TaskFinished(1, 10, false, 700);
+        summary.TargetFinished(1, 10, 900);
+        summary.ProjectFinished(1, 10, 1000);
+        summary.BuildFinished(1000, succeeded: true);
+
+        var project = Assert.Single(summary.Projects);
+        Assert.Equal(1000, project.InclusiveNs);
+        Assert.Equal(200, project.ExclusiveNs);
+
+        var target = Assert.Single(summary.Targets);
+        Assert.Equal(800, target.InclusiveNs);
+        Assert.Equal(300, target.ExclusiveNs);
+
+        var task = Assert.Single(summary.Tasks);
+        Assert.Equal(500, task.InclusiveNs);
+        Assert.Equal(500, task.ExclusiveNs);
+
+        Assert.Equal(1000, summary.DurationNs);
+        Assert.Equal(true, summary.Succeeded);
+    }
+
+    [Fact]
+    public void RepeatedNames_AreAggregated()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.ProjectStarted(1, 10, "A.csproj", 0);
+        summary.TargetStarted(1, 10, "Compile", 0);
+        summary.TargetFinished(1, 10, 100);
+        summary.ProjectFinished(1, 10, 100);
+        summary.ProjectStarted(1, 11, "B.csproj", 100);
+        summary.TargetStarted(1, 11, "Compile", 100);
+        summary.TargetFinished(1, 11, 400);
+        summary.ProjectFinished(1, 11, 400);
+
+        var target = Assert.Single(summary.Targets);
+        Assert.Equal(2, target.Count);
+        Assert.Equal(400, target.InclusiveNs);
+        Assert.Equal(2, summary.ProjectCount);
+    }
+
+    [Fact]
+    public void YieldedProjects_DoNotCountAsBusy()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.BuildStarted(0);
+        summary.ProjectStarted(1, 10, "App.csproj", 0);
+        // The node waits on another project between 200 and 800
+        summary.TaskStarted(1, 10, "MSBuild", true, 200);
+        summary.TaskFinished(1, 10, true, 800);
+        summary.ProjectFinished(1, 10, 1000);
+        summary.BuildFinished(1000, succeeded: true);
+
+        Assert.Equal(1, summary.NodeCount);
+        Assert.Equal(0.4, summary.NodeUtilization, 3);
+    }
+
+    [Fact]
+    public void Nodes_SplitTheBuildIntoBusyYieldedAndIdleTime()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.BuildStarted(0);
+        summary.ProjectStarted(1, 10, "App.csproj", 0);
+        summary.TaskStarted(1, 10, "MSBuild", true, 200);
+        Assert.Equal(BuildSummaryCollector.NodeActivity.Yielded, summary.GetNodeActivity(1));
+        // Node 2 builds the reference while node 1 waits for it
+        summary.ProjectStarted(2, 11, "Lib.csproj", 300);
+        summary.ProjectFinished(2, 11, 700);
+        summary.TaskFinished(1, 10, true, 800);
+        summary.ProjectFinished(1, 10, 1000);
+        summary.BuildFinished(1000, succeeded: true);
+
+        Assert.Equal(
+            new[]
+            {
+                new BuildSummaryCollector.NodeUsage(1, 1, BusyNs: 400, YieldedNs: 600, IdleNs: 0),
+                new BuildSummaryCollector.NodeUsage(2, 1, BusyNs: 400, YieldedNs: 0, IdleNs: 600),
+            },
+            summary.Nodes);
+        Assert.Equal(BuildSummaryCollector.NodeActivity.Idle, summary.GetNodeActivity(2));
+        Assert.Equal(BuildSummaryCollector.NodeActivity.Idle, summary.GetNodeActivity(3));
+    }
+
+    [Fact]
+    public void Counts_FollowRunningAndYieldedProjects()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.BuildStarted(0);
+        summary.ProjectStarted(1, 10, "App.csproj", 0);
+        summary.TaskStarted(1, 10, "MSBuild", true, 100);
+        summary.ProjectStarted(1, 11, "Lib.csproj", 100);
+        summary.ProjectStarted(2, 12, "Other.csproj", 100);
+
+        Assert.Equal(2, summary.BusyNodeCount);
+        Assert.Equal(2, summary.RunningProjectCount);
+        Assert.Equal(1, summary.YieldedProjectCount);
+
+        summary.ProjectFinished(1, 11, 200);
+        summary.ProjectFinished(2, 12, 200);
+
+        Assert.Equal(0, summary.BusyNodeCount);
+        Assert.Equal(0, summary.RunningProjectCount);
+        Assert.Equal(1, summary.YieldedProjectCount);
+    }
+
+    [Fact]
+    public void UnmatchedFinish_IsIgnored()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.TargetFinished(1, 10, 100);
+        summary.ProjectFinished(1, 10, 100);
+
+        Assert.Empty(summary.Targets);
+        Assert.Empty(summary.Projects);
+        Assert.Equal(0, summary.NodeCount);
+    }
+
+    [Fact]
+    public void ToJson_IncludesTopEntriesByInclusiveAndExclusiveTime()
+    {
+        var summary = new BuildSummaryCollector();
+        summary.ProjectStarted(1, 10, "App.csproj", 0);
+        // "Outer" has the most inclusive time, "Leaf" the most exclusive time
+        summary.TargetStarted(1, 10, "Outer", 0);
+        summary.TargetStarted(1, 10, "Inner", 10);
+        summary.TargetFinished(1, 10, 290);
+        summary.TargetFinished(1, 10, 600);
+        summary.TargetStarted(1, 10, "Leaf", 600);
+        summary.TargetFinished(1, 10, 1000);
+        summary.ProjectFinished(1, 10, 1000);
+        summary.Warning(500);
+        summary.Error(600);
+
+        using var document = JsonDocument.Parse(summary.ToJson(topCount: 1));
+        var root = document.RootElement;
+
+        Assert.Equal(1, root.GetProperty("warningCount").GetInt32());
+        Assert.Equal(1, root.GetProperty("errorCount").GetInt32());
+        Assert.Equal(JsonValueKind.Null, root.GetProperty("succeeded").ValueKind);
+
+        var targets = root.GetProperty("targets").EnumerateArray()
+            .Select(t => t.GetProperty("name").GetString())
+            .ToArray();
+        Assert.Equal(new[] { "Outer", "Leaf" }, targets);
+    }
+}
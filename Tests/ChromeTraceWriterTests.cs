@@ -0,0 +1,135 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class ChromeTraceWriterTests
+{
+    private static JsonElement[] Write(Action<ChromeTraceWriter> write)
+    {
+        using var output = new MemoryStream();
+        var writer = new ChromeTraceWriter(output);
+        write(writer);
+        writer.Finish();
+
+        using var document = JsonDocument.Parse(output.ToArray());
+        return document.RootElement.GetProperty("traceEvents").EnumerateArray().Select(e => e.Clone()).ToArray();
+    }
+
+    [Fact]
+    public void EmptyTrace_IsValidJson()
+    {
+        Assert.Empty(Write(_ => { }));
+    }
+
+    [Fact]
+    public void ThreadsOfDifferentNodes_KeepTheirOwnPidAndTid()
+    {
+        var events = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteProcessTrackDescriptor(2, 2, "Node 2");
+            writer.WriteThreadTrackDescriptor(3, 1, 1, 7, "A.csproj");
+            writer.WriteThreadTrackDescriptor(4, 2, 2, 7, "B.csproj");
+            writer.WriteSliceBegin(3, 1000, "A.csproj", "project");
+            writer.WriteSliceBegin(4, 2000, "B.csproj", "project");
+        });
+
+        var a = Assert.Single(events, e => e.GetProperty("ph").GetString() == "B" && e.GetProperty("name").GetString() == "A.csproj");
+        Assert.Equal(1, a.GetProperty("pid").GetInt32());
+        Assert.Equal(7, a.GetProperty("tid").GetInt32());
+        Assert.Equal(1.0, a.GetProperty("ts").GetDouble(), 6);
+
+        var b = Assert.Single(events, e => e.GetProperty("ph").GetString() == "B" && e.GetProperty("name").GetString() == "B.csproj");
+        Assert.Equal(2, b.GetProperty("pid").GetInt32());
+        Assert.Equal(7, b.GetProperty("tid").GetInt32());
+    }
+
+    [Fact]
+    public void ProcessAndThreadNames_AreWrittenAsMetadata()
+    {
+        var events = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteThreadTrackDescriptor(2, 1, 1, 5, "App.csproj");
+        });
+
+        Assert.Contains(events, e => e.GetProperty("name").GetString() == "process_name" &&
+            e.GetProperty("pid").GetInt32() == 1 &&
+            e.GetProperty("args").GetProperty("name").GetString() == "Node 1");
+        Assert.Contains(events, e => e.GetProperty("name").GetString() == "thread_name" &&
+            e.GetProperty("tid").GetInt32() == 5 &&
+            e.GetProperty("args").GetProperty("name").GetString() == "App.csproj");
+    }
+
+    [Fact]
+    public void NamedTrack_GetsAThreadInItsParentProcess()
+    {
+        var events = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 999, "Build");
+            writer.WriteTrackDescriptor(2, 1, "Critical Path");
+            writer.WriteSliceBegin(2, 0, "App.csproj", "critical-path");
+        });
+
+        var slice = Assert.Single(events, e => e.GetProperty("ph").GetString() == "B");
+        Assert.Equal(999, slice.GetProperty("pid").GetInt32());
+        Assert.True(slice.GetProperty("tid").GetInt64() < 0);
+    }
+
+    [Fact]
+    public void Flows_AreWrittenAsMatchingStartAndFinishEvents()
+    {
+        var events = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteSliceBegin(1, 0, "MSBuild", "task", flowId: 42);
+            writer.WriteSliceBeginWithTerminatingFlow(1, 10, "Lib.csproj", "project", 42);
+        });
+
+        var start = Assert.Single(events, e => e.GetProperty("ph").GetString() == "s");
+        var finish = Assert.Single(events, e => e.GetProperty("ph").GetString() == "f");
+        Assert.Equal(42, start.GetProperty("id").GetInt32());
+        Assert.Equal(42, finish.GetProperty("id").GetInt32());
+        Assert.Equal(start.GetProperty("name").GetString(), finish.GetProperty("name").GetString());
+        Assert.Equal("e", finish.GetProperty("bp").GetString());
+    }
+
+    [Fact]
+    public void Args_AreWrittenOnBeginEndAndInstantEvents()
+    {
+        var events = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteSliceBegin(1, 0, "Csc", "task", args: [TraceArg.Of("taskFile", "Microsoft.CSharp.targets")]);
+            writer.WriteSliceEnd(1, 10, [TraceArg.Of("parameters.Sources", "a.cs;b.cs")]);
+            writer.WriteInstantEvent(1, 20, "Warning: CS0168", "warning", [TraceArg.Of("line", 7)]);
+            writer.WriteSliceBegin(1, 30, "Build", "target");
+        });
+
+        var begin = Assert.Single(events, e => e.GetProperty("ph").GetString() == "B" && e.GetProperty("name").GetString() == "Csc");
+        Assert.Equal("Microsoft.CSharp.targets", begin.GetProperty("args").GetProperty("taskFile").GetString());
+        var end = Assert.Single(events, e => e.GetProperty("ph").GetString() == "E");
+        Assert.Equal("a.cs;b.cs", end.GetProperty("args").GetProperty("parameters.Sources").GetString());
+        var instant = Assert.Single(events, e => e.GetProperty("ph").GetString() == "i");
+        Assert.Equal(7, instant.GetProperty("args").GetProperty("line").GetInt32());
+        var plain = Assert.Single(events, e => e.GetProperty("ph").GetString() == "B" && e.GetProperty("name").GetString() == "Build");
+        Assert.False(plain.TryGetProperty("args", out _));
+    }
+
+    [Fact]
+    public void CounterValues_AreCounterEventsOfTheParentProcess()
+    {
+        var events = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1000, "Build");
+            writer.WriteCounterTrackDescriptor(2, 1, "Busy nodes");
+            writer.WriteCounterValue(2, 5000, 3);
+        });
+
+        var counter = Assert.Single(events, e => e.GetProperty("ph").GetString() == "C");
+        Assert.Equal("Busy nodes", counter.GetProperty("name").GetString());
+        Assert.Equal(1000, counter.GetProperty("pid").GetInt32());
+        Assert.Equal(5.0, counter.GetProperty("ts").GetDouble(), 6);
+        Assert.Equal(3, counter.GetProperty("args").GetProperty("value").GetInt32());
+    }
+}
@@ -0,0 +1,85 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class ConversionOptionsTests
+{
+    [Fact]
+    public void Parse_LeftOutSwitches_TakeTheirDefaults()
+    {
+        var options = ConversionOptions.Parse("""{ "version": 1, "format": "chrome", "include": { "tasks": false, "evaluation": true } }""");
+
+        Assert.Equal("chrome", options.Format);
+        Assert.True(options.IncludeProjects);
+        Assert.False(options.IncludeTasks);
+        Assert.True(options.IncludeEvaluation);
+        Assert.True(options.IncludeCriticalPath);
+        Assert.False(options.IncludeMessages);
+        Assert.Same(TraceFilter.None, options.Filter);
+        Assert.Same(TraceSplit.None, options.Split);
+    }
+
+    [Fact]
+    public void Parse_ReadsFiltersAndSplit()
+    {
+        var options = ConversionOptions.Parse("""
+            {
+              "version": 1,
+              "format": "perfetto",
+              "filters": { "minDurationMs": 5 },
+              "split": { "by": "time", "windowMs": 1000 }
+            }
+            """);
+
+        Assert.Equal(5_000_000, options.Filter.MinDurationNs);
+        Assert.Equal(TraceSplit.Mode.Time, options.Split.By);
+        Assert.Equal(1_000_000_000, options.Split.WindowNs);
+    }
+
+    [Fact]
+    public void Parse_NullFiltersAndSplit_AreLeftOut()
+    {
+        var options = ConversionOptions.Parse("""{ "version": 1, "format": "perfetto", "filters": null, "split": null }""");
+
+        Assert.Same(TraceFilter.None, options.Filter);
+        Assert.Same(TraceSplit.None, options.Split);
+    }
+
+    [Fact]
+    public void Parse_RejectsMissingOrUnsupportedVersion()
+    {
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "format": "perfetto" }"""));
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 0, "format": "perfetto" }"""));
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 2, "format": "perfetto" }"""));
+    }
+
+    [Fact]
+    public void Parse_RejectsOptionsItDoesNotUnderstand()
+    {
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 1 }"""));
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 1, "format": "pprof" }"""));
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 1, "format": "perfetto", "colors": true }"""));
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 1, "format": "perfetto", "include": { "details": true } }"""));
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 1, "format": "perfetto", "include": { "tasks": 0 } }"""));
+    }
+
+    [Fact]
+    public void Parse_RejectsSplittingFormatsOtherThanPerfetto()
+    {
+        Assert.Throws<ArgumentException>(() => ConversionOptions.Parse("""{ "version": 1, "format": "chrome", "split": { "by": "node" } }"""));
+        Assert.Equal(TraceSplit.Mode.None, ConversionOptions.Parse("""{ "version": 1, "format": "chrome", "split": null }""").Split.By);
+    }
+
+    [Fact]
+    public void Capabilities_ListFormatsAndSwitchDefaults()
+    {
+        using var document = JsonDocument.Parse(ConversionOptions.GetCapabilitiesJson());
+        var root = document.RootElement;
+
+        Assert.Equal(ConversionOptions.CurrentVersion, root.GetProperty("optionsVersion").GetInt32());
+        Assert.Equal(new[] { "perfetto", "chrome", "speedscope" }, root.GetProperty("formats").EnumerateArray().Select(f => f.GetString()));
+        Assert.True(root.GetProperty("include").GetProperty("projects").GetBoolean());
+        Assert.False(root.GetProperty("include").GetProperty("counters").GetBoolean());
+        Assert.Equal(ConversionOptions.IncludeSwitches.Count, root.GetProperty("include").EnumerateObject().Count());
+    }
+}
@@ -0,0 +1,87 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class ConversionProgressTests
+{
+    [Fact]
+    public void ToReportJson_WritesPhaseCountersAndTimings()
+    {
+        var progress = new ConversionProgress { FileIndex = 1, FileCount = 3, BytesRead = 512, TotalBytes = 2048, Records = 42 };
+
+        using var document = JsonDocument.Parse(progress.ToReportJson("read", "Reading build.binlog..."));
+        var root = document.RootElement;
+        Assert.Equal("read", root.GetProperty("phase").GetString());
+        Assert.Equal("Reading build.binlog...", root.GetProperty("message").GetString());
+        Assert.Equal(1, root.GetProperty("fileIndex").GetInt32());
+        Assert.Equal(3, root.GetProperty("fileCount").GetInt32());
+        Assert.Equal(512, root.GetProperty("bytesRead").GetInt64());
+        Assert.Equal(2048, root.GetProperty("totalBytes").GetInt64());
+        Assert.Equal(42, root.GetProperty("records").GetInt32());
+        Assert.Equal(0, root.GetProperty("bytesWritten").GetInt64());
+
+        var timings = root.GetProperty("timings");
+        foreach (var name in new[] { "readMs", "decompressMs", "processMs", "serializeMs" })
+        {
+            Assert.Equal(0, timings.GetProperty(name).GetDouble());
+        }
+    }
+
+    [Fact]
+    public void BeginRecord_SamplesEverySampleIntervalthRecord()
+    {
+        var progress = new ConversionProgress();
+
+        Assert.True(progress.BeginRecord(ConversionProgress.SampleInterval) >= 0);
+        Assert.Equal(-1, progress.BeginRecord(ConversionProgress.SampleInterval + 1));
+    }
+
+    [Fact]
+    public void PhaseTimes_SplitThePassWithoutGoingNegative()
+    {
+        var progress = new ConversionProgress();
+        progress.BeginPass();
+        // Reads timed as longer than the whole pass leave nothing for the other phases
+        progress.AddReadTime(10 * System.Diagnostics.Stopwatch.Frequency);
+        progress.EndPass();
+
+        Assert.Equal(TimeSpan.FromSeconds(10), progress.ReadTime);
+        Assert.Equal(TimeSpan.Zero, progress.DecompressTime);
+        Assert.Equal(TimeSpan.Zero, progress.ProcessTime);
+    }
+
+    [Fact]
+    public void PhaseTimes_IncludeThePassStillRunning()
+    {
+        var progress = new ConversionProgress();
+        progress.BeginPass();
+        long start = System.Diagnostics.Stopwatch.GetTimestamp();
+        while (System.Diagnostics.Stopwatch.GetTimestamp() == start) { }
+
+        // Nothing was read or processed yet, so the pass so far is all decompressing
+        Assert.True(progress.DecompressTime > TimeSpan.Zero);
+
+        // Once the pass ends, its time stops growing
+        progress.EndPass();
+        var afterPass = progress.DecompressTime;
+        Assert.Equal(afterPass, progress.DecompressTime);
+    }
+
+    [Fact]
+    public void TimedStream_PassesReadsThroughAndTimesThem()
+    {
+        var progress = new ConversionProgress();
+        var data = Enumerable.Range(0, 100).Select(i => (byte)i).ToArray();
+        using var stream = new TimedStream(new MemoryStream(data), progress);
+
+        var buffer = new byte[64];
+        Assert.Equal(64, stream.Read(buffer, 0, 64));
+        Assert.Equal(36, stream.Read(buffer, 0, 64));
+        Assert.Equal(0, stream.Read(buffer, 0, 64));
+
+        Assert.Equal(data.Skip(64), buffer.Take(36));
+        Assert.Equal(100, stream.Position);
+        Assert.Equal(100, stream.Length);
+        Assert.True(progress.ReadTime >= TimeSpan.Zero);
+    }
+}
@@ -0,0 +1,97 @@
+namespace msbuild_binlog_perfview.Tests;
+
+public class CriticalPathAnalyzerTests
+{
+    [Fact]
+    public void SingleProject_PathIsSplitByTargetAndTask()
+    {
+        var analyzer = new CriticalPathAnalyzer();
+        analyzer.ProjectStarted(1, -2, "App.csproj", 0);
+        analyzer.TargetStarted(1, "Build", 100);
+        analyzer.TaskStarted(1, "Csc", 200);
+        analyzer.TaskFinished(1, 700);
+        analyzer.TargetFinished(1, 900);
+        analyzer.ProjectFinished(1, 1000);
+
+        var path = analyzer.Compute();
+
+        Assert.Collection(path,
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", null, null, 0, 100), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", "Build", null, 100, 200), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", "Build", "Csc", 200, 700), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", "Build", null, 700, 900), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", null, null, 900, 1000), s));
+    }
+
+    [Fact]
+    public void ParallelChildren_PathFollowsTheChildThatFinishedLast()
+    {
+        var analyzer = new CriticalPathAnalyzer();
+        analyzer.ProjectStarted(1, -2, "App.csproj", 0);
+        analyzer.TaskStarted(1, "MSBuild", 100);
+        analyzer.ProjectStarted(2, 1, "Fast.csproj", 100);
+        analyzer.ProjectStarted(3, 1, "Slow.csproj", 150);
+        analyzer.ProjectFinished(2, 300);
+        analyzer.ProjectFinished(3, 800);
+        analyzer.TaskFinished(1, 800);
+        analyzer.ProjectFinished(1, 1000);
+
+        var path = analyzer.Compute();
+
+        Assert.Collection(path,
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", null, null, 0, 100), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", null, "MSBuild", 100, 150), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("Slow.csproj", null, null, 150, 800), s),
+            s => Assert.Equal(new CriticalPathAnalyzer.Segment("App.csproj", null, null, 800, 1000), s));
+        Assert.DoesNotContain(path, s => s.Project == "Fast.csproj");
+    }
+
+    [Fact]
+    public void SequentialChildren_AreBothOnThePath()
+    {
+        var analyzer = new CriticalPathAnalyzer();
+        analyzer.ProjectStarted(1, -2, "App.csproj", 0);
+        analyzer.ProjectStarted(2, 1, "A.csproj", 0);
+        analyzer.ProjectFinished(2, 200);
+        analyzer.ProjectStarted(3, 1, "B.csproj", 300);
+        analyzer.ProjectFinished(3, 500);
+        analyzer.ProjectFinished(1, 500);
+
+        var projects = analyzer.Compute().Select(s => s.Project).ToArray();
+
+        Assert.Equal(new[] { "A.csproj", "App.csproj", "B.csproj" }, projects);
+    }
+
+    [Fact]
+    public void LatestRoot_StartsThePath()
+    {
+        var analyzer = new CriticalPathAnalyzer();
+        analyzer.ProjectStarted(1, -2, "Early.csproj", 0);
+        analyzer.ProjectFinished(1, 100);
+        analyzer.ProjectStarted(2, -2, "Late.csproj", 50);
+        analyzer.ProjectFinished(2, 400);
+
+        var segment = Assert.Single(analyzer.Compute());
+        Assert.Equal("Late.csproj", segment.Project);
+        Assert.Equal(350, segment.DurationNs);
+    }
+
+    [Fact]
+    public void UnfinishedProject_EndsAtLastEvent()
+    {
+        var analyzer = new CriticalPathAnalyzer();
+        analyzer.ProjectStarted(1, -2, "App.csproj", 0);
+        analyzer.TargetStarted(1, "Build", 100);
+        analyzer.TargetFinished(1, 600);
+
+        var path = analyzer.Compute();
+
+        Assert.Equal(600, path[^1].EndNs);
+    }
+
+    [Fact]
+    public void NoProjects_ReturnsEmptyPath()
+    {
+        Assert.Empty(new CriticalPathAnalyzer().Compute());
+    }
+}
@@ -0,0 +1,45 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class DiagnosticsCollectorTests
+{
+    private static DiagnosticsCollector.Diagnostic Warning(string code) =>
+        new(DiagnosticsCollector.Severity.Warning, code, $"{code} message", @"C:\src\App\Program.cs", 12, 5, @"C:\src\App\App.csproj");
+
+    [Fact]
+    public void Add_KeepsTheFirstItemsAndCountsAll()
+    {
+        var diagnostics = new DiagnosticsCollector(maxCount: 2);
+        diagnostics.Add(Warning("CS0168"));
+        diagnostics.Add(Warning("CS8618"));
+        diagnostics.Add(Warning("CS0219"));
+
+        Assert.Equal(3, diagnostics.TotalCount);
+        Assert.Equal(new[] { "CS0168", "CS8618" }, diagnostics.Items.Select(d => d.Code));
+    }
+
+    [Fact]
+    public void ToJson_WritesSeverityLocationAndProject()
+    {
+        var diagnostics = new DiagnosticsCollector();
+        diagnostics.Add(Warning("CS8618"));
+        diagnostics.Add(new(DiagnosticsCollector.Severity.Error, "MSB3027", "Could not copy", null, 0, 0, null));
+
+        using var document = JsonDocument.Parse(diagnostics.ToJson());
+        var root = document.RootElement;
+        Assert.Equal(2, root.GetProperty("totalCount").GetInt32());
+
+        var warning = root.GetProperty("items")[0];
+        Assert.Equal("warning", warning.GetProperty("severity").GetString());
+        Assert.Equal("CS8618 message", warning.GetProperty("message").GetString());
+        Assert.Equal(@"C:\src\App\Program.cs", warning.GetProperty("file").GetString());
+        Assert.Equal(12, warning.GetProperty("line").GetInt32());
+        Assert.Equal(5, warning.GetProperty("column").GetInt32());
+        Assert.Equal(@"C:\src\App\App.csproj", warning.GetProperty("projectFile").GetString());
+
+        var error = root.GetProperty("items")[1];
+        Assert.Equal("error", error.GetProperty("severity").GetString());
+        Assert.Equal(JsonValueKind.Null, error.GetProperty("file").ValueKind);
+    }
+}
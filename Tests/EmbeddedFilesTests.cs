@@ -0,0 +1,87 @@
+using System.IO.Compression;
+using System.Text;
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class EmbeddedFilesTests
+{
+    private static byte[] CreateArchive(params (string path, string text)[] files)
+    {
+        using var stream = new MemoryStream();
+        using (var zip = new ZipArchive(stream, ZipArchiveMode.Create))
+        {
+            foreach (var (path, text) in files)
+            {
+                using var writer = new StreamWriter(zip.CreateEntry(path).Open(), Encoding.UTF8);
+                writer.Write(text);
+            }
+        }
+        return stream.ToArray();
+    }
+
+    [Fact]
+    public void AddArchive_ReadsFilesWithNormalizedPaths()
+    {
+        var files = new EmbeddedFiles();
+        files.AddArchive(CreateArchive((@"C\src\App\App.csproj", "<Project />"), ("C/src/App/Program.cs", "// code")));
+
+        Assert.Equal(new[] { "C/src/App/App.csproj", "C/src/App/Program.cs" }, files.Files.Select(f => f.Path));
+        Assert.Equal("<Project />", files.Files[0].Text);
+    }
+
+    [Fact]
+    public void AddArchive_KeepsTheFirstCopyOfAFile()
+    {
+        var files = new EmbeddedFiles();
+        files.AddArchive(CreateArchive(("C/src/Directory.Build.props", "first")));
+        files.AddArchive(CreateArchive(("c/src/directory.build.props", "second")));
+
+        var file = Assert.Single(files.Files);
+        Assert.Equal("first", file.Text);
+    }
+
+    [Fact]
+    public void Targets_AreFoundWithTheirLineInMSBuildFiles()
+    {
+        var files = new EmbeddedFiles();
+        files.AddArchive(CreateArchive(
+            ("C/src/Build.targets", """
+                <Project>
+                  <Target Name="Pack" DependsOnTargets="Build">
+                  </Target>
+                  <!-- <Target Name="Old" /> -->
+                  <Target
+                      Condition="'$(Sign)' == 'true'"
+                      Name='Sign' />
+                </Project>
+                """),
+            ("C/src/notes.txt", """<Target Name="NotMSBuild" />""")));
+
+        Assert.Equal(
+            new[] { ("Pack", "C/src/Build.targets", 2), ("Sign", "C/src/Build.targets", 5) },
+            files.Targets.Select(t => (t.Name, t.Path, t.Line)));
+    }
+
+    [Fact]
+    public void NormalizePath_MatchesLoggedPathsToArchivePaths()
+    {
+        Assert.Equal("C/src/App/App.csproj", EmbeddedFiles.NormalizePath(@"C:\src\App\App.csproj"));
+        Assert.Equal("home/me/App/App.csproj", EmbeddedFiles.NormalizePath("/home/me/App/App.csproj"));
+    }
+
+    [Fact]
+    public void ToJson_ListsFilesAndTargets()
+    {
+        var files = new EmbeddedFiles();
+        files.AddArchive(CreateArchive(("C/src/App.csproj", """<Project><Target Name="Hello" /></Project>""")));
+
+        using var document = JsonDocument.Parse(files.ToJson());
+        var root = document.RootElement;
+        Assert.Equal("""<Project><Target Name="Hello" /></Project>""", root.GetProperty("files")[0].GetProperty("text").GetString());
+        var target = root.GetProperty("targets")[0];
+        Assert.Equal("Hello", target.GetProperty("name").GetString());
+        Assert.Equal("C/src/App.csproj", target.GetProperty("path").GetString());
+        Assert.Equal(1, target.GetProperty("line").GetInt32());
+    }
+}
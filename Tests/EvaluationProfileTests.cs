@@ -0,0 +1,92 @@
+using System.Text.Json;
+using Kind = EvaluationProfile.LocationKind;
+using Location = EvaluationProfile.Location;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class EvaluationProfileTests
+{
+    private static Location Pass(long id, string pass, long inclusiveNs)
+        => new(id, 1, pass, null, null, null, null, Kind.Element, inclusiveNs, 0, 1);
+
+    private static Location Import(long id, long parentId, string file, int line, string project, long inclusiveNs, long exclusiveNs = 0)
+        => new(id, parentId, "Properties", file, line, "Import", $"<Import Project=\"{project}\" />", Kind.Element, inclusiveNs, exclusiveNs, 1);
+
+    private static Location Glob(long id, long parentId, string file, string glob, long inclusiveNs)
+        => new(id, parentId, "LazyItems", file, 10, "Glob", glob, Kind.Glob, inclusiveNs, inclusiveNs, 1);
+
+    private static Location[] CreateEvaluation(string project) =>
+    [
+        new(1, null, "TotalEvaluation", null, null, null, null, Kind.Element, 1000, 0, 1),
+        Pass(2, "Properties", 600),
+        Pass(3, "LazyItems", 300),
+        Import(4, 2, project, 1, @"$(MSBuildSDKsPath)\Sdk.props", 400, 50),
+        Import(5, 4, "Sdk.props", 7, @"..\Directory.Build.props", 350, 350),
+        Import(6, 2, project, 20, "Other.targets", 100, 100),
+        Glob(7, 3, project, "**/*.cs", 250),
+    ];
+
+    [Fact]
+    public void GetSlices_LaysOutPassesInOrderWithTheirSlowestImportsAndGlobs()
+    {
+        var slices = EvaluationProfile.GetSlices(CreateEvaluation("App.csproj"), 100, 1100, topCount: 5);
+
+        Assert.Equal(new[]
+        {
+            (1, "Properties and imports", 100L, 700L),
+            (2, "Import Sdk.props", 100L, 500L),
+            (2, "Import Other.targets", 500L, 600L),
+            (1, "Lazy items", 700L, 1000L),
+            (2, "Glob **/*.cs", 700L, 950L),
+        }, slices.Select(s => (s.Depth, s.Name, s.StartNs, s.EndNs)));
+    }
+
+    [Fact]
+    public void GetSlices_KeepsSlicesWithinTheEvaluation()
+    {
+        var slices = EvaluationProfile.GetSlices(CreateEvaluation("App.csproj"), 0, 500, topCount: 1);
+
+        Assert.Equal(new[]
+        {
+            (1, "Properties and imports", 0L, 500L),
+            (2, "Import Sdk.props", 0L, 400L),
+        }, slices.Select(s => (s.Depth, s.Name, s.StartNs, s.EndNs)));
+    }
+
+    [Fact]
+    public void Add_RanksOutermostImportsGlobsAndFilesOverEvaluations()
+    {
+        var profile = new EvaluationProfile();
+        profile.Add(CreateEvaluation("App.csproj"));
+        profile.Add(CreateEvaluation("Lib.csproj"));
+        profile.Add([]);
+
+        Assert.Equal(2, profile.EvaluationCount);
+        Assert.Equal(1200, profile.GetPassNs("Properties"));
+
+        var sdk = Assert.Single(profile.Locations, l => l.Name == @"$(MSBuildSDKsPath)\Sdk.props" && l.File == "App.csproj");
+        Assert.Equal(("import", "App.csproj", 1, 1, 400L), (sdk.Kind, sdk.File, sdk.Line, sdk.Count, sdk.InclusiveNs));
+        Assert.DoesNotContain(profile.Locations, l => l.Name == @"..\Directory.Build.props");
+
+        var sdkProps = Assert.Single(profile.Files, f => f.Name == "Sdk.props");
+        Assert.Equal((2, 700L), (sdkProps.Count, sdkProps.ExclusiveNs));
+    }
+
+    [Fact]
+    public void WriteJson_WritesPassTotalsAndTopEntries()
+    {
+        var profile = new EvaluationProfile();
+        profile.Add(CreateEvaluation("App.csproj"));
+
+        using var document = JsonDocument.Parse(profile.ToJson(topCount: 1));
+        var root = document.RootElement;
+
+        Assert.Equal(1, root.GetProperty("evaluationCount").GetInt32());
+        Assert.Equal(new[] { "Properties and imports", "Lazy items" },
+            root.GetProperty("passes").EnumerateArray().Select(p => p.GetProperty("name").GetString()));
+        Assert.Equal(new[] { "App.csproj" },
+            root.GetProperty("files").EnumerateArray().Select(f => f.GetProperty("name").GetString()));
+        Assert.Equal(new[] { @"$(MSBuildSDKsPath)\Sdk.props", "**/*.cs" },
+            root.GetProperty("locations").EnumerateArray().Select(l => l.GetProperty("name").GetString()));
+    }
+}
@@ -0,0 +1,211 @@
+namespace msbuild_binlog_perfview.Tests;
+
+public class FilteringTraceWriterTests
+{
+    private sealed class RecordingTraceWriter : ITraceWriter
+    {
+        public List<string> Events { get; } = new();
+        public bool Finished { get; private set; }
+
+        public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name) => Events.Add($"process {name}");
+        public void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name) => Events.Add($"thread {name}");
+        public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name) => Events.Add($"track {name}");
+        public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null) => Events.Add($"B {name} {timestampNs}{(flowId is ulong id ? $" -> {id}" : "")}");
+        public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null) => Events.Add($"B {name} {timestampNs} <- {terminatingFlowId}");
+        public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null) => Events.Add($"E {timestampNs}");
+        public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null) => Events.Add($"I {name} {timestampNs}");
+        public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name) => Events.Add($"counter {name}");
+        public void WriteCounterValue(ulong trackUuid, long timestampNs, long value) => Events.Add($"C {value} {timestampNs}");
+        public void Finish() => Finished = true;
+    }
+
+    private static List<string> Write(TraceFilter filter, Action<ITraceWriter> write)
+    {
+        var inner = new RecordingTraceWriter();
+        var writer = new FilteringTraceWriter(inner, filter);
+        write(writer);
+        writer.Finish();
+        Assert.True(inner.Finished);
+        return inner.Events;
+    }
+
+    [Fact]
+    public void ShortSlices_AreDroppedWithTheirChildren()
+    {
+        var events = Write(new TraceFilter(minDurationNs: 100), writer =>
+        {
+            writer.WriteSliceBegin(1, 0, "Project", "project");
+            writer.WriteSliceBegin(1, 10, "Short", "target");
+            writer.WriteSliceBegin(1, 20, "Task", "task");
+            writer.WriteInstantEvent(1, 30, "Message", "message");
+            writer.WriteSliceEnd(1, 40);
+            writer.WriteSliceEnd(1, 50);
+            writer.WriteSliceBegin(1, 60, "Long", "target");
+            writer.WriteSliceEnd(1, 200);
+            writer.WriteSliceEnd(1, 300);
+        });
+
+        Assert.Equal(new[] { "B Project 0", "B Long 60", "E 200", "E 300" }, events);
+    }
+
+    [Fact]
+    public void LongSlices_AreWrittenOnceTheyLastLongEnough()
+    {
+        var inner = new RecordingTraceWriter();
+        var writer = new FilteringTraceWriter(inner, new TraceFilter(minDurationNs: 100));
+
+        writer.WriteSliceBegin(1, 0, "Project", "project");
+        writer.WriteInstantEvent(1, 50, "Message", "message");
+        Assert.Empty(inner.Events);
+
+        writer.WriteInstantEvent(1, 150, "Later", "message");
+        Assert.Equal(new[] { "B Project 0", "I Message 50", "I Later 150" }, inner.Events);
+    }
+
+    [Fact]
+    public void SlicesStillOpenAtFinish_AreKept()
+    {
+        var events = Write(new TraceFilter(minDurationNs: 100), writer =>
+        {
+            writer.WriteSliceBegin(1, 0, "Project", "project");
+            writer.WriteSliceBegin(1, 10, "Target", "target");
+        });
+
+        Assert.Equal(new[] { "B Project 0", "B Target 10" }, events);
+    }
+
+    [Fact]
+    public void TimeWindow_ClipsSlicesAndDropsEventsOutsideIt()
+    {
+        var events = Write(new TraceFilter(startNs: 100, endNs: 200), writer =>
+        {
+            writer.WriteSliceBegin(1, 0, "Project", "project");
+            writer.WriteSliceBegin(1, 10, "Before", "target");
+            writer.WriteSliceEnd(1, 50);
+            writer.WriteInstantEvent(1, 60, "Early", "message");
+            writer.WriteSliceBeginWithTerminatingFlow(1, 150, "Inside", "target", 7);
+            writer.WriteInstantEvent(1, 160, "Message", "message");
+            writer.WriteSliceEnd(1, 250);
+            writer.WriteSliceBegin(1, 260, "After", "target");
+            writer.WriteSliceEnd(1, 270);
+            writer.WriteSliceEnd(1, 300);
+        });
+
+        // Flow 7 never started, so it is left out
+        Assert.Equal(new[] { "B Project 100", "B Inside 150", "I Message 160", "E 200", "E 200" }, events);
+    }
+
+    [Fact]
+    public void Flows_AreWrittenWhenBothSlicesAreKept()
+    {
+        var events = Write(new TraceFilter(minDurationNs: 100), writer =>
+        {
+            writer.WriteSliceBegin(1, 0, "MSBuild (yielded)", "task", flowId: 5);
+            writer.WriteSliceBeginWithTerminatingFlow(2, 10, "Child", "project", 5);
+            writer.WriteInstantEvent(2, 200, "Message", "message");
+            writer.WriteSliceEnd(2, 300);
+            writer.WriteSliceEnd(1, 400);
+        });
+
+        Assert.Equal(new[] { "B MSBuild (yielded) 0 -> 5", "B Child 10 <- 5", "I Message 200", "E 300", "E 400" }, events);
+    }
+
+    [Fact]
+    public void ShortSlices_TakeTheirFlowsWithThem()
+    {
+        var events = Write(new TraceFilter(minDurationNs: 100), writer =>
+        {
+            // The end of flow 5 is too short
+            writer.WriteSliceBegin(1, 0, "MSBuild (yielded)", "task", flowId: 5);
+            writer.WriteSliceBeginWithTerminatingFlow(2, 10, "Short child", "project", 5);
+            writer.WriteSliceEnd(2, 20);
+            writer.WriteSliceEnd(1, 300);
+
+            // The start of flow 6 is too short
+            writer.WriteSliceBegin(3, 400, "Short MSBuild (yielded)", "task", flowId: 6);
+            writer.WriteSliceBeginWithTerminatingFlow(4, 410, "Child", "project", 6);
+            writer.WriteSliceEnd(3, 420);
+            writer.WriteSliceEnd(4, 600);
+        });
+
+        Assert.Equal(new[] { "B MSBuild (yielded) 0", "E 300", "B Child 410", "E 600" }, events);
+    }
+
+    [Fact]
+    public void FlowsToExcludedProjects_AreDroppedWithoutATimeFilter()
+    {
+        var filter = new TraceFilter(excludeProjects: ["Excluded.csproj"]);
+        Assert.True(filter.LeavesOutSlices);
+
+        var events = Write(filter, writer =>
+        {
+            // The child project of flow 5 is excluded, so nothing ends the flow
+            writer.WriteSliceBegin(1, 0, "MSBuild (yielded)", "task", flowId: 5);
+            writer.WriteInstantEvent(1, 10, "Message", "message");
+            writer.WriteSliceEnd(1, 100);
+
+            // The child project of flow 6 is included
+            writer.WriteSliceBegin(1, 200, "MSBuild (yielded)", "task", flowId: 6);
+            writer.WriteSliceBeginWithTerminatingFlow(2, 210, "Child", "project", 6);
+            writer.WriteSliceEnd(2, 250);
+            writer.WriteSliceEnd(1, 300);
+
+            // Flow 7 is still open at the end, without its child project
+            writer.WriteSliceBegin(1, 400, "MSBuild (yielded)", "task", flowId: 7);
+        });
+
+        Assert.Equal(new[]
+        {
+            "B MSBuild (yielded) 0", "I Message 10", "E 100",
+            "B MSBuild (yielded) 200 -> 6", "B Child 210 <- 6", "E 250", "E 300",
+            "B MSBuild (yielded) 400",
+        }, events);
+    }
+
+    [Fact]
+    public void SlicesOutsideTheTimeWindow_TakeTheirFlowsWithThem()
+    {
+        var events = Write(new TraceFilter(startNs: 100, endNs: 200), writer =>
+        {
+            writer.WriteSliceBegin(1, 0, "MSBuild (yielded)", "task", flowId: 5);
+            writer.WriteSliceBeginWithTerminatingFlow(2, 10, "Early child", "project", 5);
+            writer.WriteSliceEnd(2, 50);
+            writer.WriteSliceEnd(1, 150);
+        });
+
+        Assert.Equal(new[] { "B MSBuild (yielded) 100", "E 150" }, events);
+    }
+
+    [Fact]
+    public void TracksAreFilteredIndependently()
+    {
+        var events = Write(new TraceFilter(minDurationNs: 100), writer =>
+        {
+            writer.WriteThreadTrackDescriptor(1, 0, 1, 1, "A.csproj");
+            writer.WriteThreadTrackDescriptor(2, 0, 1, 2, "B.csproj");
+            writer.WriteSliceBegin(1, 0, "A", "project");
+            writer.WriteSliceBegin(2, 10, "B", "project");
+            writer.WriteSliceEnd(2, 500);
+            writer.WriteSliceEnd(1, 50);
+        });
+
+        Assert.Equal(new[] { "thread A.csproj", "thread B.csproj", "B B 10", "E 500" }, events);
+    }
+
+    [Fact]
+    public void Counters_EnterTheWindowWithTheirValueAtItsStart()
+    {
+        var events = Write(new TraceFilter(startNs: 100, endNs: 200), writer =>
+        {
+            writer.WriteCounterTrackDescriptor(1, 0, "Busy nodes");
+            writer.WriteCounterTrackDescriptor(2, 0, "Errors");
+            writer.WriteCounterValue(1, 0, 1);
+            writer.WriteCounterValue(1, 50, 2);
+            writer.WriteCounterValue(2, 60, 1);
+            writer.WriteCounterValue(1, 150, 3);
+            writer.WriteCounterValue(1, 250, 0);
+        });
+
+        Assert.Equal(new[] { "counter Busy nodes", "counter Errors", "C 2 100", "C 3 150", "C 1 100" }, events);
+    }
+}
@@ -117,6 +117,18 @@ public class PerfettoTraceWriterTests
         Assert.Equal(0x0A, result[0]);
     }
 
+    [Fact]
+    public void WriteTrackDescriptor_EncodesUuidParentAndName()
+    {
+        var writer = new PerfettoTraceWriter();
+        writer.WriteTrackDescriptor(2, 1, "Path");
+
+        var result = writer.ToArray();
+        // TrackDescriptor (field 60, length 10): uuid = 2, parent_uuid = 1, name = "Path"
+        var expected = new byte[] { 0xE2, 0x03, 0x0A, 0x08, 0x02, 0x28, 0x01, 0x12, 0x04, (byte)'P', (byte)'a', (byte)'t', (byte)'h' };
+        Assert.Equal(expected, result.Skip(2).Take(expected.Length).ToArray());
+    }
+
     [Fact]
     public void WriteSliceBegin_ProducesNonEmptyOutput()
     {
@@ -147,6 +159,44 @@ public class PerfettoTraceWriterTests
         Assert.NotEmpty(result);
     }
 
+    [Fact]
+    public void WriteInstantEvent_EncodesArgsAsDebugAnnotations()
+    {
+        var writer = new PerfettoTraceWriter();
+        writer.WriteInstantEvent(1, 0, "Warning: CS0168", "warning", [TraceArg.Of("a", "b"), TraceArg.Of("line", 7)]);
+
+        var hex = Convert.ToHexString(writer.ToArray());
+        // debug_annotations (field 4): name (field 10) = "a", string_value (field 6) = "b"
+        Assert.Contains("2206" + "520161" + "320162", hex);
+        // debug_annotations (field 4): name (field 10) = "line", int_value (field 4) = 7
+        Assert.Contains("2208" + "52046C696E65" + "2007", hex);
+    }
+
+    [Fact]
+    public void WriteSliceEnd_WithoutArgs_HasNoDebugAnnotations()
+    {
+        var plain = new PerfettoTraceWriter();
+        plain.WriteSliceEnd(1, 0);
+        var empty = new PerfettoTraceWriter();
+        empty.WriteSliceEnd(1, 0, []);
+
+        Assert.Equal(plain.ToArray(), empty.ToArray());
+    }
+
+    [Fact]
+    public void CounterTrack_HasCounterDescriptorAndValues()
+    {
+        var writer = new PerfettoTraceWriter();
+        writer.WriteCounterTrackDescriptor(5, 1, "Busy nodes");
+        writer.WriteCounterValue(5, 100, 3);
+
+        var hex = Convert.ToHexString(writer.ToArray());
+        // counter (field 8): empty CounterDescriptor
+        Assert.Contains("4200", hex);
+        // type (field 9) = TYPE_COUNTER, track_uuid (field 11) = 5, counter_value (field 30) = 3
+        Assert.Contains("4804" + "5805" + "F00103", hex);
+    }
+
     [Fact]
     public void MultipleEvents_AccumulateInOutput()
     {
@@ -221,6 +271,33 @@ public class PerfettoTraceWriterTests
         Assert.Empty(result);
     }
 
+    [Fact]
+    public void StreamOutput_MatchesInMemoryOutput()
+    {
+        var memoryWriter = new PerfettoTraceWriter();
+        using var output = new MemoryStream();
+        var streamWriter = new PerfettoTraceWriter(output);
+
+        foreach (var writer in new[] { memoryWriter, streamWriter })
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Build");
+            writer.WriteSliceBegin(1, 0, "Build", "build");
+            writer.WriteSliceEnd(1, 1000);
+            writer.Flush();
+        }
+
+        Assert.Equal(memoryWriter.ToArray(), output.ToArray());
+    }
+
+    [Fact]
+    public void ToArray_WithOutputStream_Throws()
+    {
+        using var output = new BufferedStream(new MemoryStream());
+        var writer = new PerfettoTraceWriter(output);
+
+        Assert.Throws<InvalidOperationException>(() => writer.ToArray());
+    }
+
     [Fact]
     public void LargeTimestamp_EncodesCorrectly()
     {
@@ -0,0 +1,84 @@
+using System.Text.Json;
+
+namespace msbuild_binlog_perfview.Tests;
+
+public class SpeedscopeTraceWriterTests
+{
+    private static JsonDocument Write(Action<SpeedscopeTraceWriter> write)
+    {
+        using var output = new MemoryStream();
+        var writer = new SpeedscopeTraceWriter(output);
+        write(writer);
+        writer.Finish();
+        return JsonDocument.Parse(output.ToArray());
+    }
+
+    [Fact]
+    public void EachTrack_BecomesANamedEventedProfile()
+    {
+        using var document = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 2, "Node 2");
+            writer.WriteProcessTrackDescriptor(2, 1, "Node 1");
+            writer.WriteThreadTrackDescriptor(3, 1, 2, 7, "B.csproj");
+            writer.WriteThreadTrackDescriptor(4, 2, 1, 7, "A.csproj");
+            writer.WriteSliceBegin(3, 100, "B.csproj", "project");
+            writer.WriteSliceEnd(3, 200);
+            writer.WriteSliceBegin(4, 0, "A.csproj", "project");
+            writer.WriteSliceEnd(4, 300);
+        });
+
+        var profiles = document.RootElement.GetProperty("profiles").EnumerateArray().ToArray();
+        Assert.Collection(profiles,
+            p => Assert.Equal("Node 1 / A.csproj", p.GetProperty("name").GetString()),
+            p => Assert.Equal("Node 2 / B.csproj", p.GetProperty("name").GetString()));
+        Assert.Equal("evented", profiles[0].GetProperty("type").GetString());
+        Assert.Equal(300, profiles[0].GetProperty("endValue").GetInt64());
+    }
+
+    [Fact]
+    public void Frames_AreSharedByName()
+    {
+        using var document = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteSliceBegin(1, 0, "Csc", "task");
+            writer.WriteSliceEnd(1, 10);
+            writer.WriteSliceBegin(1, 20, "Csc", "task");
+            writer.WriteSliceEnd(1, 30);
+        });
+
+        var frames = document.RootElement.GetProperty("shared").GetProperty("frames").EnumerateArray().ToArray();
+        var frame = Assert.Single(frames);
+        Assert.Equal("Csc", frame.GetProperty("name").GetString());
+    }
+
+    [Fact]
+    public void OpenSlices_AreClosedInOrderAtTheEnd()
+    {
+        using var document = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteSliceBegin(1, 0, "Outer", "target");
+            writer.WriteSliceBegin(1, 10, "Inner", "task");
+            writer.WriteInstantEvent(1, 15, "Warning", "warning");
+        });
+
+        var events = document.RootElement.GetProperty("profiles")[0].GetProperty("events").EnumerateArray()
+            .Select(e => (e.GetProperty("type").GetString()!, e.GetProperty("frame").GetInt32(), e.GetProperty("at").GetInt64()))
+            .ToArray();
+        Assert.Equal(new[] { ("O", 0, 0L), ("O", 1, 10L), ("C", 1, 10L), ("C", 0, 10L) }, events);
+    }
+
+    [Fact]
+    public void UnmatchedSliceEnd_IsIgnored()
+    {
+        using var document = Write(writer =>
+        {
+            writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+            writer.WriteSliceEnd(1, 10);
+        });
+
+        Assert.Empty(document.RootElement.GetProperty("profiles").EnumerateArray());
+    }
+}
@@ -0,0 +1,200 @@
+namespace msbuild_binlog_perfview.Tests;
+
+public class SplittingTraceWriterTests
+{
+    private sealed class RecordingTraceWriter(List<string>? events = null) : ITraceWriter
+    {
+        public List<string> Events { get; } = events ?? new();
+        public bool Finished { get; private set; }
+
+        public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name) => Events.Add($"process {name}");
+        public void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name) => Events.Add($"thread {name}");
+        public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name) => Events.Add($"track {name}");
+        public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null) => Events.Add($"B {name} {timestampNs}{(flowId != null ? $" -> {flowId}" : "")}");
+        public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null) => Events.Add($"B {name} {timestampNs} <- {terminatingFlowId}");
+        public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null) => Events.Add($"E {timestampNs}");
+        public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null) => Events.Add($"I {name} {timestampNs}");
+        public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name) => Events.Add($"counter {name}");
+        public void WriteCounterValue(ulong trackUuid, long timestampNs, long value) => Events.Add($"C {value} {timestampNs}");
+        public void Finish() => Finished = true;
+    }
+
+    private static (SplittingTraceWriter writer, List<RecordingTraceWriter> chunks) Create(TraceSplit split)
+    {
+        var chunks = new List<RecordingTraceWriter>();
+        var writer = new SplittingTraceWriter(split, index =>
+        {
+            // A finished window gets a new writer for late events, which appends to its output
+            if (index < chunks.Count)
+            {
+                Assert.True(chunks[index].Finished);
+                chunks[index] = new RecordingTraceWriter(chunks[index].Events);
+                return chunks[index];
+            }
+            Assert.Equal(chunks.Count, index);
+            var chunk = new RecordingTraceWriter();
+            chunks.Add(chunk);
+            return chunk;
+        });
+        return (writer, chunks);
+    }
+
+    [Fact]
+    public void ByTime_CarriesOpenSlicesAndCountersIntoTheNextWindow()
+    {
+        var (writer, chunks) = Create(new TraceSplit(TraceSplit.Mode.Time, windowNs: 100));
+
+        writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+        writer.WriteThreadTrackDescriptor(2, 1, 1, 1, "App.csproj");
+        writer.WriteCounterTrackDescriptor(3, 1, "Busy nodes");
+        writer.WriteCounterValue(3, 0, 1);
+        writer.WriteSliceBegin(2, 10, "Build", "project", flowId: 7);
+        writer.WriteSliceBegin(2, 20, "CoreCompile", "target");
+        writer.WriteSliceEnd(2, 150);
+        writer.WriteSliceEnd(2, 160);
+        writer.Finish();
+
+        Assert.Equal(2, chunks.Count);
+        // Flow 7 does not end in the first window, so it is left out
+        Assert.Equal(new[] { "process Node 1", "counter Busy nodes", "C 1 0", "thread App.csproj", "B Build 10", "B CoreCompile 20", "E 100", "E 100" }, chunks[0].Events);
+        Assert.Equal(new[] { "process Node 1", "thread App.csproj", "B Build 100", "B CoreCompile 100", "counter Busy nodes", "C 1 100", "E 150", "E 160" }, chunks[1].Events);
+        Assert.All(chunks, chunk => Assert.True(chunk.Finished));
+
+        Assert.Equal(new[] { (0L, 100L), (100L, 160L) }, writer.Chunks.Select(c => (c.StartNs, c.EndNs)));
+    }
+
+    [Fact]
+    public void ByTime_MovesLateEventsToTheStartOfTheWindow()
+    {
+        var (writer, chunks) = Create(new TraceSplit(TraceSplit.Mode.Time, windowNs: 100));
+
+        writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+        writer.WriteInstantEvent(1, 250, "Late build", "message");
+        writer.WriteInstantEvent(1, 90, "Earlier build", "message");
+        writer.Finish();
+
+        Assert.Single(chunks);
+        Assert.Equal(new[] { "process Node 1", "I Late build 250", "I Earlier build 200" }, chunks[0].Events);
+        Assert.Equal(200, writer.Chunks[0].StartNs);
+    }
+
+    [Fact]
+    public void ByTime_WritesLateSlicesIntoTheWindowsTheyCross()
+    {
+        var (writer, chunks) = Create(new TraceSplit(TraceSplit.Mode.Time, windowNs: 100));
+
+        writer.WriteProcessTrackDescriptor(1, 1, "Build");
+        writer.WriteInstantEvent(1, 10, "Started", "build");
+        writer.WriteInstantEvent(1, 150, "Halfway", "build");
+        writer.WriteInstantEvent(1, 250, "Finished", "build");
+        // Written after the build, like the critical path
+        writer.WriteTrackDescriptor(2, 1, "Critical Path");
+        writer.WriteSliceBegin(2, 20, "App.csproj", "critical");
+        writer.WriteSliceEnd(2, 180);
+        writer.WriteSliceBegin(2, 180, "Csc", "critical");
+        writer.WriteSliceEnd(2, 190);
+        writer.Finish();
+
+        Assert.Equal(3, chunks.Count);
+        Assert.Equal(new[] { "process Build", "I Started 10", "track Critical Path", "B App.csproj 20", "E 100" }, chunks[0].Events);
+        Assert.Equal(new[] { "process Build", "I Halfway 150", "track Critical Path", "B App.csproj 100", "E 180", "B Csc 180", "E 190" }, chunks[1].Events);
+        Assert.Equal(new[] { "process Build", "I Finished 250" }, chunks[2].Events);
+        Assert.All(chunks, chunk => Assert.True(chunk.Finished));
+    }
+
+    [Fact]
+    public void ByTime_WritesLateNestedSlicesOnceTheOutermostEnds()
+    {
+        var (writer, chunks) = Create(new TraceSplit(TraceSplit.Mode.Time, windowNs: 100));
+
+        writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+        writer.WriteThreadTrackDescriptor(2, 1, 1, 1, "App.csproj");
+        writer.WriteSliceBegin(2, 10, "Evaluation", "evaluation");
+        writer.WriteInstantEvent(1, 110, "Busy", "message");
+        // The profile of an evaluation is written when it finishes, back in time
+        writer.WriteSliceBegin(2, 20, "Properties", "evaluation");
+        writer.WriteSliceBegin(2, 30, "Directory.Build.props", "evaluation");
+        writer.WriteSliceEnd(2, 120);
+        writer.WriteSliceEnd(2, 130);
+        writer.WriteSliceEnd(2, 140);
+        writer.Finish();
+
+        Assert.Equal(2, chunks.Count);
+        Assert.Equal(new[] { "process Node 1", "thread App.csproj", "B Evaluation 10", "E 100",
+            "B Properties 20", "E 100", "B Directory.Build.props 30", "E 100" }, chunks[0].Events);
+        // Pieces beginning at the window start come outermost first, so they nest as they did
+        Assert.Equal(new[] { "process Node 1", "thread App.csproj", "B Evaluation 100", "I Busy 110",
+            "B Properties 100", "E 130", "B Directory.Build.props 100", "E 120", "E 140" }, chunks[1].Events);
+    }
+
+    [Fact]
+    public void ByNode_WritesEachProcessWithItsTracksIntoItsOwnChunk()
+    {
+        var (writer, chunks) = Create(new TraceSplit(TraceSplit.Mode.Node));
+
+        writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+        writer.WriteProcessTrackDescriptor(2, 2, "Node 2");
+        writer.WriteThreadTrackDescriptor(3, 1, 1, 1, "App.csproj");
+        writer.WriteThreadTrackDescriptor(4, 2, 2, 2, "Lib.csproj");
+        writer.WriteTrackDescriptor(5, 4, "Tasks");
+        writer.WriteSliceBegin(4, 10, "Lib.csproj", "project");
+        writer.WriteSliceBegin(3, 20, "App.csproj", "project");
+        writer.WriteSliceBegin(5, 30, "Csc", "task");
+        writer.WriteSliceEnd(5, 40);
+        writer.WriteSliceEnd(4, 50);
+        writer.WriteSliceEnd(3, 60);
+        writer.Finish();
+
+        Assert.Equal(2, chunks.Count);
+        Assert.Equal(new[] { "process Node 2", "thread Lib.csproj", "B Lib.csproj 10", "track Tasks", "B Csc 30", "E 40", "E 50" }, chunks[0].Events);
+        Assert.Equal(new[] { "process Node 1", "thread App.csproj", "B App.csproj 20", "E 60" }, chunks[1].Events);
+
+        Assert.Equal(new[] { "Node 2", "Node 1" }, writer.Chunks.Select(c => c.Name));
+        Assert.Equal(new[] { (10L, 50L), (20L, 60L) }, writer.Chunks.Select(c => (c.StartNs, c.EndNs)));
+    }
+
+    [Fact]
+    public void ByNode_KeepsOnlyFlowsWithinAChunk()
+    {
+        var (writer, chunks) = Create(new TraceSplit(TraceSplit.Mode.Node));
+
+        writer.WriteProcessTrackDescriptor(1, 1, "Node 1");
+        writer.WriteProcessTrackDescriptor(2, 2, "Node 2");
+        writer.WriteThreadTrackDescriptor(3, 1, 1, 1, "App.csproj");
+        writer.WriteThreadTrackDescriptor(4, 1, 1, 2, "Lib.csproj");
+        writer.WriteThreadTrackDescriptor(5, 2, 2, 3, "Tests.csproj");
+        writer.WriteSliceBegin(3, 0, "App.csproj", "project");
+        // The MSBuild task of App.csproj builds Lib.csproj on its node and Tests.csproj on another
+        writer.WriteSliceBegin(3, 10, "MSBuild (yielded)", "task", flowId: 1);
+        writer.WriteInstantEvent(3, 15, "Yielded", "message");
+        writer.WriteSliceBeginWithTerminatingFlow(4, 20, "Lib.csproj", "project", 1);
+        writer.WriteSliceEnd(4, 30);
+        writer.WriteSliceEnd(3, 40);
+        writer.WriteSliceBegin(3, 50, "MSBuild (yielded)", "task", flowId: 2);
+        writer.WriteSliceBeginWithTerminatingFlow(5, 60, "Tests.csproj", "project", 2);
+        writer.WriteSliceEnd(5, 70);
+        writer.WriteSliceEnd(3, 80);
+        writer.WriteSliceEnd(3, 90);
+        writer.Finish();
+
+        Assert.Equal(2, chunks.Count);
+        Assert.Equal(new[] { "process Node 1", "thread App.csproj", "B App.csproj 0", "thread Lib.csproj",
+            "B MSBuild (yielded) 10 -> 1", "I Yielded 15", "B Lib.csproj 20 <- 1", "E 30", "E 40", "B MSBuild (yielded) 50", "E 80", "E 90" }, chunks[0].Events);
+        Assert.Equal(new[] { "process Node 2", "thread Tests.csproj", "B Tests.csproj 60", "E 70" }, chunks[1].Events);
+    }
+
+    [Fact]
+    public void Parse_ReadsNodeAndTimeSplits()
+    {
+        Assert.Same(TraceSplit.None, TraceSplit.Parse(null));
+        Assert.Equal(TraceSplit.Mode.Node, TraceSplit.Parse("""{ "by": "node" }""").By);
+
+        var byTime = TraceSplit.Parse("""{ "by": "time", "windowMs": 1500 }""");
+        Assert.Equal(TraceSplit.Mode.Time, byTime.By);
+        Assert.Equal(1_500_000_000, byTime.WindowNs);
+
+        Assert.Throws<ArgumentException>(() => TraceSplit.Parse("""{ "by": "time" }"""));
+        Assert.Throws<ArgumentException>(() => TraceSplit.Parse("""{ "by": "time", "windowMs": 0 }"""));
+        Assert.Throws<ArgumentException>(() => TraceSplit.Parse("""{ "by": "project" }"""));
+    }
+}
@@ -0,0 +1,70 @@
+namespace msbuild_binlog_perfview.Tests;
+
+public class TraceFilterTests
+{
+    [Fact]
+    public void Parse_NullOrEmpty_IsNoFilter()
+    {
+        Assert.Same(TraceFilter.None, TraceFilter.Parse(null));
+        Assert.Same(TraceFilter.None, TraceFilter.Parse(""));
+        Assert.False(TraceFilter.None.HasTimeFilter);
+        Assert.False(TraceFilter.None.LeavesOutSlices);
+        Assert.True(TraceFilter.None.IncludesProject("/src/App/App.csproj"));
+    }
+
+    [Fact]
+    public void Parse_ReadsTimesInMilliseconds()
+    {
+        var filter = TraceFilter.Parse("""{ "minDurationMs": 1.5, "startMs": 1000, "endMs": null }""");
+
+        Assert.Equal(1_500_000, filter.MinDurationNs);
+        Assert.Equal(1_000_000_000, filter.StartNs);
+        Assert.Null(filter.EndNs);
+        Assert.True(filter.HasTimeFilter);
+    }
+
+    [Fact]
+    public void Parse_RejectsWindowThatEndsBeforeItStarts()
+    {
+        Assert.Throws<ArgumentException>(() => TraceFilter.Parse("""{ "startMs": 2000, "endMs": 1000 }"""));
+    }
+
+    [Fact]
+    public void Parse_RejectsNonStringPatterns()
+    {
+        Assert.Throws<ArgumentException>(() => TraceFilter.Parse("""{ "includeProjects": [1] }"""));
+    }
+
+    [Fact]
+    public void ProjectPatternWithoutSlash_MatchesFileName()
+    {
+        var filter = new TraceFilter(excludeProjects: ["*.Tests.csproj"]);
+
+        Assert.False(filter.IncludesProject(@"C:\src\App.Tests\App.Tests.csproj"));
+        Assert.True(filter.IncludesProject("/src/App/App.csproj"));
+    }
+
+    [Fact]
+    public void ProjectPatternWithSlash_MatchesEndOfPath()
+    {
+        var filter = new TraceFilter(includeProjects: ["src/**/*.csproj"]);
+
+        Assert.True(filter.IncludesProject("/repo/src/App/App.csproj"));
+        Assert.True(filter.IncludesProject("/repo/src/App.csproj"));
+        Assert.False(filter.IncludesProject("/repo/test/App.Tests/App.Tests.csproj"));
+        Assert.False(filter.IncludesProject("/repo/mysrc/App/App.csproj"));
+    }
+
+    [Fact]
+    public void Names_MatchCaseInsensitively()
+    {
+        var filter = new TraceFilter(includeTasks: ["csc", "Copy*"], excludeTargets: ["_Copy?ilesMarkedCopyLocal"]);
+
+        Assert.True(filter.IncludesTask("Csc"));
+        Assert.True(filter.IncludesTask("Copy"));
+        Assert.False(filter.IncludesTask("ResolveAssemblyReference"));
+        Assert.True(filter.IsTargetExcluded("_CopyFilesMarkedCopyLocal"));
+        Assert.False(filter.IncludesTarget("_CopyFilesMarkedCopyLocal"));
+        Assert.True(filter.IncludesTarget("CoreCompile"));
+    }
+}
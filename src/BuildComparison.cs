@@ -0,0 +1,129 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+
+/// <summary>
+/// Compares the summaries of two builds of the same code: a baseline and a candidate.
+/// Every project, target and task name seen in either build gets one entry with the counts and
+/// times from both sides (zero for the side it does not appear in).
+/// </summary>
+public class BuildComparison
+{
+    public sealed record Entry(
+        string Name,
+        int BaselineCount,
+        int CandidateCount,
+        long BaselineInclusiveNs,
+        long CandidateInclusiveNs,
+        long BaselineExclusiveNs,
+        long CandidateExclusiveNs)
+    {
+        public long InclusiveDeltaNs => CandidateInclusiveNs - BaselineInclusiveNs;
+        public long ExclusiveDeltaNs => CandidateExclusiveNs - BaselineExclusiveNs;
+    }
+
+    private readonly BuildSummaryCollector _baseline;
+    private readonly BuildSummaryCollector _candidate;
+
+    public BuildComparison(BuildSummaryCollector baseline, BuildSummaryCollector candidate)
+    {
+        _baseline = baseline;
+        _candidate = candidate;
+        Projects = Compare(baseline.Projects, candidate.Projects);
+        Targets = Compare(baseline.Targets, candidate.Targets);
+        Tasks = Compare(baseline.Tasks, candidate.Tasks);
+    }
+
+    public IReadOnlyList<Entry> Projects { get; }
+    public IReadOnlyList<Entry> Targets { get; }
+    public IReadOnlyList<Entry> Tasks { get; }
+
+    public long DurationDeltaNs => _candidate.DurationNs - _baseline.DurationNs;
+
+    // Entries ordered by exclusive time regression, largest first
+    private static List<Entry> Compare(IEnumerable<BuildSummaryCollector.Aggregate> baseline, IEnumerable<BuildSummaryCollector.Aggregate> candidate)
+    {
+        var baselineByName = baseline.ToDictionary(a => a.Name, StringComparer.Ordinal);
+        var candidateByName = candidate.ToDictionary(a => a.Name, StringComparer.Ordinal);
+
+        return baselineByName.Keys.Union(candidateByName.Keys, StringComparer.Ordinal)
+            .Select(name =>
+            {
+                baselineByName.TryGetValue(name, out var b);
+                candidateByName.TryGetValue(name, out var c);
+                return new Entry(
+                    name,
+                    b?.Count ?? 0,
+                    c?.Count ?? 0,
+                    b?.InclusiveNs ?? 0,
+                    c?.InclusiveNs ?? 0,
+                    b?.ExclusiveNs ?? 0,
+                    c?.ExclusiveNs ?? 0);
+            })
+            .OrderByDescending(e => e.ExclusiveDeltaNs)
+            .ThenBy(e => e.Name, StringComparer.Ordinal)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Writes the comparison as a JSON object with the totals of both builds and
+    /// the project, target and task entries.
+    /// </summary>
+    public void WriteJson(Utf8JsonWriter json, string? baselineLabel, string? candidateLabel)
+    {
+        json.WriteStartObject();
+        WriteTotals(json, "baseline", baselineLabel, _baseline);
+        WriteTotals(json, "candidate", candidateLabel, _candidate);
+        WriteEntries(json, "projects", Projects);
+        WriteEntries(json, "targets", Targets);
+        WriteEntries(json, "tasks", Tasks);
+        json.WriteEndObject();
+    }
+
+    public string ToJson(string? baselineLabel, string? candidateLabel)
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
+        {
+            WriteJson(json, baselineLabel, candidateLabel);
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    private static void WriteTotals(Utf8JsonWriter json, string propertyName, string? label, BuildSummaryCollector summary)
+    {
+        json.WriteStartObject(propertyName);
+        json.WriteString("label", label);
+        json.WriteNumber("durationNs", summary.DurationNs);
+        if (summary.Succeeded.HasValue)
+            json.WriteBoolean("succeeded", summary.Succeeded.Value);
+        else
+            json.WriteNull("succeeded");
+        json.WriteNumber("projectCount", summary.ProjectCount);
+        json.WriteNumber("warningCount", summary.WarningCount);
+        json.WriteNumber("errorCount", summary.ErrorCount);
+        json.WriteEndObject();
+    }
+
+    private static void WriteEntries(Utf8JsonWriter json, string propertyName, IReadOnlyList<Entry> entries)
+    {
+        json.WriteStartArray(propertyName);
+        foreach (var entry in entries)
+        {
+            json.WriteStartObject();
+            json.WriteString("name", entry.Name);
+            json.WriteNumber("baselineCount", entry.BaselineCount);
+            json.WriteNumber("candidateCount", entry.CandidateCount);
+            json.WriteNumber("baselineInclusiveNs", entry.BaselineInclusiveNs);
+            json.WriteNumber("candidateInclusiveNs", entry.CandidateInclusiveNs);
+            json.WriteNumber("baselineExclusiveNs", entry.BaselineExclusiveNs);
+            json.WriteNumber("candidateExclusiveNs", entry.CandidateExclusiveNs);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+    }
+}
@@ -0,0 +1,19 @@
+#nullable enable
+
+/// <summary>
+/// Where a build is placed within a trace that may hold several builds.
+/// Process IDs of build <see cref="Index"/> start at <c>Index * PidStride</c>
+/// so that node tracks of different builds never share a process. The build-level and evaluation
+/// processes (negative node IDs) take the top of the range, clear of the nodes and of each other:
+/// the Chrome and Speedscope exporters group events by process ID, so processes sharing one would be merged.
+/// </summary>
+public readonly record struct BuildLayout(int Index, int Count, string? Label)
+{
+    public const int PidStride = 1000;
+
+    public static BuildLayout Single => new(0, 1, null);
+
+    public uint GetPid(int nodeId) => (uint)(Index * PidStride + (nodeId >= 0 ? nodeId : PidStride + nodeId));
+
+    public string GetProcessName(string name) => Label == null ? name : $"{Label} · {name}";
+}
@@ -0,0 +1,375 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+
+/// <summary>
+/// Aggregates build events into a summary of where the time went: total build time,
+/// node utilization with the busy, yielded and idle time of each node, and inclusive/exclusive
+/// time per project, target and task name.
+/// Events are fed in the order they appear in the binlog; timestamps are in nanoseconds.
+/// </summary>
+public class BuildSummaryCollector
+{
+    public enum FrameKind
+    {
+        Project,
+        Target,
+        Task,
+    }
+
+    /// <summary>
+    /// Total time spent in every execution of one project, target or task name.
+    /// Exclusive time is the inclusive time minus the time of nested frames on the same project.
+    /// </summary>
+    public sealed class Aggregate(string name)
+    {
+        public string Name { get; } = name;
+        public int Count { get; set; }
+        public long InclusiveNs { get; set; }
+        public long ExclusiveNs { get; set; }
+    }
+
+    private sealed class Frame(FrameKind kind, string name, long startNs)
+    {
+        public FrameKind Kind { get; } = kind;
+        public string Name { get; } = name;
+        public long StartNs { get; } = startNs;
+        public long ChildNs { get; set; }
+    }
+
+    /// <summary>
+    /// What a node is doing: running a project, holding only projects yielded to wait for
+    /// other projects, or holding no project at all.
+    /// </summary>
+    public enum NodeActivity
+    {
+        Idle,
+        Busy,
+        Yielded,
+    }
+
+    /// <summary>
+    /// How one node spent the build. The three times add up to the build duration.
+    /// </summary>
+    public readonly record struct NodeUsage(int NodeId, int ProjectCount, long BusyNs, long YieldedNs, long IdleNs);
+
+    private sealed class NodeState
+    {
+        public int ActiveProjects { get; set; }
+        public int YieldedProjects { get; set; }
+        public int ProjectCount { get; set; }
+        public long LastChangeNs { get; set; }
+        public long BusyNs { get; set; }
+        public long YieldedNs { get; set; }
+    }
+
+    // Open frames per (nodeId, projectInstanceId) - the same keys the converter uses for thread tracks
+    private readonly Dictionary<(int nodeId, int projectInstanceId), List<Frame>> _stacks = new();
+    private readonly Dictionary<int, NodeState> _nodes = new();
+    private readonly Dictionary<string, Aggregate> _projects = new();
+    private readonly Dictionary<string, Aggregate> _targets = new();
+    private readonly Dictionary<string, Aggregate> _tasks = new();
+
+    private long? _buildStartNs;
+    private long? _buildEndNs;
+    private long _lastEventNs;
+
+    public bool? Succeeded { get; private set; }
+    public int WarningCount { get; private set; }
+    public int ErrorCount { get; private set; }
+    public int ProjectCount { get; private set; }
+
+    public IEnumerable<Aggregate> Projects => _projects.Values;
+    public IEnumerable<Aggregate> Targets => _targets.Values;
+    public IEnumerable<Aggregate> Tasks => _tasks.Values;
+
+    public long StartNs => _buildStartNs ?? 0;
+
+    public long DurationNs => (_buildEndNs ?? _lastEventNs) - StartNs;
+
+    public int NodeCount => _nodes.Count;
+
+    /// <summary>
+    /// Fraction of the available node time (nodes × build duration) in which a node was running
+    /// a project that was not yielded to wait for another project.
+    /// </summary>
+    public double NodeUtilization
+    {
+        get
+        {
+            long available = DurationNs * _nodes.Count;
+            if (available <= 0) return 0;
+            long busy = _nodes.Values.Sum(n => GetTimeIn(n, NodeActivity.Busy));
+            return Math.Min((double)busy / available, 1.0);
+        }
+    }
+
+    /// <summary>
+    /// Busy, yielded and idle time per node up to the latest event, in node order.
+    /// A node is idle from the start of the build until its first project, and after its last.
+    /// </summary>
+    public IEnumerable<NodeUsage> Nodes => _nodes
+        .OrderBy(n => n.Key)
+        .Select(n =>
+        {
+            long busy = GetTimeIn(n.Value, NodeActivity.Busy);
+            long yielded = GetTimeIn(n.Value, NodeActivity.Yielded);
+            return new NodeUsage(n.Key, n.Value.ProjectCount, busy, yielded, Math.Max(DurationNs - busy - yielded, 0));
+        });
+
+    /// <summary>
+    /// Nodes running a project that is not yielded at the latest event.
+    /// </summary>
+    public int BusyNodeCount => _nodes.Values.Count(IsBusy);
+
+    /// <summary>
+    /// Projects running at the latest event, not counting yielded ones.
+    /// </summary>
+    public int RunningProjectCount => _nodes.Values.Sum(n => Math.Max(n.ActiveProjects - n.YieldedProjects, 0));
+
+    /// <summary>
+    /// Projects waiting for other projects at the latest event.
+    /// </summary>
+    public int YieldedProjectCount => _nodes.Values.Sum(n => n.YieldedProjects);
+
+    /// <summary>
+    /// What a node is doing at the latest event; idle for nodes that have not run a project.
+    /// </summary>
+    public NodeActivity GetNodeActivity(int nodeId) =>
+        _nodes.TryGetValue(nodeId, out var node) ? GetActivity(node) : NodeActivity.Idle;
+
+    public void Observe(long timestampNs)
+    {
+        _lastEventNs = Math.Max(_lastEventNs, timestampNs);
+    }
+
+    public void BuildStarted(long timestampNs)
+    {
+        Observe(timestampNs);
+        _buildStartNs ??= timestampNs;
+    }
+
+    public void BuildFinished(long timestampNs, bool succeeded)
+    {
+        Observe(timestampNs);
+        _buildEndNs = timestampNs;
+        Succeeded = succeeded;
+    }
+
+    public void ProjectStarted(int nodeId, int projectInstanceId, string name, long timestampNs)
+    {
+        Observe(timestampNs);
+        ProjectCount++;
+        Push(nodeId, projectInstanceId, FrameKind.Project, name, timestampNs);
+        UpdateNode(nodeId, timestampNs, active: +1, yielded: 0);
+        if (_nodes.TryGetValue(nodeId, out var node))
+            node.ProjectCount++;
+    }
+
+    public void ProjectFinished(int nodeId, int projectInstanceId, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (Pop(nodeId, projectInstanceId, FrameKind.Project, timestampNs))
+            UpdateNode(nodeId, timestampNs, active: -1, yielded: 0);
+    }
+
+    public void TargetStarted(int nodeId, int projectInstanceId, string name, long timestampNs)
+    {
+        Observe(timestampNs);
+        Push(nodeId, projectInstanceId, FrameKind.Target, name, timestampNs);
+    }
+
+    public void TargetFinished(int nodeId, int projectInstanceId, long timestampNs)
+    {
+        Observe(timestampNs);
+        Pop(nodeId, projectInstanceId, FrameKind.Target, timestampNs);
+    }
+
+    /// <summary>
+    /// Records a task start. <paramref name="yields"/> marks tasks (MSBuild, CallTarget) during which
+    /// the project waits for other projects and its node is free to run them.
+    /// </summary>
+    public void TaskStarted(int nodeId, int projectInstanceId, string name, bool yields, long timestampNs)
+    {
+        Observe(timestampNs);
+        Push(nodeId, projectInstanceId, FrameKind.Task, name, timestampNs);
+        if (yields)
+            UpdateNode(nodeId, timestampNs, active: 0, yielded: +1);
+    }
+
+    public void TaskFinished(int nodeId, int projectInstanceId, bool yields, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (Pop(nodeId, projectInstanceId, FrameKind.Task, timestampNs) && yields)
+            UpdateNode(nodeId, timestampNs, active: 0, yielded: -1);
+    }
+
+    public void Warning(long timestampNs)
+    {
+        Observe(timestampNs);
+        WarningCount++;
+    }
+
+    public void Error(long timestampNs)
+    {
+        Observe(timestampNs);
+        ErrorCount++;
+    }
+
+    private void Push(int nodeId, int projectInstanceId, FrameKind kind, string name, long timestampNs)
+    {
+        var key = (nodeId, projectInstanceId);
+        if (!_stacks.TryGetValue(key, out var stack))
+        {
+            stack = new List<Frame>();
+            _stacks[key] = stack;
+        }
+        stack.Add(new Frame(kind, name, timestampNs));
+    }
+
+    // Pops the innermost open frame of the given kind, discarding any frames left open inside it
+    private bool Pop(int nodeId, int projectInstanceId, FrameKind kind, long timestampNs)
+    {
+        if (!_stacks.TryGetValue((nodeId, projectInstanceId), out var stack))
+            return false;
+
+        int index = stack.FindLastIndex(f => f.Kind == kind);
+        if (index < 0)
+            return false;
+
+        var frame = stack[index];
+        stack.RemoveRange(index, stack.Count - index);
+
+        long inclusive = Math.Max(timestampNs - frame.StartNs, 0);
+        var aggregates = kind switch
+        {
+            FrameKind.Project => _projects,
+            FrameKind.Target => _targets,
+            _ => _tasks,
+        };
+        if (!aggregates.TryGetValue(frame.Name, out var aggregate))
+        {
+            aggregate = new Aggregate(frame.Name);
+            aggregates[frame.Name] = aggregate;
+        }
+        aggregate.Count++;
+        aggregate.InclusiveNs += inclusive;
+        aggregate.ExclusiveNs += Math.Max(inclusive - frame.ChildNs, 0);
+
+        if (index > 0)
+            stack[index - 1].ChildNs += inclusive;
+
+        return true;
+    }
+
+    private static bool IsBusy(NodeState node) => node.ActiveProjects - node.YieldedProjects > 0;
+
+    private static NodeActivity GetActivity(NodeState node) =>
+        IsBusy(node) ? NodeActivity.Busy : node.ActiveProjects > 0 ? NodeActivity.Yielded : NodeActivity.Idle;
+
+    // Time the node spent in an activity, counting the current one up to the latest event
+    private long GetTimeIn(NodeState node, NodeActivity activity)
+    {
+        long time = activity == NodeActivity.Busy ? node.BusyNs : node.YieldedNs;
+        return GetActivity(node) == activity ? time + _lastEventNs - node.LastChangeNs : time;
+    }
+
+    private void UpdateNode(int nodeId, long timestampNs, int active, int yielded)
+    {
+        if (nodeId < 0) return;
+
+        if (!_nodes.TryGetValue(nodeId, out var node))
+        {
+            node = new NodeState { LastChangeNs = timestampNs };
+            _nodes[nodeId] = node;
+        }
+
+        switch (GetActivity(node))
+        {
+            case NodeActivity.Busy:
+                node.BusyNs += timestampNs - node.LastChangeNs;
+                break;
+            case NodeActivity.Yielded:
+                node.YieldedNs += timestampNs - node.LastChangeNs;
+                break;
+        }
+
+        node.LastChangeNs = timestampNs;
+        node.ActiveProjects = Math.Max(node.ActiveProjects + active, 0);
+        node.YieldedProjects = Math.Max(node.YieldedProjects + yielded, 0);
+    }
+
+    /// <summary>
+    /// Writes the summary as a JSON object. Each of the project, target and task lists holds the
+    /// entries that are among the <paramref name="topCount"/> slowest by either inclusive or exclusive time.
+    /// </summary>
+    public void WriteJson(Utf8JsonWriter json, int topCount)
+    {
+        json.WriteStartObject();
+        json.WriteNumber("durationNs", DurationNs);
+        if (Succeeded.HasValue)
+            json.WriteBoolean("succeeded", Succeeded.Value);
+        else
+            json.WriteNull("succeeded");
+        json.WriteNumber("nodeCount", NodeCount);
+        json.WriteNumber("nodeUtilization", Math.Round(NodeUtilization, 4));
+        json.WriteNumber("projectCount", ProjectCount);
+        json.WriteNumber("warningCount", WarningCount);
+        json.WriteNumber("errorCount", ErrorCount);
+        WriteNodes(json);
+        WriteAggregates(json, "projects", _projects.Values, topCount);
+        WriteAggregates(json, "targets", _targets.Values, topCount);
+        WriteAggregates(json, "tasks", _tasks.Values, topCount);
+        json.WriteEndObject();
+    }
+
+    public string ToJson(int topCount)
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
+        {
+            WriteJson(json, topCount);
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    private void WriteNodes(Utf8JsonWriter json)
+    {
+        json.WriteStartArray("nodes");
+        foreach (var node in Nodes)
+        {
+            json.WriteStartObject();
+            json.WriteNumber("nodeId", node.NodeId);
+            json.WriteNumber("projectCount", node.ProjectCount);
+            json.WriteNumber("busyNs", node.BusyNs);
+            json.WriteNumber("yieldedNs", node.YieldedNs);
+            json.WriteNumber("idleNs", node.IdleNs);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+    }
+
+    private static void WriteAggregates(Utf8JsonWriter json, string propertyName, IEnumerable<Aggregate> aggregates, int topCount)
+    {
+        var top = aggregates.OrderByDescending(a => a.InclusiveNs).Take(topCount)
+            .Union(aggregates.OrderByDescending(a => a.ExclusiveNs).Take(topCount))
+            .OrderByDescending(a => a.InclusiveNs)
+            .ThenBy(a => a.Name, StringComparer.Ordinal);
+
+        json.WriteStartArray(propertyName);
+        foreach (var aggregate in top)
+        {
+            json.WriteStartObject();
+            json.WriteString("name", aggregate.Name);
+            json.WriteNumber("count", aggregate.Count);
+            json.WriteNumber("inclusiveNs", aggregate.InclusiveNs);
+            json.WriteNumber("exclusiveNs", aggregate.ExclusiveNs);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+    }
+}
@@ -0,0 +1,188 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Text.Json;
+
+/// <summary>
+/// Writes the Chrome Trace Event JSON format, as read by chrome://tracing, Perfetto and most trace tooling.
+/// Based on https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+/// Tracks map to (pid, tid) pairs: process tracks to thread 0 of their process, thread tracks to their
+/// own pid and tid, and named tracks to a thread of their parent's process with a tid of their own.
+/// Counter tracks become counters of their parent's process.
+/// Events are streamed to the output as they are written.
+/// </summary>
+public class ChromeTraceWriter : ITraceWriter
+{
+    // Utf8JsonWriter buffers everything until flushed, so flush whenever this much is pending
+    private const int FlushThreshold = 64 * 1024;
+
+    // Flow events only connect when their name and category match
+    private const string FlowName = "flow";
+    private const string FlowCategory = "flow";
+
+    private readonly Utf8JsonWriter _json;
+    private readonly Dictionary<ulong, (uint pid, long tid)> _tracks = new();
+    private readonly Dictionary<ulong, (uint pid, string name)> _counters = new();
+    private bool _finished;
+
+    public ChromeTraceWriter(Stream output)
+    {
+        _json = new Utf8JsonWriter(output);
+        _json.WriteStartObject();
+        _json.WriteString("displayTimeUnit", "ns");
+        _json.WriteStartArray("traceEvents");
+    }
+
+    public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name)
+    {
+        _tracks[uuid] = (pid, 0);
+        WriteMetadata("process_name", pid, 0, name);
+        WriteMetadata("thread_name", pid, 0, name);
+    }
+
+    public void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name)
+    {
+        _tracks[uuid] = ((uint)pid, tid);
+        WriteMetadata("thread_name", (uint)pid, tid, name);
+    }
+
+    public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+    {
+        // Named tracks get a thread of their own; negative tids never clash with project instance IDs
+        uint pid = _tracks.TryGetValue(parentUuid, out var parent) ? parent.pid : 0;
+        long tid = -(long)uuid;
+        _tracks[uuid] = (pid, tid);
+        WriteMetadata("thread_name", pid, tid, name);
+    }
+
+    public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+    {
+        uint pid = _tracks.TryGetValue(parentUuid, out var parent) ? parent.pid : 0;
+        _counters[uuid] = (pid, name);
+    }
+
+    public void WriteCounterValue(ulong trackUuid, long timestampNs, long value)
+    {
+        if (!_counters.TryGetValue(trackUuid, out var counter))
+            return;
+
+        _json.WriteStartObject();
+        _json.WriteString("name", counter.name);
+        _json.WriteString("ph", "C");
+        _json.WriteNumber("ts", timestampNs / 1000.0);
+        _json.WriteNumber("pid", counter.pid);
+        _json.WriteStartObject("args");
+        _json.WriteNumber("value", value);
+        _json.WriteEndObject();
+        _json.WriteEndObject();
+        FlushIfNeeded();
+    }
+
+    public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null)
+    {
+        WriteEvent(trackUuid, timestampNs, "B", name, category, args);
+        if (flowId.HasValue)
+            WriteFlowEvent(trackUuid, timestampNs, "s", flowId.Value);
+    }
+
+    // Arguments of an end event are merged into those of its begin event
+    public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null)
+    {
+        WriteEvent(trackUuid, timestampNs, "E", null, null, args);
+    }
+
+    public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null)
+    {
+        WriteEvent(trackUuid, timestampNs, "B", name, category, args);
+        WriteFlowEvent(trackUuid, timestampNs, "f", terminatingFlowId);
+    }
+
+    public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null)
+    {
+        WriteEvent(trackUuid, timestampNs, "i", name, category, args, instantScope: "t");
+    }
+
+    public void Finish()
+    {
+        if (_finished) return;
+        _finished = true;
+
+        _json.WriteEndArray();
+        _json.WriteEndObject();
+        _json.Flush();
+    }
+
+    private (uint pid, long tid) GetThread(ulong trackUuid)
+        => _tracks.TryGetValue(trackUuid, out var thread) ? thread : (0, 0);
+
+    private void WriteMetadata(string name, uint pid, long tid, string value)
+    {
+        _json.WriteStartObject();
+        _json.WriteString("name", name);
+        _json.WriteString("ph", "M");
+        _json.WriteNumber("pid", pid);
+        _json.WriteNumber("tid", tid);
+        _json.WriteStartObject("args");
+        _json.WriteString("name", value);
+        _json.WriteEndObject();
+        _json.WriteEndObject();
+        FlushIfNeeded();
+    }
+
+    private void WriteEvent(ulong trackUuid, long timestampNs, string phase, string? name, string? category, IReadOnlyList<TraceArg>? args, string? instantScope = null)
+    {
+        var (pid, tid) = GetThread(trackUuid);
+
+        _json.WriteStartObject();
+        if (name != null)
+            _json.WriteString("name", name);
+        if (category != null)
+            _json.WriteString("cat", category);
+        _json.WriteString("ph", phase);
+        _json.WriteNumber("ts", timestampNs / 1000.0);
+        _json.WriteNumber("pid", pid);
+        _json.WriteNumber("tid", tid);
+        if (instantScope != null)
+            _json.WriteString("s", instantScope);
+        if (args is { Count: > 0 })
+        {
+            _json.WriteStartObject("args");
+            foreach (var arg in args)
+            {
+                if (arg.IsNumber)
+                    _json.WriteNumber(arg.Name, arg.Number);
+                else
+                    _json.WriteString(arg.Name, arg.Text);
+            }
+            _json.WriteEndObject();
+        }
+        _json.WriteEndObject();
+        FlushIfNeeded();
+    }
+
+    // Flow steps bind to the slice that encloses them on the same thread at the same timestamp
+    private void WriteFlowEvent(ulong trackUuid, long timestampNs, string phase, ulong flowId)
+    {
+        var (pid, tid) = GetThread(trackUuid);
+
+        _json.WriteStartObject();
+        _json.WriteString("name", FlowName);
+        _json.WriteString("cat", FlowCategory);
+        _json.WriteString("ph", phase);
+        _json.WriteNumber("id", flowId);
+        _json.WriteNumber("ts", timestampNs / 1000.0);
+        _json.WriteNumber("pid", pid);
+        _json.WriteNumber("tid", tid);
+        if (phase == "f")
+            _json.WriteString("bp", "e");
+        _json.WriteEndObject();
+        FlushIfNeeded();
+    }
+
+    private void FlushIfNeeded()
+    {
+        if (_json.BytesPending >= FlushThreshold)
+            _json.Flush();
+    }
+}
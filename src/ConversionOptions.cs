@@ -0,0 +1,166 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Text;
+using System.Text.Json;
+
+/// <summary>
+/// What a conversion writes, read from the versioned options object the page and the CLI send:
+/// <c>{ "version": 1, "format": "perfetto", "include": { "projects": true, ... }, "filters": {...}, "split": {...} }</c>.
+/// Switches left out of <c>include</c> take their defaults, and <c>filters</c> and <c>split</c> may be left out.
+/// Unknown properties and versions newer than <see cref="CurrentVersion"/> are rejected, so a caller that
+/// disagrees with the converter about the options fails instead of converting with the wrong ones.
+/// </summary>
+public sealed class ConversionOptions
+{
+    /// <summary>
+    /// Version of the options object this converter reads. Raised when a change would make
+    /// older callers convert differently than they expect; adding a switch with a default does not.
+    /// </summary>
+    public const int CurrentVersion = 1;
+
+    public static IReadOnlyList<string> Formats { get; } = ["perfetto", "chrome", "speedscope"];
+
+    /// <summary>
+    /// The <c>include</c> switches with their defaults, which match the page's checkboxes.
+    /// </summary>
+    public static IReadOnlyList<(string Name, bool Default)> IncludeSwitches { get; } =
+    [
+        ("projects", true),
+        ("targets", true),
+        ("tasks", true),
+        ("messages", false),
+        ("warnings", false),
+        ("errors", false),
+        ("evaluation", false),
+        ("criticalPath", true),
+        ("annotations", false),
+        ("counters", false),
+        ("utilization", false),
+    ];
+
+    private readonly Dictionary<string, bool> _include = new(StringComparer.Ordinal);
+
+    private ConversionOptions(string format)
+    {
+        Format = format;
+        foreach (var (name, enabled) in IncludeSwitches)
+            _include[name] = enabled;
+    }
+
+    public string Format { get; }
+    public TraceFilter Filter { get; private set; } = TraceFilter.None;
+    public TraceSplit Split { get; private set; } = TraceSplit.None;
+
+    public bool IncludeProjects => _include["projects"];
+    public bool IncludeTargets => _include["targets"];
+    public bool IncludeTasks => _include["tasks"];
+    public bool IncludeMessages => _include["messages"];
+    public bool IncludeWarnings => _include["warnings"];
+    public bool IncludeErrors => _include["errors"];
+    public bool IncludeEvaluation => _include["evaluation"];
+    public bool IncludeCriticalPath => _include["criticalPath"];
+    public bool IncludeAnnotations => _include["annotations"];
+    public bool IncludeCounters => _include["counters"];
+    public bool IncludeUtilization => _include["utilization"];
+
+    /// <summary>
+    /// Reads the options object. Throws <see cref="ArgumentException"/> when it is not one this converter understands.
+    /// </summary>
+    public static ConversionOptions Parse(string json)
+    {
+        using var document = JsonDocument.Parse(json);
+        var root = document.RootElement;
+        if (root.ValueKind != JsonValueKind.Object)
+            throw new ArgumentException("Options must be a JSON object.");
+
+        if (!root.TryGetProperty("version", out var version) || !version.TryGetInt32(out var versionNumber))
+            throw new ArgumentException("Options need a 'version'.");
+        if (versionNumber < 1 || versionNumber > CurrentVersion)
+            throw new ArgumentException($"Options version {versionNumber} is not supported; this converter reads version {CurrentVersion}.");
+
+        var format = root.TryGetProperty("format", out var formatValue) && formatValue.ValueKind == JsonValueKind.String
+            ? formatValue.GetString()!
+            : throw new ArgumentException("Options need a 'format'.");
+        if (!((IList<string>)Formats).Contains(format))
+            throw new ArgumentException($"Unknown trace format: {format}");
+
+        var options = new ConversionOptions(format);
+        foreach (var property in root.EnumerateObject())
+        {
+            switch (property.Name)
+            {
+                case "version":
+                case "format":
+                    break;
+                case "include":
+                    options.ReadInclude(property.Value);
+                    break;
+                case "filters":
+                    options.Filter = TraceFilter.Parse(GetObjectText(property));
+                    break;
+                case "split":
+                    options.Split = TraceSplit.Parse(GetObjectText(property));
+                    break;
+                default:
+                    throw new ArgumentException($"Unknown option: {property.Name}");
+            }
+        }
+        if (options.Split.By != TraceSplit.Mode.None && format != "perfetto")
+            throw new ArgumentException("Only Perfetto traces can be split.");
+        return options;
+    }
+
+    /// <summary>
+    /// Writes what the converter accepts, for the worker's handshake with the page:
+    /// <c>{ "optionsVersion", "formats": [], "include": { name: default } }</c>.
+    /// </summary>
+    public static void WriteCapabilities(Utf8JsonWriter json)
+    {
+        json.WriteStartObject();
+        json.WriteNumber("optionsVersion", CurrentVersion);
+        json.WriteStartArray("formats");
+        foreach (var format in Formats)
+            json.WriteStringValue(format);
+        json.WriteEndArray();
+        json.WriteStartObject("include");
+        foreach (var (name, enabled) in IncludeSwitches)
+            json.WriteBoolean(name, enabled);
+        json.WriteEndObject();
+        json.WriteEndObject();
+    }
+
+    public static string GetCapabilitiesJson()
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
+        {
+            WriteCapabilities(json);
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    private void ReadInclude(JsonElement include)
+    {
+        if (include.ValueKind != JsonValueKind.Object)
+            throw new ArgumentException("Option 'include' must be an object.");
+
+        foreach (var property in include.EnumerateObject())
+        {
+            if (!_include.ContainsKey(property.Name))
+                throw new ArgumentException($"Unknown include switch: {property.Name}");
+            if (property.Value.ValueKind is not (JsonValueKind.True or JsonValueKind.False))
+                throw new ArgumentException($"Include switch '{property.Name}' must be true or false.");
+            _include[property.Name] = property.Value.GetBoolean();
+        }
+    }
+
+    // Filters and split are read by their own parsers; null is the same as leaving them out
+    private static string? GetObjectText(JsonProperty property) => property.Value.ValueKind switch
+    {
+        JsonValueKind.Null => null,
+        JsonValueKind.Object => property.Value.GetRawText(),
+        _ => throw new ArgumentException($"Option '{property.Name}' must be an object or null."),
+    };
+}
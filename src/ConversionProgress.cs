@@ -0,0 +1,158 @@
+#nullable enable
+using System;
+using System.Diagnostics;
+using System.IO;
+using System.Text;
+using System.Text.Json;
+
+/// <summary>
+/// Counters and phase timings of a conversion, reported to the page while it runs and returned with its result.
+/// Reading the binlog, decompressing it and processing its records happen interleaved in one pass over the records,
+/// so their times are told apart: reads are timed by <see cref="TimedStream"/>, processing is timed on every
+/// <see cref="SampleInterval"/>th record (timing every record would cost more than many records do),
+/// and the rest of the pass is decompressing and decoding the records. The times include the pass or serialization
+/// still running, so that each report carries the shares of the phases so far.
+/// </summary>
+public sealed class ConversionProgress
+{
+    public const int SampleInterval = 64;
+
+    // Stopwatch timestamps of the pass and serialization running, 0 when none is
+    private long _passStart;
+    private long _serializeStart;
+    private long _readTicks;
+    private long _passTicks;
+    private long _processTicks;
+    private long _serializeTicks;
+
+    /// <summary>Index of the binlog being read, among <see cref="FileCount"/>.</summary>
+    public int FileIndex { get; set; }
+
+    public int FileCount { get; set; } = 1;
+
+    /// <summary>Compressed bytes of the current binlog read so far, out of <see cref="TotalBytes"/>.</summary>
+    public long BytesRead { get; set; }
+
+    public long TotalBytes { get; set; }
+
+    /// <summary>Records of the current binlog processed so far.</summary>
+    public int Records { get; set; }
+
+    /// <summary>Bytes of the trace handed to the page so far, while it is serialized.</summary>
+    public long BytesWritten { get; set; }
+
+    public TimeSpan ReadTime => Stopwatch.GetElapsedTime(0, _readTicks);
+
+    public TimeSpan ProcessTime => Stopwatch.GetElapsedTime(0, Math.Min(_processTicks, Math.Max(PassTicks - _readTicks, 0)));
+
+    public TimeSpan DecompressTime => Stopwatch.GetElapsedTime(0, Math.Max(PassTicks - _readTicks - _processTicks, 0));
+
+    public TimeSpan SerializeTime => Stopwatch.GetElapsedTime(0, _serializeTicks + Running(_serializeStart));
+
+    private long PassTicks => _passTicks + Running(_passStart);
+
+    private static long Running(long start) => start == 0 ? 0 : Stopwatch.GetTimestamp() - start;
+
+    public void AddReadTime(long ticks) => _readTicks += ticks;
+
+    public void BeginPass() => _passStart = Stopwatch.GetTimestamp();
+
+    public void EndPass()
+    {
+        _passTicks += Running(_passStart);
+        _passStart = 0;
+    }
+
+    /// <summary>
+    /// Starts timing the processing of a record if it is a sampled one.
+    /// Returns what to hand to <see cref="EndRecord"/> once the record was processed.
+    /// </summary>
+    public long BeginRecord(int recordNumber) => recordNumber % SampleInterval == 0 ? Stopwatch.GetTimestamp() : -1;
+
+    public void EndRecord(long recordStart)
+    {
+        if (recordStart >= 0)
+            _processTicks += (Stopwatch.GetTimestamp() - recordStart) * SampleInterval;
+    }
+
+    public void BeginSerialize() => _serializeStart = Stopwatch.GetTimestamp();
+
+    public void EndSerialize()
+    {
+        _serializeTicks += Running(_serializeStart);
+        _serializeStart = 0;
+    }
+
+    /// <summary>
+    /// Writes the phase timings: <c>{ "readMs", "decompressMs", "processMs", "serializeMs" }</c>.
+    /// </summary>
+    public void WriteTimings(Utf8JsonWriter json)
+    {
+        json.WriteStartObject();
+        json.WriteNumber("readMs", Math.Round(ReadTime.TotalMilliseconds, 1));
+        json.WriteNumber("decompressMs", Math.Round(DecompressTime.TotalMilliseconds, 1));
+        json.WriteNumber("processMs", Math.Round(ProcessTime.TotalMilliseconds, 1));
+        json.WriteNumber("serializeMs", Math.Round(SerializeTime.TotalMilliseconds, 1));
+        json.WriteEndObject();
+    }
+
+    /// <summary>
+    /// A progress report for the page (see progress.js):
+    /// <c>{ "phase", "message", "fileIndex", "fileCount", "bytesRead", "totalBytes", "records", "bytesWritten", "timings" }</c>.
+    /// The phase is <c>read</c> during the pass over the records, which reads, decompresses and processes them at once
+    /// (the timings tell their shares so far), then <c>serialize</c>, <c>compare</c> or <c>complete</c>.
+    /// </summary>
+    public string ToReportJson(string phase, string message)
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
+        {
+            json.WriteStartObject();
+            json.WriteString("phase", phase);
+            json.WriteString("message", message);
+            json.WriteNumber("fileIndex", FileIndex);
+            json.WriteNumber("fileCount", FileCount);
+            json.WriteNumber("bytesRead", BytesRead);
+            json.WriteNumber("totalBytes", TotalBytes);
+            json.WriteNumber("records", Records);
+            json.WriteNumber("bytesWritten", BytesWritten);
+            json.WritePropertyName("timings");
+            WriteTimings(json);
+            json.WriteEndObject();
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+}
+
+/// <summary>
+/// Read-only stream that passes reads through to another stream and adds the time they take
+/// to the read time of a <see cref="ConversionProgress"/>.
+/// </summary>
+public sealed class TimedStream(Stream inner, ConversionProgress progress) : Stream
+{
+    public override bool CanRead => true;
+    public override bool CanSeek => inner.CanSeek;
+    public override bool CanWrite => false;
+    public override long Length => inner.Length;
+
+    public override long Position
+    {
+        get => inner.Position;
+        set => inner.Position = value;
+    }
+
+    public override int Read(byte[] buffer, int offset, int count) => Read(buffer.AsSpan(offset, count));
+
+    public override int Read(Span<byte> buffer)
+    {
+        long start = Stopwatch.GetTimestamp();
+        int read = inner.Read(buffer);
+        progress.AddReadTime(Stopwatch.GetTimestamp() - start);
+        return read;
+    }
+
+    public override long Seek(long offset, SeekOrigin origin) => inner.Seek(offset, origin);
+    public override void Flush() { }
+    public override void SetLength(long value) => throw new NotSupportedException();
+    public override void Write(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+}
@@ -0,0 +1,223 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+
+/// <summary>
+/// Finds the critical path of a build: the chain of project, target and task work that set its
+/// wall-clock time. Projects are linked to the project that requested them (through the MSBuild task),
+/// and the path is walked backwards from the end of the last top-level project to finish: whenever
+/// a project was waiting for child projects, the path continues into the child that finished last.
+/// Events are fed in the order they appear in the binlog; timestamps are in nanoseconds.
+/// </summary>
+public class CriticalPathAnalyzer
+{
+    /// <summary>
+    /// One piece of the critical path. <see cref="Target"/> and <see cref="Task"/> are the innermost
+    /// target and task running in <see cref="Project"/> at the time, or null outside any.
+    /// </summary>
+    public sealed record Segment(string Project, string? Target, string? Task, long StartNs, long EndNs)
+    {
+        public long DurationNs => EndNs - StartNs;
+    }
+
+    private sealed class ProjectRun(string name, long startNs)
+    {
+        public string Name { get; } = name;
+        public long StartNs { get; } = startNs;
+        public long? EndNs { get; set; }
+        public List<ProjectRun> Children { get; } = new();
+        public List<string> Targets { get; } = new();
+        public List<string> Tasks { get; } = new();
+
+        // Innermost target and task from each timestamp on, in time order
+        public List<(long timestampNs, string? target, string? task)> Activity { get; } = new();
+
+        public void RecordActivity(long timestampNs)
+        {
+            Activity.Add((timestampNs, Targets.LastOrDefault(), Tasks.LastOrDefault()));
+        }
+    }
+
+    // Project runs by ProjectContextId - unique per request, unlike ProjectInstanceId
+    private readonly Dictionary<int, ProjectRun> _projects = new();
+    private readonly List<ProjectRun> _roots = new();
+    private long _lastEventNs;
+
+    public void ProjectStarted(int contextId, int parentContextId, string name, long timestampNs)
+    {
+        Observe(timestampNs);
+        var run = new ProjectRun(name, timestampNs);
+        _projects[contextId] = run;
+
+        if (_projects.TryGetValue(parentContextId, out var parent) && parent != run)
+            parent.Children.Add(run);
+        else
+            _roots.Add(run);
+
+        run.RecordActivity(timestampNs);
+    }
+
+    public void ProjectFinished(int contextId, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (_projects.TryGetValue(contextId, out var run))
+            run.EndNs = timestampNs;
+    }
+
+    public void TargetStarted(int contextId, string name, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (!_projects.TryGetValue(contextId, out var run)) return;
+        run.Targets.Add(name);
+        run.RecordActivity(timestampNs);
+    }
+
+    public void TargetFinished(int contextId, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (!_projects.TryGetValue(contextId, out var run) || run.Targets.Count == 0) return;
+        run.Targets.RemoveAt(run.Targets.Count - 1);
+        run.RecordActivity(timestampNs);
+    }
+
+    public void TaskStarted(int contextId, string name, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (!_projects.TryGetValue(contextId, out var run)) return;
+        run.Tasks.Add(name);
+        run.RecordActivity(timestampNs);
+    }
+
+    public void TaskFinished(int contextId, long timestampNs)
+    {
+        Observe(timestampNs);
+        if (!_projects.TryGetValue(contextId, out var run) || run.Tasks.Count == 0) return;
+        run.Tasks.RemoveAt(run.Tasks.Count - 1);
+        run.RecordActivity(timestampNs);
+    }
+
+    private void Observe(long timestampNs)
+    {
+        _lastEventNs = Math.Max(_lastEventNs, timestampNs);
+    }
+
+    // Projects still running when the log ends (cancelled or crashed builds) end with it
+    private long GetEnd(ProjectRun run) => run.EndNs ?? _lastEventNs;
+
+    /// <summary>
+    /// Computes the critical path, in time order, with adjacent pieces of the same work merged.
+    /// </summary>
+    public IReadOnlyList<Segment> Compute()
+    {
+        if (_roots.Count == 0)
+            return Array.Empty<Segment>();
+
+        var root = _roots.MaxBy(GetEnd)!;
+        var reversed = new List<Segment>();
+        Walk(root, reversed);
+        reversed.Reverse();
+
+        var path = new List<Segment>();
+        foreach (var segment in reversed)
+        {
+            if (path.Count > 0)
+            {
+                var last = path[^1];
+                if (last.EndNs == segment.StartNs && last.Project == segment.Project &&
+                    last.Target == segment.Target && last.Task == segment.Task)
+                {
+                    path[^1] = last with { EndNs = segment.EndNs };
+                    continue;
+                }
+            }
+            path.Add(segment);
+        }
+        return path;
+    }
+
+    // Appends the path through run to reversed, latest segment first
+    private void Walk(ProjectRun run, List<Segment> reversed)
+    {
+        var children = run.Children
+            .Where(c => c.StartNs >= run.StartNs)
+            .OrderByDescending(GetEnd)
+            .ToList();
+
+        long cursor = GetEnd(run);
+        int index = 0;
+        while (true)
+        {
+            // Children that were still running at the cursor ran alongside the path, not on it
+            while (index < children.Count && GetEnd(children[index]) > cursor)
+                index++;
+
+            if (index == children.Count)
+            {
+                AddOwnWork(run, run.StartNs, cursor, reversed);
+                return;
+            }
+
+            var child = children[index++];
+            AddOwnWork(run, GetEnd(child), cursor, reversed);
+            Walk(child, reversed);
+            cursor = child.StartNs;
+        }
+    }
+
+    // Appends the work run did itself between startNs and endNs, split by target and task, latest first
+    private static void AddOwnWork(ProjectRun run, long startNs, long endNs, List<Segment> reversed)
+    {
+        if (endNs <= startNs) return;
+
+        var activity = run.Activity;
+
+        // Last activity change at or before startNs
+        int lo = 0, hi = activity.Count - 1, first = 0;
+        while (lo <= hi)
+        {
+            int mid = (lo + hi) / 2;
+            if (activity[mid].timestampNs <= startNs)
+            {
+                first = mid;
+                lo = mid + 1;
+            }
+            else
+            {
+                hi = mid - 1;
+            }
+        }
+
+        var pieces = new List<Segment>();
+        for (int i = first; i < activity.Count && activity[i].timestampNs < endNs; i++)
+        {
+            long pieceStart = Math.Max(activity[i].timestampNs, startNs);
+            long pieceEnd = i + 1 < activity.Count ? Math.Min(activity[i + 1].timestampNs, endNs) : endNs;
+            if (pieceEnd > pieceStart)
+                pieces.Add(new Segment(run.Name, activity[i].target, activity[i].task, pieceStart, pieceEnd));
+        }
+
+        for (int i = pieces.Count - 1; i >= 0; i--)
+            reversed.Add(pieces[i]);
+    }
+
+    /// <summary>
+    /// Writes a critical path as a JSON array, with start times relative to <paramref name="originNs"/>.
+    /// </summary>
+    public static void WriteJson(Utf8JsonWriter json, IReadOnlyList<Segment> path, long originNs)
+    {
+        json.WriteStartArray();
+        foreach (var segment in path)
+        {
+            json.WriteStartObject();
+            json.WriteString("project", segment.Project);
+            json.WriteString("target", segment.Target);
+            json.WriteString("task", segment.Task);
+            json.WriteNumber("startNs", segment.StartNs - originNs);
+            json.WriteNumber("durationNs", segment.DurationNs);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+    }
+}
@@ -0,0 +1,84 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Text;
+using System.Text.Json;
+
+/// <summary>
+/// Collects the warnings and errors of a build, in the order they were logged, for the page's diagnostics panel.
+/// Only the first <see cref="MaxCount"/> are kept, so a build that logs a warning per file cannot bloat
+/// the conversion result; <see cref="TotalCount"/> counts them all.
+/// </summary>
+public class DiagnosticsCollector(int maxCount = DiagnosticsCollector.DefaultMaxCount)
+{
+    public const int DefaultMaxCount = 10_000;
+
+    public enum Severity
+    {
+        Warning,
+        Error,
+    }
+
+    /// <summary>
+    /// One warning or error. <see cref="Line"/> and <see cref="Column"/> are 0 when not logged.
+    /// </summary>
+    public sealed record Diagnostic(
+        Severity Severity,
+        string? Code,
+        string? Message,
+        string? File,
+        int Line,
+        int Column,
+        string? ProjectFile);
+
+    private readonly List<Diagnostic> _items = new();
+
+    public int MaxCount { get; } = maxCount;
+
+    public IReadOnlyList<Diagnostic> Items => _items;
+
+    public int TotalCount { get; private set; }
+
+    public void Add(Diagnostic diagnostic)
+    {
+        TotalCount++;
+        if (_items.Count < MaxCount)
+            _items.Add(diagnostic);
+    }
+
+    /// <summary>
+    /// Serializes the diagnostics:
+    /// <c>{ "totalCount", "items": [{ "severity": "warning" | "error", "code", "message", "file", "line", "column", "projectFile" }] }</c>.
+    /// </summary>
+    public void WriteJson(Utf8JsonWriter json)
+    {
+        json.WriteStartObject();
+        json.WriteNumber("totalCount", TotalCount);
+        json.WriteStartArray("items");
+        foreach (var item in _items)
+        {
+            json.WriteStartObject();
+            json.WriteString("severity", item.Severity == Severity.Error ? "error" : "warning");
+            json.WriteString("code", item.Code);
+            json.WriteString("message", item.Message);
+            json.WriteString("file", item.File);
+            json.WriteNumber("line", item.Line);
+            json.WriteNumber("column", item.Column);
+            json.WriteString("projectFile", item.ProjectFile);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+        json.WriteEndObject();
+    }
+
+    public string ToJson()
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
+        {
+            WriteJson(json);
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+}
@@ -0,0 +1,133 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.IO.Compression;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+/// <summary>
+/// The project and import files embedded in binlogs, read from their project import archives (zip files
+/// written into the log), and the targets defined in them.
+/// Paths are archive entry names with forward slashes, e.g. <c>C/src/App/App.csproj</c> for
+/// <c>C:\src\App\App.csproj</c> (see <see cref="NormalizePath"/>).
+/// </summary>
+public class EmbeddedFiles
+{
+    public sealed record SourceFile(string Path, string Text);
+
+    public sealed record TargetDefinition(string Name, string Path, int Line);
+
+    // Comments are matched too, so that commented-out targets can be skipped
+    private static readonly Regex TargetOrComment = new(
+        @"<!--.*?-->|<Target\b[^>]*?\sName\s*=\s*(?:""(?<name>[^""]*)""|'(?<name>[^']*)')",
+        RegexOptions.Singleline | RegexOptions.CultureInvariant);
+
+    private readonly List<SourceFile> _files = new();
+    private readonly List<TargetDefinition> _targets = new();
+    private readonly HashSet<string> _paths = new(StringComparer.OrdinalIgnoreCase);
+
+    public IReadOnlyList<SourceFile> Files => _files;
+
+    /// <summary>
+    /// Targets defined in the MSBuild files, in file order. A target defined in several files is listed once per file.
+    /// </summary>
+    public IReadOnlyList<TargetDefinition> Targets => _targets;
+
+    /// <summary>
+    /// Adds the files of a project import archive. A file that was already added from another archive is skipped.
+    /// </summary>
+    public void AddArchive(byte[] archive)
+    {
+        using var zip = new ZipArchive(new MemoryStream(archive), ZipArchiveMode.Read);
+        foreach (var entry in zip.Entries)
+        {
+            // Directory entries have no name
+            if (entry.Name.Length == 0) continue;
+
+            var path = NormalizePath(entry.FullName);
+            if (!_paths.Add(path)) continue;
+
+            string text;
+            using (var reader = new StreamReader(entry.Open(), Encoding.UTF8, detectEncodingFromByteOrderMarks: true))
+            {
+                text = reader.ReadToEnd();
+            }
+
+            _files.Add(new SourceFile(path, text));
+            if (IsMSBuildFile(path))
+                AddTargets(path, text);
+        }
+    }
+
+    /// <summary>
+    /// Turns a file path, as logged in build events or stored in the archive, into the path of its embedded file:
+    /// forward slashes, no drive colon and no leading slash.
+    /// </summary>
+    public static string NormalizePath(string path) => path.Replace('\\', '/').Replace(":", "").TrimStart('/');
+
+    // Project files (.csproj, .vbproj, .proj, ...) and imports
+    private static bool IsMSBuildFile(string path) =>
+        path.EndsWith("proj", StringComparison.OrdinalIgnoreCase) ||
+        path.EndsWith(".props", StringComparison.OrdinalIgnoreCase) ||
+        path.EndsWith(".targets", StringComparison.OrdinalIgnoreCase);
+
+    private void AddTargets(string path, string text)
+    {
+        int line = 1;
+        int lineCountedTo = 0;
+        foreach (Match match in TargetOrComment.Matches(text))
+        {
+            var name = match.Groups["name"];
+            if (!name.Success) continue;
+
+            for (; lineCountedTo < match.Index; lineCountedTo++)
+            {
+                if (text[lineCountedTo] == '\n') line++;
+            }
+            _targets.Add(new TargetDefinition(name.Value.Trim(), path, line));
+        }
+    }
+
+    /// <summary>
+    /// Serializes the files and target definitions:
+    /// <c>{ "files": [{ "path", "text" }], "targets": [{ "name", "path", "line" }] }</c>.
+    /// </summary>
+    public void WriteJson(Utf8JsonWriter json)
+    {
+        json.WriteStartObject();
+        json.WriteStartArray("files");
+        foreach (var file in _files)
+        {
+            json.WriteStartObject();
+            json.WriteString("path", file.Path);
+            json.WriteString("text", file.Text);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+        json.WriteStartArray("targets");
+        foreach (var target in _targets)
+        {
+            json.WriteStartObject();
+            json.WriteString("name", target.Name);
+            json.WriteString("path", target.Path);
+            json.WriteNumber("line", target.Line);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+        json.WriteEndObject();
+    }
+
+    public string ToJson()
+    {
+        using var stream = new MemoryStream();
+        // Only ever read by JSON.parse, so markup characters need no escaping - it would bloat XML a lot
+        using (var json = new Utf8JsonWriter(stream, new JsonWriterOptions { Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping }))
+        {
+            WriteJson(json);
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+}
@@ -0,0 +1,293 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+/// <summary>
+/// Evaluation profiles of a build, recorded in the binlog when it was built with evaluation profiling on
+/// (<c>-profileevaluation</c>): the time of each evaluation pass, and of each element, condition and glob,
+/// per project evaluation. Aggregates them over all evaluations to rank the imports, globs and files
+/// that cost the most, and lays out the passes of one evaluation as slices for the trace.
+/// </summary>
+public sealed class EvaluationProfile
+{
+    public enum LocationKind
+    {
+        Element,
+        Condition,
+        Glob,
+    }
+
+    /// <summary>
+    /// One profiled location of an evaluation, with the values of MSBuild's EvaluationLocation and ProfiledLocation.
+    /// <see cref="Pass"/> is the name of its EvaluationPass. A pass itself is a location without a file or element.
+    /// </summary>
+    public sealed record Location(
+        long Id,
+        long? ParentId,
+        string Pass,
+        string? File,
+        int? Line,
+        string? ElementName,
+        string? Description,
+        LocationKind Kind,
+        long InclusiveNs,
+        long ExclusiveNs,
+        int Hits);
+
+    /// <summary>
+    /// A slice under an evaluation: a pass (depth 1) or an import or glob of that pass (depth 2).
+    /// </summary>
+    public sealed record Slice(int Depth, string Name, string Category, long StartNs, long EndNs, Location Location);
+
+    /// <summary>
+    /// Total time of one import, glob or file over every evaluation it appeared in.
+    /// A file only has exclusive time: the sum over the elements, conditions and globs in it.
+    /// </summary>
+    public sealed class Aggregate(string kind, string name, string? file, int? line)
+    {
+        public string Kind { get; } = kind;
+        public string Name { get; } = name;
+        public string? File { get; } = file;
+        public int? Line { get; } = line;
+        public int Count { get; set; }
+        public int Hits { get; set; }
+        public long InclusiveNs { get; set; }
+        public long ExclusiveNs { get; set; }
+    }
+
+    // The passes in the order an evaluation runs them, with the names shown for them.
+    // TotalEvaluation is the evaluation itself, and TotalGlobbing spans the item passes.
+    private static readonly (string Pass, string Name)[] Passes =
+    [
+        ("InitialProperties", "Initial properties"),
+        ("Properties", "Properties and imports"),
+        ("ItemDefinitionGroups", "Item definitions"),
+        ("Items", "Items"),
+        ("LazyItems", "Lazy items"),
+        ("UsingTasks", "Using tasks"),
+        ("Targets", "Targets"),
+    ];
+
+    private const string TotalGlobbingPass = "TotalGlobbing";
+
+    private static readonly Regex ImportProject = new(@"\bProject\s*=\s*""([^""]*)""", RegexOptions.CultureInvariant);
+
+    private readonly Dictionary<string, long> _passes = new();
+    private readonly Dictionary<(string kind, string name, string? file, int? line), Aggregate> _locations = new();
+    private readonly Dictionary<string, Aggregate> _files = new(StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Evaluations with a profile added so far.
+    /// </summary>
+    public int EvaluationCount { get; private set; }
+
+    public IEnumerable<Aggregate> Locations => _locations.Values;
+    public IEnumerable<Aggregate> Files => _files.Values;
+
+    /// <summary>
+    /// Total time of a pass over all evaluations, by its EvaluationPass name.
+    /// </summary>
+    public long GetPassNs(string pass) => _passes.GetValueOrDefault(pass);
+
+    /// <summary>
+    /// Adds the profile of one evaluation.
+    /// </summary>
+    public void Add(IReadOnlyCollection<Location> locations)
+    {
+        if (locations.Count == 0) return;
+        EvaluationCount++;
+
+        var byId = ById(locations);
+        var seen = new HashSet<Aggregate>();
+        foreach (var location in locations)
+        {
+            if (IsPass(location))
+            {
+                _passes[location.Pass] = GetPassNs(location.Pass) + location.InclusiveNs;
+                continue;
+            }
+
+            if (location.File != null)
+            {
+                if (!_files.TryGetValue(location.File, out var file))
+                {
+                    file = new Aggregate("file", location.File, location.File, null);
+                    _files[location.File] = file;
+                }
+                // Exclusive times add up without counting nested elements twice
+                file.ExclusiveNs += location.ExclusiveNs;
+                file.Hits += location.Hits;
+                if (seen.Add(file)) file.Count++;
+            }
+
+            // Nested imports are part of the import that brought them in, so only the outermost ones are ranked
+            bool isImport = IsImport(location) && !HasImportParent(location, byId);
+            if (!isImport && location.Kind != LocationKind.Glob) continue;
+
+            var kind = isImport ? "import" : "glob";
+            var name = isImport ? GetImportedProject(location) : location.Description ?? "Glob";
+            var key = (kind, name, location.File, location.Line);
+            if (!_locations.TryGetValue(key, out var aggregate))
+            {
+                aggregate = new Aggregate(kind, name, location.File, location.Line);
+                _locations[key] = aggregate;
+            }
+            aggregate.InclusiveNs += location.InclusiveNs;
+            aggregate.ExclusiveNs += location.ExclusiveNs;
+            aggregate.Hits += location.Hits;
+            if (seen.Add(aggregate)) aggregate.Count++;
+        }
+    }
+
+    /// <summary>
+    /// Lays out the passes of one evaluation, with the <paramref name="topCount"/> slowest imports and globs
+    /// of each, as slices between the start and end of the evaluation. The profile only has durations,
+    /// so the passes are placed one after another from the start in the order they run, and the imports
+    /// and globs of a pass one after another from its start; nothing runs past the end of the evaluation.
+    /// </summary>
+    public static IReadOnlyList<Slice> GetSlices(IReadOnlyCollection<Location> locations, long startNs, long endNs, int topCount)
+    {
+        var slices = new List<Slice>();
+        var byId = ById(locations);
+        long passStartNs = startNs;
+
+        foreach (var (pass, passName) in Passes)
+        {
+            var passLocation = locations.FirstOrDefault(l => l.Pass == pass && IsPass(l));
+            if (passLocation == null || passLocation.InclusiveNs <= 0 || passStartNs >= endNs) continue;
+
+            long passEndNs = Math.Min(passStartNs + passLocation.InclusiveNs, endNs);
+            slices.Add(new Slice(1, passName, "evaluation", passStartNs, passEndNs, passLocation));
+
+            var top = locations
+                .Where(l => l.Pass == pass && l.InclusiveNs > 0
+                    && (l.Kind == LocationKind.Glob || (IsImport(l) && !HasImportParent(l, byId))))
+                .OrderByDescending(l => l.InclusiveNs)
+                .Take(topCount)
+                .OrderBy(l => l.Id);
+
+            long childStartNs = passStartNs;
+            foreach (var location in top)
+            {
+                if (childStartNs >= passEndNs) break;
+                long childEndNs = Math.Min(childStartNs + location.InclusiveNs, passEndNs);
+                var name = location.Kind == LocationKind.Glob
+                    ? $"Glob {location.Description}"
+                    : $"Import {GetFileName(GetImportedProject(location))}";
+                slices.Add(new Slice(2, name, location.Kind == LocationKind.Glob ? "glob" : "import", childStartNs, childEndNs, location));
+                childStartNs = childEndNs;
+            }
+
+            passStartNs = passEndNs;
+        }
+
+        return slices;
+    }
+
+    /// <summary>
+    /// Writes the profile as a JSON object: the evaluation count, the total time of each pass, and the
+    /// <paramref name="topCount"/> slowest files (by the exclusive time of their elements) and imports and globs:
+    /// <c>{ "evaluationCount", "passes": [{ "name", "inclusiveNs" }], "files": [...], "locations": [...] }</c>.
+    /// </summary>
+    public void WriteJson(Utf8JsonWriter json, int topCount)
+    {
+        json.WriteStartObject();
+        json.WriteNumber("evaluationCount", EvaluationCount);
+
+        json.WriteStartArray("passes");
+        foreach (var (pass, name) in Passes.Append((TotalGlobbingPass, "Globbing")))
+        {
+            if (!_passes.TryGetValue(pass, out var ns)) continue;
+            json.WriteStartObject();
+            json.WriteString("name", name);
+            json.WriteNumber("inclusiveNs", ns);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+
+        WriteAggregates(json, "files", _files.Values.OrderByDescending(a => a.ExclusiveNs).Take(topCount));
+        WriteAggregates(json, "locations", _locations.Values.OrderByDescending(a => a.InclusiveNs).Take(topCount)
+            .Union(_locations.Values.OrderByDescending(a => a.ExclusiveNs).Take(topCount))
+            .OrderByDescending(a => a.InclusiveNs));
+
+        json.WriteEndObject();
+    }
+
+    public string ToJson(int topCount)
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
+        {
+            WriteJson(json, topCount);
+        }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
+
+    private static void WriteAggregates(Utf8JsonWriter json, string propertyName, IEnumerable<Aggregate> aggregates)
+    {
+        json.WriteStartArray(propertyName);
+        foreach (var aggregate in aggregates)
+        {
+            json.WriteStartObject();
+            json.WriteString("kind", aggregate.Kind);
+            json.WriteString("name", aggregate.Name);
+            json.WriteString("file", aggregate.File);
+            if (aggregate.Line.HasValue)
+                json.WriteNumber("line", aggregate.Line.Value);
+            else
+                json.WriteNull("line");
+            json.WriteNumber("count", aggregate.Count);
+            json.WriteNumber("hits", aggregate.Hits);
+            json.WriteNumber("inclusiveNs", aggregate.InclusiveNs);
+            json.WriteNumber("exclusiveNs", aggregate.ExclusiveNs);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+    }
+
+    private static Dictionary<long, Location> ById(IReadOnlyCollection<Location> locations)
+    {
+        var byId = new Dictionary<long, Location>(locations.Count);
+        foreach (var location in locations)
+            byId.TryAdd(location.Id, location);
+        return byId;
+    }
+
+    private static bool IsPass(Location location)
+        => location.File == null && location.ElementName == null;
+
+    private static bool IsImport(Location location)
+        => location.Kind == LocationKind.Element && location.ElementName == "Import";
+
+    private static bool HasImportParent(Location location, Dictionary<long, Location> byId)
+    {
+        // Bounded by the number of locations, in case of a cycle in a malformed profile
+        var parentId = location.ParentId;
+        for (int i = 0; parentId.HasValue && i < byId.Count; i++)
+        {
+            if (!byId.TryGetValue(parentId.Value, out var parent)) return false;
+            if (IsImport(parent)) return true;
+            parentId = parent.ParentId;
+        }
+        return false;
+    }
+
+    // The Project attribute of an Import element, as written in the project (properties not expanded)
+    private static string GetImportedProject(Location location)
+    {
+        var match = ImportProject.Match(location.Description ?? "");
+        return match.Success ? match.Groups[1].Value : location.Description ?? "Import";
+    }
+
+    // Binlogs from Windows keep backslashes, which Path only treats as separators on Windows
+    private static string GetFileName(string path)
+    {
+        int separator = path.LastIndexOfAny(['/', '\\']);
+        return separator >= 0 ? path[(separator + 1)..] : path;
+    }
+}
@@ -0,0 +1,366 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+/// <summary>
+/// Applies the time filters of a <see cref="TraceFilter"/> in front of another writer: drops slices shorter than
+/// the minimum duration, with everything inside them, and clips the trace to the time window.
+/// A slice's duration is only known when it ends, so a slice and everything written inside it are held back
+/// until it has lasted long enough or ends; held-back events reach the inner writer in their original order.
+/// Slices that started before the window begin at its start, slices still open at its end end there,
+/// and instants outside the window are dropped. Counters enter the window with the value they had at its start.
+/// A flow is only written when both of its slices are; a slice whose flow is not yet decided is held back
+/// like a short one, and the other slice is written without the flow when one is dropped. A slice that ends,
+/// or is still open at the end, before the other slice of its flow was seen is written without the flow, which
+/// is how flows to slices left out by the project, target and task filters are dropped.
+/// </summary>
+public class FilteringTraceWriter : ITraceWriter
+{
+    private sealed class Frame(ulong trackUuid, string name, string category, ulong? flowId, ulong? terminatingFlowId, IReadOnlyList<TraceArg>? args)
+    {
+        public ulong TrackUuid { get; } = trackUuid;
+        public string Name { get; } = name;
+        public string Category { get; } = category;
+        public ulong? FlowId { get; } = flowId;
+        public ulong? TerminatingFlowId { get; } = terminatingFlowId;
+        public IReadOnlyList<TraceArg>? Args { get; } = args;
+        public long StartNs { get; set; }
+
+        // Left out together with everything inside it
+        public bool Dropped { get; set; }
+
+        // False while the slice started before the window and nothing inside the window happened yet
+        public bool Begun { get; set; }
+
+        // True while the slice has not lasted the minimum duration yet
+        public bool Short { get; set; }
+
+        // The flow the slice starts or ends, if any
+        public FlowLink? Flow { get; set; }
+
+        // Events held back until the slice is known to be long enough and its flow is decided; null once both are
+        public List<Action<ITraceWriter>>? Held { get; set; }
+    }
+
+    // The two slices of a flow; Written is null until it is known whether both of them are written
+    private sealed class FlowLink
+    {
+        public Frame? Start { get; set; }
+        public Frame? End { get; set; }
+        public bool? Written { get; set; }
+    }
+
+    private readonly ITraceWriter _inner;
+    private readonly TraceFilter _filter;
+    private readonly Dictionary<ulong, List<Frame>> _openFrames = new();
+
+    // Flows whose start has been seen, until both slices are seen and the flow is decided
+    private readonly Dictionary<ulong, FlowLink> _flows = new();
+
+    // Last value of each counter before the window, written at its start
+    private readonly Dictionary<ulong, long> _countersBeforeWindow = new();
+
+    public FilteringTraceWriter(ITraceWriter inner, TraceFilter filter)
+    {
+        _inner = inner;
+        _filter = filter;
+    }
+
+    public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name)
+        => _inner.WriteProcessTrackDescriptor(uuid, pid, name);
+
+    public void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name)
+        => _inner.WriteThreadTrackDescriptor(uuid, parentUuid, pid, tid, name);
+
+    public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+        => _inner.WriteTrackDescriptor(uuid, parentUuid, name);
+
+    public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null)
+        => BeginFrame(trackUuid, timestampNs, new Frame(trackUuid, name, category, flowId, null, args));
+
+    public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null)
+        => BeginFrame(trackUuid, timestampNs, new Frame(trackUuid, name, category, null, terminatingFlowId, args));
+
+    public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null)
+    {
+        var frames = GetOpenFrames(trackUuid);
+        if (frames.Count == 0)
+        {
+            // Nothing to match it with here, so let the inner writer deal with it
+            _inner.WriteSliceEnd(trackUuid, timestampNs, args);
+            return;
+        }
+
+        Advance(trackUuid, frames, timestampNs);
+
+        var frame = frames[^1];
+        if (IsKept(frame))
+            SettleFlow(frame, timestampNs);
+        else
+            DropFlow(frame);
+        frames.RemoveAt(frames.Count - 1);
+
+        // Dropped, ended before the window, or too short
+        if (!IsKept(frame))
+            return;
+
+        long endNs = _filter.EndNs is long windowEnd ? Math.Min(timestampNs, windowEnd) : timestampNs;
+        Emit(trackUuid, frames, writer => writer.WriteSliceEnd(trackUuid, endNs, args));
+    }
+
+    public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null)
+    {
+        var frames = GetOpenFrames(trackUuid);
+        Advance(trackUuid, frames, timestampNs);
+
+        if (!IsInWindow(timestampNs) || (frames.Count > 0 && frames[^1].Dropped))
+            return;
+
+        Emit(trackUuid, frames, writer => writer.WriteInstantEvent(trackUuid, timestampNs, name, category, args));
+    }
+
+    public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+        => _inner.WriteCounterTrackDescriptor(uuid, parentUuid, name);
+
+    public void WriteCounterValue(ulong trackUuid, long timestampNs, long value)
+    {
+        if (timestampNs > _filter.EndNs)
+            return;
+
+        if (_filter.StartNs is long windowStart)
+        {
+            if (timestampNs < windowStart)
+            {
+                _countersBeforeWindow[trackUuid] = value;
+                return;
+            }
+            if (_countersBeforeWindow.Remove(trackUuid, out var startValue) && timestampNs > windowStart)
+                _inner.WriteCounterValue(trackUuid, windowStart, startValue);
+        }
+
+        _inner.WriteCounterValue(trackUuid, timestampNs, value);
+    }
+
+    public void Finish()
+    {
+        // Counters that did not change inside the window still hold their value there
+        foreach (var (trackUuid, value) in _countersBeforeWindow)
+            _inner.WriteCounterValue(trackUuid, _filter.StartNs!.Value, value);
+
+        // Slices that never ended are kept, since their duration is unknown, and so are the flows between them
+        var open = _openFrames.Values.SelectMany(frames => frames).ToList();
+        foreach (var frame in open)
+            frame.Short = false;
+        foreach (var frame in open)
+        {
+            if (IsKept(frame) && frame.Flow is { Written: null } flow)
+                flow.Written = GetOtherSlice(frame) is { } other && IsKept(other);
+        }
+
+        foreach (var (trackUuid, frames) in _openFrames)
+        {
+            for (int i = 0; i < frames.Count; i++)
+            {
+                if (frames[i].Held != null)
+                    Keep(trackUuid, frames, i);
+            }
+        }
+
+        _inner.Finish();
+    }
+
+    private List<Frame> GetOpenFrames(ulong trackUuid)
+    {
+        if (!_openFrames.TryGetValue(trackUuid, out var frames))
+        {
+            frames = new List<Frame>();
+            _openFrames[trackUuid] = frames;
+        }
+        return frames;
+    }
+
+    private bool IsInWindow(long timestampNs)
+        => !(timestampNs < _filter.StartNs) && !(timestampNs > _filter.EndNs);
+
+    // Begun inside the window and long enough so far: the slice is written, once its flow is decided
+    private static bool IsKept(Frame frame) => frame.Begun && !frame.Dropped && !frame.Short;
+
+    private void BeginFrame(ulong trackUuid, long timestampNs, Frame frame)
+    {
+        var frames = GetOpenFrames(trackUuid);
+        Advance(trackUuid, frames, timestampNs);
+
+        frame.StartNs = timestampNs;
+        frame.Dropped = (frames.Count > 0 && frames[^1].Dropped) || timestampNs > _filter.EndNs;
+        frames.Add(frame);
+        LinkFlow(frame);
+
+        // Slices that start before the window are begun when something inside the window happens
+        if (frame.Dropped)
+            DropFlow(frame);
+        else if (!(timestampNs < _filter.StartNs))
+            Begin(trackUuid, frames, frames.Count - 1, timestampNs);
+    }
+
+    private void Begin(ulong trackUuid, List<Frame> frames, int index, long timestampNs)
+    {
+        var frame = frames[index];
+        frame.Begun = true;
+        frame.Short = _filter.MinDurationNs > 0;
+
+        // Written once the flow is decided, so whether it is written with the flow is known by then
+        long startNs = frame.StartNs;
+        Action<ITraceWriter> begin = writer =>
+        {
+            bool withFlow = frame.Flow?.Written == true;
+            if (withFlow && frame.TerminatingFlowId is ulong terminatingFlowId)
+                writer.WriteSliceBeginWithTerminatingFlow(trackUuid, startNs, frame.Name, frame.Category, terminatingFlowId, frame.Args);
+            else
+                writer.WriteSliceBegin(trackUuid, startNs, frame.Name, frame.Category, withFlow ? frame.FlowId : null, frame.Args);
+        };
+
+        if (frame.Short || frame.Flow is { Written: null })
+            frame.Held = [begin];
+        else
+            Emit(trackUuid, frames, begin, index);
+
+        if (!frame.Short)
+        {
+            ResolveFlow(frame, timestampNs);
+            Release(frame);
+        }
+    }
+
+    /// <summary>
+    /// Links a slice to the other slice of its flow. A flow starts before it ends, so the end of a flow
+    /// whose start was never seen is written without it.
+    /// </summary>
+    private void LinkFlow(Frame frame)
+    {
+        if (frame.FlowId is ulong flowId)
+        {
+            frame.Flow = new FlowLink { Start = frame };
+            _flows[flowId] = frame.Flow;
+        }
+        else if (frame.TerminatingFlowId is ulong terminatingFlowId)
+        {
+            if (_flows.Remove(terminatingFlowId, out var flow))
+            {
+                flow.End = frame;
+                frame.Flow = flow;
+            }
+            else
+            {
+                frame.Flow = new FlowLink { Written = false };
+            }
+        }
+    }
+
+    private static Frame? GetOtherSlice(Frame frame)
+        => frame.Flow is not { } flow ? null : flow.Start == frame ? flow.End : flow.Start;
+
+    /// <summary>
+    /// Called when a slice is kept: its flow is written if the other slice is kept too. The other slice's track
+    /// is moved forward to <paramref name="timestampNs"/> first, since the slice may have lasted long enough
+    /// by then without anything written on its track.
+    /// </summary>
+    private void ResolveFlow(Frame frame, long timestampNs)
+    {
+        if (frame.Flow is not { Written: null } flow || GetOtherSlice(frame) is not { } other)
+            return;
+
+        if (!IsKept(other) && other.TrackUuid != frame.TrackUuid)
+            Advance(other.TrackUuid, GetOpenFrames(other.TrackUuid), timestampNs);
+        if (flow.Written == null && IsKept(other))
+        {
+            flow.Written = true;
+            Release(flow.Start!);
+            Release(flow.End!);
+        }
+    }
+
+    // Called when a slice is not written: its flow is not either
+    private void DropFlow(Frame frame)
+    {
+        if (frame.Flow is { Written: null } flow)
+        {
+            flow.Written = false;
+            if (GetOtherSlice(frame) is { } other)
+                Release(other);
+        }
+    }
+
+    // Decides the flow of a kept slice that ends, since it cannot be held back any longer:
+    // it is written if the other slice is kept by then and left out otherwise
+    private void SettleFlow(Frame frame, long timestampNs)
+    {
+        ResolveFlow(frame, timestampNs);
+        DropFlow(frame);
+        Release(frame);
+    }
+
+    // Writes a held slice once it is long enough and its flow is decided
+    private void Release(Frame frame)
+    {
+        if (frame.Held == null || frame.Short || frame.Flow is { Written: null })
+            return;
+
+        var frames = GetOpenFrames(frame.TrackUuid);
+        Keep(frame.TrackUuid, frames, frames.IndexOf(frame));
+    }
+
+    /// <summary>
+    /// Moves the track's open slices forward to <paramref name="timestampNs"/>: slices waiting for the window
+    /// begin at its start once it is reached, and held slices that have lasted long enough are written
+    /// unless their flow is still undecided.
+    /// </summary>
+    private void Advance(ulong trackUuid, List<Frame> frames, long timestampNs)
+    {
+        if (_filter.StartNs is long windowStart && timestampNs >= windowStart)
+        {
+            for (int i = 0; i < frames.Count; i++)
+            {
+                if (!frames[i].Begun && !frames[i].Dropped)
+                {
+                    frames[i].StartNs = windowStart;
+                    Begin(trackUuid, frames, i, timestampNs);
+                }
+            }
+        }
+
+        for (int i = 0; i < frames.Count; i++)
+        {
+            if (frames[i].Short && timestampNs - frames[i].StartNs >= _filter.MinDurationNs)
+            {
+                frames[i].Short = false;
+                ResolveFlow(frames[i], timestampNs);
+                Release(frames[i]);
+            }
+        }
+    }
+
+    private void Keep(ulong trackUuid, List<Frame> frames, int index)
+    {
+        var held = frames[index].Held!;
+        frames[index].Held = null;
+        foreach (var write in held)
+            Emit(trackUuid, frames, write, index);
+    }
+
+    /// <summary>
+    /// Writes an event, or holds it back with the innermost held slice among the first <paramref name="count"/> open slices.
+    /// </summary>
+    private void Emit(ulong trackUuid, List<Frame> frames, Action<ITraceWriter> write, int? count = null)
+    {
+        for (int i = (count ?? frames.Count) - 1; i >= 0; i--)
+        {
+            if (frames[i].Held is { } held)
+            {
+                held.Add(write);
+                return;
+            }
+        }
+        write(_inner);
+    }
+}
@@ -0,0 +1,63 @@
+#nullable enable
+using System.Collections.Generic;
+
+/// <summary>
+/// The event model the converter writes a build in: process and thread tracks (one process per node,
+/// one thread per project instance), named tracks, nested slices, instants, flows between slices and counters.
+/// Implemented once per output format. Timestamps are in nanoseconds.
+/// Slices and instants may carry <see cref="TraceArg"/>s, which formats without arguments leave out.
+/// </summary>
+public interface ITraceWriter
+{
+    void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name);
+
+    void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name);
+
+    /// <summary>
+    /// Writes a named track that is neither a process nor a thread, shown under <paramref name="parentUuid"/>.
+    /// </summary>
+    void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name);
+
+    /// <summary>
+    /// Begins a slice. A <paramref name="flowId"/> starts a flow that ends at the slice begun
+    /// with the same ID through <see cref="WriteSliceBeginWithTerminatingFlow"/>.
+    /// </summary>
+    void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null);
+
+    /// <summary>
+    /// Ends the innermost open slice. Any <paramref name="args"/> are added to those it began with.
+    /// </summary>
+    void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null);
+
+    void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null);
+
+    void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null);
+
+    /// <summary>
+    /// Writes a track holding a value that changes over time, shown under <paramref name="parentUuid"/>.
+    /// </summary>
+    void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name);
+
+    /// <summary>
+    /// Sets the value of a counter track from <paramref name="timestampNs"/> until its next value.
+    /// </summary>
+    void WriteCounterValue(ulong trackUuid, long timestampNs, long value);
+
+    /// <summary>
+    /// Completes the trace and flushes it to the output. Nothing may be written afterwards.
+    /// </summary>
+    void Finish();
+}
+
+/// <summary>
+/// A named string or integer value attached to a slice or instant, shown in the trace viewer's details.
+/// Dots in <see cref="Name"/> group arguments, e.g. <c>globalProperties.Configuration</c>.
+/// </summary>
+public readonly record struct TraceArg(string Name, string? Text, long Number)
+{
+    public bool IsNumber => Text == null;
+
+    public static TraceArg Of(string name, string value) => new(name, value, 0);
+
+    public static TraceArg Of(string name, long value) => new(name, null, value);
+}
@@ -0,0 +1,166 @@
+#nullable enable
+using System;
+using System.IO;
+using System.Runtime.InteropServices.JavaScript;
+using System.Runtime.Versioning;
+
+/// <summary>
+/// Read-only stream over a JS <c>Blob</c> registered by the worker (see io.js).
+/// Bytes are pulled on demand, so the input never has to be copied into WASM memory as a whole.
+/// </summary>
+[SupportedOSPlatform("browser")]
+public sealed partial class JSInputStream : Stream
+{
+    // FileReaderSync has a fixed cost per call, so reads are batched into chunks of this size
+    private const int ChunkSize = 1024 * 1024;
+
+    private readonly int _inputId;
+    private readonly long _length;
+    private long _position;
+
+    [JSImport("globalThis.readInputChunk")]
+    private static partial int ReadInputChunk(int inputId, double position, [JSMarshalAs<JSType.MemoryView>] Span<byte> buffer);
+
+    [JSImport("globalThis.getInputLength")]
+    private static partial double GetInputLength(int inputId);
+
+    private JSInputStream(int inputId)
+    {
+        _inputId = inputId;
+        _length = (long)GetInputLength(inputId);
+    }
+
+    /// <summary>
+    /// Opens the input registered under <paramref name="inputId"/>, buffered in large chunks.
+    /// </summary>
+    public static Stream Open(int inputId) => new BufferedStream(new JSInputStream(inputId), ChunkSize);
+
+    public override bool CanRead => true;
+    public override bool CanSeek => true;
+    public override bool CanWrite => false;
+    public override long Length => _length;
+
+    public override long Position
+    {
+        get => _position;
+        set => _position = Math.Clamp(value, 0, _length);
+    }
+
+    public override int Read(byte[] buffer, int offset, int count) => Read(buffer.AsSpan(offset, count));
+
+    public override int Read(Span<byte> buffer)
+    {
+        int count = (int)Math.Min(buffer.Length, _length - _position);
+        if (count <= 0) return 0;
+
+        int read = ReadInputChunk(_inputId, _position, buffer[..count]);
+        _position += read;
+        return read;
+    }
+
+    public override long Seek(long offset, SeekOrigin origin)
+    {
+        Position = origin switch
+        {
+            SeekOrigin.Begin => offset,
+            SeekOrigin.Current => _position + offset,
+            SeekOrigin.End => _length + offset,
+            _ => throw new ArgumentOutOfRangeException(nameof(origin)),
+        };
+        return _position;
+    }
+
+    public override void Flush() { }
+    public override void SetLength(long value) => throw new NotSupportedException();
+    public override void Write(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+}
+
+/// <summary>
+/// Write-only stream that hands its bytes to JS in fixed-size chunks (see io.js),
+/// so the output never has to be held in WASM memory as a whole.
+/// A call can write several outputs side by side, told apart by their part number; the main output is part 0.
+/// </summary>
+[SupportedOSPlatform("browser")]
+public sealed partial class JSOutputStream : Stream
+{
+    private const int ChunkSize = 4 * 1024 * 1024;
+
+    /// <summary>
+    /// Chunk size for the extra parts of a split trace, which may all be open at once.
+    /// </summary>
+    public const int PartChunkSize = 1024 * 1024;
+
+    private readonly int _part;
+    private readonly byte[] _buffer;
+    private int _count;
+    private long _written;
+
+    [JSImport("globalThis.writeOutputChunk")]
+    private static partial void WriteOutputChunk(int part, [JSMarshalAs<JSType.MemoryView>] Span<byte> data);
+
+    public JSOutputStream(int part = 0, int chunkSize = ChunkSize)
+    {
+        _part = part;
+        _buffer = new byte[chunkSize];
+    }
+
+    /// <summary>
+    /// Called after each chunk is handed to JS, with the bytes handed over so far.
+    /// </summary>
+    public Action<long>? Flushed { get; set; }
+
+    public override bool CanRead => false;
+    public override bool CanSeek => false;
+    public override bool CanWrite => true;
+    public override long Length => _written + _count;
+
+    public override long Position
+    {
+        get => Length;
+        set => throw new NotSupportedException();
+    }
+
+    public override void Write(byte[] buffer, int offset, int count) => Write(buffer.AsSpan(offset, count));
+
+    public override void Write(ReadOnlySpan<byte> buffer)
+    {
+        while (!buffer.IsEmpty)
+        {
+            int count = Math.Min(buffer.Length, _buffer.Length - _count);
+            buffer[..count].CopyTo(_buffer.AsSpan(_count));
+            _count += count;
+            buffer = buffer[count..];
+
+            if (_count == _buffer.Length)
+                Flush();
+        }
+    }
+
+    public override void WriteByte(byte value)
+    {
+        _buffer[_count++] = value;
+        if (_count == _buffer.Length)
+            Flush();
+    }
+
+    public override void Flush()
+    {
+        if (_count == 0) return;
+
+        WriteOutputChunk(_part, _buffer.AsSpan(0, _count));
+        _written += _count;
+        _count = 0;
+        Flushed?.Invoke(_written);
+    }
+
+    protected override void Dispose(bool disposing)
+    {
+        if (disposing)
+            Flush();
+        base.Dispose(disposing);
+    }
+
+    public override int Read(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+    public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
+    public override void SetLength(long value) => throw new NotSupportedException();
+}
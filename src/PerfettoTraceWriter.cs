@@ -1,6 +1,7 @@
 #nullable enable
 using System;
 using System.Buffers;
+using System.Collections.Generic;
 using System.IO;
 using System.Text;
 
@@ -9,9 +10,9 @@ using System.Text;
 /// Based on https://perfetto.dev/docs/reference/trace-packet-proto
 /// Optimized for minimal allocations using span-based writing.
 /// </summary>
-public class PerfettoTraceWriter
+public class PerfettoTraceWriter : ITraceWriter
 {
-    private readonly MemoryStream _stream = new();
+    private readonly Stream _stream;
     private readonly uint _sequenceId = 1;
     private bool _firstPacket = true;
 
@@ -27,6 +28,7 @@ public class PerfettoTraceWriter
     internal const int TD_UUID = 1;
     internal const int TD_NAME = 2;
     internal const int TD_PROCESS = 3;
+    internal const int TD_COUNTER = 8;
 
     // ProcessDescriptor fields
     internal const int PD_PID = 1;
@@ -48,16 +50,37 @@ public class PerfettoTraceWriter
     internal const int TE_CATEGORIES = 22;
     internal const int TE_FLOW_IDS = 47;           // fixed64 (wire type 1)
     internal const int TE_TERMINATING_FLOW_IDS = 48; // fixed64 (wire type 1)
+    internal const int TE_DEBUG_ANNOTATIONS = 4;
+    internal const int TE_COUNTER_VALUE = 30;
+
+    // DebugAnnotation fields
+    internal const int DA_NAME = 10;
+    internal const int DA_INT_VALUE = 4;
+    internal const int DA_STRING_VALUE = 6;
 
     // TrackEvent.Type values
     internal const int TYPE_SLICE_BEGIN = 1;
     internal const int TYPE_SLICE_END = 2;
     internal const int TYPE_INSTANT = 3;
+    internal const int TYPE_COUNTER = 4;
 
     // Sequence flags
     internal const int SEQ_INCREMENTAL_STATE_CLEARED = 1;
     internal const int SEQ_NEEDS_INCREMENTAL_STATE = 2;
 
+    public PerfettoTraceWriter() : this(new MemoryStream())
+    {
+    }
+
+    /// <summary>
+    /// Writes packets straight to <paramref name="output"/> as they are produced,
+    /// so the trace never has to be held in memory as a whole.
+    /// </summary>
+    public PerfettoTraceWriter(Stream output)
+    {
+        _stream = output;
+    }
+
     public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name)
     {
         int nameByteCount = Encoding.UTF8.GetByteCount(name);
@@ -126,27 +149,72 @@ public class PerfettoTraceWriter
         _firstPacket = false;
     }
 
-    public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null)
+    public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+    {
+        WriteNamedTrackDescriptor(uuid, parentUuid, name, isCounter: false);
+    }
+
+    public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+    {
+        WriteNamedTrackDescriptor(uuid, parentUuid, name, isCounter: true);
+    }
+
+    private void WriteNamedTrackDescriptor(ulong uuid, ulong parentUuid, string name, bool isCounter)
+    {
+        int nameByteCount = Encoding.UTF8.GetByteCount(name);
+
+        // Calculate TrackDescriptor size - an empty CounterDescriptor makes it a counter track
+        int tdSize = GetTaggedVarintSize(TD_UUID, uuid)
+                   + GetTaggedVarintSize(TD_PARENT_UUID, parentUuid)
+                   + GetLengthDelimitedSize(TD_NAME, nameByteCount);
+        if (isCounter)
+            tdSize += GetLengthDelimitedSize(TD_COUNTER, 0);
+
+        // Calculate packet size
+        int seqFlags = GetSequenceFlagsValue();
+        int packetSize = GetLengthDelimitedSize(TRACK_DESCRIPTOR, tdSize)
+                       + GetTaggedVarintSize(TRUSTED_PACKET_SEQ_ID, _sequenceId)
+                       + GetTaggedVarintSize(SEQUENCE_FLAGS, (ulong)seqFlags);
+
+        // Write everything directly to _stream
+        WriteLengthPrefix(TRACE_PACKET, packetSize);
+        WriteLengthPrefix(TRACK_DESCRIPTOR, tdSize);
+        WriteTaggedVarint(TD_UUID, uuid);
+        WriteTaggedVarint(TD_PARENT_UUID, parentUuid);
+        WriteStringField(TD_NAME, name, nameByteCount);
+        if (isCounter)
+            WriteLengthPrefix(TD_COUNTER, 0);
+        WriteTaggedVarint(TRUSTED_PACKET_SEQ_ID, _sequenceId);
+        WriteTaggedVarint(SEQUENCE_FLAGS, (ulong)seqFlags);
+        _firstPacket = false;
+    }
+
+    public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null)
+    {
+        WriteTrackEvent(trackUuid, timestampNs, name, category, TYPE_SLICE_BEGIN, flowId, null, args);
+    }
+
+    public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null)
     {
-        WriteTrackEvent(trackUuid, timestampNs, name, category, TYPE_SLICE_BEGIN, flowId, null);
+        WriteTrackEvent(trackUuid, timestampNs, null, null, TYPE_SLICE_END, null, null, args);
     }
 
-    public void WriteSliceEnd(ulong trackUuid, long timestampNs)
+    public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null)
     {
-        WriteTrackEvent(trackUuid, timestampNs, null, null, TYPE_SLICE_END, null, null);
+        WriteTrackEvent(trackUuid, timestampNs, name, category, TYPE_SLICE_BEGIN, null, terminatingFlowId, args);
     }
 
-    public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId)
+    public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null)
     {
-        WriteTrackEvent(trackUuid, timestampNs, name, category, TYPE_SLICE_BEGIN, null, terminatingFlowId);
+        WriteTrackEvent(trackUuid, timestampNs, name, category, TYPE_INSTANT, null, null, args);
     }
 
-    public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category)
+    public void WriteCounterValue(ulong trackUuid, long timestampNs, long value)
     {
-        WriteTrackEvent(trackUuid, timestampNs, name, category, TYPE_INSTANT, null, null);
+        WriteTrackEvent(trackUuid, timestampNs, null, null, TYPE_COUNTER, null, null, null, value);
     }
 
-    private void WriteTrackEvent(ulong trackUuid, long timestampNs, string? name, string? category, int type, ulong? flowId, ulong? terminatingFlowId)
+    private void WriteTrackEvent(ulong trackUuid, long timestampNs, string? name, string? category, int type, ulong? flowId, ulong? terminatingFlowId, IReadOnlyList<TraceArg>? args, long? counterValue = null)
     {
         int nameByteCount = name != null ? Encoding.UTF8.GetByteCount(name) : 0;
         int categoryByteCount = category != null ? Encoding.UTF8.GetByteCount(category) : 0;
@@ -162,6 +230,13 @@ public class PerfettoTraceWriter
             teSize += GetTaggedFixed64Size(TE_FLOW_IDS);
         if (terminatingFlowId.HasValue)
             teSize += GetTaggedFixed64Size(TE_TERMINATING_FLOW_IDS);
+        if (args != null)
+        {
+            foreach (var arg in args)
+                teSize += GetLengthDelimitedSize(TE_DEBUG_ANNOTATIONS, GetDebugAnnotationSize(arg));
+        }
+        if (counterValue.HasValue)
+            teSize += GetTaggedVarintSize(TE_COUNTER_VALUE, (ulong)counterValue.Value);
 
         // Calculate packet size
         int seqFlags = GetSequenceFlagsValue();
@@ -184,11 +259,36 @@ public class PerfettoTraceWriter
             WriteTaggedFixed64(TE_FLOW_IDS, flowId.Value);
         if (terminatingFlowId.HasValue)
             WriteTaggedFixed64(TE_TERMINATING_FLOW_IDS, terminatingFlowId.Value);
+        if (args != null)
+        {
+            foreach (var arg in args)
+                WriteDebugAnnotation(arg);
+        }
+        if (counterValue.HasValue)
+            WriteTaggedVarint(TE_COUNTER_VALUE, (ulong)counterValue.Value);
         WriteTaggedVarint(TRUSTED_PACKET_SEQ_ID, _sequenceId);
         WriteTaggedVarint(SEQUENCE_FLAGS, (ulong)seqFlags);
         _firstPacket = false;
     }
 
+    private static int GetDebugAnnotationSize(TraceArg arg)
+    {
+        int size = GetLengthDelimitedSize(DA_NAME, Encoding.UTF8.GetByteCount(arg.Name));
+        return arg.IsNumber
+            ? size + GetTaggedVarintSize(DA_INT_VALUE, (ulong)arg.Number)
+            : size + GetLengthDelimitedSize(DA_STRING_VALUE, Encoding.UTF8.GetByteCount(arg.Text!));
+    }
+
+    private void WriteDebugAnnotation(TraceArg arg)
+    {
+        WriteLengthPrefix(TE_DEBUG_ANNOTATIONS, GetDebugAnnotationSize(arg));
+        WriteStringField(DA_NAME, arg.Name, Encoding.UTF8.GetByteCount(arg.Name));
+        if (arg.IsNumber)
+            WriteTaggedVarint(DA_INT_VALUE, (ulong)arg.Number);
+        else
+            WriteStringField(DA_STRING_VALUE, arg.Text!, Encoding.UTF8.GetByteCount(arg.Text!));
+    }
+
     private int GetSequenceFlagsValue()
     {
         return _firstPacket
@@ -196,7 +296,17 @@ public class PerfettoTraceWriter
             : SEQ_NEEDS_INCREMENTAL_STATE;
     }
 
-    public byte[] ToArray() => _stream.ToArray();
+    public void Flush() => _stream.Flush();
+
+    // Packets are self-contained, so there is nothing to close
+    public void Finish() => Flush();
+
+    /// <summary>
+    /// Returns the trace written so far. Only available when the writer was created without an output stream.
+    /// </summary>
+    public byte[] ToArray() => _stream is MemoryStream memory
+        ? memory.ToArray()
+        : throw new InvalidOperationException("ToArray is only available when writing to memory.");
 
     // Size calculation helpers
     internal static int GetVarintSize(ulong value)
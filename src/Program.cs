@@ -2,10 +2,13 @@
 using System;
 using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using System.Runtime.InteropServices.JavaScript;
 using System.Runtime.Versioning;
-using System.Threading;
+using System.Text;
+using System.Text.Json;
 using Microsoft.Build.Framework;
+using Microsoft.Build.Framework.Profiler;
 using Microsoft.Build.Logging.StructuredLogger;
 
 Console.WriteLine("MSBuild Binlog to Perfetto Viewer loaded");
@@ -15,21 +18,36 @@ await System.Threading.Tasks.Task.Delay(-1); // Keep runtime alive for JS calls
 [SupportedOSPlatform("browser")]
 public partial class BinlogConverter
 {
-    private static CancellationTokenSource? _cancellationTokenSource;
-    private static readonly object _lock = new();
-
     // Special node IDs
     private const int BuildNodeId = -1;
     private const int EvaluationNodeId = -2;
 
+    private const string CriticalPathTrackName = "Critical Path";
+    private const string UtilizationTrackName = "Utilization";
+
+    // Counter tracks under the Build process, in the order WriteBuild fills them in
+    private static readonly string[] CounterTrackNames = ["Busy nodes", "Running projects", "Yielded projects", "Warnings", "Errors"];
+
+    // Number of slowest projects, targets and tasks included in a build summary
+    private const int SummaryTopCount = 50;
+
+    // Number of slowest imports and globs shown under each evaluation pass of a profiled evaluation
+    private const int EvaluationProfileSliceCount = 5;
+
+    // Longest task parameter value kept in a debug annotation; item lists can run to megabytes
+    private const int MaxTaskParameterLength = 4096;
+
     [JSImport("globalThis.postProgress")]
-    private static partial void PostProgressInternal(string message, int current, int total);
+    private static partial void PostProgressInternal(string reportJson);
 
-    private static void PostProgress(string message, int current, int total)
+    /// <summary>
+    /// Sends a progress report to the page (see <see cref="ConversionProgress.ToReportJson"/>).
+    /// </summary>
+    private static void PostProgress(ConversionProgress progress, string phase, string message)
     {
         try
         {
-            PostProgressInternal(message, current, total);
+            PostProgressInternal(progress.ToReportJson(phase, message));
         }
         catch (Exception ex)
         {
@@ -38,42 +56,360 @@ public partial class BinlogConverter
     }
 
     /// <summary>
-    /// Cancels any in-progress conversion.
+    /// Describes what the converter accepts, for the worker's handshake with the page
+    /// (see <see cref="ConversionOptions.WriteCapabilities"/>).
+    /// </summary>
+    [JSExport]
+    public static string GetCapabilities() => ConversionOptions.GetCapabilitiesJson();
+
+    /// <summary>
+    /// Converts an MSBuild binary log to a trace as <paramref name="optionsJson"/> says (see <see cref="ConversionOptions"/>):
+    /// in its format (see <see cref="CreateTraceWriter"/>), with its event kinds, filters and split.
+    /// The binlog is read from the input registered by the worker under <paramref name="inputId"/>
+    /// and the trace is handed back in chunks through <see cref="JSOutputStream"/>; the chunks
+    /// of a split Perfetto trace are handed back as separate outputs (see <see cref="CreateSplitter"/>).
+    /// Returns the build summary as JSON (see <see cref="WriteResultJson"/>).
+    /// Throws ArgumentException of <paramref name="optionsJson"/> for options it does not understand (see <see cref="ParseOptions"/>).
+    /// </summary>
+    [JSExport]
+    public static string ConvertFile(int inputId, string optionsJson)
+    {
+        var conversion = ParseOptions(optionsJson);
+        using var output = new JSOutputStream();
+        var filter = conversion.Filter;
+        var splitter = CreateSplitter(output, conversion.Split);
+        var session = new TraceSession(CreateTraceWriter(conversion.Format, output, filter, splitter), filter);
+        var options = EventOptions.From(conversion);
+
+        BuildAnalysis analysis;
+        using (var stream = JSInputStream.Open(inputId))
+        {
+            analysis = WriteBuild(session, stream, BuildLayout.Single, options);
+        }
+
+        FinishTrace(session, output, $"Writing trace ({analysis.RecordCount:N0} records)...");
+
+        PostProgress(session.Progress, "complete", "Complete!");
+        return WriteResultJson([analysis], session.Progress, splitter);
+    }
+
+    /// <summary>
+    /// Converts several MSBuild binary logs into one trace as <paramref name="optionsJson"/> says.
+    /// The binlogs are read from the inputs registered by the worker under <paramref name="inputIds"/>.
+    /// Each build gets its own group of process tracks, labelled with the matching entry in
+    /// <paramref name="labels"/>, and is placed on a timeline shared with the other builds.
+    /// Progress reports carry the index of the binlog being read.
+    /// Filters apply to every build, with time windows on the shared timeline, and a split
+    /// splits the merged trace as for <see cref="ConvertFile"/>.
+    /// Returns one build summary per binlog as JSON (see <see cref="WriteResultJson"/>).
+    /// Throws ArgumentException of <paramref name="optionsJson"/> for options it does not understand (see <see cref="ParseOptions"/>).
+    /// </summary>
+    [JSExport]
+    public static string ConvertFiles(int[] inputIds, string[] labels, string optionsJson)
+    {
+        if (inputIds.Length != labels.Length)
+            throw new ArgumentException("Expected one label per binlog.", nameof(labels));
+
+        var conversion = ParseOptions(optionsJson);
+        using var output = new JSOutputStream();
+        var filter = conversion.Filter;
+        var splitter = CreateSplitter(output, conversion.Split);
+        var session = new TraceSession(CreateTraceWriter(conversion.Format, output, filter, splitter), filter);
+        var options = EventOptions.From(conversion);
+
+        // The shared timeline starts with the earliest build, whatever order the binlogs come in,
+        // and builds are written in the order they started
+        var startTicks = inputIds.Select(ReadStartTicks).ToArray();
+        session.OriginTicks = startTicks.Min();
+
+        var analyses = new BuildAnalysis[inputIds.Length];
+        foreach (int i in Enumerable.Range(0, inputIds.Length).OrderBy(i => startTicks[i] ?? long.MaxValue))
+        {
+            using var stream = JSInputStream.Open(inputIds[i]);
+            analyses[i] = WriteBuild(session, stream, new BuildLayout(i, inputIds.Length, labels[i]), options);
+        }
+
+        FinishTrace(session, output, "Writing merged trace...");
+
+        PostProgress(session.Progress, "complete", "Complete!");
+        return WriteResultJson(analyses, session.Progress, splitter);
+    }
+
+    /// <summary>
+    /// Compares two builds: aggregates the time spent per project, target and task name in a
+    /// baseline and a candidate binlog and returns both sides per name as JSON (see <see cref="BuildComparison"/>).
+    /// No trace is written. Progress is reported like for <see cref="ConvertFiles"/> with two files.
     /// </summary>
     [JSExport]
-    public static void Cancel()
+    public static string CompareBinlogs(int baselineInputId, int candidateInputId, string baselineLabel, string candidateLabel)
     {
-        lock (_lock)
+        // Only the summaries are needed, so nothing is kept of the trace
+        var session = new TraceSession(new PerfettoTraceWriter(Stream.Null), TraceFilter.None);
+
+        BuildAnalysis baseline;
+        using (var stream = JSInputStream.Open(baselineInputId))
         {
-            _cancellationTokenSource?.Cancel();
+            baseline = WriteBuild(session, stream, new BuildLayout(0, 2, baselineLabel), EventOptions.None);
         }
+
+        BuildAnalysis candidate;
+        using (var stream = JSInputStream.Open(candidateInputId))
+        {
+            candidate = WriteBuild(session, stream, new BuildLayout(1, 2, candidateLabel), EventOptions.None);
+        }
+
+        PostProgress(session.Progress, "compare", "Comparing builds...");
+        var comparison = new BuildComparison(baseline.Summary, candidate.Summary);
+        var json = comparison.ToJson(baselineLabel, candidateLabel);
+
+        PostProgress(session.Progress, "complete", "Complete!");
+        return json;
     }
 
     /// <summary>
-    /// Converts an MSBuild binary log to Perfetto protobuf trace format.
-    /// Throws OperationCanceledException if cancelled.
+    /// Reads the project and import files embedded in binlogs, for the page's source browser. No trace is written.
+    /// A file embedded in several of the binlogs is taken from the first one.
+    /// Returns the files and the targets they define as JSON (see <see cref="EmbeddedFiles.WriteJson"/>).
+    /// Progress is reported like for <see cref="ConvertFiles"/>.
     /// </summary>
     [JSExport]
-    public static byte[] ConvertToProtobuf(
-        byte[] binlogData,
-        bool includeProjects,
-        bool includeTargets,
-        bool includeTasks,
-        bool includeMessages,
-        bool includeWarnings,
-        bool includeErrors,
-        bool includeEvaluation = false)
+    public static string ReadEmbeddedFiles(int[] inputIds)
+    {
+        var files = new EmbeddedFiles();
+        var progress = new ConversionProgress { FileCount = inputIds.Length };
+
+        for (int i = 0; i < inputIds.Length; i++)
+        {
+            using var stream = JSInputStream.Open(inputIds[i]);
+            progress.FileIndex = i;
+            progress.TotalBytes = stream.Length;
+            progress.Records = 0;
+
+            // The archive is a blob record, which has no build event
+            var reader = new BinLogReader();
+            reader.OnBlobRead += (kind, bytes) =>
+            {
+                if (kind == BinaryLogRecordKind.ProjectImportArchive)
+                    files.AddArchive(bytes);
+            };
+
+            long reportStep = Math.Max(stream.Length / 100, 1);
+            long nextReport = 0;
+            foreach (var _ in reader.ReadRecords(stream))
+            {
+                progress.Records++;
+                if (stream.Position >= nextReport)
+                {
+                    progress.BytesRead = stream.Position;
+                    nextReport = stream.Position + reportStep;
+                    PostProgress(progress, "read", "Reading embedded files...");
+                }
+            }
+        }
+
+        PostProgress(progress, "complete", "Complete!");
+        return files.ToJson();
+    }
+
+    /// <summary>
+    /// Reads the options of a conversion. Options that cannot be read, malformed JSON included, are reported as an
+    /// ArgumentException of <c>optionsJson</c>, which the worker tells apart from a failed conversion by its parameter name.
+    /// </summary>
+    private static ConversionOptions ParseOptions(string optionsJson)
+    {
+        try
+        {
+            return ConversionOptions.Parse(optionsJson);
+        }
+        catch (Exception ex) when (ex is ArgumentException or JsonException)
+        {
+            throw new ArgumentException(ex.Message, nameof(optionsJson), ex);
+        }
+    }
+
+    /// <summary>
+    /// Finishes the session's trace, reporting the bytes of <paramref name="output"/> handed to the page as it goes.
+    /// The chunks of a split trace other than the first are not counted.
+    /// </summary>
+    private static void FinishTrace(TraceSession session, JSOutputStream output, string message)
+    {
+        var progress = session.Progress;
+        progress.BytesWritten = output.Length;
+        PostProgress(progress, "serialize", message);
+
+        output.Flushed = written =>
+        {
+            progress.BytesWritten = written;
+            PostProgress(progress, "serialize", message);
+        };
+        progress.BeginSerialize();
+        session.Writer.Finish();
+        progress.EndSerialize();
+        output.Flushed = null;
+    }
+
+    /// <summary>
+    /// Reads the time of the first event of the binlog registered under <paramref name="inputId"/>, in ticks,
+    /// or null when it has none. Only the start of the binlog is read.
+    /// </summary>
+    private static long? ReadStartTicks(int inputId)
+    {
+        using var stream = JSInputStream.Open(inputId);
+        foreach (var record in new BinLogReader().ReadRecords(stream))
+        {
+            if (record.Args != null)
+                return record.Args.Timestamp.Ticks;
+        }
+        return null;
+    }
+
+    /// <summary>
+    /// Creates the writer for a trace format: <c>perfetto</c> (protobuf), <c>chrome</c> (Trace Event JSON)
+    /// or <c>speedscope</c>, behind a <see cref="FilteringTraceWriter"/> when the filter can leave out slices.
+    /// A <paramref name="splitter"/> takes the place of the format's writer.
+    /// </summary>
+    private static ITraceWriter CreateTraceWriter(string format, Stream output, TraceFilter filter, SplittingTraceWriter? splitter = null)
+    {
+        ITraceWriter writer = format switch
+        {
+            _ when splitter != null => splitter,
+            "perfetto" => new PerfettoTraceWriter(output),
+            "chrome" => new ChromeTraceWriter(output),
+            "speedscope" => new SpeedscopeTraceWriter(output),
+            _ => throw new ArgumentException($"Unknown trace format: {format}", nameof(format)),
+        };
+        return filter.LeavesOutSlices ? new FilteringTraceWriter(writer, filter) : writer;
+    }
+
+    /// <summary>
+    /// Creates the writer that splits a Perfetto trace into chunks, or returns null when it is not split
+    /// (<see cref="ConversionOptions"/> only lets Perfetto traces be split).
+    /// The first chunk goes to <paramref name="output"/> and the others to outputs of their own, numbered by chunk.
+    /// </summary>
+    private static SplittingTraceWriter? CreateSplitter(Stream output, TraceSplit split)
+    {
+        if (split.By == TraceSplit.Mode.None)
+            return null;
+
+        // A chunk created again for late events gets a new stream of the same part, which the page appends
+        return new SplittingTraceWriter(split, index => new PerfettoTraceWriter(
+            index == 0 ? output : new JSOutputStream(index, JSOutputStream.PartChunkSize)));
+    }
+
+    /// <summary>
+    /// Which event kinds to write into the trace, whether to annotate them with
+    /// details such as full paths, global properties, task parameters and message text,
+    /// whether to add counter tracks of node and project concurrency and diagnostics,
+    /// and whether to add a track per node showing when it was busy or yielded.
+    /// </summary>
+    private readonly record struct EventOptions(
+        bool IncludeProjects,
+        bool IncludeTargets,
+        bool IncludeTasks,
+        bool IncludeMessages,
+        bool IncludeWarnings,
+        bool IncludeErrors,
+        bool IncludeEvaluation,
+        bool IncludeCriticalPath,
+        bool IncludeAnnotations,
+        bool IncludeCounters,
+        bool IncludeUtilization)
+    {
+        public static EventOptions None => default;
+
+        public static EventOptions From(ConversionOptions options) => new(
+            options.IncludeProjects, options.IncludeTargets, options.IncludeTasks, options.IncludeMessages,
+            options.IncludeWarnings, options.IncludeErrors, options.IncludeEvaluation, options.IncludeCriticalPath,
+            options.IncludeAnnotations, options.IncludeCounters, options.IncludeUtilization);
+    }
+
+    /// <summary>
+    /// State shared by every build written into the same trace.
+    /// </summary>
+    private sealed class TraceSession(ITraceWriter writer, TraceFilter filter)
+    {
+        public ITraceWriter Writer { get; } = writer;
+        public TraceFilter Filter { get; } = filter;
+        public ulong NextTrackUuid { get; set; } = 1;
+        public ulong NextFlowId { get; set; } = 1;
+        public ConversionProgress Progress { get; } = new();
+
+        // Start of the earliest build (in ticks) - the zero point of the shared timeline
+        public long? OriginTicks { get; set; }
+    }
+
+    /// <summary>
+    /// What was learned about one build while converting it, returned to JS alongside the trace.
+    /// </summary>
+    private sealed class BuildAnalysis(string? label)
     {
-        CancellationTokenSource cts;
-        lock (_lock)
+        public string? Label { get; } = label;
+        public int RecordCount { get; set; }
+        public BuildSummaryCollector Summary { get; } = new();
+        public DiagnosticsCollector Diagnostics { get; } = new();
+        public EvaluationProfile EvaluationProfile { get; } = new();
+        public CriticalPathAnalyzer CriticalPathAnalyzer { get; } = new();
+        public IReadOnlyList<CriticalPathAnalyzer.Segment> CriticalPath { get; set; } = [];
+    }
+
+    /// <summary>
+    /// Serializes the analyses of the converted builds and the phase timings as the JSON result of a conversion:
+    /// <c>{ "builds": [{ "label", "recordCount", "summary", "criticalPath", "diagnostics", "evaluationProfile" }], "timings", "chunks" }</c>,
+    /// with the evaluation profile null unless the binlog was recorded with evaluation profiling on,
+    /// and the chunks of a split trace (see <see cref="SplittingTraceWriter.WriteJson"/>) or null.
+    /// </summary>
+    private static string WriteResultJson(IReadOnlyList<BuildAnalysis> builds, ConversionProgress progress, SplittingTraceWriter? splitter)
+    {
+        using var stream = new MemoryStream();
+        using (var json = new Utf8JsonWriter(stream))
         {
-            _cancellationTokenSource?.Dispose();
-            _cancellationTokenSource = new CancellationTokenSource();
-            cts = _cancellationTokenSource;
+            json.WriteStartObject();
+            json.WriteStartArray("builds");
+            foreach (var build in builds)
+            {
+                json.WriteStartObject();
+                json.WriteString("label", build.Label);
+                json.WriteNumber("recordCount", build.RecordCount);
+                json.WritePropertyName("summary");
+                build.Summary.WriteJson(json, SummaryTopCount);
+                json.WritePropertyName("criticalPath");
+                CriticalPathAnalyzer.WriteJson(json, build.CriticalPath, build.Summary.StartNs);
+                json.WritePropertyName("diagnostics");
+                build.Diagnostics.WriteJson(json);
+                json.WritePropertyName("evaluationProfile");
+                if (build.EvaluationProfile.EvaluationCount > 0)
+                    build.EvaluationProfile.WriteJson(json, SummaryTopCount);
+                else
+                    json.WriteNullValue();
+                json.WriteEndObject();
+            }
+            json.WriteEndArray();
+            json.WritePropertyName("timings");
+            progress.WriteTimings(json);
+            json.WritePropertyName("chunks");
+            if (splitter != null)
+                splitter.WriteJson(json);
+            else
+                json.WriteNullValue();
+            json.WriteEndObject();
         }
+        return Encoding.UTF8.GetString(stream.ToArray());
+    }
 
-        var token = cts.Token;
-        var writer = new PerfettoTraceWriter();
+    /// <summary>
+    /// Reads one binlog and writes its events into the session's trace.
+    /// Each build is placed at its wall-clock offset from the session's origin, the start of the earliest build
+    /// (see <see cref="ConvertFiles"/>); without one, the first build written sets it.
+    /// Returns what was learned about the build along the way.
+    /// </summary>
+    private static BuildAnalysis WriteBuild(TraceSession session, Stream stream, BuildLayout layout, EventOptions options)
+    {
+        var writer = session.Writer;
+        var filter = session.Filter;
+        var analysis = new BuildAnalysis(layout.Label);
+        var summary = analysis.Summary;
+        var criticalPath = analysis.CriticalPathAnalyzer;
+        var (includeProjects, includeTargets, includeTasks, includeMessages, includeWarnings, includeErrors, includeEvaluation, includeCriticalPath, includeAnnotations, includeCounters, includeUtilization) = options;
 
         // Track process descriptors (one per node)
         var processTrackWritten = new HashSet<int>();
@@ -86,28 +422,54 @@ public partial class BinlogConverter
         // Track project names by (nodeId, projectInstanceId) for use in later events
         var projectNames = new Dictionary<(int nodeId, int projectInstanceId), string>();
 
+        // Task input parameters of the running task per project instance, annotated on the task when it ends
+        var taskParameters = new Dictionary<(int nodeId, int projectInstanceId), List<TraceArg>>();
+
+        // Project instances left out by the filter, and the open targets and tasks per project instance:
+        // whether each one was written, and whether a target was excluded together with its tasks
+        var excludedProjects = new HashSet<(int nodeId, int projectInstanceId)>();
+        var openTargets = new Dictionary<(int nodeId, int projectInstanceId), Stack<(bool written, bool excluded)>>();
+        var openTasks = new Dictionary<(int nodeId, int projectInstanceId), Stack<bool>>();
+
+        // Start of each evaluation slice written, for laying out its profile when it finishes
+        var evaluationStarts = new Dictionary<(int nodeId, int projectInstanceId), long>();
+
+        // Counter tracks, written with the build's first counter values, and the last value written to each
+        var counterTrackUuids = new ulong[CounterTrackNames.Length];
+        var counterValues = new long[CounterTrackNames.Length];
+
+        // Utilization track per node, and the activity of the slice open on it
+        var utilizationTrackUuids = new Dictionary<int, ulong>();
+        var nodeActivities = new Dictionary<int, BuildSummaryCollector.NodeActivity>();
+
         // Track MSBuild task invocations for P2P flow arrows
         var msbuildTaskStarts = new Dictionary<int, (long timestamp, ulong trackUuid, ulong flowId)>();
 
-        ulong nextTrackUuid = 1;
-        ulong nextFlowId = 1;
-
-        using var stream = new MemoryStream(binlogData);
         var reader = new BinLogReader();
 
         long? buildStartTime = null;
+        long buildOffsetNs = 0;
+        long lastRelativeTimeNs = 0;
 
-        long totalBytes = stream.Length;
-        int lastProgressPercent = 0;
         int recordCount = 0;
 
-        PostProgress("Reading binlog records...", 0, 100);
+        var progress = session.Progress;
+        progress.FileIndex = layout.Index;
+        progress.FileCount = layout.Count;
+        progress.TotalBytes = stream.Length;
+        progress.BytesRead = 0;
+        progress.Records = 0;
+        PostProgress(progress, "read", layout.Label == null ? "Reading binlog records..." : $"Reading {layout.Label}...");
+
+        // Reported about every 1% of the binlog
+        long reportStep = Math.Max(stream.Length / 100, 1);
+        long nextReport = reportStep;
 
         ulong GetProcessTrackUuid(int nodeId)
         {
             if (!processTrackUuids.TryGetValue(nodeId, out var uuid))
             {
-                uuid = nextTrackUuid++;
+                uuid = session.NextTrackUuid++;
                 processTrackUuids[nodeId] = uuid;
             }
             return uuid;
@@ -118,7 +480,7 @@ public partial class BinlogConverter
             var key = (nodeId, projectInstanceId);
             if (!threadTrackUuids.TryGetValue(key, out var uuid))
             {
-                uuid = nextTrackUuid++;
+                uuid = session.NextTrackUuid++;
                 threadTrackUuids[key] = uuid;
             }
             return uuid;
@@ -131,8 +493,9 @@ public partial class BinlogConverter
                 processTrackWritten.Add(nodeId);
                 var trackUuid = GetProcessTrackUuid(nodeId);
                 var trackName = name ?? (nodeId >= 0 ? $"Node {nodeId}" : "Build");
-                var pid = nodeId >= 0 ? (uint)nodeId : 0u;
-                writer.WriteProcessTrackDescriptor(trackUuid, pid, trackName);
+                // The build-level track of a merged trace is named after the build itself
+                var processName = nodeId == BuildNodeId && layout.Label != null ? layout.Label : layout.GetProcessName(trackName);
+                writer.WriteProcessTrackDescriptor(trackUuid, layout.GetPid(nodeId), processName);
             }
         }
 
@@ -150,8 +513,69 @@ public partial class BinlogConverter
                 threadTrackWritten.Add(key);
                 var threadUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
                 var processUuid = GetProcessTrackUuid(nodeId);
-                var pid = nodeId >= 0 ? nodeId : 0;
-                writer.WriteThreadTrackDescriptor(threadUuid, processUuid, pid, projectInstanceId, projectName);
+                writer.WriteThreadTrackDescriptor(threadUuid, processUuid, (int)layout.GetPid(nodeId), projectInstanceId, projectName);
+            }
+        }
+
+        Stack<T> GetOpenStack<T>(Dictionary<(int nodeId, int projectInstanceId), Stack<T>> open, int nodeId, int projectInstanceId)
+        {
+            var key = (nodeId, projectInstanceId);
+            if (!open.TryGetValue(key, out var stack))
+            {
+                stack = new Stack<T>();
+                open[key] = stack;
+            }
+            return stack;
+        }
+
+        // Whether events logged in a project instance right now are left out: its project or current target is excluded
+        bool IsFilteredOut(int nodeId, int projectInstanceId)
+        {
+            var key = (nodeId, projectInstanceId);
+            return excludedProjects.Contains(key) ||
+                (openTargets.TryGetValue(key, out var targets) && targets.Count > 0 && targets.Peek().excluded);
+        }
+
+        // Ends the node's utilization slice and begins one for what it does now, when that changed.
+        // Idle time is left empty, like the gaps between slices on a CPU track.
+        void WriteNodeActivity(int nodeId, BuildSummaryCollector.NodeActivity activity, long timestampNs)
+        {
+            nodeActivities.TryGetValue(nodeId, out var previous);
+            if (nodeId < 0 || activity == previous) return;
+
+            if (!utilizationTrackUuids.TryGetValue(nodeId, out var trackUuid))
+            {
+                EnsureProcessTrack(nodeId);
+                trackUuid = session.NextTrackUuid++;
+                utilizationTrackUuids[nodeId] = trackUuid;
+                writer.WriteTrackDescriptor(trackUuid, GetProcessTrackUuid(nodeId), UtilizationTrackName);
+            }
+            if (previous != BuildSummaryCollector.NodeActivity.Idle)
+                writer.WriteSliceEnd(trackUuid, timestampNs);
+            if (activity != BuildSummaryCollector.NodeActivity.Idle)
+                writer.WriteSliceBegin(trackUuid, timestampNs, activity.ToString(), "utilization");
+            nodeActivities[nodeId] = activity;
+        }
+
+        // Write the counters that changed since the last call
+        void WriteCounters(long timestampNs)
+        {
+            ReadOnlySpan<long> values = [summary.BusyNodeCount, summary.RunningProjectCount, summary.YieldedProjectCount, summary.WarningCount, summary.ErrorCount];
+            for (int i = 0; i < values.Length; i++)
+            {
+                if (counterTrackUuids[i] == 0)
+                {
+                    EnsureProcessTrack(BuildNodeId, "Build");
+                    counterTrackUuids[i] = session.NextTrackUuid++;
+                    writer.WriteCounterTrackDescriptor(counterTrackUuids[i], GetProcessTrackUuid(BuildNodeId), CounterTrackNames[i]);
+                }
+                else if (values[i] == counterValues[i])
+                {
+                    continue;
+                }
+
+                counterValues[i] = values[i];
+                writer.WriteCounterValue(counterTrackUuids[i], timestampNs, values[i]);
             }
         }
 
@@ -166,51 +590,64 @@ public partial class BinlogConverter
             }
         }
 
-        foreach (var record in reader.ReadRecords(stream))
+        progress.BeginPass();
+        foreach (var record in reader.ReadRecords(new TimedStream(stream, progress)))
         {
-            token.ThrowIfCancellationRequested();
-
             var args = record.Args;
             if (args == null) continue;
 
             recordCount++;
+            long recordStart = progress.BeginRecord(recordCount);
 
-            int progressPercent = (int)((stream.Position * 100) / totalBytes);
-            if (progressPercent >= lastProgressPercent + 5)
+            if (stream.Position >= nextReport)
             {
-                lastProgressPercent = progressPercent;
-                PostProgress($"Processing records ({recordCount:N0} read)...", progressPercent, 100);
+                progress.BytesRead = stream.Position;
+                progress.Records = recordCount;
+                nextReport = stream.Position + reportStep;
+                PostProgress(progress, "read", $"Processing records ({recordCount:N0} read)...");
             }
 
             var ctx = args.BuildEventContext;
             long timestamp = args.Timestamp.Ticks * 100; // Convert to nanoseconds
 
             if (buildStartTime == null)
+            {
                 buildStartTime = timestamp;
 
-            long relativeTimeNs = timestamp - buildStartTime.Value;
+                var startTicks = args.Timestamp.Ticks;
+                session.OriginTicks ??= startTicks;
+                buildOffsetNs = (startTicks - session.OriginTicks.Value) * 100;
+            }
+
+            long relativeTimeNs = timestamp - buildStartTime.Value + buildOffsetNs;
+            lastRelativeTimeNs = Math.Max(lastRelativeTimeNs, relativeTimeNs);
 
             int nodeId = ctx?.NodeId ?? 0;
             int projectInstanceId = ctx?.ProjectInstanceId ?? 0;
+            int projectContextId = ctx?.ProjectContextId ?? BuildEventContext.InvalidProjectContextId;
 
             switch (args)
             {
                 case BuildStartedEventArgs:
                     {
+                        summary.BuildStarted(relativeTimeNs);
+
                         EnsureProcessTrack(BuildNodeId, "Build");
                         var trackUuid = GetProcessTrackUuid(BuildNodeId);
-                        writer.WriteSliceBegin(trackUuid, relativeTimeNs, "Build", "build");
+                        writer.WriteSliceBegin(trackUuid, relativeTimeNs, layout.Label ?? "Build", "build");
                     }
                     break;
 
-                case BuildFinishedEventArgs:
+                case BuildFinishedEventArgs buildFinished:
                     {
+                        summary.BuildFinished(relativeTimeNs, buildFinished.Succeeded);
+
                         var trackUuid = GetProcessTrackUuid(BuildNodeId);
                         writer.WriteSliceEnd(trackUuid, relativeTimeNs);
                     }
                     break;
 
-                case ProjectEvaluationStartedEventArgs evalStarted when includeEvaluation:
+                case ProjectEvaluationStartedEventArgs evalStarted when includeEvaluation && filter.IncludesProject(evalStarted.ProjectFile):
                     {
                         var projectName = Path.GetFileName(evalStarted.ProjectFile) ?? "Project";
                         // Evaluation events may have InvalidNodeId, use special Evaluation process
@@ -228,25 +665,47 @@ public partial class BinlogConverter
                         }
 
                         var trackUuid = GetThreadTrackUuid(evalNodeId, evalProjectInstanceId);
-                        writer.WriteSliceBegin(trackUuid, relativeTimeNs, $"{projectName} (evaluation)", "evaluation");
+                        var sliceArgs = includeAnnotations ? GetFileArgs("projectFile", evalStarted.ProjectFile) : null;
+                        writer.WriteSliceBegin(trackUuid, relativeTimeNs, $"{projectName} (evaluation)", "evaluation", args: sliceArgs);
+                        evaluationStarts[(evalNodeId, evalProjectInstanceId)] = relativeTimeNs;
                     }
                     break;
 
-                case ProjectEvaluationFinishedEventArgs evalFinished when includeEvaluation:
+                case ProjectEvaluationFinishedEventArgs evalFinished:
                     {
+                        // The profile is ranked for every evaluation, whether or not evaluations are in the trace
+                        var profile = evalFinished.ProfilerResult is { } profilerResult ? GetProfileLocations(profilerResult) : null;
+                        if (profile != null)
+                            analysis.EvaluationProfile.Add(profile);
+
+                        if (!includeEvaluation || !filter.IncludesProject(evalFinished.ProjectFile))
+                            break;
+
                         var evalNodeId = nodeId == BuildEventContext.InvalidNodeId ? EvaluationNodeId : nodeId;
                         var evalProjectInstanceId = ctx?.ProjectInstanceId ?? 0;
                         var trackUuid = GetThreadTrackUuid(evalNodeId, evalProjectInstanceId);
+                        if (evaluationStarts.Remove((evalNodeId, evalProjectInstanceId), out var evalStartNs) && profile != null)
+                            WriteEvaluationProfile(writer, trackUuid, profile, evalStartNs, relativeTimeNs, includeAnnotations);
                         writer.WriteSliceEnd(trackUuid, relativeTimeNs);
                     }
                     break;
 
-                case ProjectStartedEventArgs projectStarted when includeProjects:
+                case ProjectStartedEventArgs projectStarted:
                     {
                         var projectName = Path.GetFileName(projectStarted.ProjectFile) ?? "Project";
+                        summary.ProjectStarted(nodeId, projectInstanceId, projectName, relativeTimeNs);
+                        criticalPath.ProjectStarted(projectContextId, projectStarted.ParentProjectBuildEventContext?.ProjectContextId ?? BuildEventContext.InvalidProjectContextId, projectName, relativeTimeNs);
+
+                        if (!filter.IncludesProject(projectStarted.ProjectFile))
+                            excludedProjects.Add((nodeId, projectInstanceId));
+
+                        if (!includeProjects || excludedProjects.Contains((nodeId, projectInstanceId))) break;
+
                         EnsureThreadTrack(nodeId, projectInstanceId, projectName);
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
 
+                        var sliceArgs = includeAnnotations ? GetProjectArgs(projectStarted) : null;
+
                         // Check if this project was triggered by an MSBuild task (P2P)
                         var parentCtx = projectStarted.ParentProjectBuildEventContext;
                         if (parentCtx != null &&
@@ -254,101 +713,403 @@ public partial class BinlogConverter
                             msbuildTaskStarts.TryGetValue(parentCtx.ProjectInstanceId, out var parentTask))
                         {
                             // Write project start with terminating flow from parent MSBuild task
-                            writer.WriteSliceBeginWithTerminatingFlow(trackUuid, relativeTimeNs, projectName, "project", parentTask.flowId);
+                            writer.WriteSliceBeginWithTerminatingFlow(trackUuid, relativeTimeNs, projectName, "project", parentTask.flowId, sliceArgs);
                         }
                         else
                         {
-                            writer.WriteSliceBegin(trackUuid, relativeTimeNs, projectName, "project");
+                            writer.WriteSliceBegin(trackUuid, relativeTimeNs, projectName, "project", args: sliceArgs);
                         }
                     }
                     break;
 
-                case ProjectFinishedEventArgs when includeProjects:
+                case ProjectFinishedEventArgs:
                     {
+                        summary.ProjectFinished(nodeId, projectInstanceId, relativeTimeNs);
+                        criticalPath.ProjectFinished(projectContextId, relativeTimeNs);
+
+                        if (!includeProjects || excludedProjects.Contains((nodeId, projectInstanceId))) break;
+
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
                         writer.WriteSliceEnd(trackUuid, relativeTimeNs);
                     }
                     break;
 
-                case TargetStartedEventArgs targetStarted when includeTargets:
+                case TargetStartedEventArgs targetStarted:
                     {
+                        summary.TargetStarted(nodeId, projectInstanceId, targetStarted.TargetName, relativeTimeNs);
+                        criticalPath.TargetStarted(projectContextId, targetStarted.TargetName, relativeTimeNs);
+
+                        // Targets inside an excluded target are excluded too
+                        bool excluded = IsFilteredOut(nodeId, projectInstanceId) || filter.IsTargetExcluded(targetStarted.TargetName);
+                        bool written = includeTargets && !excluded && filter.IncludesTarget(targetStarted.TargetName);
+                        GetOpenStack(openTargets, nodeId, projectInstanceId).Push((written, excluded));
+
+                        if (!written) break;
+
                         EnsureThreadTrackWithFallback(nodeId, projectInstanceId);
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
-                        writer.WriteSliceBegin(trackUuid, relativeTimeNs, targetStarted.TargetName, "target");
+                        var sliceArgs = includeAnnotations ? GetTargetArgs(targetStarted) : null;
+                        writer.WriteSliceBegin(trackUuid, relativeTimeNs, targetStarted.TargetName, "target", args: sliceArgs);
                     }
                     break;
 
-                case TargetFinishedEventArgs when includeTargets:
+                case TargetSkippedEventArgs targetSkipped when includeTargets && includeAnnotations:
                     {
+                        if (IsFilteredOut(nodeId, projectInstanceId) || !filter.IncludesTarget(targetSkipped.TargetName)) break;
+
+                        // Skipped targets have no slice, so they are marked with an instant carrying the reason
+                        EnsureThreadTrackWithFallback(nodeId, projectInstanceId);
+                        var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
+                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, $"{targetSkipped.TargetName} (skipped)", "target", GetTargetSkippedArgs(targetSkipped));
+                    }
+                    break;
+
+                case TargetFinishedEventArgs:
+                    {
+                        summary.TargetFinished(nodeId, projectInstanceId, relativeTimeNs);
+                        criticalPath.TargetFinished(projectContextId, relativeTimeNs);
+
+                        var targets = GetOpenStack(openTargets, nodeId, projectInstanceId);
+                        if (!targets.TryPop(out var target) || !target.written) break;
+
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
                         writer.WriteSliceEnd(trackUuid, relativeTimeNs);
                     }
                     break;
 
-                case TaskStartedEventArgs taskStarted when includeTasks:
+                case TaskStartedEventArgs taskStarted:
                     {
+                        bool isMSBuildTask = taskStarted.TaskName.EndsWith("MSBuild");
+                        summary.TaskStarted(nodeId, projectInstanceId, taskStarted.TaskName, isMSBuildTask, relativeTimeNs);
+                        criticalPath.TaskStarted(projectContextId, taskStarted.TaskName, relativeTimeNs);
+
+                        bool written = includeTasks && !IsFilteredOut(nodeId, projectInstanceId) && filter.IncludesTask(taskStarted.TaskName);
+                        GetOpenStack(openTasks, nodeId, projectInstanceId).Push(written);
+
+                        if (!written) break;
+
                         EnsureThreadTrackWithFallback(nodeId, projectInstanceId);
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
 
-                        // Track MSBuild task invocations for P2P flow arrows
-                        if (taskStarted.TaskName.EndsWith("MSBuild"))
+                        var sliceArgs = includeAnnotations ? GetFileArgs("taskFile", taskStarted.TaskFile) : null;
+
+                        // Track MSBuild task invocations for P2P flow arrows, which end at the projects they build
+                        if (isMSBuildTask)
                         {
-                            var flowId = nextFlowId++;
+                            var flowId = session.NextFlowId++;
                             msbuildTaskStarts[projectInstanceId] = (relativeTimeNs, trackUuid, flowId);
-                            writer.WriteSliceBegin(trackUuid, relativeTimeNs, $"{taskStarted.TaskName} (yielded)", "task", flowId);
+                            writer.WriteSliceBegin(trackUuid, relativeTimeNs, $"{taskStarted.TaskName} (yielded)", "task", includeProjects ? flowId : null, sliceArgs);
                         }
                         else
                         {
-                            writer.WriteSliceBegin(trackUuid, relativeTimeNs, taskStarted.TaskName, "task");
+                            writer.WriteSliceBegin(trackUuid, relativeTimeNs, taskStarted.TaskName, "task", args: sliceArgs);
                         }
                     }
                     break;
 
-                case TaskFinishedEventArgs taskFinished when includeTasks:
+                case TaskFinishedEventArgs taskFinished:
                     {
+                        bool isMSBuildTask = taskFinished.TaskName.EndsWith("MSBuild");
+                        summary.TaskFinished(nodeId, projectInstanceId, isMSBuildTask, relativeTimeNs);
+                        criticalPath.TaskFinished(projectContextId, relativeTimeNs);
+
+                        taskParameters.Remove((nodeId, projectInstanceId), out var parameterArgs);
+                        var tasks = GetOpenStack(openTasks, nodeId, projectInstanceId);
+                        if (!tasks.TryPop(out var written) || !written) break;
+
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
-                        writer.WriteSliceEnd(trackUuid, relativeTimeNs);
+                        writer.WriteSliceEnd(trackUuid, relativeTimeNs, parameterArgs);
 
                         // Clean up MSBuild task tracking
-                        if (taskFinished.TaskName.EndsWith("MSBuild"))
+                        if (isMSBuildTask)
                         {
                             msbuildTaskStarts.Remove(projectInstanceId);
                         }
                     }
                     break;
 
-                case BuildWarningEventArgs warning when includeWarnings:
+                case TaskParameterEventArgs taskParameter when includeTasks && includeAnnotations && taskParameter.Kind == TaskParameterMessageKind.TaskInput:
                     {
+                        // Only parameters of a task that is in the trace
+                        if (!openTasks.TryGetValue((nodeId, projectInstanceId), out var tasks) || !tasks.TryPeek(out var written) || !written) break;
+
+                        var key = (nodeId, projectInstanceId);
+                        if (!taskParameters.TryGetValue(key, out var parameterArgs))
+                        {
+                            parameterArgs = new List<TraceArg>();
+                            taskParameters[key] = parameterArgs;
+                        }
+                        parameterArgs.Add(TraceArg.Of($"parameters.{taskParameter.ItemType}", FormatTaskItems(taskParameter.Items)));
+                    }
+                    break;
+
+                case BuildWarningEventArgs warning:
+                    {
+                        summary.Warning(relativeTimeNs);
+                        analysis.Diagnostics.Add(new(DiagnosticsCollector.Severity.Warning, warning.Code, warning.Message,
+                            warning.File, warning.LineNumber, warning.ColumnNumber, warning.ProjectFile));
+
+                        if (!includeWarnings || IsFilteredOut(nodeId, projectInstanceId)) break;
+
                         EnsureThreadTrackWithFallback(nodeId, projectInstanceId);
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
-                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, $"Warning: {warning.Code}", "warning");
+                        var instantArgs = includeAnnotations
+                            ? GetDiagnosticArgs(warning.Message, warning.Code, warning.ProjectFile, warning.File, warning.LineNumber, warning.ColumnNumber)
+                            : null;
+                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, $"Warning: {warning.Code}", "warning", instantArgs);
                     }
                     break;
 
-                case BuildErrorEventArgs error when includeErrors:
+                case BuildErrorEventArgs error:
                     {
+                        summary.Error(relativeTimeNs);
+                        analysis.Diagnostics.Add(new(DiagnosticsCollector.Severity.Error, error.Code, error.Message,
+                            error.File, error.LineNumber, error.ColumnNumber, error.ProjectFile));
+
+                        if (!includeErrors || IsFilteredOut(nodeId, projectInstanceId)) break;
+
                         EnsureThreadTrackWithFallback(nodeId, projectInstanceId);
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
-                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, $"Error: {error.Code}", "error");
+                        var instantArgs = includeAnnotations
+                            ? GetDiagnosticArgs(error.Message, error.Code, error.ProjectFile, error.File, error.LineNumber, error.ColumnNumber)
+                            : null;
+                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, $"Error: {error.Code}", "error", instantArgs);
                     }
                     break;
 
                 case BuildMessageEventArgs message when includeMessages && message.Importance == MessageImportance.High:
                     {
+                        if (IsFilteredOut(nodeId, projectInstanceId)) break;
+
                         EnsureThreadTrackWithFallback(nodeId, projectInstanceId);
                         var trackUuid = GetThreadTrackUuid(nodeId, projectInstanceId);
-                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, TruncateMessage(message.Message, 80), "message");
+                        var instantArgs = includeAnnotations
+                            ? GetDiagnosticArgs(message.Message, null, message.ProjectFile, message.File, message.LineNumber, message.ColumnNumber)
+                            : null;
+                        writer.WriteInstantEvent(trackUuid, relativeTimeNs, TruncateMessage(message.Message, 80), "message", instantArgs);
                     }
                     break;
             }
+
+            // Only these events change what a node is doing
+            if (includeUtilization && args is ProjectStartedEventArgs or ProjectFinishedEventArgs or TaskStartedEventArgs or TaskFinishedEventArgs)
+            {
+                WriteNodeActivity(nodeId, summary.GetNodeActivity(nodeId), relativeTimeNs);
+            }
+
+            // Only these events change what the counters count
+            if (includeCounters && args is BuildStartedEventArgs or ProjectStartedEventArgs or ProjectFinishedEventArgs
+                or TaskStartedEventArgs or TaskFinishedEventArgs or BuildWarningEventArgs or BuildErrorEventArgs)
+            {
+                WriteCounters(relativeTimeNs);
+            }
+
+            progress.EndRecord(recordStart);
+        }
+        progress.EndPass();
+        progress.BytesRead = stream.Length;
+        progress.Records = recordCount;
+
+        // Close the slices of nodes still busy or yielded when the binlog ends
+        foreach (var nodeId in nodeActivities.Keys.ToList())
+            WriteNodeActivity(nodeId, BuildSummaryCollector.NodeActivity.Idle, lastRelativeTimeNs);
+
+        analysis.RecordCount = recordCount;
+        analysis.CriticalPath = criticalPath.Compute();
+
+        if (includeCriticalPath && analysis.CriticalPath.Count > 0)
+        {
+            EnsureProcessTrack(BuildNodeId, "Build");
+            var trackUuid = session.NextTrackUuid++;
+            writer.WriteTrackDescriptor(trackUuid, GetProcessTrackUuid(BuildNodeId), CriticalPathTrackName);
+            WriteCriticalPath(writer, trackUuid, analysis.CriticalPath);
+        }
+
+        return analysis;
+    }
+
+    /// <summary>
+    /// Writes the critical path as nested project, target and task slices on one track.
+    /// </summary>
+    private static void WriteCriticalPath(ITraceWriter writer, ulong trackUuid, IReadOnlyList<CriticalPathAnalyzer.Segment> path)
+    {
+        // Open slices, outermost first: project, then target and task when there are any
+        var open = new List<string?>();
+        long lastEndNs = 0;
+
+        void CloseFrom(int level, long timestampNs)
+        {
+            while (open.Count > level)
+            {
+                if (open[^1] != null)
+                    writer.WriteSliceEnd(trackUuid, timestampNs);
+                open.RemoveAt(open.Count - 1);
+            }
+        }
+
+        foreach (var segment in path)
+        {
+            string?[] levels = [segment.Project, segment.Target, segment.Task];
+
+            // Keep the outer slices this segment shares with the previous one, if it follows it directly
+            int shared = 0;
+            if (segment.StartNs == lastEndNs)
+            {
+                while (shared < open.Count && open[shared] == levels[shared])
+                    shared++;
+            }
+            CloseFrom(shared, lastEndNs);
+
+            for (int level = shared; level < levels.Length; level++)
+            {
+                var name = levels[level];
+                if (name != null)
+                    writer.WriteSliceBegin(trackUuid, segment.StartNs, name, "critical-path");
+                open.Add(name);
+            }
+
+            lastEndNs = segment.EndNs;
+        }
+
+        CloseFrom(0, lastEndNs);
+    }
+
+    /// <summary>
+    /// Annotations of a project slice: the full project path, the requested targets and the global properties.
+    /// </summary>
+    private static List<TraceArg> GetProjectArgs(ProjectStartedEventArgs projectStarted)
+    {
+        var args = GetFileArgs("projectFile", projectStarted.ProjectFile);
+        AddText(args, "targets", projectStarted.TargetNames);
+        if (projectStarted.GlobalProperties != null)
+        {
+            foreach (var property in projectStarted.GlobalProperties.OrderBy(p => p.Key, StringComparer.OrdinalIgnoreCase))
+                args.Add(TraceArg.Of($"globalProperties.{property.Key}", property.Value ?? ""));
+        }
+        return args;
+    }
+
+    private static List<TraceArg> GetTargetArgs(TargetStartedEventArgs targetStarted)
+    {
+        var args = GetFileArgs("targetFile", targetStarted.TargetFile);
+        AddText(args, "parentTarget", targetStarted.ParentTarget);
+        return args;
+    }
+
+    private static List<TraceArg> GetTargetSkippedArgs(TargetSkippedEventArgs targetSkipped)
+    {
+        var args = new List<TraceArg> { TraceArg.Of("skipReason", targetSkipped.SkipReason.ToString()) };
+        AddText(args, "parentTarget", targetSkipped.ParentTarget);
+        AddText(args, "condition", targetSkipped.Condition);
+        AddText(args, "evaluatedCondition", targetSkipped.EvaluatedCondition);
+        return args;
+    }
+
+    /// <summary>
+    /// Annotations of a warning, error or message: its full text, code and source location.
+    /// </summary>
+    private static List<TraceArg> GetDiagnosticArgs(string? message, string? code, string? projectFile, string? file, int line, int column)
+    {
+        var args = new List<TraceArg>();
+        AddText(args, "message", message);
+        AddText(args, "code", code);
+        AddText(args, "projectFile", projectFile);
+        AddText(args, "file", file);
+        if (line > 0)
+            args.Add(TraceArg.Of("line", line));
+        if (column > 0)
+            args.Add(TraceArg.Of("column", column));
+        return args;
+    }
+
+    /// <summary>
+    /// The locations of an evaluation profile, with MSBuild's profiler types turned into <see cref="EvaluationProfile.Location"/>.
+    /// </summary>
+    private static List<EvaluationProfile.Location> GetProfileLocations(ProfilerResult result)
+    {
+        var locations = new List<EvaluationProfile.Location>(result.ProfiledLocations.Count);
+        foreach (var (location, profiled) in result.ProfiledLocations)
+        {
+            var kind = location.Kind switch
+            {
+                EvaluationLocationKind.Condition => EvaluationProfile.LocationKind.Condition,
+                EvaluationLocationKind.Glob => EvaluationProfile.LocationKind.Glob,
+                _ => EvaluationProfile.LocationKind.Element,
+            };
+            locations.Add(new EvaluationProfile.Location(
+                location.Id, location.ParentId, location.EvaluationPass.ToString(), location.File, location.Line,
+                location.ElementName, location.ElementDescription, kind,
+                profiled.InclusiveTime.Ticks * 100, profiled.ExclusiveTime.Ticks * 100, profiled.NumberOfHits));
+        }
+        return locations;
+    }
+
+    /// <summary>
+    /// Writes the passes of a profiled evaluation, and the slowest imports and globs of each, as slices
+    /// nested in its evaluation slice, which is still open. They are written when the evaluation finishes,
+    /// so they go back in time; writers that need events in order (Speedscope) squeeze them into its end.
+    /// </summary>
+    private static void WriteEvaluationProfile(ITraceWriter writer, ulong trackUuid, IReadOnlyCollection<EvaluationProfile.Location> profile,
+        long startNs, long endNs, bool includeAnnotations)
+    {
+        long? passEndNs = null;
+        foreach (var slice in EvaluationProfile.GetSlices(profile, startNs, endNs, EvaluationProfileSliceCount))
+        {
+            if (slice.Depth == 1)
+            {
+                if (passEndNs.HasValue)
+                    writer.WriteSliceEnd(trackUuid, passEndNs.Value);
+                passEndNs = slice.EndNs;
+            }
+
+            var sliceArgs = includeAnnotations ? GetProfileArgs(slice.Location) : null;
+            writer.WriteSliceBegin(trackUuid, slice.StartNs, slice.Name, slice.Category, args: sliceArgs);
+            if (slice.Depth > 1)
+                writer.WriteSliceEnd(trackUuid, slice.EndNs);
         }
+        if (passEndNs.HasValue)
+            writer.WriteSliceEnd(trackUuid, passEndNs.Value);
+    }
 
-        PostProgress($"Writing protobuf trace ({recordCount:N0} records)...", 95, 100);
+    private static List<TraceArg> GetProfileArgs(EvaluationProfile.Location location)
+    {
+        var args = GetFileArgs("file", location.File);
+        if (location.Line > 0)
+            args.Add(TraceArg.Of("line", location.Line.Value));
+        AddText(args, "element", location.Description);
+        args.Add(TraceArg.Of("hits", location.Hits));
+        args.Add(TraceArg.Of("inclusiveNs", location.InclusiveNs));
+        args.Add(TraceArg.Of("exclusiveNs", location.ExclusiveNs));
+        return args;
+    }
 
-        var result = writer.ToArray();
+    private static List<TraceArg> GetFileArgs(string name, string? file)
+    {
+        var args = new List<TraceArg>();
+        AddText(args, name, file);
+        return args;
+    }
+
+    private static void AddText(List<TraceArg> args, string name, string? value)
+    {
+        if (!string.IsNullOrEmpty(value))
+            args.Add(TraceArg.Of(name, value));
+    }
 
-        PostProgress("Complete!", 100, 100);
-        return result;
+    // Task parameters are logged as item lists; scalar parameters are a single item
+    private static string FormatTaskItems(System.Collections.IList? items)
+    {
+        if (items == null || items.Count == 0) return "";
+
+        var text = new StringBuilder();
+        foreach (var item in items)
+        {
+            if (text.Length > 0) text.Append(';');
+            text.Append(item is ITaskItem taskItem ? taskItem.ItemSpec : item?.ToString());
+            if (text.Length > MaxTaskParameterLength)
+                return TruncateMessage(text.ToString(), MaxTaskParameterLength);
+        }
+        return text.ToString();
     }
 
     private static string TruncateMessage(string? message, int maxLength)
@@ -359,4 +1120,5 @@ public partial class BinlogConverter
     }
 }
 
-// PerfettoTraceWriter is in PerfettoTraceWriter.cs
+// PerfettoTraceWriter is in PerfettoTraceWriter.cs (other formats: ChromeTraceWriter.cs, SpeedscopeTraceWriter.cs)
+// JSInputStream and JSOutputStream are in JSStreams.cs
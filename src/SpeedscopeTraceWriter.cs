@@ -0,0 +1,187 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+
+/// <summary>
+/// Writes the Speedscope file format (https://www.speedscope.app/file-format-schema.json):
+/// one evented profile per track, named after its process and thread, with slices as frames.
+/// Speedscope has no instants, flows, arguments or counters, so those are left out. Speedscope needs the events of each
+/// profile together and strictly nested, so they are collected per track and written by <see cref="Finish"/>.
+/// </summary>
+public class SpeedscopeTraceWriter : ITraceWriter
+{
+    private const int FlushThreshold = 64 * 1024;
+
+    private sealed class Track(uint pid, long tid, string name)
+    {
+        public uint Pid { get; } = pid;
+        public long Tid { get; } = tid;
+        public string Name { get; } = name;
+        public List<(bool open, int frame, long at)> Events { get; } = new();
+        public List<int> OpenFrames { get; } = new();
+        public long LastAt { get; set; }
+    }
+
+    private readonly Stream _output;
+    private readonly string _name;
+    private readonly Dictionary<ulong, Track> _tracks = new();
+    private readonly Dictionary<ulong, string> _processNames = new();
+    private readonly Dictionary<string, int> _frameIndexes = new(StringComparer.Ordinal);
+    private readonly List<string> _frames = new();
+    private bool _finished;
+
+    public SpeedscopeTraceWriter(Stream output, string name = "MSBuild")
+    {
+        _output = output;
+        _name = name;
+    }
+
+    public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name)
+    {
+        _processNames[uuid] = name;
+        _tracks[uuid] = new Track(pid, 0, name);
+    }
+
+    public void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name)
+    {
+        _tracks[uuid] = new Track((uint)pid, tid, $"{GetProcessName(parentUuid)} / {name}");
+    }
+
+    public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+    {
+        uint pid = _tracks.TryGetValue(parentUuid, out var parent) ? parent.Pid : 0;
+        _tracks[uuid] = new Track(pid, -(long)uuid, $"{GetProcessName(parentUuid)} / {name}");
+    }
+
+    public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null)
+    {
+        var track = GetTrack(trackUuid);
+        int frame = GetFrameIndex(name);
+        track.OpenFrames.Add(frame);
+        track.Events.Add((true, frame, Clamp(track, timestampNs)));
+    }
+
+    public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null)
+    {
+        var track = GetTrack(trackUuid);
+        if (track.OpenFrames.Count == 0) return;
+
+        int frame = track.OpenFrames[^1];
+        track.OpenFrames.RemoveAt(track.OpenFrames.Count - 1);
+        track.Events.Add((false, frame, Clamp(track, timestampNs)));
+    }
+
+    public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null)
+    {
+        WriteSliceBegin(trackUuid, timestampNs, name, category);
+    }
+
+    public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null)
+    {
+    }
+
+    public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+    {
+    }
+
+    public void WriteCounterValue(ulong trackUuid, long timestampNs, long value)
+    {
+    }
+
+    public void Finish()
+    {
+        if (_finished) return;
+        _finished = true;
+
+        // Slices still open at the end of the trace end with their track
+        foreach (var track in _tracks.Values)
+        {
+            for (int i = track.OpenFrames.Count - 1; i >= 0; i--)
+                track.Events.Add((false, track.OpenFrames[i], track.LastAt));
+            track.OpenFrames.Clear();
+        }
+
+        using var json = new Utf8JsonWriter(_output);
+        json.WriteStartObject();
+        json.WriteString("$schema", "https://www.speedscope.app/file-format-schema.json");
+        json.WriteString("name", _name);
+        json.WriteString("exporter", "msbuild-binlog-perfview");
+        json.WriteNumber("activeProfileIndex", 0);
+
+        json.WriteStartObject("shared");
+        json.WriteStartArray("frames");
+        foreach (var frame in _frames)
+        {
+            json.WriteStartObject();
+            json.WriteString("name", frame);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+        json.WriteEndObject();
+
+        json.WriteStartArray("profiles");
+        var tracks = _tracks.Values
+            .Where(t => t.Events.Count > 0)
+            .OrderBy(t => t.Pid)
+            .ThenBy(t => t.Tid);
+        foreach (var track in tracks)
+        {
+            json.WriteStartObject();
+            json.WriteString("type", "evented");
+            json.WriteString("name", track.Name);
+            json.WriteString("unit", "nanoseconds");
+            json.WriteNumber("startValue", track.Events[0].at);
+            json.WriteNumber("endValue", track.LastAt);
+            json.WriteStartArray("events");
+            foreach (var (open, frame, at) in track.Events)
+            {
+                json.WriteStartObject();
+                json.WriteString("type", open ? "O" : "C");
+                json.WriteNumber("frame", frame);
+                json.WriteNumber("at", at);
+                json.WriteEndObject();
+                if (json.BytesPending >= FlushThreshold)
+                    json.Flush();
+            }
+            json.WriteEndArray();
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+
+        json.WriteEndObject();
+        json.Flush();
+    }
+
+    private string GetProcessName(ulong uuid) => _processNames.TryGetValue(uuid, out var name) ? name : "Process";
+
+    private Track GetTrack(ulong uuid)
+    {
+        if (!_tracks.TryGetValue(uuid, out var track))
+        {
+            track = new Track(0, -(long)uuid, $"Track {uuid}");
+            _tracks[uuid] = track;
+        }
+        return track;
+    }
+
+    // Speedscope requires events in time order within a profile
+    private static long Clamp(Track track, long timestampNs)
+    {
+        track.LastAt = Math.Max(track.LastAt, timestampNs);
+        return track.LastAt;
+    }
+
+    private int GetFrameIndex(string name)
+    {
+        if (!_frameIndexes.TryGetValue(name, out int index))
+        {
+            index = _frames.Count;
+            _frames.Add(name);
+            _frameIndexes[name] = index;
+        }
+        return index;
+    }
+}
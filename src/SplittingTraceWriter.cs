@@ -0,0 +1,559 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+
+/// <summary>
+/// How a trace is split into several traces by <see cref="SplittingTraceWriter"/>:
+/// one per time window of <see cref="WindowNs"/>, or one per node (process track).
+/// </summary>
+public sealed class TraceSplit
+{
+    public enum Mode
+    {
+        None,
+        Time,
+        Node,
+    }
+
+    public static TraceSplit None { get; } = new(Mode.None);
+
+    public TraceSplit(Mode by, long windowNs = 0)
+    {
+        if (by == Mode.Time && windowNs <= 0)
+            throw new ArgumentException("The time window of a split must be longer than zero.");
+
+        By = by;
+        WindowNs = by == Mode.Time ? windowNs : 0;
+    }
+
+    public Mode By { get; }
+
+    /// <summary>Length of each time window; 0 unless splitting by time.</summary>
+    public long WindowNs { get; }
+
+    /// <summary>
+    /// Reads a split from the JSON the page sends: <c>{ "by": "time", "windowMs": 60000 }</c> or <c>{ "by": "node" }</c>.
+    /// Null or blank is no split.
+    /// </summary>
+    public static TraceSplit Parse(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+            return None;
+
+        using var document = JsonDocument.Parse(json);
+        var root = document.RootElement;
+        if (root.ValueKind != JsonValueKind.Object)
+            throw new ArgumentException("Split must be a JSON object.");
+
+        var by = root.TryGetProperty("by", out var byValue) && byValue.ValueKind == JsonValueKind.String ? byValue.GetString() : null;
+        switch (by)
+        {
+            case "node":
+                return new TraceSplit(Mode.Node);
+            case "time":
+                if (!root.TryGetProperty("windowMs", out var window) || window.ValueKind != JsonValueKind.Number)
+                    throw new ArgumentException("Split 'windowMs' must be a number.");
+                return new TraceSplit(Mode.Time, (long)(window.GetDouble() * 1_000_000));
+            default:
+                throw new ArgumentException($"Unknown split: {by}");
+        }
+    }
+}
+
+/// <summary>
+/// Splits a trace into several traces that each load on their own, for builds too large to open as one.
+/// Each chunk gets a writer of its own, with the descriptors of the tracks it uses (and their parents)
+/// written before its first event on them.
+/// <list type="bullet">
+/// <item>By node, each process track with everything under it is a chunk, written side by side.</item>
+/// <item>By time, a chunk covers a window of the timeline and is finished when an event of a later window arrives.
+/// Slices still open at the end of a window end there and begin again, without their flows, at the start of
+/// the next one; counters enter it with their last value. Events written late, with a time before the current
+/// window, go to the chunk of the window that holds their time, whose writer is created again for them:
+/// slices once the outermost late slice on their track has ended, cut at the windows they cross like open slices.
+/// Only events before the first window are moved, to its start.</item>
+/// </list>
+/// A flow is only kept when both of its slices land in the same chunk; otherwise both are written without it.
+/// To know which, a slice that starts a flow is held back, with what follows it on its track, until the flow ends,
+/// the slice ends or its chunk is finished. Late slices are written without the flows they start.
+/// </summary>
+public sealed class SplittingTraceWriter : ITraceWriter
+{
+    /// <summary>
+    /// A trace written by the splitter. <see cref="Index"/> is the one its writer was created with.
+    /// </summary>
+    public sealed record Chunk(int Index, string Name, long StartNs, long EndNs);
+
+    private sealed class Part(int index, ITraceWriter writer, long startNs)
+    {
+        public int Index { get; } = index;
+        public ITraceWriter? Writer { get; set; } = writer;
+        public string? Name { get; set; }
+        public long StartNs { get; set; } = startNs;
+        public long EndNs { get; set; } = startNs;
+        public HashSet<ulong> Described { get; } = new();
+    }
+
+    private readonly record struct Track(ulong ParentUuid, string Name, Action<ITraceWriter> Describe);
+
+    private readonly record struct OpenSlice(string Name, string Category, IReadOnlyList<TraceArg>? Args);
+
+    // A slice written late, held until the outermost late slice on its track has ended
+    private sealed class LateSlice(long startNs, string name, string category, ulong? flowId, ulong? terminatingFlowId, IReadOnlyList<TraceArg>? args)
+    {
+        public long StartNs { get; } = startNs;
+        public long? EndNs { get; set; }
+        public string Name { get; } = name;
+        public string Category { get; } = category;
+        public ulong? FlowId { get; } = flowId;
+        public ulong? TerminatingFlowId { get; } = terminatingFlowId;
+        public IReadOnlyList<TraceArg>? Args { get; } = args;
+        public IReadOnlyList<TraceArg>? EndArgs { get; set; }
+    }
+
+    // A slice that starts a flow, held back with the events after it on its track until the flow is decided
+    private sealed class FlowStart(Part part, ulong trackUuid, ulong flowId, Action<ITraceWriter, ulong?> begin)
+    {
+        public Part Part { get; } = part;
+        public ulong TrackUuid { get; } = trackUuid;
+        public ulong FlowId { get; } = flowId;
+        public Action<ITraceWriter, ulong?> Begin { get; } = begin;
+        public List<Action<ITraceWriter>> Held { get; } = new();
+
+        // Slices begun inside it that have not ended yet
+        public int Depth { get; set; }
+    }
+
+    private sealed class LateTrack
+    {
+        // In the order they began, so that enclosing slices come first where pieces begin at the same time
+        public List<LateSlice> Slices { get; } = new();
+        public Stack<LateSlice> Open { get; } = new();
+    }
+
+    private readonly TraceSplit _split;
+    private readonly Func<int, ITraceWriter> _createWriter;
+    private readonly Dictionary<ulong, Track> _tracks = new();
+    private readonly List<Part> _parts = new();
+
+    // By node: the chunk of each process track
+    private readonly Dictionary<ulong, Part> _partsByProcess = new();
+
+    // By time: the chunk of the current window, and what carries over into the next one
+    private Part? _current;
+    private long _currentWindow = -1;
+    private readonly Dictionary<ulong, List<OpenSlice>> _openSlices = new();
+    private readonly Dictionary<ulong, long> _counterValues = new();
+
+    // By time: late slices per track, and the earlier chunk whose writer was created again for late events
+    private readonly Dictionary<ulong, LateTrack> _lateTracks = new();
+    private Part? _reopened;
+
+    // Undecided flows, by flow and by the track of the slice that starts them
+    private readonly Dictionary<ulong, FlowStart> _flowStarts = new();
+    private readonly Dictionary<ulong, FlowStart> _heldTracks = new();
+
+    /// <summary>
+    /// Splits the trace as <paramref name="split"/> says, creating the writer of each chunk with
+    /// <paramref name="createWriter"/> from its index (0, 1, 2, ... in the order chunks are started).
+    /// When splitting by time, it is called again with the index of a finished chunk to add late events
+    /// to it; that writer must append to the chunk's output.
+    /// </summary>
+    public SplittingTraceWriter(TraceSplit split, Func<int, ITraceWriter> createWriter)
+    {
+        if (split.By == TraceSplit.Mode.None)
+            throw new ArgumentException("A split is needed to split a trace.", nameof(split));
+
+        _split = split;
+        _createWriter = createWriter;
+    }
+
+    /// <summary>
+    /// The chunks written so far, in index order. A time window is named after its start and end,
+    /// a node after its process track.
+    /// </summary>
+    public IReadOnlyList<Chunk> Chunks
+    {
+        get
+        {
+            var chunks = new List<Chunk>(_parts.Count);
+            foreach (var part in _parts)
+            {
+                var name = part.Name ?? $"{FormatSeconds(part.StartNs)} - {FormatSeconds(part.EndNs)}";
+                chunks.Add(new Chunk(part.Index, name, part.StartNs, part.EndNs));
+            }
+            return chunks;
+        }
+    }
+
+    /// <summary>
+    /// Serializes the chunks: <c>[{ "index", "name", "startNs", "endNs" }]</c>.
+    /// </summary>
+    public void WriteJson(Utf8JsonWriter json)
+    {
+        json.WriteStartArray();
+        foreach (var chunk in Chunks)
+        {
+            json.WriteStartObject();
+            json.WriteNumber("index", chunk.Index);
+            json.WriteString("name", chunk.Name);
+            json.WriteNumber("startNs", chunk.StartNs);
+            json.WriteNumber("endNs", chunk.EndNs);
+            json.WriteEndObject();
+        }
+        json.WriteEndArray();
+    }
+
+    public void WriteProcessTrackDescriptor(ulong uuid, uint pid, string name)
+        => _tracks[uuid] = new Track(0, name, writer => writer.WriteProcessTrackDescriptor(uuid, pid, name));
+
+    public void WriteThreadTrackDescriptor(ulong uuid, ulong parentUuid, int pid, int tid, string name)
+        => _tracks[uuid] = new Track(parentUuid, name, writer => writer.WriteThreadTrackDescriptor(uuid, parentUuid, pid, tid, name));
+
+    public void WriteTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+        => _tracks[uuid] = new Track(parentUuid, name, writer => writer.WriteTrackDescriptor(uuid, parentUuid, name));
+
+    public void WriteCounterTrackDescriptor(ulong uuid, ulong parentUuid, string name)
+        => _tracks[uuid] = new Track(parentUuid, name, writer => writer.WriteCounterTrackDescriptor(uuid, parentUuid, name));
+
+    public void WriteSliceBegin(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId = null, IReadOnlyList<TraceArg>? args = null)
+    {
+        if (BeginLateSlice(trackUuid, timestampNs, name, category, flowId, null, args)) return;
+
+        var part = GetPart(trackUuid, ref timestampNs);
+        long beginNs = timestampNs;
+        if (flowId is ulong id)
+        {
+            // One undecided flow per track; the start of another gives up the first
+            if (_heldTracks.TryGetValue(trackUuid, out var previous))
+                ReleaseFlowStart(previous, keepFlow: false);
+            var start = new FlowStart(part, trackUuid, id,
+                (writer, flow) => writer.WriteSliceBegin(trackUuid, beginNs, name, category, flow, args));
+            _flowStarts[id] = start;
+            _heldTracks[trackUuid] = start;
+        }
+        else
+        {
+            BeginInsideFlowStart(trackUuid);
+            Write(part, trackUuid, writer => writer.WriteSliceBegin(trackUuid, beginNs, name, category, null, args));
+        }
+        PushSlice(trackUuid, name, category, args);
+    }
+
+    public void WriteSliceBeginWithTerminatingFlow(ulong trackUuid, long timestampNs, string name, string category, ulong terminatingFlowId, IReadOnlyList<TraceArg>? args = null)
+    {
+        if (BeginLateSlice(trackUuid, timestampNs, name, category, null, terminatingFlowId, args)) return;
+
+        var part = GetPart(trackUuid, ref timestampNs);
+        long beginNs = timestampNs;
+        ulong? flow = TakeFlow(terminatingFlowId, part);
+        BeginInsideFlowStart(trackUuid);
+        Write(part, trackUuid, writer => WriteSliceBegin(writer, trackUuid, beginNs, name, category, flow, args));
+        PushSlice(trackUuid, name, category, args);
+    }
+
+    public void WriteSliceEnd(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args = null)
+    {
+        if (EndLateSlice(trackUuid, timestampNs, args)) return;
+
+        var part = GetPart(trackUuid, ref timestampNs);
+        long endNs = timestampNs;
+        if (_heldTracks.TryGetValue(trackUuid, out var start))
+        {
+            // The flow never ended while its slice was open
+            if (start.Depth == 0)
+                ReleaseFlowStart(start, keepFlow: false);
+            else
+                start.Depth--;
+        }
+        Write(part, trackUuid, writer => writer.WriteSliceEnd(trackUuid, endNs, args));
+
+        if (_openSlices.TryGetValue(trackUuid, out var slices) && slices.Count > 0)
+            slices.RemoveAt(slices.Count - 1);
+    }
+
+    public void WriteInstantEvent(ulong trackUuid, long timestampNs, string name, string category, IReadOnlyList<TraceArg>? args = null)
+    {
+        var part = GetPart(trackUuid, ref timestampNs, keepLate: true);
+        long instantNs = timestampNs;
+        Write(part, trackUuid, writer => writer.WriteInstantEvent(trackUuid, instantNs, name, category, args));
+    }
+
+    public void WriteCounterValue(ulong trackUuid, long timestampNs, long value)
+    {
+        bool late = IsLate(timestampNs);
+        GetPartWriter(GetPart(trackUuid, ref timestampNs, keepLate: true)).WriteCounterValue(trackUuid, timestampNs, value);
+        if (_split.By == TraceSplit.Mode.Time && !late)
+            _counterValues[trackUuid] = value;
+    }
+
+    /// <summary>
+    /// Finishes every chunk still being written. Slices still open stay open, as they would in one trace.
+    /// </summary>
+    public void Finish()
+    {
+        ReleaseFlowStarts(_ => true);
+        foreach (var (trackUuid, track) in _lateTracks)
+            WriteLateSlices(trackUuid, track);
+        foreach (var part in _parts)
+            FinishPart(part);
+    }
+
+    // Writes an event of a track into a chunk, or holds it back behind the track's undecided flow start there
+    private void Write(Part part, ulong trackUuid, Action<ITraceWriter> write)
+    {
+        if (_heldTracks.TryGetValue(trackUuid, out var start) && start.Part == part)
+            start.Held.Add(write);
+        else
+            write(GetPartWriter(part));
+    }
+
+    private static void WriteSliceBegin(ITraceWriter writer, ulong trackUuid, long timestampNs, string name, string category, ulong? terminatingFlowId, IReadOnlyList<TraceArg>? args)
+    {
+        if (terminatingFlowId is ulong flowId)
+            writer.WriteSliceBeginWithTerminatingFlow(trackUuid, timestampNs, name, category, flowId, args);
+        else
+            writer.WriteSliceBegin(trackUuid, timestampNs, name, category, null, args);
+    }
+
+    private void BeginInsideFlowStart(ulong trackUuid)
+    {
+        if (_heldTracks.TryGetValue(trackUuid, out var start))
+            start.Depth++;
+    }
+
+    // Decides a flow as its end begins in a chunk: it is kept when its start is held in the same chunk
+    private ulong? TakeFlow(ulong flowId, Part part)
+    {
+        if (!_flowStarts.TryGetValue(flowId, out var start))
+            return null;
+
+        bool keepFlow = start.Part == part;
+        ReleaseFlowStart(start, keepFlow);
+        return keepFlow ? flowId : null;
+    }
+
+    private void ReleaseFlowStart(FlowStart start, bool keepFlow)
+    {
+        _flowStarts.Remove(start.FlowId);
+        _heldTracks.Remove(start.TrackUuid);
+
+        var writer = GetPartWriter(start.Part);
+        start.Begin(writer, keepFlow ? start.FlowId : null);
+        foreach (var write in start.Held)
+            write(writer);
+    }
+
+    private void ReleaseFlowStarts(Func<FlowStart, bool> predicate)
+    {
+        foreach (var start in _heldTracks.Values.Where(predicate).ToList())
+            ReleaseFlowStart(start, keepFlow: false);
+    }
+
+    private bool IsLate(long timestampNs) =>
+        _split.By == TraceSplit.Mode.Time && Math.Max(timestampNs, 0) / _split.WindowNs < _currentWindow;
+
+    // Holds a slice that begins before the current window, or inside such a slice, until it can be cut at the windows it crosses
+    private bool BeginLateSlice(ulong trackUuid, long timestampNs, string name, string category, ulong? flowId, ulong? terminatingFlowId, IReadOnlyList<TraceArg>? args)
+    {
+        _lateTracks.TryGetValue(trackUuid, out var track);
+        if (!IsLate(timestampNs) && (track == null || track.Open.Count == 0))
+            return false;
+
+        if (track == null)
+        {
+            track = new LateTrack();
+            _lateTracks[trackUuid] = track;
+        }
+        StartWindowAt(timestampNs);
+        var slice = new LateSlice(timestampNs, name, category, flowId, terminatingFlowId, args);
+        track.Slices.Add(slice);
+        track.Open.Push(slice);
+        return true;
+    }
+
+    private bool EndLateSlice(ulong trackUuid, long timestampNs, IReadOnlyList<TraceArg>? args)
+    {
+        if (!_lateTracks.TryGetValue(trackUuid, out var track) || !track.Open.TryPop(out var slice))
+            return false;
+
+        StartWindowAt(timestampNs);
+        slice.EndNs = Math.Max(timestampNs, slice.StartNs);
+        slice.EndArgs = args;
+        if (track.Open.Count == 0)
+            WriteLateSlices(trackUuid, track);
+        return true;
+    }
+
+    // Writes the held slices of a track into the chunks they cross. Slices that never ended are left open in the last chunk.
+    private void WriteLateSlices(ulong trackUuid, LateTrack track)
+    {
+        foreach (var slice in track.Slices)
+        {
+            int first = FindPart(slice.StartNs);
+            int last = slice.EndNs is long endNs ? FindPart(endNs) : _parts.Count - 1;
+            for (int i = first; i <= last; i++)
+            {
+                var part = _parts[i];
+                GetPartWriter(part);
+                Describe(part, trackUuid);
+
+                long beginNs = Math.Max(i == first ? slice.StartNs : part.StartNs, part.StartNs);
+                ulong? flow = i == first && slice.TerminatingFlowId is ulong terminatingFlowId ? TakeFlow(terminatingFlowId, part) : null;
+                Write(part, trackUuid, writer => WriteSliceBegin(writer, trackUuid, beginNs, slice.Name, slice.Category, flow, slice.Args));
+
+                if (i < last)
+                {
+                    long pieceEndNs = _parts[i + 1].StartNs;
+                    Write(part, trackUuid, writer => writer.WriteSliceEnd(trackUuid, pieceEndNs));
+                }
+                else if (slice.EndNs is long sliceEndNs)
+                {
+                    Write(part, trackUuid, writer => writer.WriteSliceEnd(trackUuid, Math.Max(sliceEndNs, beginNs), slice.EndArgs));
+                    part.EndNs = Math.Max(part.EndNs, sliceEndNs);
+                }
+            }
+        }
+        track.Slices.Clear();
+    }
+
+    // The chunk holding a time: the last one that starts at or before it, or the first one
+    private int FindPart(long timestampNs)
+    {
+        int index = _parts.Count - 1;
+        while (index > 0 && _parts[index].StartNs > timestampNs)
+            index--;
+        return index;
+    }
+
+    // A finished chunk gets a new writer for late events, one chunk at a time so their buffers do not pile up
+    private ITraceWriter GetPartWriter(Part part)
+    {
+        if (part.Writer == null)
+        {
+            if (_reopened != null && _reopened != _current)
+                FinishPart(_reopened);
+            part.Writer = _createWriter(part.Index);
+            _reopened = part;
+        }
+        return part.Writer;
+    }
+
+    // Only the time split carries open slices into the next chunk
+    private void PushSlice(ulong trackUuid, string name, string category, IReadOnlyList<TraceArg>? args)
+    {
+        if (_split.By != TraceSplit.Mode.Time) return;
+
+        if (!_openSlices.TryGetValue(trackUuid, out var slices))
+        {
+            slices = new List<OpenSlice>();
+            _openSlices[trackUuid] = slices;
+        }
+        slices.Add(new OpenSlice(name, category, args));
+    }
+
+    // Late events go to the chunk that holds their time with keepLate, and to the start of the current chunk without
+    private Part GetPart(ulong trackUuid, ref long timestampNs, bool keepLate = false)
+    {
+        Part part;
+        if (_split.By == TraceSplit.Mode.Node)
+        {
+            var processUuid = GetProcessUuid(trackUuid);
+            if (!_partsByProcess.TryGetValue(processUuid, out part!))
+            {
+                part = StartPart(timestampNs);
+                part.Name = _tracks.TryGetValue(processUuid, out var process) ? process.Name : $"Track {processUuid}";
+                _partsByProcess[processUuid] = part;
+            }
+            part.StartNs = Math.Min(part.StartNs, timestampNs);
+        }
+        else
+        {
+            StartWindowAt(timestampNs);
+            part = keepLate ? _parts[FindPart(timestampNs)] : _current!;
+            timestampNs = Math.Max(timestampNs, part.StartNs);
+        }
+
+        part.EndNs = Math.Max(part.EndNs, timestampNs);
+        GetPartWriter(part);
+        Describe(part, trackUuid);
+        return part;
+    }
+
+    private void StartWindowAt(long timestampNs)
+    {
+        long window = Math.Max(timestampNs, 0) / _split.WindowNs;
+        if (window > _currentWindow)
+            StartWindow(window);
+    }
+
+    private void StartWindow(long window)
+    {
+        long startNs = window * _split.WindowNs;
+
+        if (_current != null)
+        {
+            // Flows still undecided would end in a later chunk
+            ReleaseFlowStarts(start => start.Part == _current);
+            foreach (var (trackUuid, slices) in _openSlices)
+            {
+                for (int i = 0; i < slices.Count; i++)
+                    _current.Writer!.WriteSliceEnd(trackUuid, startNs);
+            }
+            _current.EndNs = startNs;
+            FinishPart(_current);
+        }
+
+        _current = StartPart(startNs);
+        _currentWindow = window;
+
+        foreach (var (trackUuid, slices) in _openSlices)
+        {
+            if (slices.Count == 0) continue;
+            Describe(_current, trackUuid);
+            foreach (var slice in slices)
+                _current.Writer!.WriteSliceBegin(trackUuid, startNs, slice.Name, slice.Category, null, slice.Args);
+        }
+        foreach (var (trackUuid, value) in _counterValues)
+        {
+            Describe(_current, trackUuid);
+            _current.Writer!.WriteCounterValue(trackUuid, startNs, value);
+        }
+    }
+
+    private Part StartPart(long startNs)
+    {
+        var part = new Part(_parts.Count, _createWriter(_parts.Count), startNs);
+        _parts.Add(part);
+        return part;
+    }
+
+    private static void FinishPart(Part part)
+    {
+        // Dropping the writer lets a finished chunk's buffers go
+        part.Writer?.Finish();
+        part.Writer = null;
+    }
+
+    // Writes the descriptors of a track and its parents into a chunk, parents first, unless it has them already
+    private void Describe(Part part, ulong trackUuid)
+    {
+        if (!_tracks.TryGetValue(trackUuid, out var track) || !part.Described.Add(trackUuid))
+            return;
+
+        if (track.ParentUuid != 0)
+            Describe(part, track.ParentUuid);
+        track.Describe(part.Writer!);
+    }
+
+    private ulong GetProcessUuid(ulong trackUuid)
+    {
+        while (_tracks.TryGetValue(trackUuid, out var track) && track.ParentUuid != 0)
+            trackUuid = track.ParentUuid;
+        return trackUuid;
+    }
+
+    private static string FormatSeconds(long ns) => $"{ns / 1e9:0.###} s";
+}
@@ -0,0 +1,223 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+/// <summary>
+/// Narrows what a conversion writes into the trace. The build summary and critical path still cover the whole build.
+/// <list type="bullet">
+/// <item>Projects are matched by glob: a pattern without a slash matches the file name, one with a slash
+/// matches the end of the full path (<c>*</c> stays within a path segment, <c>**</c> does not, <c>?</c> is one character).
+/// A project that is not included or is excluded is left out with everything logged in it.</item>
+/// <item>Targets and tasks are matched by name, with the same wildcards. A target or task that is not included
+/// is left out on its own; an excluded target is left out with its tasks.</item>
+/// <item>Slices shorter than <see cref="MinDurationNs"/> and events outside <see cref="StartNs"/>..<see cref="EndNs"/>
+/// are dropped by <see cref="FilteringTraceWriter"/>.</item>
+/// <item>A flow to or from a slice that is left out, by any of the filters, is dropped with it and the slice
+/// at its other end is written without it. <see cref="FilteringTraceWriter"/> decides this too.</item>
+/// </list>
+/// All matching is case-insensitive.
+/// </summary>
+public sealed class TraceFilter
+{
+    public static TraceFilter None { get; } = new();
+
+    private readonly Pattern[] _includeProjects;
+    private readonly Pattern[] _excludeProjects;
+    private readonly Pattern[] _includeTargets;
+    private readonly Pattern[] _excludeTargets;
+    private readonly Pattern[] _includeTasks;
+    private readonly Pattern[] _excludeTasks;
+
+    public TraceFilter(
+        IEnumerable<string>? includeProjects = null,
+        IEnumerable<string>? excludeProjects = null,
+        IEnumerable<string>? includeTargets = null,
+        IEnumerable<string>? excludeTargets = null,
+        IEnumerable<string>? includeTasks = null,
+        IEnumerable<string>? excludeTasks = null,
+        long minDurationNs = 0,
+        long? startNs = null,
+        long? endNs = null)
+    {
+        if (startNs > endNs)
+            throw new ArgumentException("The time window ends before it starts.");
+
+        _includeProjects = ToPatterns(includeProjects, isPath: true);
+        _excludeProjects = ToPatterns(excludeProjects, isPath: true);
+        _includeTargets = ToPatterns(includeTargets, isPath: false);
+        _excludeTargets = ToPatterns(excludeTargets, isPath: false);
+        _includeTasks = ToPatterns(includeTasks, isPath: false);
+        _excludeTasks = ToPatterns(excludeTasks, isPath: false);
+        MinDurationNs = Math.Max(0, minDurationNs);
+        StartNs = startNs;
+        EndNs = endNs;
+    }
+
+    /// <summary>Slices shorter than this are dropped.</summary>
+    public long MinDurationNs { get; }
+
+    /// <summary>Start of the time window, relative to the start of the trace.</summary>
+    public long? StartNs { get; }
+
+    /// <summary>End of the time window, relative to the start of the trace.</summary>
+    public long? EndNs { get; }
+
+    public bool HasTimeFilter => MinDurationNs > 0 || StartNs != null || EndNs != null;
+
+    /// <summary>
+    /// Whether slices have to go through a <see cref="FilteringTraceWriter"/>: for the time filters, and for
+    /// the flows of the other filters, whose two slices can be left out independently.
+    /// </summary>
+    public bool LeavesOutSlices => HasTimeFilter
+        || new[] { _includeProjects, _excludeProjects, _includeTargets, _excludeTargets, _includeTasks, _excludeTasks }.Any(patterns => patterns.Length > 0);
+
+    public bool IncludesProject(string? projectFile)
+    {
+        var path = (projectFile ?? "").Replace('\\', '/');
+        return Passes(path, _includeProjects) && !Matches(path, _excludeProjects);
+    }
+
+    public bool IncludesTarget(string name) => Passes(name, _includeTargets) && !IsTargetExcluded(name);
+
+    /// <summary>
+    /// Whether the target is excluded explicitly, which also leaves out its tasks.
+    /// </summary>
+    public bool IsTargetExcluded(string name) => Matches(name, _excludeTargets);
+
+    public bool IncludesTask(string name) => Passes(name, _includeTasks) && !Matches(name, _excludeTasks);
+
+    /// <summary>
+    /// Reads a filter from the JSON the page sends:
+    /// <c>{ "includeProjects": [], "excludeProjects": [], "includeTargets": [], "excludeTargets": [],
+    /// "includeTasks": [], "excludeTasks": [], "minDurationMs": 0, "startMs": null, "endMs": null }</c>.
+    /// Every property is optional; null or empty JSON is no filter.
+    /// </summary>
+    public static TraceFilter Parse(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+            return None;
+
+        using var document = JsonDocument.Parse(json);
+        var root = document.RootElement;
+        if (root.ValueKind != JsonValueKind.Object)
+            throw new ArgumentException("Filters must be a JSON object.");
+
+        return new TraceFilter(
+            ReadStrings(root, "includeProjects"),
+            ReadStrings(root, "excludeProjects"),
+            ReadStrings(root, "includeTargets"),
+            ReadStrings(root, "excludeTargets"),
+            ReadStrings(root, "includeTasks"),
+            ReadStrings(root, "excludeTasks"),
+            ReadMilliseconds(root, "minDurationMs") ?? 0,
+            ReadMilliseconds(root, "startMs"),
+            ReadMilliseconds(root, "endMs"));
+    }
+
+    private static List<string> ReadStrings(JsonElement root, string name)
+    {
+        var values = new List<string>();
+        if (!root.TryGetProperty(name, out var array) || array.ValueKind == JsonValueKind.Null)
+            return values;
+        if (array.ValueKind != JsonValueKind.Array)
+            throw new ArgumentException($"Filter '{name}' must be an array of strings.");
+
+        foreach (var item in array.EnumerateArray())
+        {
+            if (item.ValueKind != JsonValueKind.String)
+                throw new ArgumentException($"Filter '{name}' must be an array of strings.");
+            values.Add(item.GetString()!);
+        }
+        return values;
+    }
+
+    private static long? ReadMilliseconds(JsonElement root, string name)
+    {
+        if (!root.TryGetProperty(name, out var value) || value.ValueKind == JsonValueKind.Null)
+            return null;
+        if (value.ValueKind != JsonValueKind.Number)
+            throw new ArgumentException($"Filter '{name}' must be a number.");
+        return (long)(value.GetDouble() * 1_000_000);
+    }
+
+    // An empty include list includes everything
+    private static bool Passes(string text, Pattern[] includes) => includes.Length == 0 || Matches(text, includes);
+
+    private static bool Matches(string text, Pattern[] patterns)
+    {
+        foreach (var pattern in patterns)
+        {
+            if (pattern.IsMatch(text))
+                return true;
+        }
+        return false;
+    }
+
+    private static Pattern[] ToPatterns(IEnumerable<string>? globs, bool isPath)
+    {
+        if (globs == null) return [];
+        return globs
+            .Select(glob => glob.Trim())
+            .Where(glob => glob.Length > 0)
+            .Select(glob => new Pattern(glob, isPath))
+            .ToArray();
+    }
+
+    private sealed class Pattern
+    {
+        private readonly Regex _regex;
+        private readonly bool _matchFileName;
+
+        public Pattern(string glob, bool isPath)
+        {
+            glob = glob.Replace('\\', '/');
+            _matchFileName = isPath && !glob.Contains('/');
+            // Path patterns match at the end of the path, after a slash or at its start
+            var prefix = isPath && !_matchFileName && !glob.StartsWith('/') ? "(?:^|/)" : "^";
+            _regex = new Regex(prefix + GlobToRegex(glob) + "$", RegexOptions.IgnoreCase | RegexOptions.CultureInvariant);
+        }
+
+        public bool IsMatch(string text)
+        {
+            if (_matchFileName)
+            {
+                int slash = text.LastIndexOf('/');
+                text = slash >= 0 ? text[(slash + 1)..] : text;
+            }
+            return _regex.IsMatch(text);
+        }
+    }
+
+    internal static string GlobToRegex(string glob)
+    {
+        var regex = new StringBuilder();
+        for (int i = 0; i < glob.Length; i++)
+        {
+            char c = glob[i];
+            if (c == '*' && i + 1 < glob.Length && glob[i + 1] == '*')
+            {
+                // "**/" also matches no directory at all
+                bool slash = i + 2 < glob.Length && glob[i + 2] == '/';
+                regex.Append(slash ? "(?:.*/)?" : ".*");
+                i += slash ? 2 : 1;
+            }
+            else if (c == '*')
+            {
+                regex.Append("[^/]*");
+            }
+            else if (c == '?')
+            {
+                regex.Append("[^/]");
+            }
+            else
+            {
+                regex.Append(Regex.Escape(c.ToString()));
+            }
+        }
+        return regex.ToString();
+    }
+}
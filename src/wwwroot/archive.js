@@ -0,0 +1,77 @@
+// Binlogs inside archives: CI artifact bundles (.zip) holding one or more binlogs, possibly gzipped,
+// and gzipped binlogs (.binlog.gz). They are unpacked in the page, so nothing leaves the machine.
+
+import { readZipEntries, openZipEntry } from './zip.js'
+
+const BINLOG_PATTERN = /\.binlog(\.gz)?$/i;
+const GZIP_PATTERN = /\.gz$/i;
+
+/**
+ * Tells whether a file is an archive to look for binlogs in, by its name.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isArchive(file) {
+    return /\.(zip|binlog\.gz)$/i.test(file.name);
+}
+
+// Passes the bytes of a stream through, reporting the fraction of total seen so far
+function countBytes(total, onProgress) {
+    let seen = 0;
+    let lastPercent = -1;
+    return new TransformStream({
+        transform(chunk, controller) {
+            seen += chunk.byteLength;
+            const percent = total > 0 ? Math.min(Math.floor(seen * 100 / total), 100) : 0;
+            if (onProgress && percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress(percent / 100);
+            }
+            controller.enqueue(chunk);
+        }
+    });
+}
+
+// Reads a stream of archived bytes into a binlog File, gunzipping them first when the name says so
+async function unpack(stream, archivedName, total, lastModified, { onProgress, signal } = {}) {
+    let content = stream.pipeThrough(countBytes(total, onProgress), { signal });
+    if (GZIP_PATTERN.test(archivedName)) {
+        content = content.pipeThrough(new DecompressionStream('gzip'));
+    }
+    const blob = await new Response(content).blob();
+    return new File([blob], getBinlogName(archivedName), { lastModified });
+}
+
+function getBinlogName(path) {
+    // Archives made on Windows may separate folders with backslashes
+    const start = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\')) + 1;
+    return path.slice(start).replace(GZIP_PATTERN, '');
+}
+
+/**
+ * Finds the binlogs in an archive. Nothing is unpacked until an entry is opened.
+ * @param {File} file - A .zip archive or a .binlog.gz file (see isArchive)
+ * @returns {Promise<{ name: string, path: string, size: number, open: function(object=): Promise<File> }[]>}
+ *   One entry per binlog, in archive order: its file name, its path in the archive and its archived size.
+ *   open unpacks it, taking { onProgress(fraction), signal } to follow or cancel the unpacking.
+ */
+export async function listArchiveBinlogs(file) {
+    if (GZIP_PATTERN.test(file.name)) {
+        return [{
+            name: getBinlogName(file.name),
+            path: file.name,
+            size: file.size,
+            open: options => unpack(file.stream(), file.name, file.size, file.lastModified, options)
+        }];
+    }
+
+    const entries = await readZipEntries(file);
+    return entries
+        .filter(entry => !entry.name.endsWith('/') && BINLOG_PATTERN.test(entry.name))
+        .map(entry => ({
+            name: getBinlogName(entry.name),
+            path: entry.name,
+            size: entry.size,
+            open: async options => unpack(await openZipEntry(file, entry), entry.name, entry.size, file.lastModified, options)
+        }));
+}
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// Command-line converter for CI: runs the same .NET WebAssembly converter as the page, under Node.js.
+// Must sit next to _framework, so run it from the published wwwroot:
+//
+//   node wwwroot/cli.mjs build.binlog -o build.pftrace --evaluation --no-tasks
+//   node wwwroot/cli.mjs build.binlog --exclude-projects "*.Tests.csproj" --min-duration 5
+//
+// Several binlogs are merged into one trace, like dropping them on the page in merge mode.
+// Progress goes to stderr. Exits with 1 if the conversion fails and 2 on invalid arguments.
+
+import { openSync, readSync, writeSync, closeSync, fstatSync, unlinkSync } from 'node:fs'
+import { basename } from 'node:path'
+import { dotnet } from './_framework/dotnet.js'
+import { createProgressTracker } from './progress.js'
+import { createConvertOptions } from './protocol.js'
+
+// Switches matching the "Include in trace" checkboxes, with the same defaults
+const INCLUDE_SWITCHES = {
+    projects: true,
+    targets: true,
+    tasks: true,
+    messages: false,
+    warnings: false,
+    errors: false,
+    evaluation: false,
+    'critical-path': true,
+    details: false,
+    counters: false,
+    utilization: false
+};
+
+// Options matching the Filters panel: comma-separated patterns, or a number in the given unit
+const FILTER_OPTIONS = {
+    'include-projects': { key: 'includeProjects', value: 'globs', help: 'only these projects' },
+    'exclude-projects': { key: 'excludeProjects', value: 'globs', help: 'skip these projects' },
+    'include-targets': { key: 'includeTargets', value: 'names', help: 'only these targets' },
+    'exclude-targets': { key: 'excludeTargets', value: 'names', help: 'skip these targets and their tasks' },
+    'include-tasks': { key: 'includeTasks', value: 'names', help: 'only these tasks' },
+    'exclude-tasks': { key: 'excludeTasks', value: 'names', help: 'skip these tasks' },
+    'min-duration': { key: 'minDurationMs', value: 'ms', scale: 1, help: 'drop shorter slices' },
+    'from': { key: 'startMs', value: 's', scale: 1000, help: 'start of the time window, from the start of the build' },
+    'to': { key: 'endMs', value: 's', scale: 1000, help: 'end of the time window' }
+};
+
+const FORMAT_EXTENSIONS = {
+    perfetto: '.pftrace',
+    chrome: '.json',
+    speedscope: '.speedscope.json'
+};
+
+const USAGE = `Usage: node cli.mjs <file.binlog>... [-o <trace>] [--format perfetto|chrome|speedscope] [switches]
+
+Switches (prefix with --no- to turn off):
+${Object.entries(INCLUDE_SWITCHES).map(([name, on]) => `  --${name.padEnd(24)} ${on ? 'on' : 'off'} by default`).join('\n')}
+
+Filters (patterns are comma-separated):
+${Object.entries(FILTER_OPTIONS).map(([name, { value, help }]) => `  --${`${name} <${value}>`.padEnd(24)} ${help}`).join('\n')}`;
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const options = { inputs: [], output: null, format: 'perfetto', include: { ...INCLUDE_SWITCHES }, filters: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = argv[++i];
+            if (!options.output) throw new UsageError(`${arg} needs a file name`);
+        } else if (arg === '--format') {
+            options.format = argv[++i];
+            if (!FORMAT_EXTENSIONS[options.format]) throw new UsageError(`Unknown format: ${options.format}`);
+        } else if (arg.startsWith('--') && arg.slice(2) in FILTER_OPTIONS) {
+            const { key, scale } = FILTER_OPTIONS[arg.slice(2)];
+            const value = argv[++i];
+            if (value === undefined) throw new UsageError(`${arg} needs a value`);
+            options.filters ??= {};
+            if (scale) {
+                const number = Number(value);
+                if (value.trim() === '' || !Number.isFinite(number) || number < 0) throw new UsageError(`${arg} needs a number, got: ${value}`);
+                options.filters[key] = number * scale;
+            } else {
+                options.filters[key] = value.split(',').map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+            }
+        } else if (arg.startsWith('--')) {
+            const enabled = !arg.startsWith('--no-');
+            const name = enabled ? arg.slice(2) : arg.slice(5);
+            if (!(name in INCLUDE_SWITCHES)) throw new UsageError(`Unknown switch: ${arg}`);
+            options.include[name] = enabled;
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (!options.help && options.inputs.length === 0) throw new UsageError('No .binlog file given');
+    options.output ??= options.inputs.length === 1
+        ? options.inputs[0].replace(/\.binlog$/i, '') + FORMAT_EXTENSIONS[options.format]
+        : 'merged' + FORMAT_EXTENSIONS[options.format];
+    return options;
+}
+
+// The options object of the conversion (see createConvertOptions in protocol.js); the CLI never splits
+function getConvertOptions({ format, include, filters }) {
+    return createConvertOptions(format, {
+        ...include,
+        criticalPath: include['critical-path'],
+        annotations: include.details,
+        filters
+    });
+}
+
+// Inputs are file descriptors read on demand, like the Blobs of the worker (see io.js)
+const inputs = new Map();
+let nextInputId = 1;
+let outputFd = null;
+
+function registerInput(path) {
+    const fd = openSync(path, 'r');
+    const inputId = nextInputId++;
+    inputs.set(inputId, { fd, size: fstatSync(fd).size });
+    return inputId;
+}
+
+function getInput(inputId) {
+    const input = inputs.get(inputId);
+    if (!input) {
+        throw new Error(`Unknown input: ${inputId}`);
+    }
+    return input;
+}
+
+globalThis.getInputLength = inputId => getInput(inputId).size;
+
+globalThis.readInputChunk = (inputId, position, view) => {
+    const bytes = new Uint8Array(view.length);
+    const read = readSync(getInput(inputId).fd, bytes, 0, bytes.length, position);
+    view.set(bytes.subarray(0, read));
+    return read;
+};
+
+// Traces are not split here, so everything is part 0
+globalThis.writeOutputChunk = (part, view) => {
+    // The view points into WASM memory and is only valid during this call, so copy it out
+    const data = view.slice();
+    writeSync(outputFd, data);
+};
+
+// Reports come about every 1%; a line every 5% and per phase is plenty for a CI log
+let progressTracker = createProgressTracker();
+let lastProgress = null;
+globalThis.postProgress = reportJson => {
+    const progress = progressTracker.update(JSON.parse(reportJson));
+    const step = `${progress.phase}:${Math.floor(progress.percent / 5)}`;
+    if (step !== lastProgress) {
+        process.stderr.write(`[${String(progress.percent).padStart(3)}%] ${progress.message}\n`);
+        lastProgress = step;
+    }
+};
+
+function formatTimings(timings) {
+    return ['read', 'decompress', 'process', 'serialize']
+        .map(phase => `${phase} ${(timings[phase + 'Ms'] / 1000).toFixed(1)}s`)
+        .join(', ');
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    const { getAssemblyExports, getConfig } = await dotnet.create();
+    const { BinlogConverter } = await getAssemblyExports(getConfig().mainAssemblyName);
+
+    const inputIds = options.inputs.map(registerInput);
+    outputFd = openSync(options.output, 'w');
+    const startTime = performance.now();
+    progressTracker = createProgressTracker();
+    let succeeded = false;
+    let result;
+    try {
+        const optionsJson = JSON.stringify(getConvertOptions(options));
+        if (inputIds.length === 1) {
+            result = BinlogConverter.ConvertFile(inputIds[0], optionsJson);
+        } else {
+            const labels = options.inputs.map(path => basename(path).replace(/\.binlog$/i, ''));
+            result = BinlogConverter.ConvertFiles(inputIds, labels, optionsJson);
+        }
+        succeeded = true;
+    } finally {
+        closeSync(outputFd);
+        for (const { fd } of inputs.values()) closeSync(fd);
+        // Don't leave a truncated trace behind for CI to pick up
+        if (!succeeded) unlinkSync(options.output);
+    }
+
+    const seconds = ((performance.now() - startTime) / 1000).toFixed(1);
+    process.stderr.write(`Wrote ${options.output} in ${seconds}s (${formatTimings(JSON.parse(result).timings)})\n`);
+    return 0;
+}
+
+// The .NET runtime keeps the event loop alive, so exit explicitly
+main().then(
+    code => process.exit(code),
+    err => {
+        process.stderr.write(`Error: ${err instanceof Error ? err.message : err}\n`);
+        process.exit(1);
+    });
@@ -0,0 +1,312 @@
+// Side-by-side comparison of two builds: per-name time deltas between a baseline and a candidate.
+// Renders the JSON returned by BinlogConverter.CompareBinlogs (see BuildComparison.cs).
+
+import { formatDuration } from './timeline-view.js'
+
+const KINDS = [
+    { key: 'targets', title: 'Targets' },
+    { key: 'tasks', title: 'Tasks' },
+    { key: 'projects', title: 'Projects' }
+];
+
+const METRICS = [
+    { key: 'Exclusive', label: 'Exclusive time' },
+    { key: 'Inclusive', label: 'Inclusive time' }
+];
+
+const COLUMNS = [
+    { key: 'name', label: 'Name' },
+    { key: 'baseline', label: 'Baseline' },
+    { key: 'candidate', label: 'Candidate' },
+    { key: 'delta', label: 'Delta' },
+    { key: 'change', label: 'Change' }
+];
+
+// Rows included per kind in the Markdown report
+const MARKDOWN_ROW_COUNT = 20;
+
+/**
+ * Returns the entries of one kind with baseline, candidate, delta and relative change for a metric.
+ * The change is null when the name does not appear in the baseline.
+ * @param {object} diff - Result of CompareBinlogs
+ * @param {string} kind - 'projects', 'targets' or 'tasks'
+ * @param {string} metric - 'Exclusive' or 'Inclusive'
+ */
+export function getRows(diff, kind, metric) {
+    return diff[kind].map(entry => {
+        const baseline = entry[`baseline${metric}Ns`];
+        const candidate = entry[`candidate${metric}Ns`];
+        const delta = candidate - baseline;
+        return {
+            name: entry.name,
+            baselineCount: entry.baselineCount,
+            candidateCount: entry.candidateCount,
+            baseline,
+            candidate,
+            delta,
+            change: baseline > 0 ? delta / baseline : null
+        };
+    });
+}
+
+/**
+ * Swaps baseline and candidate, so a comparison can be read the other way round.
+ * @param {object} diff - Result of CompareBinlogs
+ */
+export function swapComparison(diff) {
+    const swapEntry = entry => ({
+        name: entry.name,
+        baselineCount: entry.candidateCount,
+        candidateCount: entry.baselineCount,
+        baselineInclusiveNs: entry.candidateInclusiveNs,
+        candidateInclusiveNs: entry.baselineInclusiveNs,
+        baselineExclusiveNs: entry.candidateExclusiveNs,
+        candidateExclusiveNs: entry.baselineExclusiveNs
+    });
+    return {
+        baseline: diff.candidate,
+        candidate: diff.baseline,
+        projects: diff.projects.map(swapEntry),
+        targets: diff.targets.map(swapEntry),
+        tasks: diff.tasks.map(swapEntry)
+    };
+}
+
+function formatDelta(ns) {
+    if (ns === 0) return '0';
+    return (ns > 0 ? '+' : '−') + formatDuration(Math.abs(ns));
+}
+
+function formatPercent(change) {
+    const percent = change * 100;
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+function formatChange(row) {
+    if (row.change === null) return row.candidate > 0 ? 'new' : '–';
+    if (row.candidateCount === 0 && row.baselineCount > 0) return 'removed';
+    return formatPercent(row.change);
+}
+
+function compareRows(a, b, sortKey) {
+    if (sortKey === 'name') return a.name.localeCompare(b.name);
+    // New entries (no baseline) sort as the largest change
+    const av = sortKey === 'change' ? (a.change ?? Infinity) : a[sortKey];
+    const bv = sortKey === 'change' ? (b.change ?? Infinity) : b[sortKey];
+    return bv - av || a.name.localeCompare(b.name);
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/[|\\`*_[\]<>]/g, '\\$&');
+}
+
+/**
+ * Renders a comparison as a Markdown report for pasting into a PR:
+ * build totals followed by the largest regressions per kind for the given metric.
+ * @param {object} diff - Result of CompareBinlogs
+ * @param {string} [metric] - 'Exclusive' or 'Inclusive'
+ * @returns {string}
+ */
+export function toMarkdown(diff, metric = 'Exclusive') {
+    const { baseline, candidate } = diff;
+    const totalDelta = candidate.durationNs - baseline.durationNs;
+    const totalChange = baseline.durationNs > 0 ? totalDelta / baseline.durationNs : null;
+
+    const lines = [
+        `## Build comparison: ${escapeMarkdown(baseline.label)} → ${escapeMarkdown(candidate.label)}`,
+        '',
+        '| | Baseline | Candidate | Delta |',
+        '|---|---:|---:|---:|',
+        `| Build time | ${formatDuration(baseline.durationNs)} | ${formatDuration(candidate.durationNs)} | ` +
+            `${formatDelta(totalDelta)}${totalChange === null ? '' : ` (${formatPercent(totalChange)})`} |`,
+        `| Projects | ${baseline.projectCount} | ${candidate.projectCount} | ${candidate.projectCount - baseline.projectCount} |`,
+        `| Warnings | ${baseline.warningCount} | ${candidate.warningCount} | ${candidate.warningCount - baseline.warningCount} |`,
+        `| Errors | ${baseline.errorCount} | ${candidate.errorCount} | ${candidate.errorCount - baseline.errorCount} |`
+    ];
+
+    for (const kind of KINDS) {
+        const rows = getRows(diff, kind.key, metric)
+            .filter(row => row.delta > 0)
+            .sort((a, b) => compareRows(a, b, 'delta'))
+            .slice(0, MARKDOWN_ROW_COUNT);
+        if (rows.length === 0) continue;
+
+        lines.push(
+            '',
+            `### ${kind.title}: largest regressions (${metric.toLowerCase()} time)`,
+            '',
+            `| ${kind.title.slice(0, -1)} | Baseline | Candidate | Delta | Change |`,
+            '|---|---:|---:|---:|---:|');
+        for (const row of rows) {
+            lines.push(`| ${escapeMarkdown(row.name)} | ${formatDuration(row.baseline)} | ${formatDuration(row.candidate)} | ` +
+                `${formatDelta(row.delta)} | ${formatChange(row)} |`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    for (const option of options) {
+        const item = document.createElement('option');
+        item.value = option.value;
+        item.textContent = option.label;
+        select.appendChild(item);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+function createTotals(diff) {
+    const { baseline, candidate } = diff;
+    const delta = candidate.durationNs - baseline.durationNs;
+    const change = baseline.durationNs > 0 ? delta / baseline.durationNs : null;
+
+    const totals = createElement('div', 'summary-stats');
+    for (const [label, value, className] of [
+        ['Baseline', formatDuration(baseline.durationNs)],
+        ['Candidate', formatDuration(candidate.durationNs)],
+        ['Delta', `${formatDelta(delta)}${change === null ? '' : ` (${formatPercent(change)})`}`,
+            delta > 0 ? 'summary-bad' : delta < 0 ? 'summary-good' : ''],
+        ['Warnings', `${baseline.warningCount} → ${candidate.warningCount}`],
+        ['Errors', `${baseline.errorCount} → ${candidate.errorCount}`]
+    ]) {
+        const stat = createElement('div', 'summary-stat');
+        stat.appendChild(createElement('div', 'summary-stat-value' + (className ? ` ${className}` : ''), value));
+        stat.appendChild(createElement('div', 'summary-stat-label', label));
+        totals.appendChild(stat);
+    }
+    return totals;
+}
+
+/**
+ * Renders a comparison with a sortable table of deltas and export buttons.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {object} diff - Result of CompareBinlogs
+ * @param {object} options
+ * @param {function(Blob, string)} options.download - Saves an exported report under a file name
+ * @returns {{ destroy: function() }}
+ */
+export function createCompareView(container, diff, { download }) {
+    const state = {
+        diff,
+        kind: KINDS[0].key,
+        metric: METRICS[0].key,
+        sortKey: 'delta',
+        filter: ''
+    };
+
+    function exportJson() {
+        const blob = new Blob([JSON.stringify(state.diff, null, 2)], { type: 'application/json' });
+        download(blob, 'build-comparison.json');
+    }
+
+    function exportMarkdown() {
+        const blob = new Blob([toMarkdown(state.diff, state.metric)], { type: 'text/markdown' });
+        download(blob, 'build-comparison.md');
+    }
+
+    function createTable() {
+        const filter = state.filter.toLowerCase();
+        const rows = getRows(state.diff, state.kind, state.metric)
+            .filter(row => !filter || row.name.toLowerCase().includes(filter))
+            .sort((a, b) => compareRows(a, b, state.sortKey));
+
+        const scroller = createElement('div', 'compare-scroll');
+        const table = createElement('table', 'summary-table compare-table');
+
+        const headerRow = document.createElement('tr');
+        for (const column of COLUMNS) {
+            const th = createElement('th', 'sortable', column.label + (column.key === state.sortKey ? ' ▾' : ''));
+            th.addEventListener('click', () => {
+                state.sortKey = column.key;
+                render();
+            });
+            headerRow.appendChild(th);
+        }
+        table.createTHead().appendChild(headerRow);
+
+        const body = table.createTBody();
+        for (const row of rows) {
+            const tr = document.createElement('tr');
+            const name = createElement('td', 'summary-name', row.name);
+            name.title = `${row.name}\n${row.baselineCount} → ${row.candidateCount} runs`;
+            tr.appendChild(name);
+            tr.appendChild(createElement('td', null, formatDuration(row.baseline)));
+            tr.appendChild(createElement('td', null, formatDuration(row.candidate)));
+            const deltaClass = row.delta > 0 ? 'summary-bad' : row.delta < 0 ? 'summary-good' : '';
+            tr.appendChild(createElement('td', deltaClass, formatDelta(row.delta)));
+            tr.appendChild(createElement('td', deltaClass, formatChange(row)));
+            body.appendChild(tr);
+        }
+
+        scroller.appendChild(table);
+        return scroller;
+    }
+
+    function render() {
+        container.innerHTML = '';
+
+        const title = createElement('div', 'summary-controls');
+        title.appendChild(createElement('span', 'summary-build-label',
+            `${state.diff.baseline.label} → ${state.diff.candidate.label}`));
+
+        const swapBtn = createElement('button', 'btn-link', 'Swap');
+        swapBtn.addEventListener('click', () => {
+            state.diff = swapComparison(state.diff);
+            render();
+        });
+        title.appendChild(swapBtn);
+
+        const jsonBtn = createElement('button', 'btn-link', 'Export JSON');
+        jsonBtn.addEventListener('click', exportJson);
+        title.appendChild(jsonBtn);
+
+        const markdownBtn = createElement('button', 'btn-link', 'Export Markdown');
+        markdownBtn.addEventListener('click', exportMarkdown);
+        title.appendChild(markdownBtn);
+
+        container.appendChild(title);
+        container.appendChild(createTotals(state.diff));
+
+        const controls = createElement('div', 'summary-controls');
+        controls.appendChild(createSelect(
+            KINDS.map(kind => ({ value: kind.key, label: kind.title })),
+            state.kind,
+            value => { state.kind = value; render(); }));
+        controls.appendChild(createSelect(
+            METRICS.map(metric => ({ value: metric.key, label: metric.label })),
+            state.metric,
+            value => { state.metric = value; render(); }));
+
+        const filterInput = createElement('input', 'compare-filter');
+        filterInput.type = 'search';
+        filterInput.placeholder = 'Filter by name';
+        filterInput.value = state.filter;
+        filterInput.addEventListener('input', () => {
+            state.filter = filterInput.value;
+            container.querySelector('.compare-scroll').replaceWith(createTable());
+        });
+        controls.appendChild(filterInput);
+
+        container.appendChild(controls);
+        container.appendChild(createTable());
+    }
+
+    render();
+
+    return {
+        destroy() {
+            container.innerHTML = '';
+        }
+    };
+}
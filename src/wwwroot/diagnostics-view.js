@@ -0,0 +1,311 @@
+// Warnings and errors of the converted builds: searchable, grouped by code, project or file,
+// and exportable as CSV or SARIF for tools that track diagnostics.
+// Renders the diagnostics of the JSON summaries returned by BinlogConverter (see Diagnostics.cs).
+
+const GROUPINGS = [
+    { value: 'none', label: 'No grouping' },
+    { value: 'code', label: 'Group by code' },
+    { value: 'project', label: 'Group by project' },
+    { value: 'file', label: 'Group by file' }
+];
+
+const SEVERITIES = [
+    { value: 'all', label: 'Warnings and errors' },
+    { value: 'warning', label: 'Warnings' },
+    { value: 'error', label: 'Errors' }
+];
+
+const CSV_COLUMNS = ['Build', 'Severity', 'Code', 'Message', 'File', 'Line', 'Column', 'Project'];
+
+function fileName(path) {
+    return path ? path.slice(Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\')) + 1) : '';
+}
+
+function formatLocation(row) {
+    if (!row.file) return '';
+    if (!row.line) return fileName(row.file);
+    return `${fileName(row.file)}(${row.line}${row.column ? `,${row.column}` : ''})`;
+}
+
+/**
+ * Flattens the diagnostics of several builds into one list, each row with the label of its build.
+ * Builds converted before diagnostics were collected have none.
+ * @param {{ label: string, diagnostics?: { totalCount: number, items: object[] } }[]} builds
+ * @returns {object[]}
+ */
+export function getDiagnosticRows(builds) {
+    return builds.flatMap(build => (build.diagnostics ? build.diagnostics.items : [])
+        .map(item => ({ ...item, build: build.label })));
+}
+
+/**
+ * Tells whether a row contains every word of a search, in its code, message, file or project.
+ * @param {object} row - Row of getDiagnosticRows
+ * @param {string} search
+ * @returns {boolean}
+ */
+export function matchesSearch(row, search) {
+    const words = search.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) return true;
+    const text = [row.code, row.message, row.file, row.projectFile].filter(Boolean).join('\n').toLowerCase();
+    return words.every(word => text.includes(word));
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders diagnostics as CSV with a header row.
+ * @param {object[]} rows - Rows of getDiagnosticRows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push([row.build, row.severity, row.code, row.message, row.file, row.line || '', row.column || '', row.projectFile]
+            .map(escapeCsv).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// SARIF wants URIs: absolute paths become file: URIs, relative ones stay relative
+function toUri(path) {
+    const slashed = path.replace(/\\/g, '/');
+    if (/^[a-zA-Z]:\//.test(slashed)) return 'file:///' + encodeURI(slashed);
+    if (slashed.startsWith('/')) return 'file://' + encodeURI(slashed);
+    return encodeURI(slashed);
+}
+
+/**
+ * Renders diagnostics as a SARIF 2.1.0 log with one run per build.
+ * @param {object[]} rows - Rows of getDiagnosticRows
+ * @returns {object}
+ */
+export function toSarif(rows) {
+    const runs = new Map();
+    for (const row of rows) {
+        if (!runs.has(row.build)) {
+            runs.set(row.build, {
+                tool: { driver: { name: 'MSBuild', informationUri: 'https://learn.microsoft.com/visualstudio/msbuild' } },
+                automationDetails: { id: row.build },
+                results: []
+            });
+        }
+
+        const result = {
+            ruleId: row.code || undefined,
+            level: row.severity === 'error' ? 'error' : 'warning',
+            message: { text: row.message || row.code || '' }
+        };
+        const file = row.file || row.projectFile;
+        if (file) {
+            const physicalLocation = { artifactLocation: { uri: toUri(file) } };
+            if (row.file && row.line > 0) {
+                physicalLocation.region = { startLine: row.line };
+                if (row.column > 0) physicalLocation.region.startColumn = row.column;
+            }
+            result.locations = [{ physicalLocation }];
+        }
+        runs.get(row.build).results.push(result);
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [...runs.values()]
+    };
+}
+
+function getGroupKey(row, grouping) {
+    switch (grouping) {
+        case 'code': return row.code || '(no code)';
+        case 'project': return row.projectFile ? fileName(row.projectFile) : '(no project)';
+        case 'file': return row.file || '(no file)';
+        default: return null;
+    }
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    for (const option of options) {
+        const item = document.createElement('option');
+        item.value = option.value;
+        item.textContent = option.label;
+        select.appendChild(item);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * Renders the warnings and errors of the converted builds with search, grouping and export buttons.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {{ label: string, diagnostics?: object }[]} builds - Builds from the conversion result
+ * @param {object} options
+ * @param {function(Blob, string)} options.download - Saves an exported file under a file name
+ * @returns {{ destroy: function() }}
+ */
+export function createDiagnosticsView(container, builds, { download }) {
+    const allRows = getDiagnosticRows(builds);
+    const totalCount = builds.reduce((sum, build) => sum + (build.diagnostics ? build.diagnostics.totalCount : 0), 0);
+    const showBuild = builds.length > 1;
+    const state = {
+        search: '',
+        severity: 'all',
+        grouping: 'code',
+        collapsed: new Set()
+    };
+
+    function getRows() {
+        return allRows.filter(row =>
+            (state.severity === 'all' || row.severity === state.severity) && matchesSearch(row, state.search));
+    }
+
+    function exportCsv() {
+        download(new Blob([toCsv(getRows())], { type: 'text/csv' }), 'diagnostics.csv');
+    }
+
+    function exportSarif() {
+        const sarif = JSON.stringify(toSarif(getRows()), null, 2);
+        download(new Blob([sarif], { type: 'application/sarif+json' }), 'diagnostics.sarif');
+    }
+
+    function createRow(row) {
+        const tr = document.createElement('tr');
+        tr.appendChild(createElement('td', row.severity === 'error' ? 'summary-bad' : 'summary-warn', row.code || ''));
+
+        const firstLine = (row.message || '').split('\n')[0];
+        const message = createElement('td', 'summary-name', firstLine);
+        message.title = row.message || '';
+        tr.appendChild(message);
+
+        const location = createElement('td', 'summary-name', formatLocation(row));
+        location.title = row.file || '';
+        tr.appendChild(location);
+
+        const project = createElement('td', 'summary-name', fileName(row.projectFile));
+        project.title = showBuild ? `${row.projectFile || ''}\n${row.build}` : row.projectFile || '';
+        tr.appendChild(project);
+        return tr;
+    }
+
+    function createTable() {
+        const rows = getRows();
+        const scroller = createElement('div', 'compare-scroll');
+
+        if (rows.length === 0) {
+            scroller.appendChild(createElement('div', 'summary-empty', allRows.length === 0 ? 'None recorded' : 'No matching diagnostics'));
+            return scroller;
+        }
+
+        const table = createElement('table', 'summary-table diagnostics-table');
+        const headerRow = document.createElement('tr');
+        for (const heading of ['Code', 'Message', 'Location', 'Project']) {
+            headerRow.appendChild(createElement('th', null, heading));
+        }
+        table.createTHead().appendChild(headerRow);
+        const body = table.createTBody();
+
+        if (state.grouping === 'none') {
+            for (const row of rows) body.appendChild(createRow(row));
+        } else {
+            const groups = new Map();
+            for (const row of rows) {
+                const key = getGroupKey(row, state.grouping);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+
+            // Largest groups first
+            const sorted = [...groups].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+            for (const [key, groupRows] of sorted) {
+                const collapsed = state.collapsed.has(key);
+                const header = document.createElement('tr');
+                header.className = 'diagnostics-group';
+                const cell = createElement('td', null, `${collapsed ? '▸' : '▾'} ${key} (${groupRows.length.toLocaleString()})`);
+                cell.colSpan = 4;
+                cell.title = key;
+                header.appendChild(cell);
+                header.addEventListener('click', () => {
+                    if (collapsed) state.collapsed.delete(key); else state.collapsed.add(key);
+                    renderTable();
+                });
+                body.appendChild(header);
+
+                if (!collapsed) {
+                    for (const row of groupRows) body.appendChild(createRow(row));
+                }
+            }
+        }
+
+        scroller.appendChild(table);
+        return scroller;
+    }
+
+    function renderTable() {
+        container.querySelector('.compare-scroll').replaceWith(createTable());
+    }
+
+    function render() {
+        container.innerHTML = '';
+
+        const warnings = allRows.filter(row => row.severity === 'warning').length;
+        const errors = allRows.length - warnings;
+        let description = `${warnings.toLocaleString()} warnings, ${errors.toLocaleString()} errors`;
+        if (totalCount > allRows.length) {
+            description += ` (first ${allRows.length.toLocaleString()} of ${totalCount.toLocaleString()})`;
+        }
+
+        const title = createElement('div', 'summary-controls');
+        title.appendChild(createElement('span', 'summary-build-label', description));
+
+        const csvBtn = createElement('button', 'btn-link', 'Export CSV');
+        csvBtn.addEventListener('click', exportCsv);
+        title.appendChild(csvBtn);
+
+        const sarifBtn = createElement('button', 'btn-link', 'Export SARIF');
+        sarifBtn.addEventListener('click', exportSarif);
+        title.appendChild(sarifBtn);
+
+        container.appendChild(title);
+
+        const controls = createElement('div', 'summary-controls');
+        controls.appendChild(createSelect(SEVERITIES, state.severity, value => { state.severity = value; renderTable(); }));
+        controls.appendChild(createSelect(GROUPINGS, state.grouping, value => {
+            state.grouping = value;
+            state.collapsed.clear();
+            renderTable();
+        }));
+
+        const searchInput = createElement('input', 'compare-filter');
+        searchInput.type = 'search';
+        searchInput.placeholder = 'Search code, message, file or project';
+        searchInput.value = state.search;
+        searchInput.addEventListener('input', () => {
+            state.search = searchInput.value;
+            renderTable();
+        });
+        controls.appendChild(searchInput);
+
+        container.appendChild(controls);
+        container.appendChild(createTable());
+    }
+
+    render();
+
+    return {
+        destroy() {
+            container.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,84 @@
+// "Recent" list of the conversions stored by history.js
+
+const OPTION_LABELS = {
+    evaluation: 'evaluation',
+    projects: 'projects',
+    targets: 'targets',
+    tasks: 'tasks',
+    messages: 'messages',
+    warnings: 'warnings',
+    errors: 'errors',
+    criticalPath: 'critical path',
+    annotations: 'details',
+    counters: 'counters',
+    utilization: 'utilization'
+};
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createButton(className, text, onClick) {
+    const button = createElement('button', className, text);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function describeOptions(options) {
+    const included = Object.entries(OPTION_LABELS)
+        .filter(([key]) => options && options[key])
+        .map(([, label]) => label);
+    const description = included.length > 0 ? `Included: ${included.join(', ')}` : 'Nothing included';
+    return options && options.filters ? `${description} (filtered)` : description;
+}
+
+/**
+ * Renders the stored conversions inside the given container.
+ * @param {HTMLElement} container - Element to render into
+ * @param {object[]} entries - Result of listHistory
+ * @param {object} handlers - reopen, view, download and remove take an entry; clear() empties the history;
+ *   formatSize(bytes) formats a size for display
+ * @returns {{ destroy: function() }}
+ */
+export function createHistoryView(container, entries, { reopen, view, download, remove, clear, formatSize }) {
+    const root = createElement('div', 'history-view');
+
+    const list = createElement('ul', 'trace-list');
+    for (const entry of entries) {
+        const item = createElement('li');
+
+        const name = createElement('span', 'trace-list-name', entry.fileName);
+        name.title = describeOptions(entry.options);
+        item.appendChild(name);
+
+        const when = new Date(entry.createdAt);
+        const meta = createElement('span', 'history-meta',
+            `${formatSize(entry.traceSize)} · ${when.toLocaleDateString()} ${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        item.appendChild(meta);
+
+        item.appendChild(createButton('btn btn-secondary', 'Reopen', () => reopen(entry)));
+        item.appendChild(createButton('btn-link', 'View', () => view(entry)));
+        item.appendChild(createButton('btn-link', 'Download', () => download(entry)));
+        item.appendChild(createButton('btn-link history-delete', 'Delete', () => remove(entry)));
+
+        list.appendChild(item);
+    }
+    root.appendChild(list);
+
+    const total = entries.reduce((sum, entry) => sum + entry.traceSize, 0);
+    const footer = createElement('div', 'history-footer');
+    footer.appendChild(createElement('span', 'history-meta', `${entries.length} stored · ${formatSize(total)}`));
+    footer.appendChild(createButton('btn-link', 'Clear all', clear));
+    root.appendChild(footer);
+
+    container.appendChild(root);
+
+    return {
+        destroy() {
+            container.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,128 @@
+// Recent conversions kept in IndexedDB, so traces survive a reload and can be reopened
+// without converting again. Entries and their traces live in separate stores so the
+// list can be read without loading any trace bytes.
+
+const DB_NAME = 'binlog-history';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const TRACES_STORE = 'traces';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(ENTRIES_STORE, { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore(TRACES_STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again, e.g. after the user allowed storage
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Run work(stores) in one transaction and resolve with its result once the transaction commits
+async function transact(mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ENTRIES_STORE, TRACES_STORE], mode);
+        let result;
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+        Promise.resolve(work(transaction.objectStore(ENTRIES_STORE), transaction.objectStore(TRACES_STORE)))
+            .then(value => { result = value; }, err => { transaction.abort(); reject(err); });
+    });
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stores a converted trace.
+ * @param {object} entry - { fileName, downloadName, size, options, builds }
+ * @param {Blob} trace - The Perfetto trace
+ * @returns {Promise<number>} The ID of the new entry
+ */
+export async function addToHistory(entry, trace) {
+    return transact('readwrite', async (entries, traces) => {
+        const id = await requestResult(entries.add({ ...entry, traceSize: trace.size, createdAt: Date.now() }));
+        traces.put(trace, id);
+        return id;
+    });
+}
+
+/**
+ * Lists the stored conversions without their traces, newest first.
+ * @returns {Promise<object[]>} Entries: { id, fileName, downloadName, size, options, builds, traceSize, createdAt }
+ */
+export async function listHistory() {
+    const entries = await transact('readonly', entries => requestResult(entries.getAll()));
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Reads the trace of a stored conversion.
+ * @param {number} id - Entry ID
+ * @returns {Promise<Blob>}
+ */
+export async function getHistoryTrace(id) {
+    const trace = await transact('readonly', (entries, traces) => requestResult(traces.get(id)));
+    if (!trace) {
+        throw new Error('The trace is no longer stored');
+    }
+    return trace;
+}
+
+/**
+ * Deletes a stored conversion and its trace.
+ * @param {number} id - Entry ID
+ */
+export async function deleteFromHistory(id) {
+    await transact('readwrite', (entries, traces) => {
+        entries.delete(id);
+        traces.delete(id);
+    });
+}
+
+export async function clearHistory() {
+    await transact('readwrite', (entries, traces) => {
+        entries.clear();
+        traces.clear();
+    });
+}
+
+/**
+ * Deletes the oldest conversions until the stored traces fit in the quota.
+ * @param {number} maxBytes - Quota for the trace bytes of all entries
+ */
+export async function pruneHistory(maxBytes) {
+    const entries = await listHistory();
+    let total = entries.reduce((sum, entry) => sum + entry.traceSize, 0);
+
+    const expired = [];
+    while (total > maxBytes && entries.length > 0) {
+        const oldest = entries.pop();
+        total -= oldest.traceSize;
+        expired.push(oldest.id);
+    }
+
+    if (expired.length > 0) {
+        await transact('readwrite', (entries, traces) => {
+            for (const id of expired) {
+                entries.delete(id);
+                traces.delete(id);
+            }
+        });
+    }
+}
@@ -0,0 +1,81 @@
+// Input/output bridge module for C# interop
+// Lets the .NET converter pull binlog bytes from a Blob or a buffer in chunks and hand the trace back
+// in chunks, so neither has to be copied into WASM memory as a whole.
+
+const inputs = new Map();
+let nextInputId = 1;
+let outputRequestId = null;
+let reader = null;
+
+/**
+ * Registers an input so .NET can read it through JSInputStream: a Blob (usually a File), read on demand,
+ * or the bytes of an ArrayBuffer or typed array, read in place.
+ * @param {Blob|ArrayBuffer|ArrayBufferView} input - The input to register
+ * @returns {number} The input ID to pass to .NET
+ */
+export function registerInput(input) {
+    const inputId = nextInputId++;
+    if (input instanceof ArrayBuffer) {
+        input = new Uint8Array(input);
+    } else if (ArrayBuffer.isView(input)) {
+        input = new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    }
+    inputs.set(inputId, input);
+    return inputId;
+}
+
+/**
+ * Forgets a registered input once the call that used it has finished.
+ * @param {number} inputId - ID returned by registerInput
+ */
+export function releaseInput(inputId) {
+    inputs.delete(inputId);
+}
+
+/**
+ * Sets the request that output chunks written by .NET belong to.
+ * @param {number|null} requestId - The request being invoked, or null when idle
+ */
+export function setOutputRequest(requestId) {
+    outputRequestId = requestId;
+}
+
+function getInput(inputId) {
+    const input = inputs.get(inputId);
+    if (!input) {
+        throw new Error(`Unknown input: ${inputId}`);
+    }
+    return input;
+}
+
+export function getInputLength(inputId) {
+    const input = getInput(inputId);
+    return input instanceof Blob ? input.size : input.length;
+}
+
+// Called synchronously from .NET, hence FileReaderSync (only available in workers)
+export function readInputChunk(inputId, position, view) {
+    const input = getInput(inputId);
+    let bytes;
+    if (input instanceof Blob) {
+        reader ??= new FileReaderSync();
+        bytes = new Uint8Array(reader.readAsArrayBuffer(input.slice(position, position + view.length)));
+    } else {
+        bytes = input.subarray(position, position + view.length);
+    }
+    view.set(bytes);
+    return bytes.length;
+}
+
+// part tells apart the outputs of a call that writes several, such as the chunks of a split trace; the main one is 0
+export function writeOutputChunk(part, view) {
+    // The view points into WASM memory and is only valid during this call, so copy it out
+    const data = view.slice();
+    self.postMessage({
+        type: "chunk",
+        requestId: outputRequestId,
+        part: part,
+        data: data,
+        sentAt: performance.timeOrigin + performance.now()
+    }, [data.buffer]);
+}
@@ -1,8 +1,54 @@
-import { invoke, waitForReady, setProgressCallback, cancel as cancelWorker } from './worker-client.js'
+import { invoke, waitForReady, isCancellation } from './worker-client.js'
+import { METHODS, createConvertOptions } from './protocol.js'
+import { createProgressTracker } from './progress.js'
+import { decodeTrace, buildTimeline, findTraceProblems } from './trace-decoder.js'
+import { createTimelineView, formatDuration } from './timeline-view.js'
+import { createSummaryView } from './summary-view.js'
+import { createCompareView } from './compare-view.js'
+import { createDiagnosticsView } from './diagnostics-view.js'
+import { createPacketInspector } from './packet-inspector.js'
+import { createHistoryView } from './history-view.js'
+import { createSourceView } from './source-view.js'
+import { addToHistory, listHistory, getHistoryTrace, deleteFromHistory, clearHistory, pruneHistory } from './history.js'
+import { openPerfetto } from './perfetto.js'
+import { createShareLink, readShareLink, isSameSource } from './share-link.js'
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, normalizePerfettoUrl, readPerfettoUrlParam } from './settings.js'
+import { createZip } from './zip.js'
+import { registerServiceWorker, handleLaunchedFiles } from './offline.js'
+import { isArchive, listArchiveBinlogs } from './archive.js'
 
 // DOM elements
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
+const timelinePanel = document.getElementById('timeline-panel');
+const timelineTitle = document.getElementById('timeline-title');
+const timelineContainer = document.getElementById('timeline-container');
+const timelineCloseBtn = document.getElementById('timeline-close');
+const perfettoPanel = document.getElementById('perfetto-panel');
+const perfettoTitle = document.getElementById('perfetto-title');
+const perfettoFrame = document.getElementById('perfetto-frame');
+const perfettoCloseBtn = document.getElementById('perfetto-close');
+const summaryPanel = document.getElementById('summary-panel');
+const summaryContainer = document.getElementById('summary-container');
+const comparePanel = document.getElementById('compare-panel');
+const compareContainer = document.getElementById('compare-container');
+const diagnosticsPanel = document.getElementById('diagnostics-panel');
+const diagnosticsContainer = document.getElementById('diagnostics-container');
+const historyPanel = document.getElementById('history-panel');
+const historyContainer = document.getElementById('history-container');
+const sourcePanel = document.getElementById('source-panel');
+const sourceContainer = document.getElementById('source-container');
+const sourceCloseBtn = document.getElementById('source-close');
+const inspectorPanel = document.getElementById('inspector-panel');
+const inspectorTitle = document.getElementById('inspector-title');
+const inspectorContainer = document.getElementById('inspector-container');
+const inspectorCloseBtn = document.getElementById('inspector-close');
+
+// Settings inputs
+const setPerfettoUrl = document.getElementById('set-perfetto-url');
+const setPerfettoMode = document.getElementById('set-perfetto-mode');
+const setPerfettoTimeout = document.getElementById('set-perfetto-timeout');
+const setHistoryQuota = document.getElementById('set-history-quota');
 
 // Option checkboxes
 const optEvaluation = document.getElementById('opt-evaluation');
@@ -12,12 +58,102 @@ const optTasks = document.getElementById('opt-tasks');
 const optMessages = document.getElementById('opt-messages');
 const optWarnings = document.getElementById('opt-warnings');
 const optErrors = document.getElementById('opt-errors');
+const optCriticalPath = document.getElementById('opt-critical-path');
+const optAnnotations = document.getElementById('opt-annotations');
+const optCounters = document.getElementById('opt-counters');
+const optUtilization = document.getElementById('opt-utilization');
+const optBatchMode = document.getElementById('opt-batch-mode');
+const optSplit = document.getElementById('opt-split');
+const optSplitWindow = document.getElementById('opt-split-window');
+const optSplitWindowRow = document.getElementById('opt-split-window-row');
+
+// Filter inputs
+const fltIncludeProjects = document.getElementById('flt-include-projects');
+const fltExcludeProjects = document.getElementById('flt-exclude-projects');
+const fltIncludeTargets = document.getElementById('flt-include-targets');
+const fltExcludeTargets = document.getElementById('flt-exclude-targets');
+const fltIncludeTasks = document.getElementById('flt-include-tasks');
+const fltExcludeTasks = document.getElementById('flt-exclude-tasks');
+const fltMinDuration = document.getElementById('flt-min-duration');
+const fltStart = document.getElementById('flt-start');
+const fltEnd = document.getElementById('flt-end');
+const filtersPanel = document.getElementById('filters-panel');
+const filtersState = document.getElementById('filters-state');
+const sharedLinkNote = document.getElementById('shared-link-note');
 
 // State
 let currentTraceData = null;
 let currentFileName = null;
 let isProcessing = false;
 
+// Files opened with the installed app during a conversion, converted once it ends
+let launchedFiles = null;
+
+// Per-file progress while several files are converted, null for a single file
+let batchProgress = null;
+
+// Cancels the conversion shown in the drop zone
+let currentOperation = null;
+
+// Built-in timeline currently shown below the drop zone
+let timelineView = null;
+
+// Build summary currently shown next to the drop zone
+let summaryView = null;
+
+// Comparison of two builds currently shown below the drop zone
+let compareView = null;
+
+// Warnings and errors of the builds in the summary
+let diagnosticsView = null;
+
+// Packets of the current trace, shown to check what the converter wrote
+let packetInspector = null;
+
+// Recent conversions listed below the options
+let historyView = null;
+
+// Binlogs of the current conversion, whose embedded files the source browser shows, and the promise
+// of those files once they are being read. Null for traces reopened from the history.
+let sourceBinlogs = null;
+let embeddedFiles = null;
+
+// Source browser currently shown below the drop zone
+let sourceView = null;
+
+// Re-shows the last success view, so an error opening a trace does not lose it
+let restoreSuccessView = null;
+
+// State of the shared link the page was opened with (see share-link.js)
+let sharedLink = null;
+
+// Part of the current trace to show when it is opened, taken from a shared link made for the same binlogs
+let linkedView = null;
+
+let settings = loadSettings();
+
+// Perfetto UI passed in ?perfetto= for this page load, until one is set in the settings
+let perfettoUrlParam = readPerfettoUrlParam();
+
+function getPerfettoUrl() {
+    return perfettoUrlParam ?? settings.perfettoUrl;
+}
+
+// Label of a button that opens a trace in Perfetto, naming the UI when it is not the usual one,
+// since the trace is sent there
+function getOpenInPerfettoText(text) {
+    const url = new URL(getPerfettoUrl());
+    return url.origin === new URL(DEFAULT_SETTINGS.perfettoUrl).origin ? text : `${text} at ${url.host}`;
+}
+
+// Formats a trace can be downloaded in. The converted Perfetto trace is downloaded as is,
+// other formats are written by converting the binlogs again.
+const TRACE_FORMATS = {
+    perfetto: { label: 'Perfetto (.pftrace)', extension: '.pftrace' },
+    chrome: { label: 'Chrome JSON (.json)', extension: '.json' },
+    speedscope: { label: 'Speedscope (.speedscope.json)', extension: '.speedscope.json' }
+};
+
 // Store original drop zone content
 const originalDropZoneContent = dropZone.innerHTML;
 
@@ -26,12 +162,6 @@ async function initWasm() {
     try {
         showProcessingState('Loading WebAssembly...', 0);
 
-        // Set up progress callback to show conversion progress
-        setProgressCallback((message, current, total) => {
-            const percent = Math.round((current / total) * 100);
-            showProcessingState(message, percent);
-        });
-
         await waitForReady();
 
         resetDropZone();
@@ -42,8 +172,19 @@ async function initWasm() {
     }
 }
 
-// Show processing state in drop zone with circular progress
-function showProcessingState(message, percent) {
+// Leave the processing state, then convert the files opened with the installed app meanwhile,
+// once the view that ended it is shown
+function endProcessing() {
+    isProcessing = false;
+    if (!launchedFiles) return;
+
+    const files = launchedFiles;
+    launchedFiles = null;
+    setTimeout(() => handleFiles(files));
+}
+
+// Show processing state in drop zone with circular progress, and a line of details such as the throughput
+function showProcessingState(message, percent, details = null) {
     isProcessing = true;
     dropZone.className = 'processing';
 
@@ -99,6 +240,24 @@ function showProcessingState(message, percent) {
     messageDiv.textContent = message;
     container.appendChild(messageDiv);
 
+    if (details) {
+        const detailsDiv = document.createElement('div');
+        detailsDiv.className = 'processing-details';
+        detailsDiv.textContent = details;
+        container.appendChild(detailsDiv);
+    }
+
+    if (launchedFiles) {
+        const nextDiv = document.createElement('div');
+        nextDiv.className = 'processing-details';
+        nextDiv.textContent = `Next: ${launchedFiles.map(file => file.name).join(', ')}`;
+        container.appendChild(nextDiv);
+    }
+
+    if (batchProgress) {
+        container.appendChild(createBatchProgressList(batchProgress.files));
+    }
+
     const cancelBtn = document.createElement('button');
     cancelBtn.className = 'btn btn-secondary btn-cancel';
     cancelBtn.textContent = 'Cancel';
@@ -109,14 +268,121 @@ function showProcessingState(message, percent) {
     dropZone.appendChild(container);
 }
 
+// Per-file progress rows shown below the circle while converting several files
+function createBatchProgressList(files) {
+    const list = document.createElement('ul');
+    list.className = 'batch-files';
+
+    for (const file of files) {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.className = 'batch-file-name';
+        name.textContent = file.name;
+        item.appendChild(name);
+
+        const bar = document.createElement('span');
+        bar.className = 'batch-file-bar';
+        const fill = document.createElement('span');
+        fill.style.width = `${file.percent}%`;
+        bar.appendChild(fill);
+        item.appendChild(bar);
+
+        const percent = document.createElement('span');
+        percent.className = 'batch-file-percent';
+        percent.textContent = file.canceled ? 'canceled' : `${file.percent}%`;
+        item.appendChild(percent);
+
+        // Files converted in parallel can be cancelled one by one
+        if (file.controller) {
+            item.className = 'cancellable';
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'btn-link batch-file-cancel';
+            cancelBtn.textContent = '\u2715'; // X mark
+            cancelBtn.title = `Cancel ${file.name}`;
+            cancelBtn.disabled = file.canceled || file.percent === 100;
+            cancelBtn.addEventListener('click', () => file.controller.abort());
+            item.appendChild(cancelBtn);
+        }
+
+        list.appendChild(item);
+    }
+
+    return list;
+}
+
+function formatRemaining(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Records, throughput, time left and the shares of the phases of a progress tracker update, e.g.
+// "12,345 records · 8.1 MB/s · about 5s left · read 20%, decompress 35%, process 45%"; while the trace is
+// written, how much of it was, e.g. "12,345 records · 48 MB written"
+function formatProgressDetails(progress) {
+    const parts = [];
+    if (progress.records > 0) parts.push(`${progress.records.toLocaleString()} records`);
+    if (progress.phase === 'read' && progress.bytesPerSecond > 0) parts.push(`${formatFileSize(progress.bytesPerSecond)}/s`);
+    if (progress.remainingMs !== null) parts.push(`about ${formatRemaining(progress.remainingMs)} left`);
+    if (progress.passShares?.length > 0) parts.push(progress.passShares.map(share => `${share.label} ${share.percent}%`).join(', '));
+    if (progress.phase === 'serialize' && progress.bytesWritten > 0) parts.push(`${formatFileSize(progress.bytesWritten)} written`);
+    return parts.join(' \u00b7 ');
+}
+
+// onProgress for a single conversion
+function trackProgress() {
+    const tracker = createProgressTracker();
+    return report => {
+        const progress = tracker.update(report);
+        showProcessingState(progress.message, progress.percent, formatProgressDetails(progress));
+    };
+}
+
+// onProgress for a conversion of several files into one result: the report tells which file is being read
+function trackMergedProgress() {
+    const tracker = createProgressTracker();
+    return report => {
+        const progress = tracker.update(report);
+        const fileFraction = report.totalBytes > 0 ? Math.min(report.bytesRead / report.totalBytes, 1) : 0;
+        batchProgress.files.forEach((file, i) => {
+            file.percent = report.phase !== 'read' || i < report.fileIndex ? 100
+                : i === report.fileIndex ? Math.round(fileFraction * 100) : 0;
+        });
+        showProcessingState(progress.message, progress.percent, formatProgressDetails(progress));
+    };
+}
+
+// onProgress for one of several files converted side by side
+function trackFileProgress(index) {
+    const tracker = createProgressTracker();
+    return report => updateFileProgress(index, tracker.update(report));
+}
+
+function updateFileProgress(index, progress) {
+    if (!batchProgress) return;
+    const files = batchProgress.files;
+    files[index].percent = progress.percent;
+    const overall = Math.round(files.reduce((sum, file) => sum + file.percent, 0) / files.length);
+    showProcessingState(`${files[index].name}: ${progress.message}`, overall, formatProgressDetails(progress));
+}
+
+// Start a conversion shown in the drop zone; its Cancel button aborts the returned controller
+function beginOperation() {
+    currentOperation = new AbortController();
+    return currentOperation;
+}
+
 // Handle cancel button click
 function handleCancel() {
-    cancelWorker();
+    if (currentOperation) {
+        currentOperation.abort();
+    }
 }
 
-// Show success state in drop zone
-function showSuccessState(fileName, fileSize) {
-    isProcessing = false;
+// Show success state in drop zone, with the time each phase of the conversion took when known
+function showSuccessState(fileName, fileSize, source, timings = null) {
+    endProcessing();
+    restoreSuccessView = () => showSuccessState(fileName, fileSize, source, timings);
     dropZone.className = 'success';
 
     // Build DOM safely to avoid XSS
@@ -138,25 +404,65 @@ function showSuccessState(fileName, fileSize) {
     filenameDiv.textContent = `${fileName} (${formatFileSize(fileSize)})`;
     container.appendChild(filenameDiv);
 
+    if (timings) {
+        container.appendChild(createTimingsLine(timings));
+    }
+
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'success-actions';
 
     const openBtn = document.createElement('button');
     openBtn.className = 'btn btn-primary';
-    openBtn.textContent = 'Open in Perfetto';
+    openBtn.textContent = getOpenInPerfettoText('Open in Perfetto');
     openBtn.addEventListener('click', () => {
-        openPerfetto(currentTraceData, currentFileName);
+        openInPerfetto(currentTraceData, currentFileName, getCurrentView());
     });
     actionsDiv.appendChild(openBtn);
 
     const secondaryActions = document.createElement('div');
     secondaryActions.className = 'secondary-actions';
 
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn-link';
+    viewBtn.textContent = 'View here';
+    viewBtn.addEventListener('click', () => showTimeline(currentTraceData, currentFileName));
+    secondaryActions.appendChild(viewBtn);
+
+    const inspectBtn = document.createElement('button');
+    inspectBtn.className = 'btn-link';
+    inspectBtn.textContent = 'Inspect packets';
+    inspectBtn.title = 'The trace packets as a table, checked for unbalanced slices, dangling flows and tracks without a descriptor';
+    inspectBtn.addEventListener('click', () => showInspector(currentTraceData, currentFileName));
+    secondaryActions.appendChild(inspectBtn);
+
+    const viewSeparator = document.createElement('span');
+    viewSeparator.textContent = '·';
+    viewSeparator.style.color = '#555';
+    secondaryActions.appendChild(viewSeparator);
+
     const downloadBtn = document.createElement('button');
     downloadBtn.className = 'btn-link';
     downloadBtn.textContent = 'Download trace';
-    downloadBtn.addEventListener('click', downloadTrace);
+    downloadBtn.addEventListener('click', () => downloadTrace(currentTraceData, currentFileName, source));
     secondaryActions.appendChild(downloadBtn);
+    // Traces reopened from the history have no binlogs to convert to other formats
+    if (source) {
+        secondaryActions.appendChild(createFormatSelect());
+
+        const shareSeparator = document.createElement('span');
+        shareSeparator.textContent = '·';
+        shareSeparator.style.color = '#555';
+        secondaryActions.appendChild(shareSeparator);
+
+        const shareBtn = document.createElement('button');
+        shareBtn.className = 'btn-link';
+        shareBtn.textContent = 'Copy link';
+        shareBtn.title = 'Link to these options and the part of the trace shown here - no trace data is included';
+        shareBtn.addEventListener('click', () => shareConversion(source, shareBtn));
+        secondaryActions.appendChild(shareBtn);
+
+        secondaryActions.appendChild(createBrowseSourcesButton());
+    }
 
     const separator = document.createElement('span');
     separator.textContent = '·';
@@ -176,9 +482,247 @@ function showSuccessState(fileName, fileSize) {
     dropZone.appendChild(container);
 }
 
-// Show error state in drop zone
-function showErrorState(message) {
-    isProcessing = false;
+const TIMING_PHASES = [
+    { key: 'readMs', label: 'Read' },
+    { key: 'decompressMs', label: 'Decompress' },
+    { key: 'processMs', label: 'Process' },
+    { key: 'serializeMs', label: 'Serialize' },
+    { key: 'transferMs', label: 'Transfer' }
+];
+
+// Time per phase of a conversion, from the timings convertToBlob returns
+function createTimingsLine(timings) {
+    const line = document.createElement('div');
+    line.className = 'success-timings';
+    line.textContent = TIMING_PHASES
+        .filter(phase => typeof timings[phase.key] === 'number')
+        .map(phase => `${phase.label} ${formatDuration(timings[phase.key] * 1e6)}`)
+        .join(' \u00b7 ');
+    line.title = 'Reading, decompressing and processing the records overlap; decompressing includes decoding the records. '
+        + 'Transfer is the time the chunks of the trace took to reach the page, which they do while the build is processed';
+    return line;
+}
+
+// Show one row per converted trace when several files were converted separately (a split file has one per chunk)
+function showBatchSuccessState(traces, fileCount = traces.length) {
+    endProcessing();
+    restoreSuccessView = () => showBatchSuccessState(traces, fileCount);
+    dropZone.className = 'success';
+
+    const container = document.createElement('div');
+    container.className = 'success-content';
+
+    const icon = document.createElement('div');
+    icon.className = 'success-icon';
+    icon.textContent = '\u2713'; // checkmark
+    container.appendChild(icon);
+
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'success-message';
+    msgDiv.textContent = `Converted ${fileCount} files`;
+    container.appendChild(msgDiv);
+
+    const formatRow = document.createElement('div');
+    formatRow.className = 'secondary-actions';
+    formatRow.appendChild(document.createTextNode('Download as'));
+    formatRow.appendChild(createFormatSelect());
+    container.appendChild(formatRow);
+
+    container.appendChild(createTraceList(traces));
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'success-actions';
+
+    actionsDiv.appendChild(createZipButton(traces, 'traces.zip'));
+    actionsDiv.appendChild(createBrowseSourcesButton());
+
+    const convertAnotherBtn = document.createElement('button');
+    convertAnotherBtn.className = 'btn-link';
+    convertAnotherBtn.textContent = 'Convert another';
+    convertAnotherBtn.addEventListener('click', resetDropZone);
+    actionsDiv.appendChild(convertAnotherBtn);
+
+    container.appendChild(actionsDiv);
+
+    dropZone.innerHTML = '';
+    dropZone.appendChild(container);
+}
+
+// Show the chunks of a split trace, each to open or download on its own or all together as a zip.
+// Split traces are not kept in the history, which holds one trace per conversion.
+function showSplitSuccessState(title, traces, timings) {
+    endProcessing();
+    restoreSuccessView = () => showSplitSuccessState(title, traces, timings);
+    dropZone.className = 'success';
+
+    const container = document.createElement('div');
+    container.className = 'success-content';
+
+    const icon = document.createElement('div');
+    icon.className = 'success-icon';
+    icon.textContent = '\u2713'; // checkmark
+    container.appendChild(icon);
+
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'success-message';
+    msgDiv.textContent = 'Conversion complete!';
+    container.appendChild(msgDiv);
+
+    const filenameDiv = document.createElement('div');
+    filenameDiv.className = 'success-filename';
+    filenameDiv.textContent = `${title}, split into ${traces.length} traces`;
+    container.appendChild(filenameDiv);
+
+    if (timings) {
+        container.appendChild(createTimingsLine(timings));
+    }
+
+    container.appendChild(createTraceList(traces));
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'success-actions';
+
+    const baseName = traces[0].fileName.replace(/-part\d+$/, '');
+    actionsDiv.appendChild(createZipButton(traces, `${baseName}.zip`));
+    actionsDiv.appendChild(createBrowseSourcesButton());
+
+    const convertAnotherBtn = document.createElement('button');
+    convertAnotherBtn.className = 'btn-link';
+    convertAnotherBtn.textContent = 'Convert another';
+    convertAnotherBtn.addEventListener('click', resetDropZone);
+    actionsDiv.appendChild(convertAnotherBtn);
+
+    container.appendChild(actionsDiv);
+
+    dropZone.innerHTML = '';
+    dropZone.appendChild(container);
+}
+
+// The chunks of a split trace as entries of a trace list, numbered after the binlog they came from
+function getChunkTraces(chunks, fileName) {
+    const baseName = fileName.replace(/\.binlog$/i, '');
+    return chunks.map(chunk => ({
+        fileName: `${baseName}-part${chunk.index + 1}`,
+        label: `${baseName} \u00b7 ${chunk.name}`,
+        size: chunk.data.size,
+        data: chunk.data,
+        source: null
+    }));
+}
+
+// One row per trace with buttons to open, view and download it: { fileName, label?, size, data, source }
+function createTraceList(traces) {
+    const list = document.createElement('ul');
+    list.className = 'trace-list';
+
+    for (const trace of traces) {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.className = 'trace-list-name';
+        name.textContent = `${trace.label || trace.fileName} (${formatFileSize(trace.size)})`;
+        name.title = trace.label ? trace.fileName : '';
+        item.appendChild(name);
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-secondary';
+        openBtn.textContent = getOpenInPerfettoText('Open');
+        openBtn.addEventListener('click', () => openInPerfetto(trace.data, trace.fileName));
+        item.appendChild(openBtn);
+
+        const viewBtn = document.createElement('button');
+        viewBtn.className = 'btn-link';
+        viewBtn.textContent = 'View';
+        viewBtn.addEventListener('click', () => showTimeline(trace.data, trace.fileName));
+        item.appendChild(viewBtn);
+
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'btn-link';
+        downloadBtn.textContent = 'Download';
+        downloadBtn.addEventListener('click', () => downloadTrace(trace.data, trace.fileName, trace.source));
+        item.appendChild(downloadBtn);
+
+        list.appendChild(item);
+    }
+
+    return list;
+}
+
+// Downloads every trace of a list, as Perfetto traces, in one zip archive
+function createZipButton(traces, zipName) {
+    const zipBtn = document.createElement('button');
+    zipBtn.className = 'btn-link';
+    zipBtn.textContent = 'Download all (.zip)';
+    zipBtn.title = 'Every trace above, in Perfetto format';
+    zipBtn.addEventListener('click', async () => {
+        zipBtn.disabled = true;
+        try {
+            const files = traces.map(trace => ({
+                name: trace.fileName.replace(/\.binlog$/i, '') + TRACE_FORMATS.perfetto.extension,
+                data: trace.data
+            }));
+            downloadBlob(await createZip(files), zipName);
+        } catch (err) {
+            showErrorState(`Export failed: ${err.message}`, restoreSuccessView);
+            console.error('Export error:', err);
+        } finally {
+            zipBtn.disabled = false;
+        }
+    });
+    return zipBtn;
+}
+
+function createBrowseSourcesButton() {
+    const browseBtn = document.createElement('button');
+    browseBtn.className = 'btn-link';
+    browseBtn.textContent = 'Browse sources';
+    browseBtn.title = 'Project and import files embedded in the binlog';
+    browseBtn.addEventListener('click', () => showSources());
+    return browseBtn;
+}
+
+// Show the result of comparing two builds
+function showCompareSuccessState(diff) {
+    endProcessing();
+    restoreSuccessView = () => showCompareSuccessState(diff);
+    dropZone.className = 'success';
+
+    const container = document.createElement('div');
+    container.className = 'success-content';
+
+    const icon = document.createElement('div');
+    icon.className = 'success-icon';
+    icon.textContent = '\u2713'; // checkmark
+    container.appendChild(icon);
+
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'success-message';
+    msgDiv.textContent = 'Comparison complete!';
+    container.appendChild(msgDiv);
+
+    const filenameDiv = document.createElement('div');
+    filenameDiv.className = 'success-filename';
+    filenameDiv.textContent = `${diff.baseline.label} \u2192 ${diff.candidate.label}`;
+    container.appendChild(filenameDiv);
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'success-actions';
+
+    const convertAnotherBtn = document.createElement('button');
+    convertAnotherBtn.className = 'btn-link';
+    convertAnotherBtn.textContent = 'Compare or convert another';
+    convertAnotherBtn.addEventListener('click', resetDropZone);
+    actionsDiv.appendChild(convertAnotherBtn);
+
+    container.appendChild(actionsDiv);
+
+    dropZone.innerHTML = '';
+    dropZone.appendChild(container);
+}
+
+// Show error state in drop zone, with a way back to the previous view if one is given
+function showErrorState(message, backAction = null) {
+    endProcessing();
     dropZone.className = 'error';
 
     // Build DOM safely to avoid XSS
@@ -198,9 +742,17 @@ function showErrorState(message) {
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'success-actions';
 
+    if (backAction) {
+        const backBtn = document.createElement('button');
+        backBtn.className = 'btn btn-secondary';
+        backBtn.textContent = 'Back';
+        backBtn.addEventListener('click', backAction);
+        actionsDiv.appendChild(backBtn);
+    }
+
     const tryAgainBtn = document.createElement('button');
-    tryAgainBtn.className = 'btn btn-secondary';
-    tryAgainBtn.textContent = 'Try Again';
+    tryAgainBtn.className = backAction ? 'btn-link' : 'btn btn-secondary';
+    tryAgainBtn.textContent = backAction ? 'Convert another' : 'Try Again';
     tryAgainBtn.addEventListener('click', resetDropZone);
     actionsDiv.appendChild(tryAgainBtn);
 
@@ -212,9 +764,19 @@ function showErrorState(message) {
 
 // Reset drop zone to original state
 function resetDropZone() {
-    isProcessing = false;
+    endProcessing();
     currentTraceData = null;
     currentFileName = null;
+    batchProgress = null;
+    currentOperation = null;
+    restoreSuccessView = null;
+    linkedView = null;
+    setSourceBinlogs(null);
+    closeSummary();
+    closeComparison();
+    closeTimeline();
+    closeInspector();
+    closePerfettoFrame();
     dropZone.className = '';
     dropZone.innerHTML = originalDropZoneContent;
 }
@@ -234,53 +796,199 @@ function getOptions() {
         tasks: optTasks.checked,
         messages: optMessages.checked,
         warnings: optWarnings.checked,
-        errors: optErrors.checked
+        errors: optErrors.checked,
+        criticalPath: optCriticalPath.checked,
+        annotations: optAnnotations.checked,
+        counters: optCounters.checked,
+        utilization: optUtilization.checked,
+        filters: getFilters(),
+        split: getSplit()
+    };
+}
+
+// How to split the Perfetto trace, in the JSON shape TraceSplit.Parse reads, or null for one trace
+function getSplit() {
+    switch (optSplit.value) {
+        case 'node': return { by: 'node' };
+        case 'time': return { by: 'time', windowMs: Math.max(readNumber(optSplitWindow) ?? 60, 1) * 1000 };
+        default: return null;
+    }
+}
+
+// Set the split inputs from the shape getSplit returns, or to one trace for null
+function setSplit(split) {
+    optSplit.value = split ? split.by : 'none';
+    if (split?.by === 'time') optSplitWindow.value = String(split.windowMs / 1000);
+    optSplitWindowRow.hidden = optSplit.value !== 'time';
+}
+
+// Comma-separated patterns of a filter input
+function readPatterns(input) {
+    return input.value.split(',').map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+}
+
+// Value of a number input, or null when it is empty
+function readNumber(input) {
+    return Number.isFinite(input.valueAsNumber) ? input.valueAsNumber : null;
+}
+
+// Filters in the JSON shape TraceFilter.Parse reads, or null when nothing is filtered
+function getFilters() {
+    const startSeconds = readNumber(fltStart);
+    const endSeconds = readNumber(fltEnd);
+    const filters = {
+        includeProjects: readPatterns(fltIncludeProjects),
+        excludeProjects: readPatterns(fltExcludeProjects),
+        includeTargets: readPatterns(fltIncludeTargets),
+        excludeTargets: readPatterns(fltExcludeTargets),
+        includeTasks: readPatterns(fltIncludeTasks),
+        excludeTasks: readPatterns(fltExcludeTasks),
+        minDurationMs: readNumber(fltMinDuration) ?? 0,
+        startMs: startSeconds === null ? null : startSeconds * 1000,
+        endMs: endSeconds === null ? null : endSeconds * 1000
     };
+    const active = Object.values(filters).some(value => Array.isArray(value) ? value.length > 0 : Boolean(value));
+    return active ? filters : null;
+}
+
+// Fill the filter inputs from the shape getFilters returns, or clear them for null
+function setFilters(filters) {
+    const patterns = key => (filters && Array.isArray(filters[key]) ? filters[key].join(', ') : '');
+    const number = (key, scale) => (filters && typeof filters[key] === 'number' && filters[key] > 0 ? String(filters[key] / scale) : '');
+    fltIncludeProjects.value = patterns('includeProjects');
+    fltExcludeProjects.value = patterns('excludeProjects');
+    fltIncludeTargets.value = patterns('includeTargets');
+    fltExcludeTargets.value = patterns('excludeTargets');
+    fltIncludeTasks.value = patterns('includeTasks');
+    fltExcludeTasks.value = patterns('excludeTasks');
+    fltMinDuration.value = number('minDurationMs', 1);
+    fltStart.value = number('startMs', 1000);
+    fltEnd.value = number('endMs', 1000);
+    filtersPanel.open = Boolean(filters);
+    updateFiltersState();
+}
+
+function updateFiltersState() {
+    const filters = getFilters();
+    filtersState.hidden = !filters;
+    // A window that ends before it starts is rejected by the converter
+    const invalidWindow = Boolean(filters && filters.startMs !== null && filters.endMs !== null && filters.startMs > filters.endMs);
+    fltStart.classList.toggle('invalid', invalidWindow);
+    fltEnd.classList.toggle('invalid', invalidWindow);
+}
+
+function isBinlog(file) {
+    return file.name.toLowerCase().endsWith('.binlog');
+}
+
+// Run a conversion that streams its trace back in chunks and collect them into a Blob.
+// Each chunk is moved into its own Blob right away so the browser can page it out of memory.
+// Resolves to the trace, the per-build summaries and the phase timings the converter returns,
+// plus the time its chunks took to get from the worker to the page (transferMs). A split trace also resolves to
+// its chunks, { index, name, startNs, endNs, data }, each written to its own output; trace is the first.
+// params are those of METHODS.convert; callOptions are passed on to invoke: { onProgress, signal }.
+async function convertToBlob(params, callOptions) {
+    const outputs = [];
+    let transferMs = 0;
+    const resultJson = await invoke(METHODS.convert, params, {
+        ...callOptions,
+        onChunk: (data, part = 0, chunkMs) => {
+            (outputs[part] ??= []).push(new Blob([data]));
+            transferMs += chunkMs;
+        }
+    });
+
+    const toBlob = parts => new Blob(parts || [], { type: 'application/octet-stream' });
+    const result = JSON.parse(resultJson);
+    const trace = toBlob(outputs[0]);
+    const chunks = result.chunks ? result.chunks.map(chunk => ({ ...chunk, data: toBlob(outputs[chunk.index]) })) : null;
+    if (trace.size === 0) {
+        throw new Error('Conversion failed - no data returned');
+    }
+    return { trace, chunks, builds: result.builds, timings: { ...result.timings, transferMs } };
+}
+
+// Convert the binlogs of a source - one file, or several merged into one trace - to a trace format.
+// Only Perfetto traces are split.
+function convertSource(source, format, callOptions) {
+    const options = createConvertOptions(format, format === 'perfetto' ? source.options : { ...source.options, split: null });
+    return convertToBlob({
+        inputs: source.files,
+        // Merged builds are told apart by their file names
+        labels: source.files.length > 1 ? source.files.map(file => file.name.replace(/\.binlog$/i, '')) : undefined,
+        options
+    }, callOptions);
+}
+
+// Dispatch one or several dropped/selected files
+function handleFiles(files) {
+    if (files.length === 1) {
+        handleFile(files[0]);
+        return;
+    }
+
+    const invalid = files.find(file => !isBinlog(file));
+    if (invalid) {
+        showErrorState(isArchive(invalid)
+            ? `${invalid.name} is an archive: drop archives one at a time to pick the binlog to convert`
+            : `${invalid.name} is not a .binlog file`);
+        return;
+    }
+
+    if (optBatchMode.value === 'compare') {
+        if (files.length !== 2) {
+            showErrorState('Compare mode needs exactly two .binlog files: a baseline and a candidate');
+            return;
+        }
+        handleCompareFiles(files);
+    } else if (optBatchMode.value === 'separate') {
+        handleSeparateFiles(files);
+    } else {
+        handleMergedFiles(files);
+    }
 }
 
 // File handling
 async function handleFile(file) {
-    if (!file.name.toLowerCase().endsWith('.binlog')) {
-        showErrorState('Please select a .binlog file');
+    if (isArchive(file)) {
+        handleArchive(file);
+        return;
+    }
+    if (!isBinlog(file)) {
+        showErrorState('Please select a .binlog file, or a .zip or .binlog.gz holding one');
         return;
     }
 
     currentFileName = file.name;
 
     try {
-        showProcessingState('Reading file...', 0);
-
-        // Read file as array buffer
-        const arrayBuffer = await file.arrayBuffer();
-        const bytes = new Uint8Array(arrayBuffer);
-
-        showProcessingState('Converting to Perfetto format...', 5);
+        showProcessingState('Converting to Perfetto format...', 0);
 
         // Get options
         const opts = getOptions();
 
-        // Call protobuf converter via worker - returns byte array, throws on error
-        const protoBytes = await invoke('BinlogConverter.ConvertToProtobuf', [
-            bytes,
-            opts.projects,
-            opts.targets,
-            opts.tasks,
-            opts.messages,
-            opts.warnings,
-            opts.errors,
-            opts.evaluation
-        ]);
-
-        if (protoBytes.length === 0) {
-            throw new Error('Conversion failed - no data returned');
+        // The worker reads the file in chunks and streams the trace back - throws on error
+        const source = { files: [file], options: opts };
+        const { trace, chunks, builds, timings } = await convertSource(source, 'perfetto', { onProgress: trackProgress(), signal: beginOperation().signal });
+
+        const summaries = builds.map(build => ({ ...build, label: file.name }));
+        if (chunks) {
+            setSourceBinlogs(source.files);
+            showSplitSuccessState(file.name, getChunkTraces(chunks, file.name), timings);
+            showSummary(summaries);
+            return;
         }
 
-        currentTraceData = protoBytes;
-        showSuccessState(file.name, file.size);
+        currentTraceData = trace;
+        linkedView = getLinkedView(source);
+        setSourceBinlogs(source.files);
+        showSuccessState(file.name, file.size, source, timings);
+        showSummary(summaries);
+        saveToHistory({ fileName: file.name, downloadName: file.name, size: file.size, options: opts, builds: summaries }, trace);
 
     } catch (err) {
         // Check if the operation was cancelled
-        if (err.message && err.message.includes('canceled')) {
+        if (isCancellation(err)) {
             resetDropZone();
             return;
         }
@@ -289,67 +997,646 @@ async function handleFile(file) {
     }
 }
 
-// Perfetto integration using postMessage API
-async function openPerfetto(traceData, fileName) {
-    const PERFETTO_UI = 'https://ui.perfetto.dev';
+// Look for binlogs in a .zip or .binlog.gz and convert the one found, or let the user pick one of several
+async function handleArchive(file) {
+    currentFileName = file.name;
+    try {
+        showProcessingState('Looking for binlogs...', 0);
+        const binlogs = await listArchiveBinlogs(file);
+        if (binlogs.length === 0) {
+            showErrorState(`No .binlog files found in ${file.name}`);
+        } else if (binlogs.length === 1) {
+            await convertArchivedBinlog(binlogs[0]);
+        } else {
+            showArchiveState(file.name, binlogs);
+        }
+    } catch (err) {
+        showErrorState(`Could not read ${file.name}: ${err.message}`);
+        console.error('Archive error:', err);
+    }
+}
+
+// Unpack a binlog found in an archive and convert it like a dropped one; a failure goes back to backAction when given
+async function convertArchivedBinlog(binlog, backAction = null) {
+    let file;
+    try {
+        const signal = beginOperation().signal;
+        showProcessingState(`Unpacking ${binlog.name}...`, 0);
+        file = await binlog.open({
+            onProgress: fraction => showProcessingState(`Unpacking ${binlog.name}...`, Math.round(fraction * 100)),
+            signal
+        });
+    } catch (err) {
+        if (isCancellation(err)) {
+            resetDropZone();
+            return;
+        }
+        showErrorState(`Could not unpack ${binlog.path}: ${err.message}`, backAction);
+        console.error('Archive error:', err);
+        return;
+    }
+    await handleFile(file);
+}
+
+// List the binlogs of an archive, each with a button to convert it
+function showArchiveState(archiveName, binlogs) {
+    endProcessing();
+    dropZone.className = 'archive';
+
+    const container = document.createElement('div');
+    container.className = 'success-content';
+
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'success-message';
+    msgDiv.textContent = `${binlogs.length} binlogs found`;
+    container.appendChild(msgDiv);
 
-    // traceData is a Uint8Array
-    const traceBuffer = traceData.buffer;
-    const traceFileName = fileName.replace('.binlog', '.pftrace');
+    const filenameDiv = document.createElement('div');
+    filenameDiv.className = 'success-filename';
+    filenameDiv.textContent = archiveName;
+    container.appendChild(filenameDiv);
 
-    // Open Perfetto in new window
-    const perfettoWindow = window.open(PERFETTO_UI);
+    const list = document.createElement('ul');
+    list.className = 'trace-list';
+    for (const binlog of binlogs) {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.className = 'trace-list-name';
+        name.textContent = `${binlog.path} (${formatFileSize(binlog.size)})`;
+        name.title = binlog.path;
+        item.appendChild(name);
+
+        const convertBtn = document.createElement('button');
+        convertBtn.className = 'btn btn-secondary';
+        convertBtn.textContent = 'Convert';
+        convertBtn.addEventListener('click', () => {
+            currentFileName = binlog.name;
+            convertArchivedBinlog(binlog, () => showArchiveState(archiveName, binlogs));
+        });
+        item.appendChild(convertBtn);
 
-    if (!perfettoWindow) {
-        throw new Error('Popup blocked! Please allow popups for this site.');
+        list.appendChild(item);
     }
+    container.appendChild(list);
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'success-actions';
+
+    const convertAnotherBtn = document.createElement('button');
+    convertAnotherBtn.className = 'btn-link';
+    convertAnotherBtn.textContent = 'Convert another';
+    convertAnotherBtn.addEventListener('click', resetDropZone);
+    actionsDiv.appendChild(convertAnotherBtn);
+
+    container.appendChild(actionsDiv);
+
+    dropZone.innerHTML = '';
+    dropZone.appendChild(container);
+}
+
+// Convert several binlogs into one trace, each build as its own group of processes.
+// Binlogs are written when a build finishes, so ordering by modification time lists
+// the builds of one CI run in the order they ran. The converter places each build at its own start time.
+async function handleMergedFiles(files) {
+    files = [...files].sort((a, b) => a.lastModified - b.lastModified);
+
+    batchProgress = {
+        files: files.map(file => ({ name: file.name, percent: 0 }))
+    };
+    currentFileName = `${files.length} builds`;
+
+    try {
+        showProcessingState('Converting to Perfetto format...', 0);
 
-    // Wait for Perfetto to be ready using PING/PONG handshake
-    return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-            clearInterval(pingInterval);
-            window.removeEventListener('message', messageHandler);
-            reject(new Error('Timeout waiting for Perfetto UI'));
-        }, 30000);
+        const source = { files, options: getOptions() };
+        const { trace, chunks, builds, timings } = await convertSource(source, 'perfetto', {
+            onProgress: trackMergedProgress(),
+            signal: beginOperation().signal
+        });
+
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
 
-        // Send PINGs until we get a PONG
-        const pingInterval = setInterval(() => {
-            perfettoWindow.postMessage('PING', PERFETTO_UI);
-        }, 50);
+        batchProgress = null;
+        if (chunks) {
+            setSourceBinlogs(source.files);
+            showSplitSuccessState(`${files.length} builds merged`, getChunkTraces(chunks, 'merged.binlog'), timings);
+            showSummary(builds);
+            return;
+        }
 
-        function messageHandler(evt) {
-            if (evt.data !== 'PONG') return;
+        currentTraceData = trace;
+        currentFileName = 'merged.binlog';
+        linkedView = getLinkedView(source);
+        setSourceBinlogs(source.files);
+        showSuccessState(`${files.length} builds merged`, totalSize, source, timings);
+        showSummary(builds);
+        saveToHistory({
+            fileName: `${files.length} builds merged`,
+            downloadName: currentFileName,
+            size: totalSize,
+            options: source.options,
+            builds
+        }, trace);
+
+    } catch (err) {
+        batchProgress = null;
+        if (isCancellation(err)) {
+            resetDropZone();
+            return;
+        }
+        showErrorState(`Error: ${err.message}`);
+        console.error('Conversion error:', err);
+    }
+}
 
-            // Perfetto is ready
-            clearInterval(pingInterval);
-            clearTimeout(timeout);
-            window.removeEventListener('message', messageHandler);
+// Convert several binlogs side by side into a list of traces. Each file is its own request,
+// so the worker pool runs them in parallel and each can be cancelled without the others.
+async function handleSeparateFiles(files) {
+    const operation = beginOperation();
+    const options = getOptions();
+    const progress = {
+        files: files.map(file => ({ name: file.name, percent: 0, canceled: false, controller: new AbortController() }))
+    };
+    for (const file of progress.files) {
+        operation.signal.addEventListener('abort', () => file.controller.abort());
+    }
+    batchProgress = progress;
+    currentFileName = `${files.length} files`;
 
-            // Send the trace data
-            perfettoWindow.postMessage({
-                perfetto: {
-                    buffer: traceBuffer,
-                    title: fileName.replace('.binlog', ''),
-                    fileName: traceFileName
+    try {
+        showProcessingState(`Converting ${files.length} files...`, 0);
+
+        const converted = await Promise.all(files.map(async (file, i) => {
+            const entry = progress.files[i];
+            try {
+                const source = { files: [file], options };
+                const { trace, chunks, builds } = await convertSource(source, 'perfetto', {
+                    onProgress: trackFileProgress(i),
+                    signal: entry.controller.signal
+                });
+
+                const summaries = builds.map(build => ({ ...build, label: file.name }));
+                updateFileProgress(i, { message: 'Complete!', percent: 100, records: 0, remainingMs: null });
+                if (chunks) {
+                    return { file, traces: getChunkTraces(chunks, file.name), summaries };
+                }
+                saveToHistory({ fileName: file.name, downloadName: file.name, size: file.size, options, builds: summaries }, trace);
+                return { file, traces: [{ fileName: file.name, size: file.size, data: trace, source }], summaries };
+            } catch (err) {
+                if (!isCancellation(err)) {
+                    // One failure fails the batch, so stop the other files
+                    operation.abort();
+                    throw err;
+                }
+                entry.canceled = true;
+                if (!operation.signal.aborted) {
+                    updateFileProgress(i, { message: 'Canceled', percent: 0, records: 0, remainingMs: null });
                 }
-            }, PERFETTO_UI);
+                return null;
+            }
+        }));
+
+        batchProgress = null;
+        const results = converted.filter(result => result !== null);
+        if (operation.signal.aborted || results.length === 0) {
+            resetDropZone();
+            return;
+        }
+        setSourceBinlogs(results.map(result => result.file));
+        showBatchSuccessState(results.flatMap(result => result.traces), results.length);
+        showSummary(results.flatMap(result => result.summaries));
+
+    } catch (err) {
+        batchProgress = null;
+        showErrorState(`Error: ${err.message}`);
+        console.error('Conversion error:', err);
+    }
+}
+
+// Compare two builds per project, target and task. The older binlog is the baseline.
+async function handleCompareFiles(files) {
+    const [baseline, candidate] = [...files].sort((a, b) => a.lastModified - b.lastModified);
+
+    // Comparisons report progress like merged conversions
+    batchProgress = {
+        files: [baseline, candidate].map(file => ({ name: file.name, percent: 0 }))
+    };
+    currentFileName = `${baseline.name} \u2192 ${candidate.name}`;
+
+    try {
+        showProcessingState('Comparing builds...', 0);
+
+        const diffJson = await invoke(METHODS.compare, {
+            baseline,
+            candidate,
+            baselineLabel: baseline.name,
+            candidateLabel: candidate.name
+        }, { onProgress: trackMergedProgress(), signal: beginOperation().signal });
+        const diff = JSON.parse(diffJson);
+
+        batchProgress = null;
+        showCompareSuccessState(diff);
+        showComparison(diff);
 
-            resolve();
+    } catch (err) {
+        batchProgress = null;
+        if (isCancellation(err)) {
+            resetDropZone();
+            return;
+        }
+        showErrorState(`Error: ${err.message}`);
+        console.error('Comparison error:', err);
+    }
+}
+
+// Open a trace in Perfetto using the configured UI and mode, reporting failures in the drop zone.
+// view is the part of the trace to scroll to, or null for all of it.
+async function openInPerfetto(traceData, fileName, view = null) {
+    const iframeMode = settings.perfettoMode === 'iframe';
+
+    try {
+        if (iframeMode) {
+            closeTimeline();
+            perfettoTitle.textContent = fileName.replace('.binlog', '');
+            perfettoPanel.hidden = false;
+            perfettoPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        await openPerfetto(traceData, fileName, {
+            url: getPerfettoUrl(),
+            mode: settings.perfettoMode,
+            timeoutSeconds: settings.perfettoTimeoutSeconds,
+            frame: perfettoFrame,
+            view
+        });
+    } catch (err) {
+        if (iframeMode) {
+            closePerfettoFrame();
         }
+        showErrorState(`Could not open Perfetto: ${err.message}`, restoreSuccessView);
+        console.error('Perfetto error:', err);
+    }
+}
+
+function closePerfettoFrame() {
+    perfettoFrame.src = 'about:blank';
+    perfettoPanel.hidden = true;
+}
+
+// Decode a trace in the page and draw it below the drop zone - works fully offline
+async function showTimeline(traceData, fileName) {
+    closeTimeline();
+
+    try {
+        const bytes = new Uint8Array(await traceData.arrayBuffer());
+        const timeline = buildTimeline(decodeTrace(bytes));
+
+        timelineTitle.textContent = fileName.replace('.binlog', '');
+        timelinePanel.hidden = false;
+        timelineView = createTimelineView(timelineContainer, timeline, { openSlice: showSliceSource });
+        if (linkedView && traceData === currentTraceData) {
+            timelineView.showView(linkedView);
+        }
+        timelinePanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (err) {
+        showErrorState(`Failed to display trace: ${err.message}`);
+        console.error('Timeline error:', err);
+    }
+}
+
+function closeTimeline() {
+    if (timelineView) {
+        timelineView.destroy();
+        timelineView = null;
+    }
+    timelinePanel.hidden = true;
+}
 
-        window.addEventListener('message', messageHandler);
+// Decode a trace in the page and list its packets with the problems found in them
+async function showInspector(traceData, fileName) {
+    closeInspector();
+
+    try {
+        const packets = decodeTrace(new Uint8Array(await traceData.arrayBuffer()));
+        const traceName = fileName.replace(/\.binlog$/i, '') + TRACE_FORMATS.perfetto.extension;
+
+        inspectorTitle.textContent = `Trace packets of ${traceName}`;
+        inspectorPanel.hidden = false;
+        packetInspector = createPacketInspector(inspectorContainer, packets, findTraceProblems(packets), {
+            traceName,
+            download: downloadBlob
+        });
+        inspectorPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (err) {
+        showErrorState(`Failed to decode trace: ${err.message}`, restoreSuccessView);
+        console.error('Inspector error:', err);
+    }
+}
+
+function closeInspector() {
+    if (packetInspector) {
+        packetInspector.destroy();
+        packetInspector = null;
+    }
+    inspectorPanel.hidden = true;
+}
+
+// Show the summaries of the converted builds next to the drop zone
+function showSummary(builds) {
+    closeSummary();
+    summaryPanel.hidden = false;
+    summaryView = createSummaryView(summaryContainer, builds, {
+        showTarget: sourceBinlogs ? name => showSources({ name }) : null
+    });
+    showDiagnostics(builds);
+}
+
+function closeSummary() {
+    if (summaryView) {
+        summaryView.destroy();
+        summaryView = null;
+    }
+    summaryPanel.hidden = true;
+    closeDiagnostics();
+}
+
+// List the warnings and errors of the builds, if they logged any
+function showDiagnostics(builds) {
+    closeDiagnostics();
+    if (!builds.some(build => build.diagnostics && build.diagnostics.totalCount > 0)) return;
+    diagnosticsPanel.hidden = false;
+    diagnosticsView = createDiagnosticsView(diagnosticsContainer, builds, { download: downloadBlob });
+}
+
+function closeDiagnostics() {
+    if (diagnosticsView) {
+        diagnosticsView.destroy();
+        diagnosticsView = null;
+    }
+    diagnosticsPanel.hidden = true;
+}
+
+function showComparison(diff) {
+    closeComparison();
+    comparePanel.hidden = false;
+    compareView = createCompareView(compareContainer, diff, { download: downloadBlob });
+    comparePanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeComparison() {
+    if (compareView) {
+        compareView.destroy();
+        compareView = null;
+    }
+    comparePanel.hidden = true;
+}
+
+// Binlogs whose embedded files the source browser shows; their files are read again on first use
+function setSourceBinlogs(files) {
+    closeSources();
+    sourceBinlogs = files;
+    embeddedFiles = null;
+}
+
+// Read the embedded files of the current binlogs once, in a worker
+function getEmbeddedFiles() {
+    if (!embeddedFiles) {
+        embeddedFiles = invoke(METHODS.readEmbeddedFiles, { inputs: sourceBinlogs }, {
+            onProgress: report => {
+                const percent = Math.round((report.fileIndex + report.bytesRead / Math.max(report.totalBytes, 1)) / report.fileCount * 100);
+                if (!sourceView) sourceContainer.textContent = `${report.message} ${percent}%`;
+            }
+        }).then(json => JSON.parse(json));
+        // Let a failed read be tried again
+        embeddedFiles.catch(() => { embeddedFiles = null; });
+    }
+    return embeddedFiles;
+}
+
+// Open the source browser, at the definition of a target when one is given: { name, file }
+async function showSources(target = null) {
+    if (!sourceBinlogs) return;
+
+    sourcePanel.hidden = false;
+    if (!sourceView) {
+        const binlogs = sourceBinlogs;
+        sourceContainer.textContent = 'Reading embedded files...';
+        let embedded;
+        try {
+            embedded = await getEmbeddedFiles();
+        } catch (err) {
+            sourceContainer.textContent = `Could not read the embedded files: ${err.message}`;
+            console.error('Source browser error:', err);
+            return;
+        }
+        // Another conversion replaced the binlogs while they were read
+        if (binlogs !== sourceBinlogs) return;
+        if (!sourceView) {
+            sourceView = createSourceView(sourceContainer, embedded);
+        }
+    }
+
+    if (target) {
+        sourceView.showTarget(target.name, target.file);
+    }
+    sourcePanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Double-clicking a target slice in the timeline shows its definition, from the file MSBuild reported when known
+function showSliceSource(slice) {
+    if (slice.category !== 'target' || !sourceBinlogs) return;
+    const targetFile = slice.args.find(arg => arg.name === 'targetFile');
+    showSources({ name: slice.name, file: targetFile ? String(targetFile.value) : null });
+}
+
+function closeSources() {
+    if (sourceView) {
+        sourceView.destroy();
+        sourceView = null;
+    }
+    sourceContainer.textContent = '';
+    sourcePanel.hidden = true;
+}
+
+// Part of the current trace to open: what the built-in timeline shows, or else the view of a shared link
+function getCurrentView() {
+    return timelineView ? timelineView.getView() : linkedView;
+}
+
+// View of the shared link if it was made for the binlogs of source
+function getLinkedView(source) {
+    if (!sharedLink || !sharedLink.view) return null;
+    return isSameSource(sharedLink, source.files.map(file => file.name)) ? sharedLink.view : null;
+}
+
+// Put a link to the conversion and current view in the address bar and on the clipboard
+async function shareConversion(source, button) {
+    const link = createShareLink(source.options, {
+        fileNames: source.files.map(file => file.name),
+        view: getCurrentView()
     });
+    history.replaceState(null, '', link);
+
+    try {
+        await navigator.clipboard.writeText(link);
+        button.textContent = 'Link copied';
+    } catch (err) {
+        // Clipboard access needs focus and a secure context - the link is still in the address bar
+        console.warn('Could not copy the link:', err);
+        button.textContent = 'Link in address bar';
+    }
+    setTimeout(() => { button.textContent = 'Copy link'; }, 2000);
 }
 
-// Download trace file
-function downloadTrace() {
-    if (!currentTraceData || !currentFileName) return;
+// Set the option checkboxes, filters and split from a shared link and say what it points at
+function applySharedLink() {
+    sharedLink = readShareLink(location.hash);
+    sharedLinkNote.hidden = !sharedLink;
+    if (!sharedLink) return;
+
+    const { options, fileNames, view } = sharedLink;
+    optEvaluation.checked = options.evaluation;
+    optProjects.checked = options.projects;
+    optTargets.checked = options.targets;
+    optTasks.checked = options.tasks;
+    optMessages.checked = options.messages;
+    optWarnings.checked = options.warnings;
+    optErrors.checked = options.errors;
+    optCriticalPath.checked = options.criticalPath;
+    optAnnotations.checked = options.annotations;
+    optCounters.checked = options.counters;
+    optUtilization.checked = options.utilization;
+    setFilters(options.filters);
+    setSplit(options.split);
+
+    let note = 'Options set from a shared link.';
+    if (view && fileNames.length > 0) {
+        const target = view.slice
+            ? `${view.slice.name} on ${view.slice.track}`
+            : `${formatDuration(view.startNs)} - ${formatDuration(view.endNs)}`;
+        note += ` Drop ${fileNames.join(', ')} to go to ${target}.`;
+    }
+    sharedLinkNote.textContent = note;
+}
 
-    const blob = new Blob([currentTraceData], { type: 'application/octet-stream' });
+// Select for the download format, shared by every download button
+function createFormatSelect() {
+    const select = document.createElement('select');
+    select.className = 'format-select';
+    select.title = 'Download format';
+    for (const [value, format] of Object.entries(TRACE_FORMATS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = format.label;
+        select.appendChild(option);
+    }
+    select.value = TRACE_FORMATS[settings.downloadFormat] ? settings.downloadFormat : 'perfetto';
+    select.addEventListener('change', () => {
+        settings = { ...settings, downloadFormat: select.value };
+        saveSettings(settings);
+    });
+    return select;
+}
+
+// Download a trace in the selected format. Formats other than Perfetto are converted
+// from the source binlogs again, with the same options, while the drop zone shows progress.
+async function downloadTrace(traceData, fileName, source) {
+    if (!traceData || !fileName) return;
+
+    const format = source && TRACE_FORMATS[settings.downloadFormat] ? settings.downloadFormat : 'perfetto';
+    const downloadName = fileName.replace(/\.binlog$/i, '') + TRACE_FORMATS[format].extension;
+    if (format === 'perfetto') {
+        downloadBlob(traceData, downloadName);
+        return;
+    }
+
+    const backAction = restoreSuccessView;
+    try {
+        showProcessingState(`Writing ${TRACE_FORMATS[format].label}...`, 0);
+        const { trace } = await convertSource(source, format, { onProgress: trackProgress(), signal: beginOperation().signal });
+        downloadBlob(trace, downloadName);
+        backAction();
+    } catch (err) {
+        if (isCancellation(err)) {
+            backAction();
+            return;
+        }
+        showErrorState(`Export failed: ${err.message}`, backAction);
+        console.error('Export error:', err);
+    }
+}
+
+// Keep a converted trace in the history. Failing to store it (private browsing, storage full)
+// only costs the history entry, never the conversion.
+async function saveToHistory(entry, trace) {
+    const maxBytes = settings.historyQuotaMB * 1024 * 1024;
+    if (trace.size > maxBytes) return;
+
+    try {
+        await addToHistory(entry, trace);
+        await pruneHistory(maxBytes);
+    } catch (err) {
+        console.warn('Could not store the trace in the history:', err);
+    }
+    refreshHistory();
+}
+
+async function refreshHistory() {
+    let entries = [];
+    try {
+        entries = await listHistory();
+    } catch (err) {
+        console.warn('History unavailable:', err);
+    }
+
+    if (historyView) {
+        historyView.destroy();
+        historyView = null;
+    }
+    historyPanel.hidden = entries.length === 0;
+    if (entries.length === 0) return;
+
+    historyView = createHistoryView(historyContainer, entries, {
+        reopen: entry => withHistoryTrace(entry, trace => reopenFromHistory(entry, trace)),
+        view: entry => withHistoryTrace(entry, trace => showTimeline(trace, entry.downloadName)),
+        download: entry => withHistoryTrace(entry, trace =>
+            downloadBlob(trace, entry.downloadName.replace(/\.binlog$/i, '') + TRACE_FORMATS.perfetto.extension)),
+        remove: entry => deleteFromHistory(entry.id).catch(err => console.warn('Could not delete from the history:', err)).then(refreshHistory),
+        clear: () => {
+            if (!confirm('Delete all stored traces?')) return;
+            clearHistory().catch(err => console.warn('Could not clear the history:', err)).then(refreshHistory);
+        },
+        formatSize: formatFileSize
+    });
+}
+
+// Load the trace of a history entry and hand it to action, reporting a missing trace in the drop zone
+async function withHistoryTrace(entry, action) {
+    if (isProcessing) return;
+    try {
+        action(await getHistoryTrace(entry.id));
+    } catch (err) {
+        showErrorState(`Could not load ${entry.fileName}: ${err.message}`, restoreSuccessView);
+        console.error('History error:', err);
+        refreshHistory();
+    }
+}
+
+// Show a stored trace as if it had just been converted
+function reopenFromHistory(entry, trace) {
+    resetDropZone();
+    currentTraceData = trace;
+    currentFileName = entry.downloadName;
+    showSuccessState(entry.fileName, entry.size, null);
+    showSummary(entry.builds);
+}
+
+function downloadBlob(blob, fileName) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = currentFileName.replace('.binlog', '.pftrace');
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -358,8 +1645,8 @@ function downloadTrace() {
 
 // Event listeners
 dropZone.addEventListener('click', (e) => {
-    // Don't trigger file input if clicking on buttons or if processing
-    if (isProcessing || e.target.tagName === 'BUTTON') return;
+    // Don't trigger file input if clicking on buttons or selects or if processing
+    if (isProcessing || e.target.closest('button, select')) return;
     fileInput.click();
 });
 
@@ -388,16 +1675,80 @@ dropZone.addEventListener('drop', (e) => {
 
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-        handleFile(files[0]);
+        handleFiles(Array.from(files));
     }
 });
 
 fileInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-        handleFile(e.target.files[0]);
+        handleFiles(Array.from(e.target.files));
     }
+    // Allow selecting the same files again
+    e.target.value = '';
 });
 
+timelineCloseBtn.addEventListener('click', closeTimeline);
+inspectorCloseBtn.addEventListener('click', closeInspector);
+sourceCloseBtn.addEventListener('click', closeSources);
+perfettoCloseBtn.addEventListener('click', closePerfettoFrame);
+
+// Filters panel
+filtersPanel.addEventListener('input', updateFiltersState);
+
+optSplit.addEventListener('change', () => {
+    optSplitWindowRow.hidden = optSplit.value !== 'time';
+});
+
+// Settings panel
+function showSettings() {
+    setPerfettoUrl.value = settings.perfettoUrl;
+    setPerfettoMode.value = settings.perfettoMode;
+    setPerfettoTimeout.value = settings.perfettoTimeoutSeconds;
+    setHistoryQuota.value = settings.historyQuotaMB;
+}
+
+setPerfettoUrl.addEventListener('change', () => {
+    const url = normalizePerfettoUrl(setPerfettoUrl.value.trim());
+    setPerfettoUrl.classList.toggle('invalid', !url);
+    if (!url) return;
+    settings = { ...settings, perfettoUrl: url };
+    saveSettings(settings);
+    perfettoUrlParam = null;
+});
+
+setPerfettoMode.addEventListener('change', () => {
+    settings = { ...settings, perfettoMode: setPerfettoMode.value };
+    saveSettings(settings);
+});
+
+setPerfettoTimeout.addEventListener('change', () => {
+    const seconds = Number(setPerfettoTimeout.value);
+    setPerfettoTimeout.classList.toggle('invalid', !(seconds >= 1));
+    if (!(seconds >= 1)) return;
+    settings = { ...settings, perfettoTimeoutSeconds: seconds };
+    saveSettings(settings);
+});
+
+setHistoryQuota.addEventListener('change', async () => {
+    const megabytes = Number(setHistoryQuota.value);
+    setHistoryQuota.classList.toggle('invalid', !(megabytes >= 0));
+    if (!(megabytes >= 0)) return;
+    settings = { ...settings, historyQuotaMB: megabytes };
+    saveSettings(settings);
+
+    try {
+        await pruneHistory(megabytes * 1024 * 1024);
+    } catch (err) {
+        console.warn('Could not apply the history quota:', err);
+    }
+    refreshHistory();
+});
+
+showSettings();
+refreshHistory();
+applySharedLink();
+window.addEventListener('hashchange', applySharedLink);
+
 // Welcome modal
 const welcomeModal = document.getElementById('welcome-modal');
 const modalCloseBtn = document.getElementById('modal-close-btn');
@@ -450,3 +1801,11 @@ showWelcomeModal();
 
 // Initialize
 initWasm();
+registerServiceWorker();
+
+// A .binlog opened with the installed app is handled like a dropped one, once the runtime is loaded and
+// any conversion running in the window ends. A failed load is already shown by initWasm.
+handleLaunchedFiles(files => waitForReady().then(() => {
+    if (isProcessing) launchedFiles = files;
+    else handleFiles(files);
+}, () => { }));
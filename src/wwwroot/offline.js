@@ -0,0 +1,39 @@
+// Installable app support: the service worker that keeps the converter working offline
+// (see service-worker.js), and the .binlog files the OS hands the installed app through
+// the Launch Queue API (the file_handlers of manifest.webmanifest).
+
+import { waitForReady, getRuntimeResources } from './worker-client.js'
+
+/**
+ * Registers the service worker and, once a worker has loaded the .NET runtime, has it cache the files
+ * the runtime was loaded from. On the first visit these are fetched before the service worker takes over.
+ * Does nothing where service workers are not available, such as on plain http other than localhost.
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        await navigator.serviceWorker.register('service-worker.js');
+        const registration = await navigator.serviceWorker.ready;
+        await waitForReady();
+        registration.active?.postMessage({ type: 'precache', urls: getRuntimeResources() });
+    } catch (err) {
+        // The app works the same online; only the offline copy is missing
+        console.warn('Offline support is not available:', err);
+    }
+}
+
+/**
+ * Passes the files the app was launched with (a .binlog opened with the installed app) to a handler.
+ * Does nothing in browsers without the Launch Queue API.
+ * @param {function(File[])} handleFiles - Receives the files of each launch
+ */
+export function handleLaunchedFiles(handleFiles) {
+    if (!('launchQueue' in window)) return;
+
+    window.launchQueue.setConsumer(async launchParams => {
+        if (!launchParams.files || launchParams.files.length === 0) return;
+        const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+        handleFiles(files);
+    });
+}
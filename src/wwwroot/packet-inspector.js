@@ -0,0 +1,325 @@
+// Packet inspector: the packets of a Perfetto trace as a table, with the problems found in them
+// (see findTraceProblems in trace-decoder.js), to tell whether a trace that loads wrong in Perfetto
+// was written wrong by PerfettoTraceWriter.cs. The problems can be exported for a bug report.
+
+import { TYPE_SLICE_BEGIN, TYPE_SLICE_END, TYPE_INSTANT, TYPE_COUNTER } from './trace-decoder.js'
+
+// Rows shown at a time; traces of large builds have millions of packets
+const PAGE_SIZE = 200;
+
+// Problems listed above the table; the rest are reached through the "Packets with problems" filter
+const PROBLEM_LIST_LIMIT = 100;
+
+const EVENT_TYPES = {
+    [TYPE_SLICE_BEGIN]: 'begin',
+    [TYPE_SLICE_END]: 'end',
+    [TYPE_INSTANT]: 'instant',
+    [TYPE_COUNTER]: 'counter'
+};
+
+const SHOW_OPTIONS = [
+    { value: 'all', label: 'All packets' },
+    { value: 'problems', label: 'Packets with problems' },
+    { value: 'descriptor', label: 'Track descriptors' },
+    { value: 'begin', label: 'Slice begins' },
+    { value: 'end', label: 'Slice ends' },
+    { value: 'instant', label: 'Instants' },
+    { value: 'counter', label: 'Counter values' },
+    { value: 'flow', label: 'Packets with flows' }
+];
+
+function describeDescriptor(descriptor) {
+    if (descriptor.process) return 'process';
+    if (descriptor.thread) return 'thread';
+    return descriptor.isCounter ? 'counter track' : 'track';
+}
+
+/**
+ * Flattens decoded packets into table rows.
+ * @param {object[]} packets - Result of decodeTrace
+ * @returns {{ index: number, timestamp: number|null, trackUuid: number|null, parentUuid: number|null, type: string,
+ *   name: string, category: string, flowIds: number[], terminatingFlowIds: number[] }[]} One row per packet
+ */
+export function getPacketRows(packets) {
+    return packets.map(packet => {
+        const row = {
+            index: packet.index,
+            timestamp: packet.timestamp,
+            trackUuid: null,
+            parentUuid: null,
+            type: 'other',
+            name: '',
+            category: '',
+            flowIds: [],
+            terminatingFlowIds: []
+        };
+        const { descriptor, event } = packet;
+        if (descriptor) {
+            row.trackUuid = descriptor.uuid;
+            row.parentUuid = descriptor.parentUuid;
+            row.type = describeDescriptor(descriptor);
+            row.name = descriptor.name || descriptor.process?.name || descriptor.thread?.name || '';
+        } else if (event) {
+            row.trackUuid = event.trackUuid;
+            row.type = EVENT_TYPES[event.type] || `type ${event.type}`;
+            row.name = event.type === TYPE_COUNTER ? `= ${event.counterValue ?? 0}` : event.name || '';
+            row.category = event.categories.join(',');
+            row.flowIds = event.flowIds;
+            row.terminatingFlowIds = event.terminatingFlowIds;
+        }
+        return row;
+    });
+}
+
+function formatFlows(row) {
+    return [
+        ...row.flowIds.map(id => `→ ${id}`),
+        ...row.terminatingFlowIds.map(id => `${id} →|`)
+    ].join(' ');
+}
+
+function matchesShow(row, show, problemPackets) {
+    switch (show) {
+        case 'all': return true;
+        case 'problems': return problemPackets.has(row.index);
+        case 'descriptor': return row.type === 'process' || row.type === 'thread' || row.type === 'track' || row.type === 'counter track';
+        case 'flow': return row.flowIds.length > 0 || row.terminatingFlowIds.length > 0;
+        default: return row.type === show;
+    }
+}
+
+/**
+ * Tells whether a row contains every word of a search, in its name, category or track UUID.
+ * @param {object} row - Row of getPacketRows
+ * @param {string} search
+ * @returns {boolean}
+ */
+export function matchesSearch(row, search) {
+    const words = search.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) return true;
+    const text = [row.name, row.category, row.trackUuid].filter(value => value !== null).join('\n').toLowerCase();
+    return words.every(word => text.includes(word));
+}
+
+/**
+ * Builds the report of a trace's problems, with the packets they were found at, to attach to a bug report.
+ * @param {string} traceName - Name of the trace file
+ * @param {object[]} rows - Rows of getPacketRows
+ * @param {object[]} problems - Result of findTraceProblems
+ * @returns {object}
+ */
+export function createProblemReport(traceName, rows, problems) {
+    const counts = {};
+    for (const problem of problems) {
+        counts[problem.kind] = (counts[problem.kind] || 0) + 1;
+    }
+    return {
+        trace: traceName,
+        packetCount: rows.length,
+        problemCounts: counts,
+        problems: problems.map(problem => ({ ...problem, packet: rows[problem.packetIndex] }))
+    };
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    for (const option of options) {
+        const item = document.createElement('option');
+        item.value = option.value;
+        item.textContent = option.label;
+        select.appendChild(item);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * Renders the packets of a trace as a paged table, below a list of the problems found in them.
+ * Clicking a problem shows its packet in the table.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {object[]} packets - Result of decodeTrace
+ * @param {object[]} problems - Result of findTraceProblems
+ * @param {object} options
+ * @param {string} options.traceName - Name of the trace file, for the exported report
+ * @param {function(Blob, string)} options.download - Saves an exported file under a file name
+ * @returns {{ destroy: function() }}
+ */
+export function createPacketInspector(container, packets, problems, { traceName, download }) {
+    const rows = getPacketRows(packets);
+    const problemsByPacket = new Map();
+    for (const problem of problems) {
+        if (!problemsByPacket.has(problem.packetIndex)) problemsByPacket.set(problem.packetIndex, []);
+        problemsByPacket.get(problem.packetIndex).push(problem);
+    }
+    const state = {
+        show: 'all',
+        search: '',
+        page: 0,
+        selected: null
+    };
+
+    function getRows() {
+        return rows.filter(row => matchesShow(row, state.show, problemsByPacket) && matchesSearch(row, state.search));
+    }
+
+    function exportReport() {
+        const report = JSON.stringify(createProblemReport(traceName, rows, problems), null, 2);
+        download(new Blob([report], { type: 'application/json' }), `${traceName.replace(/\.[^.]+$/, '')}.problems.json`);
+    }
+
+    // Shows a packet in the table, on the page that holds it
+    function showPacket(packetIndex) {
+        state.show = 'all';
+        state.search = '';
+        state.page = Math.floor(packetIndex / PAGE_SIZE);
+        state.selected = packetIndex;
+        render();
+        container.querySelector('.inspector-selected')?.scrollIntoView({ block: 'center' });
+    }
+
+    function createProblemList() {
+        const section = createElement('div', 'summary-subsection');
+        if (problems.length === 0) {
+            section.appendChild(createElement('div', 'summary-empty', 'No problems found'));
+            return section;
+        }
+
+        const list = createElement('ul', 'inspector-problems');
+        for (const problem of problems.slice(0, PROBLEM_LIST_LIMIT)) {
+            const item = createElement('li');
+            const link = createElement('button', 'summary-link', `#${problem.packetIndex}`);
+            link.title = 'Show this packet';
+            link.addEventListener('click', () => showPacket(problem.packetIndex));
+            item.appendChild(link);
+            item.appendChild(createElement('span', 'summary-bad', ` ${problem.kind} `));
+            item.appendChild(document.createTextNode(problem.message));
+            list.appendChild(item);
+        }
+        section.appendChild(list);
+        if (problems.length > PROBLEM_LIST_LIMIT) {
+            section.appendChild(createElement('div', 'summary-empty',
+                `First ${PROBLEM_LIST_LIMIT} of ${problems.length.toLocaleString()}; show the packets with problems to see the rest`));
+        }
+        return section;
+    }
+
+    function createRow(row) {
+        const tr = document.createElement('tr');
+        const rowProblems = problemsByPacket.get(row.index);
+        if (row.index === state.selected) tr.className = 'inspector-selected';
+
+        const index = createElement('td', rowProblems ? 'summary-count summary-bad' : 'summary-count', String(row.index));
+        if (rowProblems) index.title = rowProblems.map(problem => problem.message).join('\n');
+        tr.appendChild(index);
+        tr.appendChild(createElement('td', 'summary-count', row.timestamp === null ? '' : String(row.timestamp)));
+
+        const track = createElement('td', 'summary-count', row.trackUuid === null ? '' : String(row.trackUuid));
+        if (row.parentUuid !== null) track.title = `Parent track ${row.parentUuid}`;
+        tr.appendChild(track);
+        tr.appendChild(createElement('td', null, row.type));
+
+        const name = createElement('td', 'summary-name', row.name);
+        name.title = row.name;
+        tr.appendChild(name);
+        tr.appendChild(createElement('td', null, row.category));
+        tr.appendChild(createElement('td', null, formatFlows(row)));
+        return tr;
+    }
+
+    function createTable() {
+        const filtered = getRows();
+        const wrapper = createElement('div', 'inspector-table');
+        const pageCount = Math.max(Math.ceil(filtered.length / PAGE_SIZE), 1);
+        state.page = Math.min(state.page, pageCount - 1);
+
+        const pager = createElement('div', 'summary-controls');
+        const previous = createElement('button', 'btn-link', '← Previous');
+        previous.disabled = state.page === 0;
+        previous.addEventListener('click', () => { state.page--; renderTable(); });
+        pager.appendChild(previous);
+        pager.appendChild(createElement('span', 'summary-count',
+            `Page ${state.page + 1} of ${pageCount} (${filtered.length.toLocaleString()} packets)`));
+        const next = createElement('button', 'btn-link', 'Next →');
+        next.disabled = state.page >= pageCount - 1;
+        next.addEventListener('click', () => { state.page++; renderTable(); });
+        pager.appendChild(next);
+        wrapper.appendChild(pager);
+
+        if (filtered.length === 0) {
+            wrapper.appendChild(createElement('div', 'summary-empty', 'No matching packets'));
+            return wrapper;
+        }
+
+        const scroller = createElement('div', 'compare-scroll');
+        const table = createElement('table', 'summary-table');
+        const headerRow = document.createElement('tr');
+        for (const heading of ['Packet', 'Timestamp (ns)', 'Track', 'Type', 'Name', 'Category', 'Flows']) {
+            headerRow.appendChild(createElement('th', null, heading));
+        }
+        table.createTHead().appendChild(headerRow);
+
+        const body = table.createTBody();
+        for (const row of filtered.slice(state.page * PAGE_SIZE, (state.page + 1) * PAGE_SIZE)) {
+            body.appendChild(createRow(row));
+        }
+        scroller.appendChild(table);
+        wrapper.appendChild(scroller);
+        return wrapper;
+    }
+
+    function renderTable() {
+        container.querySelector('.inspector-table').replaceWith(createTable());
+    }
+
+    function render() {
+        container.innerHTML = '';
+
+        const title = createElement('div', 'summary-controls');
+        const description = `${rows.length.toLocaleString()} packets, ${problems.length.toLocaleString()} problems`;
+        title.appendChild(createElement('span', problems.length > 0 ? 'summary-build-label summary-bad' : 'summary-build-label', description));
+        const exportBtn = createElement('button', 'btn-link', 'Export problems');
+        exportBtn.title = 'The problems and their packets as JSON, to attach to a bug report with the trace';
+        exportBtn.addEventListener('click', exportReport);
+        title.appendChild(exportBtn);
+        container.appendChild(title);
+
+        container.appendChild(createProblemList());
+
+        const controls = createElement('div', 'summary-controls');
+        controls.appendChild(createSelect(SHOW_OPTIONS, state.show, value => {
+            state.show = value;
+            state.page = 0;
+            renderTable();
+        }));
+
+        const searchInput = createElement('input', 'compare-filter');
+        searchInput.type = 'search';
+        searchInput.placeholder = 'Search name, category or track';
+        searchInput.value = state.search;
+        searchInput.addEventListener('input', () => {
+            state.search = searchInput.value;
+            state.page = 0;
+            renderTable();
+        });
+        controls.appendChild(searchInput);
+
+        container.appendChild(controls);
+        container.appendChild(createTable());
+    }
+
+    render();
+
+    return {
+        destroy() {
+            container.innerHTML = '';
+        }
+    };
+}
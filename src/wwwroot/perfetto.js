@@ -0,0 +1,91 @@
+// Perfetto UI integration using the postMessage API
+// See https://perfetto.dev/docs/visualization/deep-linking-to-perfetto-ui
+
+/**
+ * Opens a trace in the Perfetto UI, either in a new window or in an iframe on this page.
+ * Must be called from a user gesture in popup mode, as the window is opened before any await.
+ * @param {Blob} traceData - The Perfetto protobuf trace
+ * @param {string} fileName - Name of the source binlog
+ * @param {object} options
+ * @param {string} options.url - URL of the Perfetto UI
+ * @param {string} options.mode - 'popup' or 'iframe'
+ * @param {number} options.timeoutSeconds - How long to wait for the PING/PONG handshake
+ * @param {HTMLIFrameElement} [options.frame] - Frame to load Perfetto into in iframe mode
+ * @param {object} [options.view] - Part of the trace to scroll to once it is loaded: { startNs, endNs, slice }.
+ *   The postMessage API cannot select a slice, so a selected slice is named in the trace title instead.
+ * @returns {Promise<void>} Resolves once the trace was posted, rejects on popup blocking or handshake timeout
+ */
+export async function openPerfetto(traceData, fileName, { url, mode, timeoutSeconds, frame, view }) {
+    const origin = new URL(url).origin;
+    const traceFileName = fileName.replace('.binlog', '.pftrace');
+    let title = fileName.replace('.binlog', '');
+    if (view && view.slice) {
+        title += ` · ${view.slice.name} on ${view.slice.track}`;
+    }
+
+    let perfettoWindow;
+    if (mode === 'iframe') {
+        // Only a same-origin build can be framed - ui.perfetto.dev does not allow embedding
+        if (origin !== location.origin) {
+            throw new Error(`Embedded Perfetto needs a Perfetto UI served from ${location.origin}, not ${origin}.`);
+        }
+        frame.src = url;
+        perfettoWindow = frame.contentWindow;
+    } else {
+        // Open Perfetto in new window - before any await, while the click still counts as a user gesture
+        perfettoWindow = window.open(url);
+        if (!perfettoWindow) {
+            throw new Error('Popup blocked! Please allow popups for this site.');
+        }
+    }
+
+    // traceData is a Blob, Perfetto expects an ArrayBuffer
+    const traceBuffer = await traceData.arrayBuffer();
+
+    // Wait for Perfetto to be ready using PING/PONG handshake
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            clearInterval(pingInterval);
+            window.removeEventListener('message', messageHandler);
+            reject(new Error(`Timeout waiting for Perfetto UI at ${url}`));
+        }, timeoutSeconds * 1000);
+
+        // Send PINGs until we get a PONG
+        const pingInterval = setInterval(() => {
+            perfettoWindow.postMessage('PING', origin);
+        }, 50);
+
+        function messageHandler(evt) {
+            if (evt.origin !== origin || evt.data !== 'PONG') return;
+
+            // Perfetto is ready
+            clearInterval(pingInterval);
+            clearTimeout(timeout);
+            window.removeEventListener('message', messageHandler);
+
+            // Send the trace data - Perfetto stops listening after a trace unless asked to keep the API open
+            perfettoWindow.postMessage({
+                perfetto: {
+                    buffer: traceBuffer,
+                    title,
+                    fileName: traceFileName,
+                    keepApiOpen: Boolean(view)
+                }
+            }, origin);
+
+            // Perfetto retries the scroll until the trace has loaded. Times are in seconds.
+            if (view) {
+                perfettoWindow.postMessage({
+                    perfetto: {
+                        timeStart: view.startNs / 1e9,
+                        timeEnd: view.endNs / 1e9
+                    }
+                }, origin);
+            }
+
+            resolve();
+        }
+
+        window.addEventListener('message', messageHandler);
+    });
+}
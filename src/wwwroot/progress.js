@@ -1,11 +1,93 @@
 // Progress bridge module for C# interop
-// This module is imported by both worker.js and the C# runtime
+// This module is imported by both worker.js and the C# runtime, and by the page to follow the reports
 
-export function postProgress(message, current, total) {
+// Share of the bar for reading the binlogs. Writing the trace or comparing the builds has no known size,
+// so the bar waits there until the request completes
+const READ_SHARE = 0.95;
+
+// Phases of the pass over the records, which run interleaved; their shares come from the report's timings
+const PASS_PHASES = [
+    { key: 'readMs', label: 'read' },
+    { key: 'decompressMs', label: 'decompress' },
+    { key: 'processMs', label: 'process' }
+];
+
+// No estimate of the time left until enough of the work was done for it to mean something
+const MIN_ESTIMATE_FRACTION = 0.02;
+const MIN_ESTIMATE_MS = 500;
+
+/**
+ * Posts a progress report of the converter to the page.
+ * @param {string} reportJson - Report written by ConversionProgress.ToReportJson:
+ *   { phase, message, fileIndex, fileCount, bytesRead, totalBytes, records, bytesWritten, timings }
+ */
+export function postProgress(reportJson) {
     self.postMessage({
         type: "progress",
-        message: message,
-        current: current,
-        total: total
+        progress: JSON.parse(reportJson)
     });
 }
+
+/**
+ * Tells how the time of the pass over the records divides between reading, decompressing and processing so far.
+ * @param {object} timings - Timings of a progress report
+ * @returns {{ label: string, percent: number }[]} The phases with their share of the pass, empty before any time is spent
+ */
+export function getPassShares(timings) {
+    const total = PASS_PHASES.reduce((sum, phase) => sum + (timings?.[phase.key] || 0), 0);
+    if (total <= 0) return [];
+    return PASS_PHASES.map(phase => ({ label: phase.label, percent: Math.round((timings[phase.key] || 0) * 100 / total) }));
+}
+
+/**
+ * Follows the progress reports of one request and derives what the page shows from them.
+ * @returns {{ update: function(object): { phase: string, message: string, percent: number, records: number,
+ *   bytesPerSecond: number, remainingMs: number|null, passShares: { label: string, percent: number }[],
+ *   bytesWritten: number } }}
+ *   update takes each report and returns the overall percentage, the read throughput over the whole request,
+ *   the estimated time left (null while unknown), the shares of the pass phases so far (see getPassShares)
+ *   and the bytes of the trace written so far.
+ */
+export function createProgressTracker() {
+    const startTime = performance.now();
+    // Bytes of the binlogs read before the current one
+    let bytesBefore = 0;
+    let lastFileIndex = 0;
+    let lastTotalBytes = 0;
+
+    return {
+        update(report) {
+            if (report.fileIndex !== lastFileIndex) {
+                bytesBefore += lastTotalBytes;
+                lastFileIndex = report.fileIndex;
+            }
+            lastTotalBytes = report.totalBytes;
+
+            const fileFraction = report.totalBytes > 0 ? Math.min(report.bytesRead / report.totalBytes, 1) : 0;
+            const readFraction = (report.fileIndex + fileFraction) / Math.max(report.fileCount, 1);
+            let fraction;
+            switch (report.phase) {
+                case 'read': fraction = readFraction * READ_SHARE; break;
+                case 'complete': fraction = 1; break;
+                default: fraction = READ_SHARE; break;
+            }
+
+            const elapsedMs = performance.now() - startTime;
+            const bytes = bytesBefore + report.bytesRead;
+            const remainingMs = report.phase === 'read' && fraction >= MIN_ESTIMATE_FRACTION && elapsedMs >= MIN_ESTIMATE_MS
+                ? elapsedMs * (1 - fraction) / fraction
+                : null;
+
+            return {
+                phase: report.phase,
+                message: report.message,
+                percent: Math.round(fraction * 100),
+                records: report.records,
+                bytesPerSecond: elapsedMs > 0 ? bytes * 1000 / elapsedMs : 0,
+                remainingMs,
+                passShares: report.phase === 'read' ? getPassShares(report.timings) : [],
+                bytesWritten: report.bytesWritten || 0
+            };
+        }
+    };
+}
@@ -0,0 +1,146 @@
+// Message protocol between the page (worker-client.js) and the converter workers (worker.js).
+// Both sides import this module, so they agree on the messages, the methods and the error codes.
+//
+// Page to worker:
+//   { type: 'request', protocol, requestId, method, params }  params depend on the method, see METHODS
+// Worker to page:
+//   { type: 'ready', protocol, capabilities, resources }       the runtime is loaded (resources: see offline.js)
+//   { type: 'ready', protocol, error }                         the runtime failed to load, error as below
+//   { type: 'progress', progress }                             a report of the running request (see progress.js)
+//   { type: 'chunk', requestId, part, data, sentAt }           output streamed by the running request (see io.js),
+//                                                              sentAt in ms since the epoch
+//   { type: 'result', requestId, result }                      the request finished
+//   { type: 'result', requestId, error: { code, message, stack } }  the request failed
+//
+// Inputs in params are Blobs, read on demand, or ArrayBuffers and typed arrays, which are transferred
+// to the worker rather than copied: the caller's buffer is empty afterwards.
+
+/** Version of the messages above; a page and a worker of different versions refuse to talk. */
+export const PROTOCOL_VERSION = 2;
+
+/** Version of the options object of a conversion (see createConvertOptions and ConversionOptions.cs). */
+export const OPTIONS_VERSION = 1;
+
+/**
+ * Methods a worker answers, with their params. Each resolves to the JSON string the converter returns.
+ * - convert: { inputs: Input[], labels?: string[], options } - one trace from one or more binlogs,
+ *   labelled per build when there are several; options from createConvertOptions
+ * - compare: { baseline: Input, candidate: Input, baselineLabel: string, candidateLabel: string }
+ * - readEmbeddedFiles: { inputs: Input[] } - the project files embedded in the binlogs
+ */
+export const METHODS = Object.freeze({
+    convert: 'convert',
+    compare: 'compare',
+    readEmbeddedFiles: 'readEmbeddedFiles'
+});
+
+/** Codes of the errors a request fails with. */
+export const ERROR_CODES = Object.freeze({
+    protocolMismatch: 'protocol-mismatch',
+    runtimeUnavailable: 'runtime-unavailable',
+    unknownMethod: 'unknown-method',
+    invalidParams: 'invalid-params',
+    converterError: 'converter-error'
+});
+
+/**
+ * An error reported by a worker, with the code it was sent with and the stack of where it was thrown,
+ * including the .NET frames when the converter threw it.
+ */
+export class WorkerError extends Error {
+    constructor(code, message, stack = null) {
+        super(message);
+        this.name = 'WorkerError';
+        this.code = code;
+        if (stack) this.workerStack = stack;
+    }
+
+    /** @returns {{ code: string, message: string, stack: string|null }} The error as sent in a message */
+    static serialize(err, code = ERROR_CODES.converterError) {
+        return {
+            code: err instanceof WorkerError ? err.code : code,
+            message: err instanceof Error ? err.message : String(err),
+            stack: err instanceof Error && err.stack ? err.stack : null
+        };
+    }
+
+    static deserialize(error) {
+        return new WorkerError(error.code, error.message, error.stack);
+    }
+}
+
+/**
+ * Builds the options object of a conversion from the page's options (see getOptions in main.js).
+ * Switches left undefined, as in options saved by older versions of the page, take the converter's defaults.
+ * @param {string} format - perfetto, chrome or speedscope
+ * @param {object} opts - { projects, targets, tasks, messages, warnings, errors, evaluation, criticalPath,
+ *   annotations, counters, utilization, filters, split }
+ * @returns {object} The options object ConversionOptions.Parse reads
+ */
+export function createConvertOptions(format, opts) {
+    return {
+        version: OPTIONS_VERSION,
+        format,
+        include: {
+            projects: opts.projects,
+            targets: opts.targets,
+            tasks: opts.tasks,
+            messages: opts.messages,
+            warnings: opts.warnings,
+            errors: opts.errors,
+            evaluation: opts.evaluation,
+            criticalPath: opts.criticalPath,
+            annotations: opts.annotations,
+            counters: opts.counters,
+            utilization: opts.utilization
+        },
+        filters: opts.filters || null,
+        split: opts.split || null
+    };
+}
+
+/**
+ * Checks the options object of a conversion against what a worker said it accepts in its handshake,
+ * so options the converter does not know fail before the inputs are sent.
+ * @param {object} options - Result of createConvertOptions
+ * @param {object} capabilities - { optionsVersion, formats, include } of the ready message
+ * @returns {string|null} What is wrong with the options, or null when the converter accepts them
+ */
+export function checkConvertOptions(options, capabilities) {
+    if (!options || typeof options !== 'object') {
+        return 'convert needs an options object';
+    }
+    if (options.version > capabilities.optionsVersion) {
+        return `Options version ${options.version} is not supported; the converter reads version ${capabilities.optionsVersion}`;
+    }
+    if (!capabilities.formats.includes(options.format)) {
+        return `Unknown trace format: ${options.format}`;
+    }
+    // Switches left undefined are not sent
+    const unknown = Object.entries(options.include || {})
+        .find(([name, value]) => value !== undefined && !Object.hasOwn(capabilities.include, name))?.[0];
+    if (unknown) {
+        return `Unknown include switch: ${unknown}`;
+    }
+    return null;
+}
+
+/**
+ * Collects the buffers of ArrayBuffer and typed array inputs, to transfer them with a message.
+ * @param {object} params - Request params
+ * @returns {ArrayBuffer[]}
+ */
+export function collectInputBuffers(params) {
+    const buffers = [];
+    const collect = value => {
+        if (value instanceof ArrayBuffer) {
+            buffers.push(value);
+        } else if (ArrayBuffer.isView(value)) {
+            buffers.push(value.buffer);
+        } else if (Array.isArray(value)) {
+            value.forEach(collect);
+        }
+    };
+    Object.values(params).forEach(collect);
+    return [...new Set(buffers)];
+}
@@ -0,0 +1,98 @@
+// Service worker that keeps the app working offline after the first visit.
+// The page and its modules are cached when the service worker installs; the .NET runtime
+// under _framework is cached once a worker has loaded it, from the list the page sends
+// (see offline.js). Requests go to the network first, so a new deployment is picked up
+// as soon as it is reachable, and fall back to the cache when it is not.
+
+const CACHE_NAME = 'binlog-perfview-v1';
+
+// Everything the page loads besides the runtime; cli.mjs is for Node and not needed here
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'main.js',
+    'offline.js',
+    'worker.js',
+    'worker-client.js',
+    'progress.js',
+    'io.js',
+    'trace-decoder.js',
+    'timeline-view.js',
+    'summary-view.js',
+    'compare-view.js',
+    'diagnostics-view.js',
+    'history-view.js',
+    'history.js',
+    'source-view.js',
+    'perfetto.js',
+    'share-link.js',
+    'settings.js',
+    'zip.js',
+    'archive.js',
+    'protocol.js',
+    'packet-inspector.js',
+    'assets/msbuild.svg',
+    'assets/perfetto.png',
+    '_framework/dotnet.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        for (const name of await caches.keys()) {
+            if (name !== CACHE_NAME) {
+                await caches.delete(name);
+            }
+        }
+        // Take over the page that registered us, so its later requests are cached too
+        await self.clients.claim();
+    })());
+});
+
+// { type: 'precache', urls } from the page: runtime files loaded before this service worker controlled it
+self.addEventListener('message', event => {
+    if (event.data?.type !== 'precache') return;
+
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const urls = event.data.urls.filter(url => new URL(url).origin === self.location.origin);
+        await Promise.allSettled(urls.map(async url => {
+            if (!await cache.match(url)) {
+                await cache.add(url);
+            }
+        }));
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(fetchAndCache(event));
+});
+
+async function fetchAndCache(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        // Cached in the background, so large files reach the page while they download
+        if (response.status === 200 && response.type === 'basic') {
+            event.waitUntil(cache.put(request, response.clone()));
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            ?? (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+        if (cached) return cached;
+        throw err;
+    }
+}
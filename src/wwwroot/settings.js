@@ -0,0 +1,69 @@
+// User settings persisted in localStorage
+
+const STORAGE_KEY = 'settings';
+
+export const DEFAULT_SETTINGS = Object.freeze({
+    perfettoUrl: 'https://ui.perfetto.dev',
+    perfettoMode: 'popup',       // 'popup' or 'iframe'
+    perfettoTimeoutSeconds: 30,
+    downloadFormat: 'perfetto',  // a key of TRACE_FORMATS in main.js
+    historyQuotaMB: 200          // space for recent traces in IndexedDB, 0 keeps none
+});
+
+/**
+ * Checks that a Perfetto UI URL is an absolute http(s) URL.
+ * @param {string} value - URL entered by the user or passed in ?perfetto=
+ * @returns {string|null} The normalized URL, or null if it is not usable
+ */
+export function normalizePerfettoUrl(value) {
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return null;
+        }
+        return url.href;
+    } catch {
+        return null;
+    }
+}
+
+function readStoredSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Loads the stored settings, with defaults for those never set.
+ * @returns {object} Settings with every key of DEFAULT_SETTINGS
+ */
+export function loadSettings() {
+    return { ...DEFAULT_SETTINGS, ...readStoredSettings() };
+}
+
+/**
+ * Reads the Perfetto UI URL a link passes in ?perfetto=, such as ?perfetto=https://perfetto.example.com.
+ * It applies to this page load only and is never saved: traces are sent to that UI, so a link
+ * must not be able to redirect them on later visits.
+ * @returns {string|null} The normalized URL, or null when there is none or it is not usable
+ */
+export function readPerfettoUrlParam() {
+    const perfettoParam = new URLSearchParams(location.search).get('perfetto');
+    if (!perfettoParam) return null;
+
+    const url = normalizePerfettoUrl(perfettoParam);
+    if (!url) {
+        console.warn(`Ignoring invalid ?perfetto= URL: ${perfettoParam}`);
+    }
+    return url;
+}
+
+/**
+ * Persists the settings.
+ * @param {object} settings - Settings as returned by loadSettings
+ */
+export function saveSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,130 @@
+// Shareable links: the conversion options and the part of the trace being looked at, kept in the URL hash
+// so they never reach a server. A link holds options, binlog file names, times and a slice name - never trace data.
+//
+//   #include=projects,targets,tasks&file=build.binlog&start=12.5&end=14&slice=CoreCompile&track=App.csproj&ts=12.75
+
+// Boolean conversion options, as returned by getOptions in main.js
+const OPTION_KEYS = ['evaluation', 'projects', 'targets', 'tasks', 'messages', 'warnings', 'errors', 'criticalPath', 'annotations', 'counters', 'utilization'];
+
+// Times are written in seconds, rounded to the nanosecond
+function formatSeconds(ns) {
+    return String(Math.round(ns) / 1e9);
+}
+
+function readSeconds(params, name) {
+    const value = params.get(name);
+    const seconds = value === null || value === '' ? NaN : Number(value);
+    return Number.isFinite(seconds) ? Math.round(seconds * 1e9) : null;
+}
+
+function readFilters(value) {
+    if (!value) return null;
+    try {
+        const filters = JSON.parse(value);
+        return filters && typeof filters === 'object' && !Array.isArray(filters) ? filters : null;
+    } catch {
+        console.warn('Ignoring invalid filters in the shared link:', value);
+        return null;
+    }
+}
+
+// How the trace is split, in the shape getSplit in main.js returns, or null for one trace
+function readSplit(value) {
+    if (!value) return null;
+    try {
+        const split = JSON.parse(value);
+        if (split?.by === 'node') return { by: 'node' };
+        if (split?.by === 'time' && Number.isFinite(split.windowMs) && split.windowMs > 0) return { by: 'time', windowMs: split.windowMs };
+    } catch {
+        // Reported below
+    }
+    console.warn('Ignoring invalid split in the shared link:', value);
+    return null;
+}
+
+/**
+ * Builds a link to this page that reproduces a conversion and, optionally, a view of its trace.
+ * @param {object} options - Conversion options, as returned by getOptions in main.js
+ * @param {object} [state]
+ * @param {string[]} [state.fileNames] - Names of the converted binlogs; the view is only restored for the same files
+ * @param {object} [state.view] - { startNs, endNs, slice: { name, track, startNs, endNs } | null }, as returned by
+ *   the timeline view's getView
+ * @returns {string} This page's URL with the state in its hash
+ */
+export function createShareLink(options, { fileNames = [], view = null } = {}) {
+    const params = new URLSearchParams();
+    params.set('include', OPTION_KEYS.filter(key => options[key]).join(','));
+    if (options.filters) {
+        params.set('filters', JSON.stringify(options.filters));
+    }
+    if (options.split) {
+        params.set('split', JSON.stringify(options.split));
+    }
+    for (const fileName of fileNames) {
+        params.append('file', fileName);
+    }
+    if (view) {
+        params.set('start', formatSeconds(view.startNs));
+        params.set('end', formatSeconds(view.endNs));
+        if (view.slice) {
+            params.set('slice', view.slice.name);
+            params.set('track', view.slice.track);
+            params.set('ts', formatSeconds(view.slice.startNs));
+            params.set('dur', formatSeconds(view.slice.endNs - view.slice.startNs));
+        }
+    }
+
+    const url = new URL(location.href);
+    url.hash = params.toString();
+    return url.href;
+}
+
+/**
+ * Reads the state of a link created by createShareLink.
+ * @param {string} hash - The page's location.hash
+ * @returns {{ options: object, fileNames: string[], view: object|null }|null} Null when the hash is not a shared link
+ */
+export function readShareLink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('include')) return null;
+
+    const included = new Set(params.get('include').split(','));
+    const options = {};
+    for (const key of OPTION_KEYS) {
+        options[key] = included.has(key);
+    }
+    options.filters = readFilters(params.get('filters'));
+    options.split = readSplit(params.get('split'));
+
+    let view = null;
+    const startNs = readSeconds(params, 'start');
+    const endNs = readSeconds(params, 'end');
+    if (startNs !== null && endNs !== null && startNs < endNs) {
+        view = { startNs, endNs, slice: null };
+
+        const sliceStartNs = readSeconds(params, 'ts');
+        const durationNs = readSeconds(params, 'dur');
+        if (params.get('slice') && params.has('track') && sliceStartNs !== null && durationNs !== null) {
+            view.slice = {
+                name: params.get('slice'),
+                track: params.get('track'),
+                startNs: sliceStartNs,
+                endNs: sliceStartNs + durationNs
+            };
+        }
+    }
+
+    return { options, fileNames: params.getAll('file'), view };
+}
+
+/**
+ * Tells whether a link's view belongs to the given binlogs, which are the ones it was created for.
+ * @param {{ fileNames: string[] }} link - Result of readShareLink
+ * @param {string[]} fileNames - Names of the converted binlogs
+ * @returns {boolean}
+ */
+export function isSameSource(link, fileNames) {
+    const expected = [...link.fileNames].sort();
+    const actual = [...fileNames].sort();
+    return expected.length === actual.length && expected.every((name, i) => name === actual[i]);
+}
@@ -0,0 +1,209 @@
+// Source browser for the project and import files embedded in binlogs, so a target's definition
+// can be read without MSBuild Structured Log Viewer.
+// Renders the JSON returned by BinlogConverter.ReadEmbeddedFiles (see EmbeddedFiles.cs).
+
+// Files highlighted as MSBuild XML, as in EmbeddedFiles.IsMSBuildFile
+const MSBUILD_FILE = /(proj|\.props|\.targets)$/i;
+
+// Groups, in order: comment, element name with its "<" or "</", attribute name, quoted value,
+// and $(Property), @(Item) or %(Metadata) reference
+const XML_TOKEN = /(<!--[\s\S]*?(?:-->|$))|(<\/?[\w.:-]+)|([\w.:-]+)(?=\s*=\s*["'])|("[^"]*"|'[^']*')|([$@%]\([^)]*\))/g;
+const TOKEN_CLASSES = ['source-comment', 'source-tag', 'source-attribute', 'source-value', 'source-reference'];
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Turns a file path as logged by MSBuild into the path of its embedded file, as EmbeddedFiles.NormalizePath does:
+ * forward slashes, no drive colon and no leading slash.
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/:/g, '').replace(/^\/+/, '');
+}
+
+function samePath(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+// One element per line with its line number; MSBuild files get their tokens highlighted
+function renderLines(text, highlight) {
+    const lines = [];
+    let line = null;
+
+    function startLine() {
+        line = createElement('div', 'source-line');
+        line.appendChild(createElement('span', 'source-line-number', String(lines.length + 1)));
+        lines.push(line);
+    }
+
+    function append(value, className) {
+        value.split('\n').forEach((part, i) => {
+            if (i > 0) startLine();
+            if (part.length === 0) return;
+            line.appendChild(className ? createElement('span', className, part) : document.createTextNode(part));
+        });
+    }
+
+    startLine();
+    text = text.replace(/\r\n?/g, '\n');
+    if (!highlight) {
+        append(text);
+        return lines;
+    }
+
+    let last = 0;
+    for (const match of text.matchAll(XML_TOKEN)) {
+        append(text.slice(last, match.index));
+        const group = match.findIndex((value, i) => i > 0 && value !== undefined);
+        append(match[0], TOKEN_CLASSES[group - 1]);
+        last = match.index + match[0].length;
+    }
+    append(text.slice(last));
+    return lines;
+}
+
+/**
+ * Renders the embedded files inside the given container: a filterable file list and the selected file.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {{ files: { path: string, text: string }[], targets: { name: string, path: string, line: number }[] }} embedded -
+ *   Result of ReadEmbeddedFiles
+ * @returns {{ showFile: function(string, number=): boolean, showTarget: function(string, string=): boolean, destroy: function() }}
+ *   showFile opens a file at a line; showTarget opens the definition of a target, preferring the given target file,
+ *   and lists the other files that define it. Both return false when there is nothing to show.
+ */
+export function createSourceView(container, embedded) {
+    const files = [...embedded.files].sort((a, b) => a.path.localeCompare(b.path));
+
+    container.innerHTML = '';
+    const root = createElement('div', 'source-view');
+
+    const sidebar = createElement('div', 'source-sidebar');
+    const filter = createElement('input', 'source-filter');
+    filter.type = 'search';
+    filter.placeholder = `Filter ${files.length.toLocaleString()} files`;
+    sidebar.appendChild(filter);
+    const fileList = createElement('ul', 'source-files');
+    sidebar.appendChild(fileList);
+    root.appendChild(sidebar);
+
+    const main = createElement('div', 'source-main');
+    const header = createElement('div', 'source-header');
+    const definitions = createElement('div', 'source-definitions');
+    const code = createElement('div', 'source-code');
+    main.appendChild(header);
+    main.appendChild(definitions);
+    main.appendChild(code);
+    root.appendChild(main);
+
+    container.appendChild(root);
+
+    let currentFile = null;
+
+    function renderFileList() {
+        const query = filter.value.trim().toLowerCase();
+        fileList.innerHTML = '';
+
+        const matching = files.filter(file => file.path.toLowerCase().includes(query));
+        if (matching.length === 0) {
+            fileList.appendChild(createElement('li', 'source-empty',
+                files.length === 0 ? 'No files are embedded in this binlog' : 'No matching files'));
+            return;
+        }
+
+        for (const file of matching) {
+            const slash = file.path.lastIndexOf('/');
+            const item = createElement('li');
+            const button = createElement('button', 'source-file' + (file === currentFile ? ' current' : ''));
+            button.title = file.path;
+            button.appendChild(createElement('span', 'source-file-name', file.path.slice(slash + 1)));
+            button.appendChild(createElement('span', 'source-file-dir', file.path.slice(0, slash + 1)));
+            button.addEventListener('click', () => {
+                definitions.hidden = true;
+                showFile(file.path);
+            });
+            item.appendChild(button);
+            fileList.appendChild(item);
+        }
+    }
+
+    function showFile(path, lineNumber = null) {
+        const file = files.find(f => samePath(f.path, path));
+        if (!file) return false;
+
+        if (file !== currentFile) {
+            currentFile = file;
+            header.textContent = file.path;
+            code.innerHTML = '';
+            for (const line of renderLines(file.text, MSBUILD_FILE.test(file.path))) {
+                code.appendChild(line);
+            }
+            renderFileList();
+        }
+
+        code.querySelector('.source-line.current')?.classList.remove('current');
+        const line = lineNumber ? code.children[lineNumber - 1] : null;
+        if (line) {
+            line.classList.add('current');
+            code.scrollTop = line.offsetTop - code.clientHeight / 3;
+        } else {
+            code.scrollTop = 0;
+        }
+        return true;
+    }
+
+    function showTarget(name, targetFile = null) {
+        const found = embedded.targets.filter(target => target.name.toLowerCase() === name.toLowerCase());
+        definitions.innerHTML = '';
+        definitions.hidden = false;
+
+        if (found.length === 0) {
+            definitions.textContent = `No definition of ${name} found in the embedded files`;
+            return false;
+        }
+
+        // The file MSBuild reported for the target, when known, is the definition that ran
+        const preferred = targetFile ? found.find(target => samePath(target.path, normalizePath(targetFile))) : null;
+        const shown = preferred || found[0];
+
+        definitions.appendChild(document.createTextNode(
+            found.length === 1 ? `Target ${name}` : `Target ${name} is defined in ${found.length} places:`));
+        if (found.length > 1) {
+            for (const target of found) {
+                const link = createElement('button', 'btn-link' + (target === shown ? ' current' : ''),
+                    `${target.path.slice(target.path.lastIndexOf('/') + 1)}:${target.line}`);
+                link.title = target.path;
+                link.addEventListener('click', () => {
+                    definitions.querySelector('.current')?.classList.remove('current');
+                    link.classList.add('current');
+                    showFile(target.path, target.line);
+                });
+                definitions.appendChild(link);
+            }
+        }
+
+        return showFile(shown.path, shown.line);
+    }
+
+    filter.addEventListener('input', renderFileList);
+    definitions.hidden = true;
+    renderFileList();
+    if (files.length > 0) {
+        // Start with the first project file, the most likely place to look
+        showFile((files.find(file => /proj$/i.test(file.path)) || files[0]).path);
+    }
+
+    return {
+        showFile,
+        showTarget,
+
+        destroy() {
+            container.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,326 @@
+// Build summary shown next to the success view: where the time went, before opening a trace.
+// Renders the JSON summaries returned by BinlogConverter (see BuildSummary.cs).
+
+import { formatDuration } from './timeline-view.js'
+
+const TOP_COUNTS = [10, 25, 50];
+
+const SECTIONS = [
+    { key: 'projects', title: 'Projects' },
+    { key: 'targets', title: 'Targets' },
+    { key: 'tasks', title: 'Tasks' }
+];
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    for (const option of options) {
+        const item = document.createElement('option');
+        item.value = String(option.value);
+        item.textContent = option.label;
+        select.appendChild(item);
+    }
+    select.value = String(value);
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+function createStat(label, value, className) {
+    const stat = createElement('div', 'summary-stat');
+    stat.appendChild(createElement('div', 'summary-stat-value' + (className ? ` ${className}` : ''), value));
+    stat.appendChild(createElement('div', 'summary-stat-label', label));
+    return stat;
+}
+
+function formatResult(succeeded) {
+    if (succeeded === true) return 'Succeeded';
+    if (succeeded === false) return 'Failed';
+    return 'Unknown';
+}
+
+function createStats(summary) {
+    const stats = createElement('div', 'summary-stats');
+    stats.appendChild(createStat('Build time', formatDuration(summary.durationNs)));
+    stats.appendChild(createStat('Result', formatResult(summary.succeeded),
+        summary.succeeded === false ? 'summary-bad' : ''));
+    stats.appendChild(createStat('Nodes', String(summary.nodeCount)));
+    stats.appendChild(createStat('Node utilization', `${Math.round(summary.nodeUtilization * 100)}%`));
+    stats.appendChild(createStat('Projects', summary.projectCount.toLocaleString()));
+    stats.appendChild(createStat('Warnings', summary.warningCount.toLocaleString(),
+        summary.warningCount > 0 ? 'summary-warn' : ''));
+    stats.appendChild(createStat('Errors', summary.errorCount.toLocaleString(),
+        summary.errorCount > 0 ? 'summary-bad' : ''));
+    return stats;
+}
+
+// Duration cell with a bar showing its share of the total build time
+function createDurationCell(ns, totalNs) {
+    const cell = createElement('td', 'summary-duration', formatDuration(ns));
+    const share = totalNs > 0 ? Math.min(ns / totalNs, 1) : 0;
+    cell.style.setProperty('--share', `${(share * 100).toFixed(1)}%`);
+    return cell;
+}
+
+// Name cell, a link to the definition when the entry is a target that can be shown
+function createNameCell(text, target, showTarget) {
+    const cell = createElement('td', 'summary-name');
+    cell.title = text;
+    if (target && showTarget) {
+        const link = createElement('button', 'summary-link', text);
+        link.title = `Show where ${target} is defined`;
+        link.addEventListener('click', () => showTarget(target));
+        cell.appendChild(link);
+    } else {
+        cell.textContent = text;
+    }
+    return cell;
+}
+
+function createTable(title, entries, sortKey, topCount, totalNs, showTarget) {
+    const section = createElement('div', 'summary-section');
+    section.appendChild(createElement('div', 'summary-section-title', title));
+
+    if (entries.length === 0) {
+        section.appendChild(createElement('div', 'summary-empty', 'None recorded'));
+        return section;
+    }
+
+    const table = createElement('table', 'summary-table');
+    const headerRow = document.createElement('tr');
+    for (const heading of ['Name', 'Count', 'Exclusive', 'Inclusive']) {
+        headerRow.appendChild(createElement('th', null, heading));
+    }
+    table.createTHead().appendChild(headerRow);
+
+    const body = table.createTBody();
+    const sorted = [...entries]
+        .sort((a, b) => b[sortKey] - a[sortKey] || a.name.localeCompare(b.name))
+        .slice(0, topCount);
+
+    for (const entry of sorted) {
+        const row = document.createElement('tr');
+        row.appendChild(createNameCell(entry.name, showTarget ? entry.name : null, showTarget));
+        row.appendChild(createElement('td', 'summary-count', entry.count.toLocaleString()));
+        row.appendChild(createDurationCell(entry.exclusiveNs, totalNs));
+        row.appendChild(createDurationCell(entry.inclusiveNs, totalNs));
+        body.appendChild(row);
+    }
+
+    section.appendChild(table);
+    return section;
+}
+
+// How each node spent the build: running projects, holding only projects yielded to wait for
+// other projects (such as P2P references built elsewhere), or holding none
+function createNodeTable(nodes, totalNs) {
+    const section = createElement('div', 'summary-section');
+    section.appendChild(createElement('div', 'summary-section-title', 'Nodes'));
+
+    if (nodes.length === 0) {
+        section.appendChild(createElement('div', 'summary-empty', 'None recorded'));
+        return section;
+    }
+
+    const table = createElement('table', 'summary-table');
+    const headerRow = document.createElement('tr');
+    for (const heading of ['Node', 'Projects', 'Busy', 'Yielded', 'Idle']) {
+        headerRow.appendChild(createElement('th', null, heading));
+    }
+    table.createTHead().appendChild(headerRow);
+
+    const body = table.createTBody();
+    for (const node of nodes) {
+        const row = document.createElement('tr');
+        row.appendChild(createNameCell(`Node ${node.nodeId}`));
+        row.appendChild(createCount(node.projectCount));
+        row.appendChild(createDurationCell(node.busyNs, totalNs));
+        row.appendChild(createDurationCell(node.yieldedNs, totalNs));
+        row.appendChild(createDurationCell(node.idleNs, totalNs));
+        body.appendChild(row);
+    }
+
+    section.appendChild(table);
+    return section;
+}
+
+// The chain of work that set the build's wall-clock time, in the order it ran
+function createCriticalPath(path, totalNs, showTarget) {
+    const section = createElement('div', 'summary-section');
+    section.appendChild(createElement('div', 'summary-section-title', `Critical path (${path.length} steps)`));
+
+    if (path.length === 0) {
+        section.appendChild(createElement('div', 'summary-empty', 'No project-to-project data recorded'));
+        return section;
+    }
+
+    const scroller = createElement('div', 'summary-scroll');
+    const table = createElement('table', 'summary-table');
+    const headerRow = document.createElement('tr');
+    for (const heading of ['Work', 'Starts at', 'Duration']) {
+        headerRow.appendChild(createElement('th', null, heading));
+    }
+    table.createTHead().appendChild(headerRow);
+
+    const body = table.createTBody();
+    for (const step of path) {
+        const row = document.createElement('tr');
+        const work = [step.project, step.target, step.task].filter(Boolean).join(' › ');
+        row.appendChild(createNameCell(work, step.target, showTarget));
+        row.appendChild(createElement('td', 'summary-count', formatDuration(step.startNs)));
+        row.appendChild(createDurationCell(step.durationNs, totalNs));
+        body.appendChild(row);
+    }
+
+    scroller.appendChild(table);
+    section.appendChild(scroller);
+    return section;
+}
+
+// Where evaluations spent their time, when the binlog was recorded with evaluation profiling on:
+// the passes, then the files and the imports and globs that cost the most over all evaluations
+function createEvaluationProfile(profile, sortKey, topCount) {
+    const section = createElement('div', 'summary-section');
+    section.appendChild(createElement('div', 'summary-section-title',
+        `Evaluation profile (${profile.evaluationCount.toLocaleString()} evaluations)`));
+
+    const passTotalNs = profile.passes.reduce((sum, pass) => sum + pass.inclusiveNs, 0);
+    const passes = createElement('div', 'summary-stats');
+    for (const pass of profile.passes) {
+        passes.appendChild(createStat(pass.name, formatDuration(pass.inclusiveNs)));
+    }
+    section.appendChild(passes);
+
+    const formatLocation = entry => entry.line ? `${entry.file}:${entry.line}` : entry.file;
+
+    section.appendChild(createProfileTable('Files (time in their own elements)', profile.files,
+        ['File', 'Evaluations', 'Hits', 'Exclusive'], 'exclusiveNs', topCount, passTotalNs,
+        entry => [createNameCell(entry.name), createCount(entry.count), createCount(entry.hits),
+            createDurationCell(entry.exclusiveNs, passTotalNs)]));
+
+    section.appendChild(createProfileTable('Imports and globs', profile.locations,
+        ['Import or glob', 'Evaluations', 'Exclusive', 'Inclusive'], sortKey, topCount, passTotalNs,
+        entry => {
+            const name = createNameCell(`${entry.kind === 'glob' ? 'Glob' : 'Import'} ${entry.name}`);
+            name.title = `${entry.name}\n${formatLocation(entry)}`;
+            return [name, createCount(entry.count), createDurationCell(entry.exclusiveNs, passTotalNs),
+                createDurationCell(entry.inclusiveNs, passTotalNs)];
+        }));
+
+    return section;
+}
+
+function createCount(value) {
+    return createElement('td', 'summary-count', value.toLocaleString());
+}
+
+function createProfileTable(title, entries, headings, sortKey, topCount, totalNs, createCells) {
+    const wrapper = createElement('div', 'summary-subsection');
+    wrapper.appendChild(createElement('div', 'summary-count', title));
+
+    if (entries.length === 0) {
+        wrapper.appendChild(createElement('div', 'summary-empty', 'None recorded'));
+        return wrapper;
+    }
+
+    const table = createElement('table', 'summary-table');
+    const headerRow = document.createElement('tr');
+    for (const heading of headings) {
+        headerRow.appendChild(createElement('th', null, heading));
+    }
+    table.createTHead().appendChild(headerRow);
+
+    const body = table.createTBody();
+    const sorted = [...entries]
+        .sort((a, b) => b[sortKey] - a[sortKey] || a.name.localeCompare(b.name))
+        .slice(0, topCount);
+    for (const entry of sorted) {
+        const row = document.createElement('tr');
+        for (const cell of createCells(entry)) {
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    }
+
+    wrapper.appendChild(table);
+    return wrapper;
+}
+
+/**
+ * Renders build summaries into a container, with a selector when there is more than one build.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {{ label: string, summary: object, criticalPath: object[], evaluationProfile: object|null }[]} builds -
+ *   Builds from the conversion result
+ * @param {object} [handlers]
+ * @param {function(string)} [handlers.showTarget] - Shows where a target is defined; target names are links when given
+ * @returns {{ destroy: function() }}
+ */
+export function createSummaryView(container, builds, { showTarget = null } = {}) {
+    const state = {
+        buildIndex: 0,
+        sortKey: 'exclusiveNs',
+        topCount: TOP_COUNTS[0]
+    };
+
+    function render() {
+        const build = builds[state.buildIndex];
+        const summary = build.summary;
+
+        container.innerHTML = '';
+
+        const controls = createElement('div', 'summary-controls');
+
+        if (builds.length > 1) {
+            controls.appendChild(createSelect(
+                builds.map((b, i) => ({ value: i, label: b.label })),
+                state.buildIndex,
+                value => { state.buildIndex = Number(value); render(); }));
+        } else {
+            controls.appendChild(createElement('span', 'summary-build-label', build.label));
+        }
+
+        const sortLabel = createElement('label', null, 'Sort by ');
+        sortLabel.appendChild(createSelect(
+            [{ value: 'exclusiveNs', label: 'Exclusive time' }, { value: 'inclusiveNs', label: 'Inclusive time' }],
+            state.sortKey,
+            value => { state.sortKey = value; render(); }));
+        controls.appendChild(sortLabel);
+
+        const topLabel = createElement('label', null, 'Show ');
+        topLabel.appendChild(createSelect(
+            TOP_COUNTS.map(count => ({ value: count, label: `Top ${count}` })),
+            state.topCount,
+            value => { state.topCount = Number(value); render(); }));
+        controls.appendChild(topLabel);
+
+        container.appendChild(controls);
+        container.appendChild(createStats(summary));
+        // Summaries kept in the history from before nodes were summarized have none
+        if (summary.nodes) {
+            container.appendChild(createNodeTable(summary.nodes, summary.durationNs));
+        }
+        container.appendChild(createCriticalPath(build.criticalPath, summary.durationNs, showTarget));
+
+        for (const section of SECTIONS) {
+            container.appendChild(createTable(section.title, summary[section.key], state.sortKey,
+                state.topCount, summary.durationNs, section.key === 'targets' ? showTarget : null));
+        }
+
+        if (build.evaluationProfile) {
+            container.appendChild(createEvaluationProfile(build.evaluationProfile, state.sortKey, state.topCount));
+        }
+    }
+
+    render();
+
+    return {
+        destroy() {
+            container.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,551 @@
+// Canvas timeline for traces decoded by trace-decoder.js
+// Draws one row per track with nested slices, instants, counters and P2P flow arrows,
+// so a trace can be inspected without Perfetto (offline, or with popups blocked).
+
+const HEADER_WIDTH = 220;
+const AXIS_HEIGHT = 24;
+const ROW_HEIGHT = 18;
+const COUNTER_HEIGHT = 2 * ROW_HEIGHT;
+const TRACK_GAP = 6;
+const MIN_VISIBLE_NS = 1000;
+const CLICK_TOLERANCE_PX = 3;
+const MAX_TOOLTIP_ARG_LENGTH = 120;
+
+const INSTANT_COLORS = {
+    warning: '#f1c40f',
+    error: '#e74c3c',
+    message: '#95a5a6'
+};
+
+/**
+ * Formats a duration given in nanoseconds for display.
+ * @param {number} ns - Duration in nanoseconds
+ * @returns {string}
+ */
+export function formatDuration(ns) {
+    if (ns < 1e3) return `${Math.round(ns)} ns`;
+    if (ns < 1e6) return `${(ns / 1e3).toFixed(1)} µs`;
+    if (ns < 1e9) return `${(ns / 1e6).toFixed(1)} ms`;
+    return `${(ns / 1e9).toFixed(2)} s`;
+}
+
+// Stable colour per slice name, so the same target looks the same everywhere
+function colorForName(name) {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) {
+        hash = (hash * 31 + name.charCodeAt(i)) | 0;
+    }
+    const hue = Math.abs(hash) % 360;
+    return `hsl(${hue}, 45%, 45%)`;
+}
+
+function truncate(text, maxLength) {
+    return text.length <= maxLength ? text : `${text.slice(0, maxLength - 3)}...`;
+}
+
+// Tick spacing of 1, 2 or 5 times a power of ten that gives roughly targetCount ticks
+function niceStep(rangeNs, targetCount) {
+    const rough = rangeNs / targetCount;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    for (const multiple of [1, 2, 5, 10]) {
+        if (power * multiple >= rough) return power * multiple;
+    }
+    return power * 10;
+}
+
+/**
+ * Creates a timeline view inside the given container. Clicking a slice selects it.
+ * @param {HTMLElement} container - Element to draw into, sized by the page
+ * @param {{ tracks: object[], flows: object[], startNs: number, endNs: number }} timeline - Result of buildTimeline
+ * @param {object} [handlers]
+ * @param {function(object)} [handlers.openSlice] - Called with the slice that was double-clicked
+ * @returns {{ getView: function(): object, showView: function(object), destroy: function() }}
+ *   getView returns the visible range and selected slice as { startNs, endNs, slice: { name, track, startNs, endNs } | null };
+ *   showView takes the same shape and selects the slice if the trace has it
+ */
+export function createTimelineView(container, timeline, { openSlice } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'timeline-canvas';
+    canvas.tabIndex = 0;
+    container.appendChild(canvas);
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'timeline-tooltip';
+    container.appendChild(tooltip);
+
+    const ctx = canvas.getContext('2d');
+
+    // Lay out one row per track that has something to draw, plus process rows as group headers
+    const rows = [];
+    let contentHeight = 0;
+    for (const track of timeline.tracks) {
+        if (!track.isProcess && track.slices.length === 0 && track.instants.length === 0 && track.counterValues.length === 0) continue;
+        const height = track.isCounter ? COUNTER_HEIGHT : Math.max(track.depth, 1) * ROW_HEIGHT;
+        const maxValue = track.counterValues.reduce((max, sample) => Math.max(max, sample.value), 0);
+        rows.push({ track, y: contentHeight, height, maxValue });
+        contentHeight += height + TRACK_GAP;
+    }
+    const rowsByTrack = new Map(rows.map(row => [row.track, row]));
+
+    const traceStart = timeline.startNs;
+    const traceEnd = Math.max(timeline.endNs, traceStart + MIN_VISIBLE_NS);
+
+    let viewStart = traceStart;
+    let viewEnd = traceEnd;
+    let scrollY = 0;
+    let width = 0;
+    let height = 0;
+    let hovered = null;
+    let selected = null;
+    let drag = null;
+    let frameRequested = false;
+
+    function timelineWidth() {
+        return Math.max(width - HEADER_WIDTH, 1);
+    }
+
+    function timeToX(ns) {
+        return HEADER_WIDTH + ((ns - viewStart) / (viewEnd - viewStart)) * timelineWidth();
+    }
+
+    function xToTime(x) {
+        return viewStart + ((x - HEADER_WIDTH) / timelineWidth()) * (viewEnd - viewStart);
+    }
+
+    function clampView() {
+        const span = Math.min(Math.max(viewEnd - viewStart, MIN_VISIBLE_NS), traceEnd - traceStart);
+        viewStart = Math.min(Math.max(viewStart, traceStart), traceEnd - span);
+        viewEnd = viewStart + span;
+
+        const maxScroll = Math.max(contentHeight - (height - AXIS_HEIGHT), 0);
+        scrollY = Math.min(Math.max(scrollY, 0), maxScroll);
+    }
+
+    function zoom(factor, anchorX) {
+        const anchor = xToTime(Math.max(anchorX, HEADER_WIDTH));
+        viewStart = anchor - (anchor - viewStart) * factor;
+        viewEnd = anchor + (viewEnd - anchor) * factor;
+        clampView();
+        requestDraw();
+    }
+
+    function pan(deltaPx) {
+        const deltaNs = (deltaPx / timelineWidth()) * (viewEnd - viewStart);
+        viewStart += deltaNs;
+        viewEnd += deltaNs;
+        clampView();
+        requestDraw();
+    }
+
+    function requestDraw() {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestAnimationFrame(() => {
+            frameRequested = false;
+            draw();
+        });
+    }
+
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        width = container.clientWidth;
+        height = container.clientHeight;
+        canvas.width = Math.floor(width * ratio);
+        canvas.height = Math.floor(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        clampView();
+        draw();
+    }
+
+    function rowTop(row) {
+        return AXIS_HEIGHT + row.y - scrollY;
+    }
+
+    function drawAxis() {
+        ctx.fillStyle = '#10182e';
+        ctx.fillRect(0, 0, width, AXIS_HEIGHT);
+
+        const step = niceStep(viewEnd - viewStart, Math.max(timelineWidth() / 100, 2));
+        const first = Math.ceil((viewStart - traceStart) / step) * step + traceStart;
+
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+        for (let t = first; t <= viewEnd; t += step) {
+            const x = timeToX(t);
+            ctx.strokeStyle = '#2a3a5a';
+            ctx.beginPath();
+            ctx.moveTo(x, AXIS_HEIGHT - 6);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillStyle = '#888';
+            ctx.fillText(formatDuration(t - traceStart), x + 3, AXIS_HEIGHT / 2);
+        }
+    }
+
+    function drawLabel(text, x, y, maxWidth) {
+        const maxChars = Math.floor(maxWidth / 6.5);
+        if (maxChars < 3) return;
+        const label = text.length > maxChars ? text.slice(0, maxChars - 1) + '…' : text;
+        ctx.fillText(label, x, y);
+    }
+
+    function drawRow(row) {
+        const top = rowTop(row);
+        if (top + row.height < AXIS_HEIGHT || top > height) return;
+
+        const track = row.track;
+        const visibleLeft = HEADER_WIDTH;
+
+        for (const slice of track.slices) {
+            if (slice.end < viewStart || slice.start > viewEnd) continue;
+
+            const x1 = Math.max(timeToX(slice.start), visibleLeft);
+            const x2 = Math.min(timeToX(slice.end), width);
+            const sliceWidth = Math.max(x2 - x1, 1);
+            const y = top + slice.depth * ROW_HEIGHT;
+
+            ctx.fillStyle = colorForName(slice.name);
+            ctx.fillRect(x1, y + 1, sliceWidth, ROW_HEIGHT - 2);
+
+            if (slice === selected || slice === hovered) {
+                ctx.strokeStyle = slice === selected ? '#f1c40f' : '#fff';
+                ctx.strokeRect(x1 + 0.5, y + 1.5, sliceWidth - 1, ROW_HEIGHT - 3);
+            }
+
+            if (sliceWidth > 24) {
+                ctx.fillStyle = '#fff';
+                drawLabel(slice.name, x1 + 4, y + ROW_HEIGHT / 2, sliceWidth - 8);
+            }
+        }
+
+        for (const instant of track.instants) {
+            if (instant.start < viewStart || instant.start > viewEnd) continue;
+            const x = timeToX(instant.start);
+            ctx.fillStyle = INSTANT_COLORS[instant.category] || '#ccc';
+            ctx.beginPath();
+            ctx.moveTo(x, top + 2);
+            ctx.lineTo(x + 4, top + ROW_HEIGHT / 2);
+            ctx.lineTo(x, top + ROW_HEIGHT - 2);
+            ctx.lineTo(x - 4, top + ROW_HEIGHT / 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        if (track.counterValues.length > 0) {
+            drawCounter(row, top);
+        }
+    }
+
+    // Step chart: each value holds until the next one, scaled to the largest value of the track
+    function drawCounter(row, top) {
+        const samples = row.track.counterValues;
+        const scale = row.maxValue > 0 ? (row.height - 2) / row.maxValue : 0;
+        ctx.fillStyle = colorForName(row.track.name);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const end = i + 1 < samples.length ? samples[i + 1].start : traceEnd;
+            if (end < viewStart || sample.start > viewEnd || sample.value <= 0) continue;
+
+            const x1 = Math.max(timeToX(sample.start), HEADER_WIDTH);
+            const x2 = Math.min(timeToX(end), width);
+            const barHeight = Math.max(sample.value * scale, 1);
+            ctx.fillRect(x1, top + row.height - barHeight, Math.max(x2 - x1, 1), barHeight);
+        }
+
+        if (hovered && hovered.track === row.track) {
+            ctx.strokeStyle = '#fff';
+            const x = Math.round(timeToX(hovered.start)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, top + row.height);
+            ctx.stroke();
+        }
+    }
+
+    function drawHeaders() {
+        ctx.fillStyle = '#16213e';
+        ctx.fillRect(0, AXIS_HEIGHT, HEADER_WIDTH, height - AXIS_HEIGHT);
+        ctx.fillStyle = '#ccc';
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        for (const row of rows) {
+            const top = rowTop(row);
+            if (top + row.height < AXIS_HEIGHT || top > height) continue;
+            const indent = row.track.isProcess ? 8 : 20;
+            ctx.fillStyle = row.track.isProcess ? '#fff' : '#bbb';
+            const label = row.track.isCounter ? `${row.track.name} (max ${row.maxValue})` : row.track.name;
+            drawLabel(label, indent, top + ROW_HEIGHT / 2, HEADER_WIDTH - indent - 8);
+        }
+
+        ctx.strokeStyle = '#2a3a5a';
+        ctx.beginPath();
+        ctx.moveTo(HEADER_WIDTH + 0.5, 0);
+        ctx.lineTo(HEADER_WIDTH + 0.5, height);
+        ctx.stroke();
+    }
+
+    function drawFlows() {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+
+        for (const flow of timeline.flows) {
+            const fromRow = rowsByTrack.get(flow.from.track);
+            const toRow = rowsByTrack.get(flow.to.track);
+            if (!fromRow || !toRow) continue;
+            if (flow.to.start < viewStart && flow.from.start < viewStart) continue;
+            if (flow.to.start > viewEnd && flow.from.start > viewEnd) continue;
+
+            const x1 = timeToX(flow.from.start);
+            const y1 = rowTop(fromRow) + flow.from.depth * ROW_HEIGHT + ROW_HEIGHT / 2;
+            const x2 = timeToX(flow.to.start);
+            const y2 = rowTop(toRow) + flow.to.depth * ROW_HEIGHT + ROW_HEIGHT / 2;
+            const bend = Math.max(Math.abs(x2 - x1) / 2, 20);
+
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.bezierCurveTo(x1 + bend, y1, x2 - bend, y2, x2, y2);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.moveTo(x2, y2);
+            ctx.lineTo(x2 - 6, y2 - 3);
+            ctx.lineTo(x2 - 6, y2 + 3);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+
+    function draw() {
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, width, height);
+
+        drawAxis();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(HEADER_WIDTH, AXIS_HEIGHT, width - HEADER_WIDTH, height - AXIS_HEIGHT);
+        ctx.clip();
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+        for (const row of rows) drawRow(row);
+        drawFlows();
+        ctx.restore();
+
+        drawHeaders();
+    }
+
+    // Find the slice, instant or counter value under the given canvas position
+    function hitTest(x, y) {
+        if (x < HEADER_WIDTH || y < AXIS_HEIGHT) return null;
+
+        const contentY = y - AXIS_HEIGHT + scrollY;
+        const row = rows.find(r => contentY >= r.y && contentY < r.y + r.height);
+        if (!row) return null;
+
+        const time = xToTime(x);
+        if (row.track.isCounter) {
+            // The value in effect at that time
+            return row.track.counterValues.findLast(sample => sample.start <= time) || null;
+        }
+
+        const depth = Math.floor((contentY - row.y) / ROW_HEIGHT);
+        const tolerance = (4 / timelineWidth()) * (viewEnd - viewStart);
+
+        if (depth === 0) {
+            const instant = row.track.instants.find(i => Math.abs(i.start - time) <= tolerance);
+            if (instant) return instant;
+        }
+
+        let match = null;
+        for (const slice of row.track.slices) {
+            if (slice.depth === depth && slice.start - tolerance <= time && slice.end + tolerance >= time) {
+                // Prefer the shortest slice when several are within the tolerance
+                if (!match || slice.end - slice.start < match.end - match.start) {
+                    match = slice;
+                }
+            }
+        }
+        return match;
+    }
+
+    function showTooltip(item, clientX, clientY) {
+        if (!item) {
+            tooltip.style.display = 'none';
+            return;
+        }
+
+        tooltip.textContent = '';
+        const title = document.createElement('div');
+        title.className = 'timeline-tooltip-title';
+        title.textContent = item.name;
+        tooltip.appendChild(title);
+
+        const lines = [
+            `${item.category} on ${item.track.name}`,
+            `Start: ${formatDuration(item.start - traceStart)}`
+        ];
+        if (item.end !== undefined) {
+            lines.push(`Duration: ${formatDuration(item.end - item.start)}`);
+        }
+        if (item.value !== undefined) {
+            lines.push(`Value: ${item.value}`);
+        }
+        for (const arg of item.args) {
+            lines.push(`${arg.name}: ${truncate(String(arg.value), MAX_TOOLTIP_ARG_LENGTH)}`);
+        }
+        for (const line of lines) {
+            const div = document.createElement('div');
+            div.textContent = line;
+            tooltip.appendChild(div);
+        }
+
+        const bounds = container.getBoundingClientRect();
+        tooltip.style.display = 'block';
+        tooltip.style.left = `${Math.min(clientX - bounds.left + 12, width - tooltip.offsetWidth - 4)}px`;
+        tooltip.style.top = `${clientY - bounds.top + 12}px`;
+    }
+
+    function onWheel(e) {
+        e.preventDefault();
+        const bounds = canvas.getBoundingClientRect();
+        if (e.ctrlKey || e.metaKey) {
+            zoom(Math.exp(e.deltaY * 0.01), e.clientX - bounds.left);
+        } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            pan(e.shiftKey ? e.deltaY : e.deltaX);
+        } else {
+            scrollY += e.deltaY;
+            clampView();
+            requestDraw();
+        }
+    }
+
+    function onMouseDown(e) {
+        drag = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY };
+        canvas.classList.add('dragging');
+    }
+
+    function onMouseMove(e) {
+        const bounds = canvas.getBoundingClientRect();
+
+        if (drag) {
+            pan(drag.x - e.clientX);
+            scrollY += drag.y - e.clientY;
+            clampView();
+            drag.x = e.clientX;
+            drag.y = e.clientY;
+            showTooltip(null);
+            return;
+        }
+
+        const item = hitTest(e.clientX - bounds.left, e.clientY - bounds.top);
+        if (item !== hovered) {
+            hovered = item;
+            requestDraw();
+        }
+        showTooltip(item, e.clientX, e.clientY);
+    }
+
+    function onMouseUp(e) {
+        // A press that did not move is a click: select the slice under it, or clear the selection
+        if (drag && e && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) <= CLICK_TOLERANCE_PX) {
+            const bounds = canvas.getBoundingClientRect();
+            const item = hitTest(e.clientX - bounds.left, e.clientY - bounds.top);
+            selected = item && item.end !== undefined ? item : null;
+            requestDraw();
+        }
+        drag = null;
+        canvas.classList.remove('dragging');
+    }
+
+    function onDoubleClick(e) {
+        const bounds = canvas.getBoundingClientRect();
+        const item = hitTest(e.clientX - bounds.left, e.clientY - bounds.top);
+        if (item && item.end !== undefined && openSlice) {
+            openSlice(item);
+        }
+    }
+
+    function onMouseLeave() {
+        drag = null;
+        canvas.classList.remove('dragging');
+        hovered = null;
+        showTooltip(null);
+        requestDraw();
+    }
+
+    // W/S zoom and A/D pan, like Perfetto
+    function onKeyDown(e) {
+        const center = HEADER_WIDTH + timelineWidth() / 2;
+        switch (e.key.toLowerCase()) {
+            case 'w': zoom(0.8, center); break;
+            case 's': zoom(1.25, center); break;
+            case 'a': pan(-timelineWidth() * 0.1); break;
+            case 'd': pan(timelineWidth() * 0.1); break;
+            case '0':
+                viewStart = traceStart;
+                viewEnd = traceEnd;
+                requestDraw();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    canvas.addEventListener('mousedown', onMouseDown);
+    canvas.addEventListener('mouseleave', onMouseLeave);
+    canvas.addEventListener('keydown', onKeyDown);
+    canvas.addEventListener('mousemove', onMouseMove);
+    canvas.addEventListener('dblclick', onDoubleClick);
+    window.addEventListener('mouseup', onMouseUp);
+
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(container);
+
+    // Find a slice by its name, track name and start, allowing for the rounding of a link
+    function findSlice({ name, track, startNs }) {
+        for (const row of rows) {
+            if (row.track.name !== track) continue;
+            const slice = row.track.slices.find(s => s.name === name && Math.abs(s.start - startNs) < 1000);
+            if (slice) return slice;
+        }
+        return null;
+    }
+
+    return {
+        getView() {
+            return {
+                startNs: viewStart,
+                endNs: viewEnd,
+                slice: selected && {
+                    name: selected.name,
+                    track: selected.track.name,
+                    startNs: selected.start,
+                    endNs: selected.end
+                }
+            };
+        },
+
+        showView(view) {
+            viewStart = view.startNs;
+            viewEnd = view.endNs;
+            selected = view.slice ? findSlice(view.slice) : null;
+            clampView();
+            requestDraw();
+        },
+
+        destroy() {
+            resizeObserver.disconnect();
+            window.removeEventListener('mouseup', onMouseUp);
+            container.removeChild(canvas);
+            container.removeChild(tooltip);
+        }
+    };
+}
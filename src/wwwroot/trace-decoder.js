@@ -0,0 +1,426 @@
+// Decoder for the Perfetto protobuf traces written by PerfettoTraceWriter.cs
+// Only understands the subset of TracePacket fields the converter emits.
+
+// Protobuf field numbers - keep in sync with PerfettoTraceWriter.cs
+const TRACE_PACKET = 1;
+const TIMESTAMP = 8;
+const TRUSTED_PACKET_SEQ_ID = 10;
+const TRACK_EVENT = 11;
+const SEQUENCE_FLAGS = 13;
+const TRACK_DESCRIPTOR = 60;
+
+// TrackDescriptor fields
+const TD_UUID = 1;
+const TD_NAME = 2;
+const TD_PROCESS = 3;
+const TD_THREAD = 4;
+const TD_PARENT_UUID = 5;
+const TD_COUNTER = 8;
+
+// ProcessDescriptor fields
+const PD_PID = 1;
+const PD_PROCESS_NAME = 6;
+
+// ThreadDescriptor fields
+const THD_PID = 1;
+const THD_TID = 2;
+const THD_THREAD_NAME = 5;
+
+// TrackEvent fields
+const TE_DEBUG_ANNOTATIONS = 4;
+const TE_TYPE = 9;
+const TE_TRACK_UUID = 11;
+const TE_CATEGORIES = 22;
+const TE_NAME = 23;
+const TE_FLOW_IDS = 47;
+const TE_TERMINATING_FLOW_IDS = 48;
+const TE_COUNTER_VALUE = 30;
+
+// DebugAnnotation fields
+const DA_INT_VALUE = 4;
+const DA_STRING_VALUE = 6;
+const DA_NAME = 10;
+
+// TrackEvent.Type values
+export const TYPE_SLICE_BEGIN = 1;
+export const TYPE_SLICE_END = 2;
+export const TYPE_INSTANT = 3;
+export const TYPE_COUNTER = 4;
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Calls onField(field, wireType, value, start, end) for every field in bytes[start, end).
+ * Varint and fixed values are passed as numbers (exact up to 2^53), length-delimited
+ * fields as the [start, end) range of their payload.
+ */
+function readFields(bytes, start, end, onField) {
+    let pos = start;
+
+    function readVarint() {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (pos >= end) {
+                throw new Error(`Truncated varint at offset ${pos}`);
+            }
+            byte = bytes[pos++];
+            result += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    function readFixed(size) {
+        if (pos + size > end) {
+            throw new Error(`Truncated fixed${size * 8} at offset ${pos}`);
+        }
+        let result = 0;
+        for (let i = size - 1; i >= 0; i--) {
+            result = result * 256 + bytes[pos + i];
+        }
+        pos += size;
+        return result;
+    }
+
+    while (pos < end) {
+        const tag = readVarint();
+        const field = Math.floor(tag / 8);
+        const wireType = tag % 8;
+
+        switch (wireType) {
+            case WIRE_VARINT:
+                onField(field, wireType, readVarint());
+                break;
+            case WIRE_FIXED64:
+                onField(field, wireType, readFixed(8));
+                break;
+            case WIRE_FIXED32:
+                onField(field, wireType, readFixed(4));
+                break;
+            case WIRE_LENGTH_DELIMITED: {
+                const length = readVarint();
+                const fieldStart = pos;
+                pos += length;
+                if (pos > end) {
+                    throw new Error(`Field ${field} at offset ${fieldStart} overruns its message`);
+                }
+                onField(field, wireType, undefined, fieldStart, pos);
+                break;
+            }
+            default:
+                throw new Error(`Unsupported wire type ${wireType} at offset ${pos}`);
+        }
+    }
+}
+
+function readString(bytes, start, end) {
+    return textDecoder.decode(bytes.subarray(start, end));
+}
+
+function decodeProcessDescriptor(bytes, start, end) {
+    const process = { pid: 0, name: null };
+    readFields(bytes, start, end, (field, wireType, value, fieldStart, fieldEnd) => {
+        if (field === PD_PID) process.pid = value;
+        else if (field === PD_PROCESS_NAME) process.name = readString(bytes, fieldStart, fieldEnd);
+    });
+    return process;
+}
+
+function decodeThreadDescriptor(bytes, start, end) {
+    const thread = { pid: 0, tid: 0, name: null };
+    readFields(bytes, start, end, (field, wireType, value, fieldStart, fieldEnd) => {
+        if (field === THD_PID) thread.pid = value;
+        else if (field === THD_TID) thread.tid = value;
+        else if (field === THD_THREAD_NAME) thread.name = readString(bytes, fieldStart, fieldEnd);
+    });
+    return thread;
+}
+
+function decodeTrackDescriptor(bytes, start, end) {
+    const descriptor = { uuid: 0, parentUuid: null, name: null, process: null, thread: null, isCounter: false };
+    readFields(bytes, start, end, (field, wireType, value, fieldStart, fieldEnd) => {
+        switch (field) {
+            case TD_UUID: descriptor.uuid = value; break;
+            case TD_NAME: descriptor.name = readString(bytes, fieldStart, fieldEnd); break;
+            case TD_PROCESS: descriptor.process = decodeProcessDescriptor(bytes, fieldStart, fieldEnd); break;
+            case TD_THREAD: descriptor.thread = decodeThreadDescriptor(bytes, fieldStart, fieldEnd); break;
+            case TD_PARENT_UUID: descriptor.parentUuid = value; break;
+            case TD_COUNTER: descriptor.isCounter = true; break;
+        }
+    });
+    return descriptor;
+}
+
+function decodeDebugAnnotation(bytes, start, end) {
+    const annotation = { name: '', value: null };
+    readFields(bytes, start, end, (field, wireType, value, fieldStart, fieldEnd) => {
+        if (field === DA_NAME) annotation.name = readString(bytes, fieldStart, fieldEnd);
+        else if (field === DA_STRING_VALUE) annotation.value = readString(bytes, fieldStart, fieldEnd);
+        else if (field === DA_INT_VALUE) annotation.value = value;
+    });
+    return annotation;
+}
+
+function decodeTrackEvent(bytes, start, end) {
+    const event = { type: 0, trackUuid: 0, name: null, categories: [], flowIds: [], terminatingFlowIds: [], args: [], counterValue: null };
+    readFields(bytes, start, end, (field, wireType, value, fieldStart, fieldEnd) => {
+        switch (field) {
+            case TE_TYPE: event.type = value; break;
+            case TE_TRACK_UUID: event.trackUuid = value; break;
+            case TE_NAME: event.name = readString(bytes, fieldStart, fieldEnd); break;
+            case TE_CATEGORIES: event.categories.push(readString(bytes, fieldStart, fieldEnd)); break;
+            case TE_FLOW_IDS: event.flowIds.push(value); break;
+            case TE_TERMINATING_FLOW_IDS: event.terminatingFlowIds.push(value); break;
+            case TE_DEBUG_ANNOTATIONS: event.args.push(decodeDebugAnnotation(bytes, fieldStart, fieldEnd)); break;
+            case TE_COUNTER_VALUE: event.counterValue = value; break;
+        }
+    });
+    return event;
+}
+
+/**
+ * Decodes a trace into its packets, in file order.
+ * @param {Uint8Array} bytes - A serialized Perfetto Trace message
+ * @returns {object[]} Packets: { index, offset, size, timestamp, sequenceId, sequenceFlags, descriptor, event }
+ */
+export function decodeTrace(bytes) {
+    const packets = [];
+
+    readFields(bytes, 0, bytes.length, (field, wireType, value, start, end) => {
+        if (field !== TRACE_PACKET || wireType !== WIRE_LENGTH_DELIMITED) return;
+
+        const packet = {
+            index: packets.length,
+            offset: start,
+            size: end - start,
+            timestamp: null,
+            sequenceId: null,
+            sequenceFlags: 0,
+            descriptor: null,
+            event: null
+        };
+
+        readFields(bytes, start, end, (packetField, packetWireType, packetValue, fieldStart, fieldEnd) => {
+            switch (packetField) {
+                case TIMESTAMP: packet.timestamp = packetValue; break;
+                case TRUSTED_PACKET_SEQ_ID: packet.sequenceId = packetValue; break;
+                case SEQUENCE_FLAGS: packet.sequenceFlags = packetValue; break;
+                case TRACK_DESCRIPTOR: packet.descriptor = decodeTrackDescriptor(bytes, fieldStart, fieldEnd); break;
+                case TRACK_EVENT: packet.event = decodeTrackEvent(bytes, fieldStart, fieldEnd); break;
+            }
+        });
+
+        packets.push(packet);
+    });
+
+    return packets;
+}
+
+/**
+ * Turns decoded packets into tracks of nested slices, instants, counter values and flows, ready to draw.
+ * Events are replayed in timestamp order (file order for equal timestamps), like Perfetto does.
+ * Slices still open at the end of the trace are closed at the last timestamp.
+ * @param {object[]} packets - Result of decodeTrace
+ * @returns {{ tracks: object[], flows: object[], startNs: number, endNs: number }}
+ */
+export function buildTimeline(packets) {
+    const tracksByUuid = new Map();
+
+    function getTrack(uuid) {
+        let track = tracksByUuid.get(uuid);
+        if (!track) {
+            track = {
+                uuid,
+                parentUuid: null,
+                name: `Track ${uuid}`,
+                pid: null,
+                tid: null,
+                isProcess: false,
+                isCounter: false,
+                slices: [],
+                instants: [],
+                counterValues: [],
+                depth: 0,
+                openSlices: []
+            };
+            tracksByUuid.set(uuid, track);
+        }
+        return track;
+    }
+
+    for (const packet of packets) {
+        const descriptor = packet.descriptor;
+        if (!descriptor) continue;
+
+        const track = getTrack(descriptor.uuid);
+        track.parentUuid = descriptor.parentUuid;
+        if (descriptor.process) {
+            track.isProcess = true;
+            track.pid = descriptor.process.pid;
+        }
+        if (descriptor.thread) {
+            track.pid = descriptor.thread.pid;
+            track.tid = descriptor.thread.tid;
+        }
+        track.isCounter = descriptor.isCounter;
+        track.name = descriptor.name || descriptor.process?.name || descriptor.thread?.name || track.name;
+    }
+
+    // Named tracks (like the critical path) are listed with the process they belong to
+    for (const track of tracksByUuid.values()) {
+        if (track.pid === null && track.parentUuid !== null) {
+            track.pid = tracksByUuid.get(track.parentUuid)?.pid ?? null;
+        }
+    }
+
+    const events = packets.filter(packet => packet.event && packet.timestamp !== null);
+    events.sort((a, b) => a.timestamp - b.timestamp);
+
+    const flowSources = new Map();
+    const flowTargets = new Map();
+    const startNs = events.length > 0 ? events[0].timestamp : 0;
+    const endNs = events.length > 0 ? events[events.length - 1].timestamp : 0;
+
+    for (const packet of events) {
+        const event = packet.event;
+        const track = getTrack(event.trackUuid);
+        const timestamp = packet.timestamp;
+
+        switch (event.type) {
+            case TYPE_SLICE_BEGIN: {
+                const slice = {
+                    name: event.name || '',
+                    category: event.categories[0] || '',
+                    start: timestamp,
+                    end: null,
+                    depth: track.openSlices.length,
+                    args: event.args,
+                    track
+                };
+                track.openSlices.push(slice);
+                track.slices.push(slice);
+                track.depth = Math.max(track.depth, slice.depth + 1);
+                for (const flowId of event.flowIds) flowSources.set(flowId, slice);
+                for (const flowId of event.terminatingFlowIds) flowTargets.set(flowId, slice);
+                break;
+            }
+            case TYPE_SLICE_END: {
+                const slice = track.openSlices.pop();
+                if (slice) {
+                    slice.end = timestamp;
+                    slice.args.push(...event.args);
+                }
+                break;
+            }
+            case TYPE_INSTANT:
+                track.instants.push({
+                    name: event.name || '',
+                    category: event.categories[0] || '',
+                    start: timestamp,
+                    args: event.args,
+                    track
+                });
+                break;
+            case TYPE_COUNTER:
+                // Shaped like an instant, so the timeline can show it in a tooltip
+                track.counterValues.push({
+                    name: track.name,
+                    category: 'counter',
+                    start: timestamp,
+                    value: event.counterValue ?? 0,
+                    args: [],
+                    track
+                });
+                break;
+        }
+    }
+
+    for (const track of tracksByUuid.values()) {
+        for (const slice of track.openSlices) slice.end = endNs;
+        delete track.openSlices;
+    }
+
+    const flows = [];
+    for (const [flowId, from] of flowSources) {
+        const to = flowTargets.get(flowId);
+        if (to) flows.push({ id: flowId, from, to });
+    }
+
+    // Process tracks first (by pid), each followed by its threads (by tid)
+    const tracks = [...tracksByUuid.values()].sort((a, b) =>
+        (a.pid ?? Infinity) - (b.pid ?? Infinity) ||
+        Number(b.isProcess) - Number(a.isProcess) ||
+        (a.tid ?? 0) - (b.tid ?? 0) ||
+        a.uuid - b.uuid);
+
+    return { tracks, flows, startNs, endNs };
+}
+
+/**
+ * Checks decoded packets for what makes Perfetto show a trace wrong, to tell converter bugs from viewer quirks:
+ * - unmatched-end: a slice end on a track with no open slice
+ * - unclosed-slice: a slice begun and never ended
+ * - dangling-flow: a flow that is started but never terminated, or terminated but never started
+ * - unknown-track: an event on a track that has no descriptor
+ * Slices are matched in timestamp order (file order for equal timestamps), like buildTimeline and Perfetto do.
+ * Perfetto sorts the events itself, so events written back in time on their track, as the evaluation profile
+ * and reopened split chunks are, are not problems.
+ * @param {object[]} packets - Result of decodeTrace
+ * @returns {{ packetIndex: number, kind: string, message: string }[]} Problems in packet order
+ */
+export function findTraceProblems(packets) {
+    const problems = [];
+    const report = (packet, kind, message) => problems.push({ packetIndex: packet.index, kind, message });
+
+    const describedTracks = new Set(packets.filter(packet => packet.descriptor).map(packet => packet.descriptor.uuid));
+    const events = packets.filter(packet => packet.event && packet.timestamp !== null);
+
+    const unknownTracks = new Set();
+    for (const packet of events) {
+        const trackUuid = packet.event.trackUuid;
+
+        // Reported once per track, at its first event
+        if (!describedTracks.has(trackUuid) && !unknownTracks.has(trackUuid)) {
+            unknownTracks.add(trackUuid);
+            report(packet, 'unknown-track', `Track ${trackUuid} has no track descriptor`);
+        }
+    }
+
+    const openSlices = new Map();
+    const flowStarts = new Map();
+    const flowEnds = new Map();
+    for (const packet of [...events].sort((a, b) => a.timestamp - b.timestamp)) {
+        const event = packet.event;
+        if (!openSlices.has(event.trackUuid)) openSlices.set(event.trackUuid, []);
+        const open = openSlices.get(event.trackUuid);
+
+        if (event.type === TYPE_SLICE_BEGIN) {
+            open.push(packet);
+        } else if (event.type === TYPE_SLICE_END && !open.pop()) {
+            report(packet, 'unmatched-end', `Slice end on track ${event.trackUuid} with no open slice`);
+        }
+        for (const flowId of event.flowIds) flowStarts.set(flowId, packet);
+        for (const flowId of event.terminatingFlowIds) flowEnds.set(flowId, packet);
+    }
+
+    for (const open of openSlices.values()) {
+        for (const packet of open) {
+            report(packet, 'unclosed-slice', `Slice "${packet.event.name || ''}" on track ${packet.event.trackUuid} is never ended`);
+        }
+    }
+    for (const [flowId, packet] of flowStarts) {
+        if (!flowEnds.has(flowId)) report(packet, 'dangling-flow', `Flow ${flowId} is never terminated`);
+    }
+    for (const [flowId, packet] of flowEnds) {
+        if (!flowStarts.has(flowId)) report(packet, 'dangling-flow', `Flow ${flowId} is terminated but never started`);
+    }
+
+    return problems.sort((a, b) => a.packetIndex - b.packetIndex);
+}
@@ -1,182 +1,323 @@
-// Worker client for communicating with the .NET WebWorker
-// Based on dotnet/aspnetcore webworker template pattern
+// Worker client for communicating with the .NET WebWorkers
+// Based on dotnet/aspnetcore webworker template pattern, extended to a pool:
+// requests are queued and each runs on the first idle worker, so several conversions
+// can run at once. Workers are started on demand, up to one per hardware thread.
+// The messages exchanged with the workers are defined in protocol.js.
+
+import { PROTOCOL_VERSION, METHODS, ERROR_CODES, WorkerError, checkConvertOptions, collectInputBuffers } from './protocol.js'
+
+const POOL_SIZE = Math.max(1, navigator.hardwareConcurrency || 1);
+
+// Requests waiting for an idle worker, oldest first
+const queue = [];
+
+// Pool entries: { worker, ready, readyPromise, job }
+const pool = [];
 
-const pendingRequests = {};
 let requestId = 0;
-let workerError = null;
-let worker = null;
-let workerReady = false;
-let workerReadyPromise = null;
-let workerReadyResolve = null;
-let workerReadyReject = null;
-let progressCallback = null;
 
-/**
- * Sets the progress callback function that will be called when the worker reports progress.
- * @param {function(string, number, number)} callback - Callback function(message, current, total)
- */
-export function setProgressCallback(callback) {
-    progressCallback = callback;
+// Set when a worker failed to load the .NET runtime - every worker would fail the same way
+let startupError = null;
+
+// URLs the first worker to load the runtime fetched for it
+let runtimeResources = [];
+
+// What the workers offer, from the handshake of the first worker to get ready
+let capabilities = null;
+
+function createCancelError() {
+    return new DOMException('Request canceled', 'AbortError');
 }
 
 /**
- * Creates and initializes the WebWorker with event handlers.
+ * Starts a worker and adds it to the pool. It takes jobs from the queue once the runtime is loaded.
  */
 function createWorker() {
-    worker = new Worker('worker.js', { type: "module" });
-    workerError = null;
-    workerReady = false;
-
-    // Create a promise that resolves when worker is ready
-    workerReadyPromise = new Promise((resolve, reject) => {
-        workerReadyResolve = resolve;
-        workerReadyReject = reject;
+    const entry = { worker: new Worker('worker.js', { type: "module" }), ready: false, readyPromise: null, job: null };
+    let readyResolve;
+    let readyReject;
+    entry.readyPromise = new Promise((resolve, reject) => {
+        readyResolve = resolve;
+        readyReject = reject;
     });
+    // Callers that never wait for readiness must not see an unhandled rejection
+    entry.readyPromise.catch(() => { });
 
     // Handle fatal worker errors (script load failure, unhandled exceptions, etc.)
-    worker.addEventListener('error', function (e) {
+    entry.worker.addEventListener('error', function (e) {
         const errorMessage = e.message || 'Worker encountered an unhandled error';
         console.error("Worker error:", errorMessage);
-        workerError = errorMessage;
 
-        // Reject ready promise if not yet resolved
-        if (workerReadyReject) {
-            workerReadyReject(new Error(errorMessage));
-            workerReadyResolve = null;
-            workerReadyReject = null;
+        if (!entry.ready) {
+            startupError = errorMessage;
+            readyReject(new Error(errorMessage));
         }
-
-        // Reject all pending requests
-        rejectAllPending(`Worker error: ${errorMessage}`);
+        removeWorker(entry, new Error(`Worker error: ${errorMessage}`));
     }, false);
 
-    worker.addEventListener('message', function (e) {
+    entry.worker.addEventListener('message', function (e) {
+        const job = entry.job;
+
         if (e.data.type === "ready") {
-            if (e.data.error) {
-                workerError = e.data.error;
-                if (workerReadyReject) {
-                    workerReadyReject(new Error(e.data.error));
-                }
-            } else {
-                workerReady = true;
-                if (workerReadyResolve) {
-                    workerReadyResolve();
-                }
+            // A worker cached from another version of the app would misread every request
+            const error = e.data.protocol !== PROTOCOL_VERSION
+                ? { code: ERROR_CODES.protocolMismatch, message: `The worker speaks protocol version ${e.data.protocol}, this page ${PROTOCOL_VERSION}; reload the page` }
+                : e.data.error;
+            if (error) {
+                startupError = error.message;
+                readyReject(WorkerError.deserialize(error));
+                removeWorker(entry, new Error(`Worker failed to initialize: ${error.message}`));
+                return;
+            }
+            entry.ready = true;
+            capabilities ??= e.data.capabilities;
+            if (runtimeResources.length === 0 && e.data.resources) {
+                runtimeResources = e.data.resources;
             }
-            workerReadyResolve = null;
-            workerReadyReject = null;
+            readyResolve();
+            dispatch();
         } else if (e.data.type === "progress") {
-            // Handle progress updates
-            if (progressCallback) {
-                progressCallback(e.data.message, e.data.current, e.data.total);
+            // A worker runs one request at a time, so progress belongs to its current job
+            if (job && job.onProgress) {
+                job.onProgress(e.data.progress);
+            }
+        } else if (e.data.type === "chunk") {
+            // Output chunk streamed by the method while it is still running
+            if (job && job.id === e.data.requestId && job.onChunk) {
+                // Workers have their own time origin, so the time the chunk took is measured from the epoch
+                job.onChunk(e.data.data, e.data.part, performance.timeOrigin + performance.now() - e.data.sentAt);
             }
         } else if (e.data.type === "result") {
-            const request = pendingRequests[e.data.requestId];
-            if (!request) {
-                // Result arrived after timeout/cancellation - ignore
+            if (!job || job.id !== e.data.requestId) {
+                // Result arrived after cancellation - ignore
                 return;
             }
-            delete pendingRequests[e.data.requestId];
+            finishJob(entry);
 
             if (e.data.error) {
-                request.reject(new Error(e.data.error));
+                job.reject(WorkerError.deserialize(e.data.error));
             } else {
-                request.resolve(e.data.result);
+                job.resolve(e.data.result);
             }
+            dispatch();
         }
     }, false);
+
+    pool.push(entry);
+    return entry;
 }
 
 /**
- * Rejects all pending requests with the given error message.
+ * Terminates a worker and drops it from the pool, failing its current job with the given error.
+ * Queued jobs move on to the other workers, or to a fresh one.
  */
-function rejectAllPending(errorMessage) {
-    for (const id in pendingRequests) {
-        pendingRequests[id].reject(new Error(errorMessage));
-        delete pendingRequests[id];
+function removeWorker(entry, error) {
+    const index = pool.indexOf(entry);
+    if (index < 0) return;
+
+    pool.splice(index, 1);
+    entry.worker.terminate();
+
+    const job = entry.job;
+    if (job) {
+        finishJob(entry);
+        job.reject(error);
+    }
+
+    if (startupError) {
+        rejectQueued(new Error(`Worker failed to initialize: ${startupError}`));
+        return;
+    }
+    // Keep one worker loaded, so the next request does not wait for the runtime
+    if (pool.length === 0) {
+        createWorker();
     }
+    dispatch();
 }
 
-// Create the initial worker
-createWorker();
+function finishJob(entry) {
+    const job = entry.job;
+    entry.job = null;
+    if (job.signal) {
+        job.signal.removeEventListener('abort', job.onAbort);
+    }
+}
+
+function rejectQueued(error) {
+    for (const job of queue.splice(0)) {
+        if (job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+        job.reject(error);
+    }
+}
 
 /**
- * Invoke a method on the worker.
- * @param {string} method - Method path: "ClassName.MethodName"
- * @param {any[]} args - Arguments to pass to the method
- * @returns {Promise<any>} The result from the worker
+ * Hands queued jobs to idle workers, starting new workers while the pool has room.
  */
-export async function invoke(method, args) {
-    // If worker already failed, reject immediately
-    if (workerError) {
-        return Promise.reject(new Error(`Worker failed to initialize: ${workerError}`));
+function dispatch() {
+    while (queue.length > 0) {
+        const idle = pool.find(entry => entry.ready && !entry.job);
+        if (!idle) {
+            // Workers still loading will pick up the queue when ready
+            const loading = pool.filter(entry => !entry.ready).length;
+            if (loading < queue.length && pool.length < POOL_SIZE) {
+                createWorker();
+                continue;
+            }
+            return;
+        }
+
+        const job = queue.shift();
+        // Workers are all built from the same app, so one handshake tells what each accepts
+        const problem = job.method === METHODS.convert ? checkConvertOptions(job.params?.options, capabilities) : null;
+        if (problem) {
+            if (job.signal) {
+                job.signal.removeEventListener('abort', job.onAbort);
+            }
+            job.reject(new WorkerError(ERROR_CODES.invalidParams, problem));
+            continue;
+        }
+
+        idle.job = job;
+        // Buffer inputs are moved to the worker; only this request reads them
+        idle.worker.postMessage({
+            type: 'request',
+            protocol: PROTOCOL_VERSION,
+            requestId: job.id,
+            method: job.method,
+            params: job.params
+        }, collectInputBuffers(job.params));
     }
+}
 
-    // Wait for worker to be ready before sending message
-    if (!workerReady) {
-        await workerReadyPromise;
+// Cancel a job: drop it from the queue, or stop the worker running it.
+// A running conversion never yields to the worker's message loop, so the worker has to go.
+function abortJob(job) {
+    const queued = queue.indexOf(job);
+    if (queued >= 0) {
+        queue.splice(queued, 1);
+        job.signal.removeEventListener('abort', job.onAbort);
+        job.reject(createCancelError());
+        return;
+    }
+
+    const entry = pool.find(candidate => candidate.job === job);
+    if (entry) {
+        removeWorker(entry, createCancelError());
+    }
+}
+
+// Start the first worker right away, so the runtime is loaded before the first file arrives
+createWorker();
+
+/**
+ * Invoke a method on an idle worker of the pool, queueing it until one is free.
+ * ArrayBuffer and typed array inputs are transferred to the worker when the request starts, leaving them empty.
+ * @param {string} method - One of METHODS in protocol.js
+ * @param {object} params - The method's params (see METHODS)
+ * @param {object} [options]
+ * @param {function(Uint8Array, number)} [options.onChunk] - Receives output the method streams through JSOutputStream,
+ *   with the number of the output it belongs to (0 unless the method writes several) and the ms it took to arrive
+ * @param {function(object)} [options.onProgress] - Receives the progress reports of this request (see progress.js)
+ * @param {AbortSignal} [options.signal] - Cancels this request only; the promise rejects with an AbortError
+ * @returns {Promise<any>} The result from the worker. Failures reject with a WorkerError carrying an
+ *   ERROR_CODES code and the worker's stack, or with an AbortError when canceled through the signal.
+ */
+export function invoke(method, params, options = {}) {
+    if (startupError) {
+        return Promise.reject(new Error(`Worker failed to initialize: ${startupError}`));
+    }
+    if (options.signal && options.signal.aborted) {
+        return Promise.reject(createCancelError());
     }
 
     requestId++;
-    const currentRequestId = requestId;
+    const job = {
+        id: requestId,
+        method,
+        params,
+        onChunk: options.onChunk,
+        onProgress: options.onProgress,
+        signal: options.signal,
+        onAbort: null,
+        resolve: null,
+        reject: null
+    };
 
     const promise = new Promise((resolve, reject) => {
-        pendingRequests[currentRequestId] = { resolve, reject };
+        job.resolve = resolve;
+        job.reject = reject;
     });
 
-    worker.postMessage({
-        method: method,
-        args: args,
-        requestId: currentRequestId
-    });
+    if (job.signal) {
+        job.onAbort = () => abortJob(job);
+        job.signal.addEventListener('abort', job.onAbort);
+    }
 
+    queue.push(job);
+    dispatch();
     return promise;
 }
 
 /**
- * Terminates the current worker and creates a new one.
- * All pending requests will be rejected with an error.
+ * Terminates every worker and starts a fresh one.
+ * All running and queued requests are rejected with an error.
  * Use this to recover from a stuck or unresponsive worker.
  */
 export function terminate() {
-    // Reject all pending requests
-    rejectAllPending("Worker was terminated");
-
-    // Kill the worker
-    if (worker) {
-        worker.terminate();
+    const error = new Error("Worker was terminated");
+    startupError = null;
+    rejectQueued(error);
+    // Removing the last worker starts the fresh one
+    for (const entry of [...pool]) {
+        removeWorker(entry, error);
+    }
+    if (pool.length === 0) {
+        createWorker();
     }
-
-    // Create a fresh worker
-    createWorker();
 }
 
 /**
- * Wait for the worker to be fully initialized and ready.
- * @returns {Promise<void>} Resolves when worker is ready, rejects if initialization failed
+ * Wait for a worker to be fully initialized and ready.
+ * @returns {Promise<void>} Resolves when a worker is ready, rejects if initialization failed
  */
 export function waitForReady() {
-    if (workerReady) {
-        return Promise.resolve();
+    if (startupError) {
+        return Promise.reject(new Error(startupError));
     }
-    if (workerError) {
-        return Promise.reject(new Error(workerError));
+    if (pool.some(entry => entry.ready)) {
+        return Promise.resolve();
     }
-    return workerReadyPromise;
+    const entry = pool[0] || createWorker();
+    return entry.readyPromise;
 }
 
 /**
- * Cancels any in-progress conversion operation.
- * This sends a cancel request to the worker which will signal the C# code to stop.
+ * Lists the URLs fetched to load the .NET runtime (the _framework files and the worker's modules),
+ * as seen by the first worker to load it. Empty until a worker is ready.
+ * @returns {string[]}
  */
-export function cancel() {
-    if (!workerReady || workerError) {
-        return;
-    }
-    // Fire-and-forget cancel request
-    worker.postMessage({
-        method: 'BinlogConverter.Cancel',
-        args: [],
-        requestId: -1 // Special ID for cancel requests - no response expected
-    });
+export function getRuntimeResources() {
+    return runtimeResources;
+}
+
+/**
+ * Describes what the workers offer, from the handshake of the first worker to get ready:
+ * { methods, exports, optionsVersion, formats, include }, where include maps each switch of the
+ * conversion options to its default. Null until a worker is ready.
+ * @returns {object|null}
+ */
+export function getCapabilities() {
+    return capabilities;
+}
+
+/**
+ * Tells whether an error means a request was cancelled through its AbortSignal.
+ * The converter cannot be interrupted, so the worker running it is stopped instead (see abortJob).
+ * @param {Error} err - Rejection reason of invoke
+ * @returns {boolean}
+ */
+export function isCancellation(err) {
+    return err.name === 'AbortError';
 }
@@ -3,29 +3,88 @@
 
 import { dotnet } from './_framework/dotnet.js'
 import { postProgress } from './progress.js'
+import { registerInput, releaseInput, setOutputRequest, getInputLength, readInputChunk, writeOutputChunk } from './io.js'
+import { PROTOCOL_VERSION, METHODS, ERROR_CODES, WorkerError } from './protocol.js'
 
 // Make postProgress available globally for the dotnet runtime to find
 globalThis.postProgress = postProgress;
 
+// Chunked input/output used by JSInputStream and JSOutputStream
+globalThis.getInputLength = getInputLength;
+globalThis.readInputChunk = readInputChunk;
+globalThis.writeOutputChunk = writeOutputChunk;
+
 // Re-export for compatibility
 export { postProgress };
 
-// Collect transferable buffers for zero-copy transfer
-function collectTransferables(value) {
-    const transferables = [];
-    if (value instanceof Uint8Array || value instanceof Int8Array ||
-        value instanceof Uint16Array || value instanceof Int16Array ||
-        value instanceof Uint32Array || value instanceof Int32Array ||
-        value instanceof Float32Array || value instanceof Float64Array) {
-        transferables.push(value.buffer);
-    } else if (value instanceof ArrayBuffer) {
-        transferables.push(value);
+// Registers an input of a request so .NET can read it, noting its ID to release when the request ends
+function registerRequestInput(input, inputIds) {
+    if (!(input instanceof Blob || input instanceof ArrayBuffer || ArrayBuffer.isView(input))) {
+        throw new WorkerError(ERROR_CODES.invalidParams, 'Inputs must be Blobs, ArrayBuffers or typed arrays');
+    }
+    const inputId = registerInput(input);
+    inputIds.push(inputId);
+    return inputId;
+}
+
+function requireArray(value, name) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new WorkerError(ERROR_CODES.invalidParams, `'${name}' must be a non-empty array`);
+    }
+    return value;
+}
+
+// The protocol's methods (see METHODS in protocol.js), each calling its converter export with the
+// positional arguments it takes. register(input) turns an input into the ID the converter reads it by.
+const handlers = {
+    [METHODS.convert]({ inputs, labels, options }, register) {
+        const converter = workerExports.BinlogConverter;
+        const optionsJson = JSON.stringify(options);
+        requireArray(inputs, 'inputs');
+        if (inputs.length === 1 && !labels) {
+            return converter.ConvertFile(register(inputs[0]), optionsJson);
+        }
+        if (!Array.isArray(labels) || labels.length !== inputs.length) {
+            throw new WorkerError(ERROR_CODES.invalidParams, "'labels' must have one label per input");
+        }
+        return converter.ConvertFiles(inputs.map(register), labels, optionsJson);
+    },
+
+    [METHODS.compare]({ baseline, candidate, baselineLabel, candidateLabel }, register) {
+        return workerExports.BinlogConverter.CompareBinlogs(register(baseline), register(candidate),
+            String(baselineLabel), String(candidateLabel));
+    },
+
+    [METHODS.readEmbeddedFiles]({ inputs }, register) {
+        return workerExports.BinlogConverter.ReadEmbeddedFiles(requireArray(inputs, 'inputs').map(register));
     }
-    return transferables;
+};
+
+// What this worker offers, sent to the page with the ready message
+function getCapabilities() {
+    const converter = JSON.parse(workerExports.BinlogConverter.GetCapabilities());
+    const exports = Object.entries(workerExports)
+        .flatMap(([className, members]) => Object.keys(members).map(member => `${className}.${member}`));
+    return { methods: Object.keys(handlers), exports, ...converter };
+}
+
+// .NET ends the message of an ArgumentException with its parameter name. Those of the options
+// (see ParseOptions in Program.cs) and of the labels mean the request was wrong, not the conversion.
+const INVALID_PARAMS_MESSAGE = /\(Parameter '(optionsJson|labels)'\)$/;
+
+// Converter errors come from .NET with its stack
+function toErrorMessage(err) {
+    if (err instanceof WorkerError) {
+        return WorkerError.serialize(err);
+    }
+    const error = WorkerError.serialize(err, ERROR_CODES.converterError);
+    if (INVALID_PARAMS_MESSAGE.test(error.message)) {
+        error.code = ERROR_CODES.invalidParams;
+    }
+    return error;
 }
 
 let workerExports = null;
-let startupError = undefined;
 
 // Initialize .NET runtime in worker context
 try {
@@ -33,69 +92,56 @@ try {
     const config = getConfig();
     workerExports = await getAssemblyExports(config.mainAssemblyName);
     console.log('[Worker] .NET runtime initialized');
-    self.postMessage({ type: "ready" });
+    // What the runtime loaded, for the page to have the service worker keep it for offline use
+    const resources = performance.getEntriesByType('resource').map(entry => entry.name);
+    self.postMessage({ type: "ready", protocol: PROTOCOL_VERSION, capabilities: getCapabilities(), resources });
 } catch (err) {
-    startupError = err.message;
+    workerExports = null;
     console.error("[Worker] Failed to initialize .NET:", err);
-    self.postMessage({ type: "ready", error: err.message });
+    self.postMessage({
+        type: "ready",
+        protocol: PROTOCOL_VERSION,
+        error: WorkerError.serialize(err, ERROR_CODES.runtimeUnavailable)
+    });
 }
 
-// Handle method invocations from main thread
+// Handle requests from the main thread
 self.addEventListener('message', async function (e) {
+    const { type, protocol, requestId, method, params } = e.data;
+    if (type !== 'request') return;
+
+    const inputIds = [];
     try {
+        if (protocol !== PROTOCOL_VERSION) {
+            throw new WorkerError(ERROR_CODES.protocolMismatch,
+                `The page speaks protocol version ${protocol}, this worker ${PROTOCOL_VERSION}; reload the page`);
+        }
         if (!workerExports) {
-            throw new Error(startupError || "Worker .NET runtime not loaded");
+            throw new WorkerError(ERROR_CODES.runtimeUnavailable, 'Worker .NET runtime not loaded');
         }
-
-        const { method, args, requestId } = e.data;
-
-        // Parse "ClassName.MethodName" format
-        const parts = method.split('.');
-        if (parts.length < 2) {
-            throw new Error(`Invalid method format: ${method}. Expected "ClassName.MethodName"`);
+        const handler = Object.hasOwn(handlers, method) ? handlers[method] : null;
+        if (!handler) {
+            throw new WorkerError(ERROR_CODES.unknownMethod, `Unknown method: ${method}`);
         }
-
-        const className = parts[0];
-        const methodName = parts[1];
-
-        const workerClass = workerExports[className];
-        if (!workerClass) {
-            console.error('[Worker] Available exports:', Object.keys(workerExports || {}));
-            throw new Error(`Class not found: ${className}`);
-        }
-
-        const targetMethod = workerClass[methodName];
-        if (!targetMethod) {
-            console.error('[Worker] Available methods:', Object.keys(workerClass || {}));
-            throw new Error(`Method not found: ${methodName} on ${className}`);
+        if (!params || typeof params !== 'object') {
+            throw new WorkerError(ERROR_CODES.invalidParams, `${method} needs a params object`);
         }
 
         const startTime = performance.now();
-        let result = targetMethod(...args);
-
-        // Handle async methods
-        if (result && typeof result.then === 'function') {
-            result = await result;
+        let result;
+        setOutputRequest(requestId);
+        try {
+            result = await handler(params, input => registerRequestInput(input, inputIds));
+        } finally {
+            setOutputRequest(null);
+            inputIds.forEach(releaseInput);
         }
 
-        const workerTime = performance.now() - startTime;
-        const transferables = collectTransferables(result);
-
-        console.log(`[Worker] ${method} completed in ${workerTime.toFixed(0)}ms`);
-
-        self.postMessage({
-            type: "result",
-            requestId: requestId,
-            result: result,
-            workerTime: workerTime,
-        }, transferables);
+        console.log(`[Worker] ${method} completed in ${(performance.now() - startTime).toFixed(0)}ms`);
+        self.postMessage({ type: "result", requestId, result });
     } catch (err) {
-        const errorMessage = err instanceof Error ? err.message : String(err);
-        console.error('[Worker] Error:', errorMessage);
-        self.postMessage({
-            type: "result",
-            requestId: e.data.requestId,
-            error: errorMessage,
-        });
+        const error = toErrorMessage(err);
+        console.error(`[Worker] ${method} failed (${error.code}):`, error.message);
+        self.postMessage({ type: "result", requestId, error });
     }
 }, false);
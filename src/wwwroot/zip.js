@@ -0,0 +1,277 @@
+// Zip archives: writing several Blobs into one, for downloading the chunks of a split trace in one go,
+// and reading the entries of one, for binlogs published inside CI artifact bundles.
+// Written entries are stored without compression: traces are written in one pass and compress poorly for the time
+// it takes, and storing lets the archive be assembled from the Blobs without holding them in memory at once.
+// Read entries may be stored or deflated, in archives with or without the Zip64 extensions.
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE = 56;
+const ZIP64_LOCATOR_SIZE = 20;
+
+// The end of central directory record is followed by a comment of up to this length
+const MAX_COMMENT_SIZE = 0xffff;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x0001;
+
+// Beyond this, offsets and sizes need the Zip64 extensions, which this writer does not have
+const MAX_ZIP_SIZE = 0xffffffff;
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * Computes the CRC-32 of a Blob, reading it piece by piece.
+ * @param {Blob} blob
+ * @returns {Promise<number>}
+ */
+export async function crc32(blob) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    const reader = blob.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        for (let i = 0; i < value.length; i++) {
+            crc = table[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Modification time and date in MS-DOS format, as zip headers store them
+function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+function createLocalHeader(name, crc, size, modified) {
+    const header = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE + name.length));
+    header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, 20, true);      // version needed to extract
+    header.setUint16(6, 0x0800, true);  // UTF-8 names
+    header.setUint16(8, 0, true);       // stored
+    header.setUint16(10, modified.time, true);
+    header.setUint16(12, modified.day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    new Uint8Array(header.buffer).set(name, LOCAL_HEADER_SIZE);
+    return header.buffer;
+}
+
+function createCentralHeader(name, crc, size, offset, modified) {
+    const header = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE + name.length));
+    header.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    header.setUint16(4, 20, true);      // version made by
+    header.setUint16(6, 20, true);      // version needed to extract
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, modified.time, true);
+    header.setUint16(14, modified.day, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, size, true);
+    header.setUint32(24, size, true);
+    header.setUint16(28, name.length, true);
+    // Extra field, comment, disk number, attributes: none
+    header.setUint32(42, offset, true);
+    new Uint8Array(header.buffer).set(name, CENTRAL_HEADER_SIZE);
+    return header.buffer;
+}
+
+function createEndOfCentralDirectory(count, size, offset) {
+    const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, count, true);
+    end.setUint16(10, count, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return end.buffer;
+}
+
+/**
+ * Packs files into a zip archive.
+ * @param {{ name: string, data: Blob }[]} files - Entries in archive order; names may contain slashes for folders
+ * @returns {Promise<Blob>} The archive
+ */
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const modified = toDosDateTime(new Date());
+    const parts = [];
+    const centralHeaders = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = await crc32(file.data);
+        const localHeader = createLocalHeader(name, crc, file.data.size, modified);
+
+        centralHeaders.push(createCentralHeader(name, crc, file.data.size, offset, modified));
+        parts.push(localHeader, file.data);
+        offset += localHeader.byteLength + file.data.size;
+        if (offset > MAX_ZIP_SIZE) {
+            throw new Error('The files are too large for one zip archive (over 4 GB)');
+        }
+    }
+
+    const centralSize = centralHeaders.reduce((sum, header) => sum + header.byteLength, 0);
+    parts.push(...centralHeaders, createEndOfCentralDirectory(files.length, centralSize, offset));
+    return new Blob(parts, { type: 'application/zip' });
+}
+
+async function readView(blob, start, end) {
+    return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+function readUint64(view, offset) {
+    return Number(view.getBigUint64(offset, true));
+}
+
+// Where the central directory is and how many entries it has, from the (Zip64) end of central directory record
+async function readDirectoryLocation(blob) {
+    const tailStart = Math.max(0, blob.size - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE);
+    const tail = await readView(blob, tailStart, blob.size);
+
+    let end = -1;
+    for (let i = tail.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+        if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+
+    let count = tail.getUint16(end + 10, true);
+    let size = tail.getUint32(end + 12, true);
+    let offset = tail.getUint32(end + 16, true);
+
+    const locator = end - ZIP64_LOCATOR_SIZE;
+    if (locator >= 0 && tail.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+        const zip64Offset = readUint64(tail, locator + 8);
+        const zip64 = await readView(blob, zip64Offset, zip64Offset + ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE);
+        if (zip64.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error('Damaged zip archive: the Zip64 directory record is missing');
+        }
+        count = readUint64(zip64, 32);
+        size = readUint64(zip64, 40);
+        offset = readUint64(zip64, 48);
+    }
+
+    if (offset + size > blob.size) {
+        throw new Error('Damaged or incomplete zip archive');
+    }
+    return { count, size, offset };
+}
+
+// Sizes and offset that did not fit in the central header, from its Zip64 extra field
+function readZip64Extra(view, start, length, entry) {
+    for (let i = start; i + 4 <= start + length;) {
+        const id = view.getUint16(i, true);
+        const size = view.getUint16(i + 2, true);
+        if (id === ZIP64_EXTRA_FIELD) {
+            let field = i + 4;
+            for (const key of ['size', 'compressedSize', 'offset']) {
+                if (entry[key] === 0xffffffff) {
+                    entry[key] = readUint64(view, field);
+                    field += 8;
+                }
+            }
+            return;
+        }
+        i += 4 + size;
+    }
+}
+
+/**
+ * Lists the entries of a zip archive from its central directory, without reading their data.
+ * @param {Blob} blob - The archive
+ * @returns {Promise<{ name: string, size: number, compressedSize: number, method: number, encrypted: boolean,
+ *   offset: number }[]>} Entries in directory order, folders included (their names end with a slash)
+ */
+export async function readZipEntries(blob) {
+    const location = await readDirectoryLocation(blob);
+    const directory = await readView(blob, location.offset, location.offset + location.size);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    let position = 0;
+    for (let i = 0; i < location.count; i++) {
+        if (position + CENTRAL_HEADER_SIZE > directory.byteLength ||
+            directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Damaged zip archive: the central directory ends early');
+        }
+
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const nameStart = directory.byteOffset + position + CENTRAL_HEADER_SIZE;
+
+        const entry = {
+            name: decoder.decode(new Uint8Array(directory.buffer, nameStart, nameLength)),
+            size: directory.getUint32(position + 24, true),
+            compressedSize: directory.getUint32(position + 20, true),
+            method: directory.getUint16(position + 10, true),
+            encrypted: (directory.getUint16(position + 8, true) & FLAG_ENCRYPTED) !== 0,
+            offset: directory.getUint32(position + 42, true)
+        };
+        readZip64Extra(directory, position + CENTRAL_HEADER_SIZE + nameLength, extraLength, entry);
+        entries.push(entry);
+
+        position += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Reads the content of a zip entry listed by readZipEntries, decompressing it as it is read.
+ * @param {Blob} blob - The archive
+ * @param {{ name: string, compressedSize: number, method: number, encrypted: boolean, offset: number }} entry
+ * @returns {Promise<ReadableStream<Uint8Array>>} The content, of entry.size bytes
+ */
+export async function openZipEntry(blob, entry) {
+    if (entry.encrypted) {
+        throw new Error(`${entry.name} is encrypted`);
+    }
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+        throw new Error(`${entry.name} uses an unsupported compression method (${entry.method})`);
+    }
+
+    // The local header repeats the name, and may have an extra field of another length than the central one
+    const header = await readView(blob, entry.offset, entry.offset + LOCAL_HEADER_SIZE);
+    if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Damaged zip archive: ${entry.name} is not where the directory says`);
+    }
+    const dataStart = entry.offset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+
+    const stream = blob.slice(dataStart, dataStart + entry.compressedSize).stream();
+    return entry.method === METHOD_DEFLATED ? stream.pipeThrough(new DecompressionStream('deflate-raw')) : stream;
+}